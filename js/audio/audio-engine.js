@@ -0,0 +1,435 @@
+/**
+ * Audio Engine Module
+ *
+ * Owns the Web Audio graph: one AudioContext, a master gain and a gain per
+ * bus (sound effects, music, interface). Effects are synthesized by the
+ * recipes in sound-effects.js and routed to their bus. Volumes and mute
+ * are persisted through a pluggable Storage-compatible backend.
+ *
+ * Key Features:
+ * - Buses with independent volumes under a master volume and mute
+ * - Lazy context creation on unlock(), to satisfy autoplay policies
+ * - Looping voices (the mystery ship siren) by name
+ * - Four-note marching bass that steps with the formation
+ * - Silent no-ops when Web Audio is unavailable (Node, old browsers)
+ * - Context factory injection for mocked or offline contexts in tests
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+const AudioModules = typeof require === 'function'
+    ? {
+        ...require('./sound-effects.js'),
+        ...require('../core/high-scores.js')
+    }
+    : window;
+
+/**
+ * Mixer buses
+ * @readonly
+ * @enum {string}
+ */
+const AudioBus = Object.freeze({
+    SFX: 'sfx',
+    MUSIC: 'music',
+    UI: 'ui'
+});
+
+/**
+ * Default audio configuration
+ * @type {Object}
+ */
+const DEFAULT_AUDIO_CONFIG = Object.freeze({
+    storageKey: 'spaceInvaders.audio',
+    volumes: Object.freeze({ master: 0.8, sfx: 1, music: 0.7, ui: 0.6 }),
+    muted: false,
+    effectBuses: Object.freeze({
+        laser: AudioBus.SFX,
+        explosion: AudioBus.SFX,
+        ufoSiren: AudioBus.SFX,
+        march: AudioBus.MUSIC,
+        uiMove: AudioBus.UI,
+        uiSelect: AudioBus.UI
+    })
+});
+
+/**
+ * Persisted settings format version
+ * @type {number}
+ */
+const AUDIO_SETTINGS_VERSION = 1;
+
+/**
+ * Mixer and player for the game's procedural sounds
+ */
+class AudioEngine {
+    /**
+     * Creates an audio engine and loads saved volumes
+     * @param {Object} [config={}] - Audio configuration, merged over the defaults
+     * @param {Object} [options={}] - Runtime dependencies
+     * @param {Function|null} [options.contextFactory] - Returns a (Base)AudioContext; defaults to
+     *   window.AudioContext when present, null disables audio
+     * @param {Storage} [options.storage] - Storage backend; defaults to localStorage when available
+     */
+    constructor(config = {}, options = {}) {
+        this.config = this._validateAndMergeConfig(config);
+
+        this.contextFactory = options.contextFactory !== undefined
+            ? options.contextFactory
+            : AudioEngine._defaultContextFactory();
+        this.storage = options.storage || AudioModules.getDefaultStorage();
+
+        this.context = null;
+        this.master = null;
+        this.buses = new Map();
+        this.loops = new Map();
+        this.marchStep = 0;
+
+        this.volumes = { ...this.config.volumes };
+        this.muted = this.config.muted;
+        this._loadSettings();
+    }
+
+    /**
+     * Validates and merges user configuration with defaults
+     * @param {Object} userConfig - User provided configuration
+     * @returns {Object} Validated configuration
+     * @private
+     */
+    _validateAndMergeConfig(userConfig) {
+        const config = {
+            ...DEFAULT_AUDIO_CONFIG,
+            ...userConfig,
+            volumes: { ...DEFAULT_AUDIO_CONFIG.volumes, ...userConfig.volumes },
+            effectBuses: { ...DEFAULT_AUDIO_CONFIG.effectBuses, ...userConfig.effectBuses }
+        };
+
+        for (const [channel, volume] of Object.entries(config.volumes)) {
+            if (!AudioEngine._isValidVolume(volume)) {
+                throw new Error(`Volume for ${channel} must be between 0 and 1`);
+            }
+        }
+        for (const [effect, bus] of Object.entries(config.effectBuses)) {
+            if (!Object.values(AudioBus).includes(bus)) {
+                throw new Error(`Unknown bus for ${effect}: ${bus}`);
+            }
+        }
+
+        return config;
+    }
+
+    /**
+     * Picks window.AudioContext when present
+     * @returns {Function|null} Context factory
+     * @private
+     * @static
+     */
+    static _defaultContextFactory() {
+        const AudioContextClass = typeof window !== 'undefined'
+            ? window.AudioContext || window.webkitAudioContext
+            : null;
+
+        return AudioContextClass ? () => new AudioContextClass() : null;
+    }
+
+    /**
+     * @param {*} volume - Candidate volume
+     * @returns {boolean} True for a number in [0, 1]
+     * @private
+     * @static
+     */
+    static _isValidVolume(volume) {
+        return typeof volume === 'number' && volume >= 0 && volume <= 1;
+    }
+
+    /**
+     * Creates the context and mixer on first call and resumes a suspended context
+     *
+     * Browsers only let audio start from a user gesture; call this from one.
+     * @returns {boolean} True if audio is available
+     */
+    unlock() {
+        if (!this.context) {
+            if (!this.contextFactory) {
+                return false;
+            }
+
+            try {
+                this._buildGraph(this.contextFactory());
+            } catch (error) {
+                // Never retry a context the platform refused
+                this.contextFactory = null;
+                this.context = null;
+                this._logError('Audio unavailable', error);
+                return false;
+            }
+        }
+
+        this.resume();
+        return true;
+    }
+
+    /**
+     * Connects the master gain and the bus gains
+     * @private
+     * @param {BaseAudioContext} context - Audio context
+     */
+    _buildGraph(context) {
+        this.master = context.createGain();
+        this.master.connect(context.destination);
+
+        for (const bus of Object.values(AudioBus)) {
+            const gain = context.createGain();
+            gain.connect(this.master);
+            this.buses.set(bus, gain);
+        }
+
+        this.context = context;
+        this._applyVolumes();
+    }
+
+    /**
+     * Checks whether sounds are actually produced
+     * @returns {boolean} True once a context exists
+     */
+    isAvailable() {
+        return Boolean(this.context);
+    }
+
+    /**
+     * Plays an effect on its bus
+     * @param {string} effect - SoundEffect name
+     * @param {Object} [options={}] - Effect options, e.g. { size: 'large' } for explosions
+     * @returns {{stop: Function}|null} Voice, or null when audio is unavailable
+     * @throws {Error} When the effect is unknown
+     */
+    play(effect, options = {}) {
+        const recipe = AudioModules.SOUND_RECIPES[effect];
+        if (!recipe) {
+            throw new Error(`Unknown sound effect: ${effect}`);
+        }
+        if (!this.context) {
+            return null;
+        }
+
+        try {
+            return recipe(this.context, this.buses.get(this.config.effectBuses[effect]), options);
+        } catch (error) {
+            this._logError(`Failed to play ${effect}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Starts a looping effect unless it is already playing
+     * @param {string} effect - SoundEffect name
+     * @param {Object} [options={}] - Effect options
+     */
+    startLoop(effect, options = {}) {
+        if (this.loops.has(effect)) return;
+
+        const voice = this.play(effect, options);
+        if (voice) {
+            this.loops.set(effect, voice);
+        }
+    }
+
+    /**
+     * Stops a looping effect
+     * @param {string} effect - SoundEffect name
+     */
+    stopLoop(effect) {
+        const voice = this.loops.get(effect);
+        if (voice) {
+            voice.stop();
+            this.loops.delete(effect);
+        }
+    }
+
+    /**
+     * Stops every looping effect
+     */
+    stopAllLoops() {
+        for (const effect of [...this.loops.keys()]) {
+            this.stopLoop(effect);
+        }
+    }
+
+    /**
+     * Plays the next note of the marching bass
+     * @param {Object} [options={}] - March options
+     * @param {number} [options.duration] - Note length in seconds; shorten it as the march speeds up
+     */
+    playMarchStep(options = {}) {
+        this.play(AudioModules.SoundEffect.MARCH, { ...options, note: this.marchStep });
+        this.marchStep = (this.marchStep + 1) % AudioModules.MARCH_NOTES.length;
+    }
+
+    /**
+     * Starts the marching bass from its first note again
+     */
+    resetMarch() {
+        this.marchStep = 0;
+    }
+
+    /**
+     * Sets a bus or the master volume and saves it
+     * @param {string} channel - 'master' or an AudioBus value
+     * @param {number} volume - Volume in [0, 1]
+     * @throws {Error} When the channel or volume is invalid
+     */
+    setVolume(channel, volume) {
+        if (!(channel in this.volumes)) {
+            throw new Error(`Unknown audio channel: ${channel}`);
+        }
+        if (!AudioEngine._isValidVolume(volume)) {
+            throw new Error('Volume must be between 0 and 1');
+        }
+
+        this.volumes[channel] = volume;
+        this._applyVolumes();
+        this._saveSettings();
+    }
+
+    /**
+     * Gets a bus or the master volume
+     * @param {string} channel - 'master' or an AudioBus value
+     * @returns {number} Volume in [0, 1]
+     */
+    getVolume(channel) {
+        return this.volumes[channel];
+    }
+
+    /**
+     * Mutes or unmutes everything and saves the choice
+     * @param {boolean} muted - Whether to mute
+     */
+    setMuted(muted) {
+        this.muted = Boolean(muted);
+        this._applyVolumes();
+        this._saveSettings();
+    }
+
+    /**
+     * Flips the mute state
+     * @returns {boolean} True if now muted
+     */
+    toggleMute() {
+        this.setMuted(!this.muted);
+        return this.muted;
+    }
+
+    /**
+     * @returns {boolean} True if muted
+     */
+    isMuted() {
+        return this.muted;
+    }
+
+    /**
+     * Suspends the context, freezing every voice
+     */
+    suspend() {
+        if (this.context && this.context.state === 'running' && this.context.suspend) {
+            this.context.suspend().catch(error => this._logError('Failed to suspend audio', error));
+        }
+    }
+
+    /**
+     * Resumes a suspended context
+     */
+    resume() {
+        if (this.context && this.context.state === 'suspended' && this.context.resume) {
+            this.context.resume().catch(error => this._logError('Failed to resume audio', error));
+        }
+    }
+
+    /**
+     * Stops all sound and releases the context
+     */
+    destroy() {
+        this.stopAllLoops();
+
+        if (this.context && this.context.close) {
+            this.context.close().catch(() => {});
+        }
+        this.context = null;
+        this.master = null;
+        this.buses.clear();
+    }
+
+    /**
+     * Pushes volumes and mute to the gain nodes
+     * @private
+     */
+    _applyVolumes() {
+        if (!this.context) return;
+
+        this.master.gain.value = this.muted ? 0 : this.volumes.master;
+        for (const [bus, gain] of this.buses) {
+            gain.gain.value = this.volumes[bus];
+        }
+    }
+
+    /**
+     * Reads saved volumes and mute, keeping the defaults for anything invalid
+     * @private
+     */
+    _loadSettings() {
+        let saved;
+        try {
+            const raw = this.storage.getItem(this.config.storageKey);
+            if (raw === null || raw === undefined) return;
+            saved = JSON.parse(raw);
+        } catch (error) {
+            this._logError('Discarding invalid audio settings', error);
+            return;
+        }
+
+        if (!saved || saved.version !== AUDIO_SETTINGS_VERSION) return;
+
+        for (const channel of Object.keys(this.volumes)) {
+            if (saved.volumes && AudioEngine._isValidVolume(saved.volumes[channel])) {
+                this.volumes[channel] = saved.volumes[channel];
+            }
+        }
+        if (typeof saved.muted === 'boolean') {
+            this.muted = saved.muted;
+        }
+    }
+
+    /**
+     * Writes volumes and mute to storage
+     * @private
+     */
+    _saveSettings() {
+        const payload = { version: AUDIO_SETTINGS_VERSION, volumes: this.volumes, muted: this.muted };
+
+        try {
+            this.storage.setItem(this.config.storageKey, JSON.stringify(payload));
+        } catch (error) {
+            this._logError('Failed to save audio settings', error);
+        }
+    }
+
+    /**
+     * Log error message
+     * @private
+     * @param {string} message - Error message
+     * @param {Error} error - Error object
+     */
+    _logError(message, error) {
+        console.warn(`[AudioEngine] ${message}:`, error && error.message ? error.message : error);
+    }
+}
+
+// Export the engine and its buses
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AudioEngine, AudioBus, DEFAULT_AUDIO_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.AudioEngine = AudioEngine;
+    window.AudioBus = AudioBus;
+    window.DEFAULT_AUDIO_CONFIG = DEFAULT_AUDIO_CONFIG;
+}
@@ -0,0 +1,245 @@
+/**
+ * Sound Effects Module
+ *
+ * Procedural recipes for every sound in the game, built from Web Audio
+ * oscillators, filters and a noise buffer at play time, so no audio files
+ * ship with the game. Each recipe wires its nodes into the destination it
+ * is given (normally an AudioEngine bus) and returns a voice that can be
+ * stopped early; one-shot voices clean themselves up when they end.
+ *
+ * Effects:
+ * - laser: falling square-wave zap for the player's shot
+ * - explosion: filtered noise burst, small (invader) or large (ship)
+ * - ufoSiren: looping warble while the mystery ship crosses
+ * - march: one note of the four-note marching bass
+ * - uiMove / uiSelect: short menu blips
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+const SoundRandom = (typeof require === 'function' ? require('../utils/random.js') : window).SeededRandom;
+
+/**
+ * Effect names accepted by AudioEngine.play()
+ * @readonly
+ * @enum {string}
+ */
+const SoundEffect = Object.freeze({
+    LASER: 'laser',
+    EXPLOSION: 'explosion',
+    UFO_SIREN: 'ufoSiren',
+    MARCH: 'march',
+    UI_MOVE: 'uiMove',
+    UI_SELECT: 'uiSelect'
+});
+
+/**
+ * Marching bass notes in Hz, played in order, one per formation step
+ * @type {number[]}
+ */
+const MARCH_NOTES = Object.freeze([98.0, 87.31, 77.78, 73.42]);
+
+/**
+ * Explosion shapes by size
+ * @type {Object}
+ */
+const EXPLOSION_SIZES = Object.freeze({
+    small: { duration: 0.25, cutoff: 1800, gain: 0.35 },
+    large: { duration: 0.9, cutoff: 900, gain: 0.6 }
+});
+
+// Envelopes ramp to this instead of zero; exponential ramps cannot reach 0
+const SILENCE = 0.0001;
+
+/**
+ * Noise buffers by context, generated once from a fixed seed
+ * @type {WeakMap<BaseAudioContext, AudioBuffer>}
+ */
+const noiseBuffers = new WeakMap();
+
+/**
+ * Gets a second of white noise for the context
+ * @param {BaseAudioContext} context - Audio context
+ * @returns {AudioBuffer} Mono noise buffer
+ */
+function getNoiseBuffer(context) {
+    if (!noiseBuffers.has(context)) {
+        const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+        const samples = buffer.getChannelData(0);
+        // Seeded so the effect never touches gameplay randomness
+        const random = new SoundRandom('noise');
+
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = random.next() * 2 - 1;
+        }
+        noiseBuffers.set(context, buffer);
+    }
+
+    return noiseBuffers.get(context);
+}
+
+/**
+ * Creates a gain node with an attack/decay envelope
+ * @param {BaseAudioContext} context - Audio context
+ * @param {number} start - Start time in seconds
+ * @param {number} peak - Peak gain
+ * @param {number} duration - Seconds until silent
+ * @returns {GainNode} Envelope node
+ */
+function createEnvelope(context, start, peak, duration) {
+    const envelope = context.createGain();
+
+    envelope.gain.setValueAtTime(SILENCE, start);
+    envelope.gain.exponentialRampToValueAtTime(peak, start + 0.005);
+    envelope.gain.exponentialRampToValueAtTime(SILENCE, start + duration);
+
+    return envelope;
+}
+
+/**
+ * Wraps started source nodes in a stoppable voice
+ * @param {AudioScheduledSourceNode[]} sources - Sources that drive the voice; the first one's end releases it
+ * @param {AudioNode[]} nodes - Every node to disconnect when the voice ends
+ * @returns {{stop: Function}} Voice
+ */
+function createVoice(sources, nodes) {
+    let stopped = false;
+
+    sources[0].onended = () => {
+        nodes.forEach(node => node.disconnect());
+    };
+
+    return {
+        stop() {
+            if (stopped) return;
+            stopped = true;
+            sources.forEach(source => source.stop());
+        }
+    };
+}
+
+/**
+ * Sound recipes by effect name
+ *
+ * Each takes the context, the node to connect to and effect options, and
+ * returns a voice.
+ * @type {Object<string, Function>}
+ */
+const SOUND_RECIPES = Object.freeze({
+    [SoundEffect.LASER](context, destination) {
+        const now = context.currentTime;
+        const duration = 0.15;
+        const oscillator = context.createOscillator();
+        const envelope = createEnvelope(context, now, 0.25, duration);
+
+        oscillator.type = 'square';
+        oscillator.frequency.setValueAtTime(1400, now);
+        oscillator.frequency.exponentialRampToValueAtTime(160, now + duration);
+        oscillator.connect(envelope).connect(destination);
+        oscillator.start(now);
+        oscillator.stop(now + duration);
+
+        return createVoice([oscillator], [oscillator, envelope]);
+    },
+
+    [SoundEffect.EXPLOSION](context, destination, { size = 'small' } = {}) {
+        const shape = EXPLOSION_SIZES[size];
+        if (!shape) {
+            throw new Error(`Unknown explosion size: ${size}`);
+        }
+
+        const now = context.currentTime;
+        const noise = context.createBufferSource();
+        const filter = context.createBiquadFilter();
+        const envelope = createEnvelope(context, now, shape.gain, shape.duration);
+
+        noise.buffer = getNoiseBuffer(context);
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(shape.cutoff, now);
+        filter.frequency.exponentialRampToValueAtTime(120, now + shape.duration);
+        noise.connect(filter).connect(envelope).connect(destination);
+        noise.start(now);
+        noise.stop(now + shape.duration);
+
+        return createVoice([noise], [noise, filter, envelope]);
+    },
+
+    [SoundEffect.UFO_SIREN](context, destination) {
+        const now = context.currentTime;
+        const oscillator = context.createOscillator();
+        const wobble = context.createOscillator();
+        const depth = context.createGain();
+        const level = context.createGain();
+
+        // An 8 Hz wobble of +/-120 Hz around the carrier gives the classic warble
+        oscillator.type = 'square';
+        oscillator.frequency.setValueAtTime(520, now);
+        wobble.type = 'sine';
+        wobble.frequency.setValueAtTime(8, now);
+        depth.gain.setValueAtTime(120, now);
+        level.gain.setValueAtTime(0.12, now);
+
+        wobble.connect(depth).connect(oscillator.frequency);
+        oscillator.connect(level).connect(destination);
+        oscillator.start(now);
+        wobble.start(now);
+
+        return createVoice([oscillator, wobble], [oscillator, wobble, depth, level]);
+    },
+
+    [SoundEffect.MARCH](context, destination, { note = 0, duration = 0.1 } = {}) {
+        const now = context.currentTime;
+        const oscillator = context.createOscillator();
+        const envelope = createEnvelope(context, now, 0.5, duration);
+
+        oscillator.type = 'triangle';
+        oscillator.frequency.setValueAtTime(MARCH_NOTES[Math.abs(Math.floor(note)) % MARCH_NOTES.length], now);
+        oscillator.connect(envelope).connect(destination);
+        oscillator.start(now);
+        oscillator.stop(now + duration);
+
+        return createVoice([oscillator], [oscillator, envelope]);
+    },
+
+    [SoundEffect.UI_MOVE](context, destination) {
+        return playBlip(context, destination, 660, 0.05);
+    },
+
+    [SoundEffect.UI_SELECT](context, destination) {
+        return playBlip(context, destination, 990, 0.09);
+    }
+});
+
+/**
+ * Plays a short sine blip
+ * @param {BaseAudioContext} context - Audio context
+ * @param {AudioNode} destination - Node to connect to
+ * @param {number} frequency - Pitch in Hz
+ * @param {number} duration - Length in seconds
+ * @returns {{stop: Function}} Voice
+ */
+function playBlip(context, destination, frequency, duration) {
+    const now = context.currentTime;
+    const oscillator = context.createOscillator();
+    const envelope = createEnvelope(context, now, 0.3, duration);
+
+    oscillator.type = 'sine';
+    oscillator.frequency.setValueAtTime(frequency, now);
+    oscillator.connect(envelope).connect(destination);
+    oscillator.start(now);
+    oscillator.stop(now + duration);
+
+    return createVoice([oscillator], [oscillator, envelope]);
+}
+
+// Export the recipes and effect names
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SoundEffect, SOUND_RECIPES, MARCH_NOTES, EXPLOSION_SIZES };
+} else if (typeof window !== 'undefined') {
+    window.SoundEffect = SoundEffect;
+    window.SOUND_RECIPES = SOUND_RECIPES;
+    window.MARCH_NOTES = MARCH_NOTES;
+    window.EXPLOSION_SIZES = EXPLOSION_SIZES;
+}
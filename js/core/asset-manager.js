@@ -0,0 +1,575 @@
+/**
+ * Asset Manager Module
+ *
+ * Central loader for everything the game reads from disk: images, texture
+ * atlases, audio, fonts and JSON (level data and the like). Assets are
+ * listed in a manifest, loaded a few at a time with retries, and reported
+ * through progress events so a loading screen can follow along. A missing
+ * file never stops the game: images and atlas sheets are replaced by a
+ * generated placeholder, and the failure is recorded for whoever cares.
+ *
+ * Manifest format (URLs are relative to the manifest):
+ *
+ *   {
+ *     "assets": [
+ *       { "id": "player", "type": "image", "url": "sprites/player-ship.svg", "width": 32, "height": 32 },
+ *       { "id": "invaders", "type": "atlas", "url": "sprites/invaders.json" },
+ *       { "id": "laser", "type": "audio", "url": "audio/laser.ogg" },
+ *       { "id": "arcade", "type": "font", "url": "fonts/arcade.woff2", "family": "Arcade" },
+ *       { "id": "wave1", "type": "json", "url": "levels/wave1.json", "fallback": { "rows": 5 } }
+ *     ]
+ *   }
+ *
+ * Key Features:
+ * - Concurrency limit and retry with backoff per file
+ * - Loads deduplicated by URL; images land in the SpriteRenderer cache
+ * - Placeholder sprites sized from the manifest (or atlas frames) on failure
+ * - JSON fallbacks from the manifest; fonts fall back to system fonts
+ * - Loader injection for tests and Node
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+const AssetAtlas = (typeof require === 'function' ? require('../rendering/sprite-atlas.js') : window).SpriteAtlas;
+
+/**
+ * Asset types accepted in a manifest
+ * @readonly
+ * @enum {string}
+ */
+const AssetType = Object.freeze({
+    IMAGE: 'image',
+    ATLAS: 'atlas',
+    AUDIO: 'audio',
+    FONT: 'font',
+    JSON: 'json'
+});
+
+/**
+ * Default asset manager configuration
+ * @type {Object}
+ */
+const DEFAULT_ASSET_CONFIG = Object.freeze({
+    concurrency: 4, // files in flight at once
+    retries: 2, // extra attempts after the first failure
+    retryDelay: 250, // ms before the first retry; doubles each time
+    placeholderSize: 32 // placeholder edge when the manifest gives no size
+});
+
+/**
+ * Asset manifest entry
+ * @typedef {Object} AssetEntry
+ * @property {string} id - Unique asset id
+ * @property {string} type - AssetType value
+ * @property {string} url - File URL, relative to the manifest
+ * @property {number} [width] - Placeholder width for images
+ * @property {number} [height] - Placeholder height for images
+ * @property {string} [family] - Font family name; defaults to the id
+ * @property {*} [fallback] - JSON value used when the file fails
+ */
+
+/**
+ * Manifest-driven loader with progress, retries and fallbacks
+ */
+class AssetManager {
+    /**
+     * Creates an asset manager
+     * @param {Object} [config={}] - Loader configuration, merged over the defaults
+     * @param {Object} [options={}] - Runtime dependencies
+     * @param {Object} [options.loaders] - Overrides for image(url), json(url), binary(url)
+     *   and font(family, url); each returns a promise
+     * @param {SpriteRenderer} [options.spriteRenderer] - Cache loaded images in this renderer
+     *   (cacheSprite / getCachedSprite), keyed by URL
+     * @param {Function} [options.createCanvas] - Returns a canvas for placeholders; defaults to the DOM
+     * @param {Function} [options.delay] - Resolves after the given milliseconds; used between retries
+     */
+    constructor(config = {}, options = {}) {
+        this.config = this._validateAndMergeConfig(config);
+
+        this.loaders = { ...AssetManager.defaultLoaders(), ...options.loaders };
+        this.spriteRenderer = options.spriteRenderer || null;
+        this.createCanvas = options.createCanvas || AssetManager._defaultCreateCanvas;
+        this.delay = options.delay || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+        this.assets = new Map();
+        this.placeholders = new Set();
+        this.failures = [];
+        this.pending = new Map();
+        this.progress = { loaded: 0, failed: 0, total: 0 };
+        this.listeners = new Map();
+    }
+
+    /**
+     * Validates and merges user configuration with defaults
+     * @param {Object} userConfig - User provided configuration
+     * @returns {Object} Validated configuration
+     * @private
+     */
+    _validateAndMergeConfig(userConfig) {
+        const config = { ...DEFAULT_ASSET_CONFIG, ...userConfig };
+
+        if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+            throw new Error('concurrency must be a positive integer');
+        }
+        if (!Number.isInteger(config.retries) || config.retries < 0) {
+            throw new Error('retries must be a non-negative integer');
+        }
+        if (typeof config.retryDelay !== 'number' || config.retryDelay < 0) {
+            throw new Error('retryDelay must be a non-negative number');
+        }
+
+        return config;
+    }
+
+    /**
+     * Browser implementations of the loaders
+     * @returns {Object} image, json, binary and font loaders
+     * @static
+     */
+    static defaultLoaders() {
+        return {
+            image: url => new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error(`Failed to load image ${url}`));
+                image.src = url;
+            }),
+            json: async (url) => {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`Failed to load ${url}: ${response.status}`);
+                }
+                return response.json();
+            },
+            binary: async (url) => {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`Failed to load ${url}: ${response.status}`);
+                }
+                return response.arrayBuffer();
+            },
+            font: async (family, url) => {
+                const face = await new FontFace(family, `url(${url})`).load();
+                document.fonts.add(face);
+                return face;
+            }
+        };
+    }
+
+    /**
+     * @returns {HTMLCanvasElement|null} A new canvas, or null without a DOM
+     * @private
+     * @static
+     */
+    static _defaultCreateCanvas() {
+        return typeof document !== 'undefined' ? document.createElement('canvas') : null;
+    }
+
+    /**
+     * Loads every asset in a manifest
+     * @param {string|Object} manifest - Manifest URL, or an already parsed manifest
+     * @param {string} [baseUrl=''] - Base for relative URLs when the manifest is an object
+     * @returns {Promise<{loaded: number, failed: number, total: number}>} Totals once everything settled
+     * @throws {Error} When the manifest itself cannot be loaded or is malformed
+     */
+    async loadManifest(manifest, baseUrl = '') {
+        if (typeof manifest === 'string') {
+            const url = manifest;
+            manifest = await this._withRetry(() => this.loaders.json(url), url);
+            baseUrl = url;
+        }
+
+        if (!manifest || !Array.isArray(manifest.assets)) {
+            throw new Error('Invalid asset manifest: missing assets list');
+        }
+
+        return this.load(manifest.assets, baseUrl);
+    }
+
+    /**
+     * Loads a list of manifest entries
+     * @param {AssetEntry[]} entries - Assets to load
+     * @param {string} [baseUrl=''] - File the URLs are relative to
+     * @returns {Promise<{loaded: number, failed: number, total: number}>} Totals once everything settled
+     * @throws {Error} When an entry is malformed or an id is used twice
+     */
+    async load(entries, baseUrl = '') {
+        this._validateEntries(entries);
+
+        this.progress.total += entries.length;
+        const queue = entries.map(entry => ({ ...entry, url: AssetAtlas.resolvePath(baseUrl, entry.url) }));
+        const workers = [];
+
+        for (let i = 0; i < Math.min(this.config.concurrency, queue.length); i++) {
+            workers.push((async () => {
+                while (queue.length > 0) {
+                    await this._loadEntry(queue.shift());
+                }
+            })());
+        }
+
+        await Promise.all(workers);
+
+        const summary = this.getProgress();
+        this._emit('complete', summary);
+        return summary;
+    }
+
+    /**
+     * Checks entries before any of them starts loading
+     * @param {AssetEntry[]} entries - Manifest entries
+     * @throws {Error} When an entry is malformed
+     * @private
+     */
+    _validateEntries(entries) {
+        if (!Array.isArray(entries)) {
+            throw new Error('Invalid asset manifest: assets must be an array');
+        }
+
+        const ids = new Set();
+        for (const entry of entries) {
+            if (!entry || !entry.id || typeof entry.id !== 'string') {
+                throw new Error('Invalid asset manifest: every asset needs an id');
+            }
+            if (ids.has(entry.id) || this.assets.has(entry.id)) {
+                throw new Error(`Invalid asset manifest: duplicate id ${entry.id}`);
+            }
+            if (!Object.values(AssetType).includes(entry.type)) {
+                throw new Error(`Invalid asset manifest: unknown type for ${entry.id}: ${entry.type}`);
+            }
+            if (!entry.url || typeof entry.url !== 'string') {
+                throw new Error(`Invalid asset manifest: ${entry.id} needs a url`);
+            }
+            ids.add(entry.id);
+        }
+    }
+
+    /**
+     * Loads one entry, falling back instead of throwing
+     * @param {AssetEntry} entry - Entry with a resolved URL
+     * @private
+     */
+    async _loadEntry(entry) {
+        let failed = false;
+
+        try {
+            this.assets.set(entry.id, await this._loadByType(entry));
+        } catch (error) {
+            failed = true;
+            this.failures.push({ id: entry.id, url: entry.url, error: error.message });
+            this.assets.set(entry.id, this._fallbackFor(entry));
+            this._logError(`Failed to load ${entry.id} (${entry.url})`, error);
+            this._emit('error', { id: entry.id, url: entry.url, error });
+        }
+
+        this.progress[failed ? 'failed' : 'loaded']++;
+        this._emit('progress', { id: entry.id, type: entry.type, ...this.getProgress() });
+    }
+
+    /**
+     * Loads an entry with the loader for its type
+     * @param {AssetEntry} entry - Entry with a resolved URL
+     * @returns {Promise<*>} Loaded asset
+     * @private
+     */
+    async _loadByType(entry) {
+        switch (entry.type) {
+            case AssetType.IMAGE:
+                return this.loadImage(entry.url);
+            case AssetType.ATLAS:
+                return this._loadAtlas(entry);
+            case AssetType.AUDIO:
+                return this._shared(entry.url, () => this.loaders.binary(entry.url));
+            case AssetType.FONT:
+                return this._shared(entry.url, () => this.loaders.font(entry.family || entry.id, entry.url));
+            default:
+                return this._shared(entry.url, () => this.loaders.json(entry.url));
+        }
+    }
+
+    /**
+     * Loads an image once per URL and caches it in the sprite renderer
+     *
+     * Also usable outside a manifest, e.g. by entities loading their sprite.
+     * @param {string} url - Image URL
+     * @returns {Promise<HTMLImageElement>} Loaded image
+     * @throws {Error} When every attempt fails
+     */
+    loadImage(url) {
+        const cached = this.spriteRenderer ? this.spriteRenderer.getCachedSprite(url) : null;
+        if (cached) {
+            return Promise.resolve(cached);
+        }
+
+        return this._shared(url, async () => {
+            const image = await this.loaders.image(url);
+            if (this.spriteRenderer) {
+                this.spriteRenderer.cacheSprite(url, image);
+            }
+            return image;
+        });
+    }
+
+    /**
+     * Loads an atlas descriptor and its sheet; a failed sheet becomes a
+     * placeholder covering every frame so the atlas still works
+     * @param {AssetEntry} entry - Atlas entry
+     * @returns {Promise<SpriteAtlas>} Loaded atlas
+     * @private
+     */
+    async _loadAtlas(entry) {
+        const descriptor = await this._shared(entry.url, () => this.loaders.json(entry.url));
+        if (!descriptor || !descriptor.meta || !descriptor.meta.image) {
+            throw new Error(`Atlas descriptor ${entry.url} does not name an image`);
+        }
+
+        const imageUrl = AssetAtlas.resolvePath(entry.url, descriptor.meta.image);
+        let image;
+        try {
+            image = await this.loadImage(imageUrl);
+        } catch (error) {
+            this.failures.push({ id: entry.id, url: imageUrl, error: error.message });
+            this.placeholders.add(entry.id);
+            this._logError(`Using a placeholder sheet for ${entry.id}`, error);
+
+            const { width, height } = AssetManager._sheetSize(descriptor.frames);
+            image = this.createPlaceholder(width, height);
+        }
+
+        const atlas = new AssetAtlas(image, descriptor);
+        if (this.spriteRenderer && typeof this.spriteRenderer.registerAtlas === 'function') {
+            this.spriteRenderer.registerAtlas(entry.id, atlas);
+        }
+        return atlas;
+    }
+
+    /**
+     * Gets the sheet extent covered by atlas frames
+     * @param {Object|Array} frames - Descriptor frames
+     * @returns {{width: number, height: number}} Sheet size
+     * @private
+     * @static
+     */
+    static _sheetSize(frames) {
+        const rects = (Array.isArray(frames) ? frames : Object.values(frames || {}))
+            .map(entry => (entry && entry.frame) || entry || {});
+
+        return {
+            width: Math.max(1, ...rects.map(({ x = 0, w = 0 }) => x + w)),
+            height: Math.max(1, ...rects.map(({ y = 0, h = 0 }) => y + h))
+        };
+    }
+
+    /**
+     * Shares one in-flight (or finished) load between every request for a URL
+     * @param {string} url - Deduplication key
+     * @param {Function} load - Starts the load; retried on failure
+     * @returns {Promise<*>} Loaded value
+     * @private
+     */
+    _shared(url, load) {
+        if (!this.pending.has(url)) {
+            const promise = this._withRetry(load, url);
+            // Forget failures so a later request can try again
+            promise.catch(() => this.pending.delete(url));
+            this.pending.set(url, promise);
+        }
+
+        return this.pending.get(url);
+    }
+
+    /**
+     * Runs a load, retrying with a doubling delay
+     * @param {Function} load - Returns a promise for the value
+     * @param {string} url - URL, for logging
+     * @returns {Promise<*>} Loaded value
+     * @throws {Error} The last error once retries are exhausted
+     * @private
+     */
+    async _withRetry(load, url) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.config.retries; attempt++) {
+            if (attempt > 0) {
+                this._log(`Retrying ${url} (${attempt}/${this.config.retries})`);
+                await this.delay(this.config.retryDelay * 2 ** (attempt - 1));
+            }
+
+            try {
+                return await load();
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Picks the stand-in for a failed entry
+     * @param {AssetEntry} entry - Failed entry
+     * @returns {*} Placeholder image, JSON fallback, or null
+     * @private
+     */
+    _fallbackFor(entry) {
+        if (entry.type === AssetType.IMAGE) {
+            this.placeholders.add(entry.id);
+            const size = this.config.placeholderSize;
+            return this.createPlaceholder(entry.width || size, entry.height || size);
+        }
+
+        if (entry.type === AssetType.JSON && entry.fallback !== undefined) {
+            return entry.fallback;
+        }
+
+        // Audio plays silence and fonts fall back to the CSS font stack
+        return null;
+    }
+
+    /**
+     * Generates a magenta and black checkerboard, the classic missing-texture look
+     * @param {number} width - Placeholder width
+     * @param {number} height - Placeholder height
+     * @returns {HTMLCanvasElement|{width: number, height: number}} Placeholder image;
+     *   a bare size object when there is no canvas to draw on
+     */
+    createPlaceholder(width, height) {
+        const canvas = this.createCanvas();
+        if (!canvas) {
+            return { width, height };
+        }
+
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const cell = Math.max(2, Math.floor(Math.min(width, height) / 4));
+
+        for (let y = 0; y < height; y += cell) {
+            for (let x = 0; x < width; x += cell) {
+                ctx.fillStyle = (x / cell + y / cell) % 2 === 0 ? '#FF00FF' : '#000000';
+                ctx.fillRect(x, y, cell, cell);
+            }
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Gets a loaded asset (or its stand-in)
+     * @param {string} id - Asset id
+     * @returns {*} Asset, or null when unknown
+     */
+    get(id) {
+        return this.assets.has(id) ? this.assets.get(id) : null;
+    }
+
+    /**
+     * @param {string} id - Asset id
+     * @returns {boolean} True once the asset settled, loaded or not
+     */
+    has(id) {
+        return this.assets.has(id);
+    }
+
+    /**
+     * @param {string} id - Asset id
+     * @returns {boolean} True if the asset (or its atlas sheet) is a generated placeholder
+     */
+    isPlaceholder(id) {
+        return this.placeholders.has(id);
+    }
+
+    /**
+     * @returns {Array<{id: string, url: string, error: string}>} Files that failed to load
+     */
+    getFailures() {
+        return this.failures.slice();
+    }
+
+    /**
+     * Gets loading progress
+     * @returns {{loaded: number, failed: number, total: number, progress: number}} Counts and
+     *   the settled fraction in [0, 1]; 1 when nothing was requested
+     */
+    getProgress() {
+        const { loaded, failed, total } = this.progress;
+        return { loaded, failed, total, progress: total > 0 ? (loaded + failed) / total : 1 };
+    }
+
+    /**
+     * Adds event listener
+     * @param {string} event - Event name ('progress', 'error', 'complete')
+     * @param {Function} callback - Event callback
+     */
+    addEventListener(event, callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+    }
+
+    /**
+     * Removes event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Event callback
+     */
+    removeEventListener(event, callback) {
+        const eventListeners = this.listeners.get(event);
+        if (eventListeners) {
+            eventListeners.delete(callback);
+        }
+    }
+
+    /**
+     * Emits an event to all listeners
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     * @private
+     */
+    _emit(event, data) {
+        const eventListeners = this.listeners.get(event);
+        if (!eventListeners) return;
+
+        eventListeners.forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`[AssetManager] Error in ${event} listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Log info message
+     * @private
+     * @param {string} message - Message to log
+     */
+    _log(message) {
+        console.log(`[AssetManager] ${message}`);
+    }
+
+    /**
+     * Log error message
+     * @private
+     * @param {string} message - Error message
+     * @param {Error} error - Error object
+     */
+    _logError(message, error) {
+        console.warn(`[AssetManager] ${message}:`, error && error.message ? error.message : error);
+    }
+}
+
+// Export the manager and asset types
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AssetManager, AssetType, DEFAULT_ASSET_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.AssetManager = AssetManager;
+    window.AssetType = AssetType;
+    window.DEFAULT_ASSET_CONFIG = DEFAULT_ASSET_CONFIG;
+}
@@ -1,11 +1,69 @@
-*/
+/**
+ * Game Loop Module
+ *
+ * Drives the game from requestAnimationFrame with a fixed simulation
+ * timestep. Frame time is accumulated and consumed in whole ticks, so game
+ * logic behaves the same at 30, 60 or 144 Hz; the leftover fraction of a
+ * tick is handed to the renderer for interpolation.
+ *
+ * Key Features:
+ * - Fixed-step updates with an accumulator
+ * - Render interpolation factor between the last two ticks
+ * - Spiral-of-death protection (frame time clamp and per-frame tick cap)
+ * - Pause / resume, automatic pause while the tab is hidden
+ * - Optional performance profiling
+ *
+ * @author Space Invaders Development Team
+ * @version 1.1.0
+ * @since 2025
+ */
+
+/**
+ * Game loop lifecycle states
+ * @readonly
+ * @enum {string}
+ */
+const GameLoopState = Object.freeze({
+    STOPPED: 'stopped',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    ERROR: 'error'
+});
+
+/**
+ * Performance configuration
+ * @typedef {Object} PerformanceConfig
+ * @property {number} targetFPS - Simulation tick rate; one update runs every 1000 / targetFPS ms
+ * @property {number} maxDeltaTime - Longest frame, in milliseconds, fed to the accumulator
+ * @property {number} maxUpdatesPerFrame - Tick cap per frame; time beyond it is dropped
+ * @property {boolean} enableProfiling - Collect and periodically log frame metrics
+ * @property {number} performanceSampleSize - Frames kept for the FPS average
+ */
+
+/**
+ * Default performance configuration
+ * @type {PerformanceConfig}
+ */
+const DEFAULT_PERFORMANCE_CONFIG = Object.freeze({
+    targetFPS: 60,
+    maxDeltaTime: 250,
+    maxUpdatesPerFrame: 5,
+    enableProfiling: false,
+    performanceSampleSize: 60
+});
+
+/**
+ * Fixed-timestep game loop
+ */
 class GameLoop {
     /**
      * Creates a new GameLoop instance
      * 
      * @param {Object} callbacks - Game loop callbacks
-     * @param {Function} callbacks.update - Update function called each frame
-     * @param {Function} callbacks.render - Render function called each frame
+     * @param {Function} callbacks.update - Update function called once per fixed tick
+     *   with the tick length in milliseconds
+     * @param {Function} callbacks.render - Render function called each frame with the
+     *   interpolation factor (0-1) between the previous and current tick
      * @param {Function} [callbacks.onError] - Error handler callback
      * @param {PerformanceConfig} [config] - Performance configuration
      */
@@ -24,7 +82,7 @@ class GameLoop {
         this._errorCallback = callbacks.onError || this._defaultErrorHandler.bind(this);
 
         // Configuration
-        this._config = { ...DEFAULT_PERFORMANCE_CONFIG, ...config };
+        this._config = this._validateAndMergeConfig(config);
         this._targetFrameTime = 1000 / this._config.targetFPS;
 
         // State management
@@ -37,6 +95,8 @@ class GameLoop {
         this._currentTime = 0;
         this._deltaTime = 0;
         this._accumulator = 0;
+        this._tickCount = 0;
+        this._droppedTime = 0;
 
         // Performance monitoring
         this._frameCount = 0;
@@ -66,6 +126,29 @@ class GameLoop {
         console.log('GameLoop initialized with config:', this._config);
     }
 
+    /**
+     * Validates and merges user configuration with defaults
+     * 
+     * @private
+     * @param {Object} userConfig - User provided configuration
+     * @returns {PerformanceConfig} Validated configuration
+     */
+    _validateAndMergeConfig(userConfig) {
+        const config = { ...DEFAULT_PERFORMANCE_CONFIG, ...userConfig };
+
+        if (!(config.targetFPS > 0)) {
+            throw new Error('GameLoop targetFPS must be positive');
+        }
+        if (!(config.maxDeltaTime > 0)) {
+            throw new Error('GameLoop maxDeltaTime must be positive');
+        }
+        if (!Number.isInteger(config.maxUpdatesPerFrame) || config.maxUpdatesPerFrame < 1) {
+            throw new Error('GameLoop maxUpdatesPerFrame must be a positive integer');
+        }
+
+        return config;
+    }
+
     /**
      * Starts the game loop
      * 
@@ -83,6 +166,7 @@ class GameLoop {
             this._isRunning = true;
             this._lastFrameTime = performance.now();
             this._currentTime = this._lastFrameTime;
+            this._accumulator = 0;
             
             // Reset performance metrics
             this._resetPerformanceMetrics();
@@ -169,7 +253,9 @@ class GameLoop {
 
         try {
             this._state = GameLoopState.RUNNING;
+            // Time spent paused is not simulated
             this._lastFrameTime = performance.now();
+            this._accumulator = 0;
             this._animationFrameId = requestAnimationFrame(this._gameLoopStep);
             
             this._notifyStateChange(GameLoopState.RUNNING);
@@ -194,20 +280,21 @@ class GameLoop {
         }
 
         try {
-            // Calculate delta time
+            // Calculate delta time, clamped so a long stall cannot flood the accumulator
             this._currentTime = timestamp;
             this._deltaTime = Math.min(
-                this._currentTime - this._lastFrameTime,
+                Math.max(0, this._currentTime - this._lastFrameTime),
                 this._config.maxDeltaTime
             );
             this._lastFrameTime = this._currentTime;
+            this._accumulator += this._deltaTime;
 
             // Performance monitoring start
             const frameStartTime = performance.now();
 
-            // Update game logic
+            // Update game logic in fixed ticks
             const updateStartTime = performance.now();
-            this._updateCallback(this._deltaTime);
+            this._runFixedUpdates();
             const updateEndTime = performance.now();
 
             // Render game
@@ -226,24 +313,52 @@ class GameLoop {
                 renderEndTime - renderStartTime
             );
 
-            // Schedule next frame
-            this._animationFrameId = requestAnimationFrame(this._gameLoopStep);
-
         } catch (error) {
+            // Drop the backlog so a failing tick is not replayed next frame
+            this._accumulator = 0;
             this._handleError('Error in game loop step', error);
         }
+
+        // Schedule next frame unless the error handler stopped the loop
+        if (this._isRunning && this._state === GameLoopState.RUNNING) {
+            this._animationFrameId = requestAnimationFrame(this._gameLoopStep);
+        }
+    }
+
+    /**
+     * Consumes the accumulator in fixed ticks
+     * 
+     * @private
+     * @returns {number} Number of ticks run
+     */
+    _runFixedUpdates() {
+        let ticks = 0;
+
+        while (this._accumulator >= this._targetFrameTime) {
+            if (ticks >= this._config.maxUpdatesPerFrame) {
+                // Too far behind to catch up: drop the backlog rather than spiral
+                this._droppedTime += this._accumulator - (this._accumulator % this._targetFrameTime);
+                this._accumulator %= this._targetFrameTime;
+                break;
+            }
+
+            this._updateCallback(this._targetFrameTime);
+            this._accumulator -= this._targetFrameTime;
+            this._tickCount++;
+            ticks++;
+        }
+
+        return ticks;
     }
 
     /**
      * Calculates interpolation factor for smooth rendering
      * 
      * @private
-     * @returns {number} Interpolation factor between 0 and 1
+     * @returns {number} Fraction of a tick accumulated since the last update, between 0 and 1
      */
     _calculateInterpolation() {
-        // Simple interpolation based on frame timing
-        // Can be enhanced for more sophisticated interpolation
-        return Math.min(this._deltaTime / this._targetFrameTime, 1.0);
+        return Math.min(this._accumulator / this._targetFrameTime, 1.0);
     }
 
     /**
@@ -466,6 +581,33 @@ class GameLoop {
         return this._performanceMetrics.averageFPS;
     }
 
+    /**
+     * Gets the fixed simulation timestep
+     * 
+     * @returns {number} Tick length in milliseconds
+     */
+    getTimeStep() {
+        return this._targetFrameTime;
+    }
+
+    /**
+     * Gets the number of fixed ticks simulated since the loop was created
+     * 
+     * @returns {number} Tick count
+     */
+    getTickCount() {
+        return this._tickCount;
+    }
+
+    /**
+     * Gets the frame time discarded by the spiral-of-death clamp
+     * 
+     * @returns {number} Dropped time in milliseconds
+     */
+    getDroppedTime() {
+        return this._droppedTime;
+    }
+
     /**
      * Checks if the game loop is running
      * 
@@ -491,7 +633,7 @@ class GameLoop {
      * @returns {GameLoop} Returns this for method chaining
      */
     updateConfig(newConfig) {
-        this._config = { ...this._config, ...newConfig };
+        this._config = this._validateAndMergeConfig({ ...this._config, ...newConfig });
         this._targetFrameTime = 1000 / this._config.targetFPS;
         
         console.log('GameLoop configuration updated:', this._config);
@@ -523,4 +665,4 @@ if (typeof module !== 'undefined' && module.exports) {
     window.GameLoop = GameLoop;
     window.GameLoopState = GameLoopState;
     window.DEFAULT_PERFORMANCE_CONFIG = DEFAULT_PERFORMANCE_CONFIG;
-}
\ No newline at end of file
+}
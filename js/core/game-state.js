@@ -568,6 +568,9 @@ class GameStateManager {
      * @private
      */
     setupErrorHandling() {
+        // Nothing to hook outside the browser (tests, tooling)
+        if (typeof window === 'undefined') return;
+
         // Global error handler
         window.addEventListener('error', (event) => {
             console.error('Global error in state manager:', event.error);
@@ -0,0 +1,847 @@
+/**
+ * Game States Module
+ *
+ * Concrete GameState implementations for each screen of the game: loading,
+ * title menu, settings, control rebinding, playing, paused, high score entry
+ * and game over. States
+ * own their input handling and rendering; the game supplies the simulation
+ * and scene drawing they delegate to.
+ *
+ * Game contract used by the states:
+ * - keyBindings (with pushContext/popContext), highScores, settings, score, audio, assets
+ * - touchControls, when the device has a touch screen overlay (optional)
+ * - simulate(deltaTime), renderScene(alpha), renderHud(), interpolation
+ * - requestState(name, trigger), startNewGame(trigger), togglePause()
+ * - isReplaying(), replayPlayer (togglePause, step, cycleSpeed)
+ * - hasSavedSession(), continueSession()
+ * - saveKeyBindings()
+ * - recordHighScore(initials)
+ *
+ * Architecture:
+ * - Each state pushes its input context and subscribes to that context's
+ *   KeyBindings actions while active, and undoes both on exit
+ * - Transitions are requested with a trigger so GameStateManager can
+ *   validate them against the registered transition table
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+const StateModules = typeof require === 'function'
+    ? {
+        ...require('./game-state.js'),
+        ...require('../ui/initials-entry.js'),
+        ...require('../audio/sound-effects.js'),
+        ...require('../input/input-context.js'),
+        ...require('../entities/weapon.js'),
+        KeyBindings: require('../input/key-bindings.js')
+    }
+    : window;
+
+/**
+ * Registered state names
+ * @readonly
+ * @enum {string}
+ */
+const GameStateName = Object.freeze({
+    LOADING: 'loading',
+    TITLE: 'title',
+    SETTINGS: 'settings',
+    CONTROLS: 'controls',
+    PLAYING: 'playing',
+    PAUSED: 'paused',
+    HIGH_SCORE_ENTRY: 'highScoreEntry',
+    GAME_OVER: 'gameOver'
+});
+
+/**
+ * Actions listed on the controls screen, in display order
+ * @type {string[]}
+ */
+const REBINDABLE_ACTIONS = Object.freeze([
+    'moveLeft', 'moveRight', 'moveUp', 'moveDown', 'shoot', 'pause', 'restart', 'mute', 'nextWeapon'
+]);
+
+/**
+ * Turns an action name into a menu label, e.g. 'moveLeft' into 'MOVE LEFT'
+ * @param {string} action - KeyBindings action name
+ * @returns {string} Label
+ */
+function actionLabel(action) {
+    return action.replace(/([a-z])([A-Z])/g, '$1 $2').toUpperCase();
+}
+
+/**
+ * Lists the keys of a binding for display, e.g. 'LEFT / A'
+ * @param {KeyBinding} binding - Binding to describe
+ * @returns {string} Readable keys
+ */
+function describeBinding(binding) {
+    return binding.keys
+        .map(key => StateModules.KeyBindings.describeKey(key, binding.modifiers))
+        .join(' / ');
+}
+
+/**
+ * Draws the top of the high score table
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {HighScoreEntry[]} entries - Entries to list, best first
+ * @param {number} x - Centre X
+ * @param {number} top - Y position of the heading
+ */
+function renderHighScoreTable(ctx, entries, x, top) {
+    if (entries.length === 0) return;
+
+    ctx.save();
+    ctx.fillStyle = '#FFFFFF';
+    ctx.textAlign = 'center';
+    ctx.font = '20px Arial';
+    ctx.fillText('HIGH SCORES', x, top);
+
+    ctx.font = '16px monospace';
+    entries.forEach((entry, index) => {
+        const line = `${String(index + 1).padStart(2)}. ${entry.initials}  ${String(entry.score).padStart(6)}  W${entry.wave}`;
+        ctx.fillText(line, x, top + 26 + index * 20);
+    });
+    ctx.restore();
+}
+
+/**
+ * Dims the canvas and draws a centred title with optional lines below it
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} title - Large heading
+ * @param {string[]} [lines=[]] - Smaller lines under the heading
+ */
+function renderOverlay(ctx, title, lines = []) {
+    const { width, height } = ctx.canvas;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.textAlign = 'center';
+    ctx.font = '48px Arial';
+    ctx.fillText(title, width / 2, height / 2);
+
+    ctx.font = '24px Arial';
+    lines.forEach((line, index) => {
+        ctx.fillText(line, width / 2, height / 2 + 50 + index * 32);
+    });
+    ctx.restore();
+}
+
+/**
+ * Base class for states that belong to a Game and react to its key bindings
+ * @extends GameState
+ */
+class GameScreenState extends StateModules.GameState {
+    /**
+     * @param {string} name - State name
+     * @param {Game} game - Owning game
+     * @param {Object} [config={}] - GameState configuration
+     */
+    constructor(name, game, config = {}) {
+        super(name, config);
+        this.game = game;
+        this._actionHandlers = new Map();
+        this._inputContext = null;
+    }
+
+    /**
+     * Names the input context pushed while the state is active; screens
+     * are menus unless they say otherwise
+     * Override in subclasses
+     * @returns {string|null} InputContextName, or null for the gameplay bindings alone
+     * @protected
+     */
+    getInputContext() {
+        return StateModules.InputContextName.MENU;
+    }
+
+    /**
+     * Maps KeyBindings action names to press handlers while the state is active
+     * Override in subclasses
+     * @returns {Object<string, Function>} Handlers by action name
+     * @protected
+     */
+    getActionHandlers() {
+        return {};
+    }
+
+    /**
+     * Pushes the state's input context and subscribes to its actions, then enters
+     * @param {Object} context - State context data
+     * @param {GameState} previousState - The previous state
+     */
+    async enter(context = {}, previousState = null) {
+        const contextName = this.getInputContext();
+        if (contextName) {
+            this._inputContext = this.game.keyBindings.pushContext(StateModules.InputContext.create(contextName));
+        }
+
+        for (const [action, handler] of Object.entries(this.getActionHandlers())) {
+            const listener = (inputEvent) => {
+                // KeyBindings reports releases too; only presses drive states
+                if (this.isActive && inputEvent.pressed) {
+                    handler(inputEvent);
+                }
+            };
+            this._actionHandlers.set(action, listener);
+            this.game.keyBindings.on(action, listener);
+        }
+
+        await super.enter(context, previousState);
+    }
+
+    /**
+     * Unsubscribes from the state's actions and pops its input context, then exits
+     * @param {GameState} nextState - The next state
+     */
+    async exit(nextState = null) {
+        for (const [action, listener] of this._actionHandlers) {
+            this.game.keyBindings.off(action, listener);
+        }
+        this._actionHandlers.clear();
+
+        this._popInputContext();
+
+        await super.exit(nextState);
+    }
+
+    /**
+     * Pops the input context pushed on enter, if it is still on the stack
+     * @protected
+     */
+    _popInputContext() {
+        if (this._inputContext) {
+            this.game.keyBindings.popContext(this._inputContext);
+            this._inputContext = null;
+        }
+    }
+}
+
+/**
+ * Vertical menu navigated with the menu context's up/down and select actions
+ * @extends GameScreenState
+ */
+class MenuState extends GameScreenState {
+    constructor(name, game, config = {}) {
+        super(name, game, config);
+        this.selectedIndex = 0;
+    }
+
+    /**
+     * Menu entries; labels may be computed
+     * Override in subclasses
+     * @returns {Array<{label: string, select: Function}>} Menu items
+     * @protected
+     */
+    getItems() {
+        return [];
+    }
+
+    getActionHandlers() {
+        return {
+            menuUp: () => this.moveSelection(-1),
+            menuDown: () => this.moveSelection(1),
+            menuSelect: () => this.activateSelection()
+        };
+    }
+
+    onEnter() {
+        this.selectedIndex = 0;
+    }
+
+    /**
+     * Moves the highlight, wrapping around the menu
+     * @param {number} step - -1 for up, +1 for down
+     */
+    moveSelection(step) {
+        const count = this.getItems().length;
+        if (count === 0) return;
+
+        this.selectedIndex = (this.selectedIndex + step + count) % count;
+        this.game.audio.play(StateModules.SoundEffect.UI_MOVE);
+    }
+
+    /**
+     * Runs the highlighted item's action
+     */
+    activateSelection() {
+        const item = this.getItems()[this.selectedIndex];
+        if (item) {
+            this.game.audio.play(StateModules.SoundEffect.UI_SELECT);
+            item.select();
+        }
+    }
+
+    /**
+     * Draws the menu items centred under a heading
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} top - Y position of the first item
+     * @protected
+     */
+    renderItems(ctx, top) {
+        const x = ctx.canvas.width / 2;
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.font = '24px Arial';
+        this.getItems().forEach((item, index) => {
+            const selected = index === this.selectedIndex;
+            ctx.fillStyle = selected ? '#00FF00' : '#FFFFFF';
+            ctx.fillText(selected ? `> ${item.label} <` : item.label, x, top + index * 36);
+        });
+        ctx.restore();
+    }
+}
+
+/**
+ * Progress bar shown while the asset manifest loads
+ *
+ * The game moves on to the title screen once loading settles; the state
+ * only reports progress.
+ * @extends GameScreenState
+ */
+class LoadingState extends GameScreenState {
+    constructor(game) {
+        super(GameStateName.LOADING, game, { canPause: false });
+    }
+
+    onRender(ctx) {
+        const { width, height } = ctx.canvas;
+        const { progress, failed } = this.game.assets.getProgress();
+        const barWidth = width * 0.5;
+        const left = (width - barWidth) / 2;
+        const top = height / 2;
+
+        ctx.save();
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textAlign = 'center';
+        ctx.font = '32px Arial';
+        ctx.fillText('LOADING', width / 2, top - 30);
+
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.strokeRect(left, top, barWidth, 16);
+        ctx.fillStyle = '#00FF00';
+        ctx.fillRect(left + 2, top + 2, (barWidth - 4) * progress, 12);
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = '16px monospace';
+        ctx.fillText(`${Math.round(progress * 100)}%`, width / 2, top + 44);
+        if (failed > 0) {
+            ctx.fillStyle = '#FFAA00';
+            ctx.fillText(`${failed} missing, using placeholders`, width / 2, top + 68);
+        }
+        ctx.restore();
+    }
+}
+
+/**
+ * Title screen with the main menu
+ * @extends MenuState
+ */
+class TitleState extends MenuState {
+    /**
+     * @param {Game} game - Owning game
+     * @param {Object} [options={}] - State options
+     * @param {number} [options.rowsShown=5] - High score rows listed under the menu
+     */
+    constructor(game, options = {}) {
+        super(GameStateName.TITLE, game, { canPause: false });
+        this.rowsShown = options.rowsShown !== undefined ? options.rowsShown : 5;
+    }
+
+    getItems() {
+        const items = [
+            { label: 'START GAME', select: () => this.game.startNewGame('start') },
+            { label: 'SETTINGS', select: () => this.game.requestState(GameStateName.SETTINGS, 'settings') }
+        ];
+
+        // A game suspended on pause or tab switch is offered first
+        if (this.game.hasSavedSession()) {
+            items.unshift({ label: 'CONTINUE', select: () => this.game.continueSession() });
+        }
+
+        return items;
+    }
+
+    onRender(ctx) {
+        const x = ctx.canvas.width / 2;
+
+        ctx.save();
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textAlign = 'center';
+        ctx.font = '56px Arial';
+        ctx.fillText('SPACE INVADERS', x, 140);
+        ctx.restore();
+
+        this.renderItems(ctx, 240);
+        renderHighScoreTable(ctx, this.game.highScores.getEntries().slice(0, this.rowsShown), x, 360);
+    }
+}
+
+/**
+ * Settings menu
+ * @extends MenuState
+ */
+class SettingsState extends MenuState {
+    constructor(game) {
+        super(GameStateName.SETTINGS, game, { canPause: false });
+    }
+
+    getItems() {
+        const { settings, touchControls } = this.game;
+        const items = [
+            {
+                label: `DAMAGE: ${settings.livesMode.toUpperCase()}`,
+                select: () => {
+                    settings.livesMode = settings.livesMode === 'lives' ? 'health' : 'lives';
+                }
+            },
+            {
+                // The ship starts every new game with this weapon
+                label: `WEAPON: ${settings.weapon.toUpperCase()}`,
+                select: () => {
+                    const loadout = StateModules.DEFAULT_WEAPON_CONFIG.loadout;
+                    settings.weapon = loadout[(loadout.indexOf(settings.weapon) + 1) % loadout.length];
+                }
+            }
+        ];
+
+        if (touchControls) {
+            const hand = touchControls.getHandedness();
+            items.push(
+                {
+                    label: `TOUCH LAYOUT: ${hand.toUpperCase()}-HANDED`,
+                    select: () => touchControls.setHandedness(hand === 'right' ? 'left' : 'right')
+                },
+                {
+                    label: `AUTO-FIRE: ${touchControls.isAutoFire() ? 'ON' : 'OFF'}`,
+                    select: () => touchControls.setAutoFire(!touchControls.isAutoFire())
+                }
+            );
+        }
+
+        items.push(
+            { label: 'CONTROLS', select: () => this.game.requestState(GameStateName.CONTROLS, 'controls') },
+            { label: 'BACK', select: () => this.back() }
+        );
+        return items;
+    }
+
+    getActionHandlers() {
+        return {
+            ...super.getActionHandlers(),
+            menuBack: () => this.back()
+        };
+    }
+
+    /**
+     * Returns to the title screen
+     */
+    back() {
+        this.game.requestState(GameStateName.TITLE, 'back');
+    }
+
+    onRender(ctx) {
+        ctx.save();
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textAlign = 'center';
+        ctx.font = '40px Arial';
+        ctx.fillText('SETTINGS', ctx.canvas.width / 2, 140);
+        ctx.restore();
+
+        this.renderItems(ctx, 240);
+    }
+}
+
+/**
+ * Key rebinding screen
+ *
+ * Selecting an action captures the next key press and adds it to the
+ * action's keys, up to a limit, dropping the oldest. Backspace clears the
+ * list first and Escape cancels. A key already used by another action with
+ * the same modifiers is only moved after a second press, and never when it
+ * is that action's last key. Every change is saved straight away.
+ * @extends MenuState
+ */
+class ControlsState extends MenuState {
+    /**
+     * @param {Game} game - Owning game
+     * @param {Object} [options={}] - State options
+     * @param {string[]} [options.actions=REBINDABLE_ACTIONS] - Actions listed, in order
+     * @param {number} [options.maxKeys=3] - Keys kept per action
+     */
+    constructor(game, options = {}) {
+        super(GameStateName.CONTROLS, game, { canPause: false });
+        this.actions = options.actions || REBINDABLE_ACTIONS;
+        this.maxKeys = options.maxKeys !== undefined ? options.maxKeys : 3;
+        this.capturing = null;
+        this.pendingKeys = [];
+        this.pendingModifiers = [];
+        this.confirming = null;
+        this.message = '';
+    }
+
+    getItems() {
+        const bindings = this.game.keyBindings.getBindings();
+        const items = this.actions
+            .filter(action => bindings[action])
+            .map(action => ({
+                label: `${actionLabel(action)}: ${describeBinding(bindings[action])}`,
+                select: () => this.startCapture(action)
+            }));
+
+        items.push(
+            { label: 'RESET TO DEFAULTS', select: () => this.resetToDefaults() },
+            { label: 'BACK', select: () => this.back() }
+        );
+        return items;
+    }
+
+    getActionHandlers() {
+        const handlers = {
+            ...super.getActionHandlers(),
+            menuBack: () => this.back()
+        };
+
+        // Pads and touch still report actions while a key is being captured
+        for (const [action, handler] of Object.entries(handlers)) {
+            handlers[action] = (inputEvent) => {
+                if (!this.capturing) handler(inputEvent);
+            };
+        }
+        return handlers;
+    }
+
+    onEnter() {
+        super.onEnter();
+        this.message = '';
+    }
+
+    onExit() {
+        this.stopCapture();
+    }
+
+    /**
+     * Waits for the key to add to an action
+     * @param {string} action - Action to rebind
+     */
+    startCapture(action) {
+        const binding = this.game.keyBindings.getBindings()[action];
+
+        this.capturing = action;
+        this.pendingKeys = [...binding.keys];
+        this.pendingModifiers = [...(binding.modifiers || [])];
+        this.confirming = null;
+        this.message = `Press a key for ${actionLabel(action)} - Backspace clears, Esc cancels`;
+        this._armCapture();
+    }
+
+    /**
+     * Stops waiting for a key; the action keeps its current keys
+     */
+    stopCapture() {
+        this.game.keyBindings.cancelCapture();
+        this.capturing = null;
+        this.confirming = null;
+    }
+
+    /**
+     * @private
+     */
+    _armCapture() {
+        this.game.keyBindings.captureNextKey(combo => this.handleCapturedKey(combo));
+    }
+
+    /**
+     * Applies a captured key to the action being rebound
+     * @param {{key: string, modifiers: string[]}} combo - Captured key and held modifiers
+     */
+    handleCapturedKey({ key, modifiers }) {
+        const action = this.capturing;
+        if (!action) return;
+
+        const keyBindings = this.game.keyBindings;
+        const label = actionLabel(action);
+        const plain = modifiers.length === 0;
+
+        if (plain && key === 'Escape') {
+            this.stopCapture();
+            this.message = '';
+            return;
+        }
+        if (plain && key === 'Backspace') {
+            this.pendingKeys = [];
+            this.message = `${label} cleared - press a key, Esc cancels`;
+            this._armCapture();
+            return;
+        }
+
+        const combo = StateModules.KeyBindings.describeKey(key, modifiers);
+        const conflicts = keyBindings.findConflicts(key, modifiers, action);
+        if (conflicts.length > 0) {
+            const bindings = keyBindings.getBindings();
+            const stranded = conflicts.find(other => bindings[other].keys.length === 1);
+
+            if (stranded) {
+                this.message = `${combo} is the only key for ${actionLabel(stranded)}`;
+                this._armCapture();
+                return;
+            }
+            if (this.confirming !== combo) {
+                this.confirming = combo;
+                this.message = `${combo} is used by ${conflicts.map(actionLabel).join(', ')} - press it again to move it`;
+                this._armCapture();
+                return;
+            }
+
+            for (const other of conflicts) {
+                keyBindings.updateBinding(other, {
+                    ...bindings[other],
+                    keys: bindings[other].keys.filter(existing => existing !== key)
+                });
+            }
+        }
+
+        // An action's keys share one modifier combo; a different combo starts the list over
+        const sameModifiers = modifiers.length === this.pendingModifiers.length &&
+            modifiers.every(modifier => this.pendingModifiers.includes(modifier));
+        const keys = sameModifiers ? this.pendingKeys.filter(existing => existing !== key) : [];
+        keys.push(key);
+
+        const binding = keyBindings.getBindings()[action];
+        keyBindings.updateBinding(action, { ...binding, keys: keys.slice(-this.maxKeys), modifiers });
+        this.game.saveKeyBindings();
+        this.game.audio.play(StateModules.SoundEffect.UI_SELECT);
+
+        this.stopCapture();
+        this.message = `${label}: ${describeBinding(keyBindings.getBindings()[action])}`;
+    }
+
+    /**
+     * Restores and saves the default bindings
+     */
+    resetToDefaults() {
+        this.game.keyBindings.resetToDefaults();
+        this.game.saveKeyBindings();
+        this.message = 'Controls reset to defaults';
+    }
+
+    /**
+     * Returns to the settings menu
+     */
+    back() {
+        this.game.requestState(GameStateName.SETTINGS, 'back');
+    }
+
+    onRender(ctx) {
+        const x = ctx.canvas.width / 2;
+
+        ctx.save();
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textAlign = 'center';
+        ctx.font = '40px Arial';
+        ctx.fillText('CONTROLS', x, 80);
+        ctx.restore();
+
+        this.renderItems(ctx, 140);
+
+        if (this.message) {
+            ctx.save();
+            ctx.fillStyle = this.capturing ? '#FFFF00' : '#FFFFFF';
+            ctx.textAlign = 'center';
+            ctx.font = '18px Arial';
+            ctx.fillText(this.message, x, ctx.canvas.height - 40);
+            ctx.restore();
+        }
+    }
+}
+
+/**
+ * Active gameplay
+ * @extends GameScreenState
+ */
+class PlayingState extends GameScreenState {
+    constructor(game) {
+        super(GameStateName.PLAYING, game);
+    }
+
+    getInputContext() {
+        // The replay viewer takes the keys over; devices do not steer a recording
+        return this.game.isReplaying() ? StateModules.InputContextName.REPLAY : null;
+    }
+
+    getActionHandlers() {
+        const playback = action => () => {
+            if (this.game.isReplaying()) action(this.game.replayPlayer);
+        };
+
+        return {
+            replayPause: playback(player => player.togglePause()),
+            replayStep: playback(player => player.step()),
+            replaySpeed: playback(player => player.cycleSpeed())
+        };
+    }
+
+    onUpdate(deltaTime) {
+        this.game.simulate(deltaTime);
+
+        // A replay that ends without a game over hands the keys back to gameplay
+        if (this._inputContext && !this.game.isReplaying()) {
+            this._popInputContext();
+        }
+    }
+
+    onRender() {
+        // Only live play blends between ticks; frozen screens draw the last tick
+        this.game.renderScene(this.game.interpolation);
+        this.game.renderHud();
+    }
+}
+
+/**
+ * Frozen gameplay with a pause overlay
+ * @extends GameScreenState
+ */
+class PausedState extends GameScreenState {
+    constructor(game) {
+        super(GameStateName.PAUSED, game, { canPause: false });
+    }
+
+    getActionHandlers() {
+        // The pause key itself passes through the menu context to the game
+        return {
+            menuBack: () => this.game.togglePause()
+        };
+    }
+
+    onRender(ctx) {
+        this.game.renderScene();
+        this.game.renderHud();
+        const bindings = this.game.keyBindings.getBindings();
+        renderOverlay(ctx, 'PAUSED', [
+            `Press ${describeBinding(bindings.pause)} to resume`,
+            `${describeBinding(bindings.restart)} to restart`
+        ]);
+    }
+}
+
+/**
+ * Initials entry for a qualifying score
+ * @extends GameScreenState
+ */
+class HighScoreEntryState extends GameScreenState {
+    constructor(game) {
+        super(GameStateName.HIGH_SCORE_ENTRY, game, { canPause: false });
+        this.entry = null;
+    }
+
+    getInputContext() {
+        return StateModules.InputContextName.TEXT_ENTRY;
+    }
+
+    onEnter() {
+        this.entry = new StateModules.InitialsEntry(this.game.keyBindings, {
+            actions: {
+                nextLetter: 'nextLetter',
+                previousLetter: 'previousLetter',
+                cursorLeft: 'cursorLeft',
+                cursorRight: 'cursorRight',
+                confirm: 'confirm'
+            }
+        });
+        this.entry.addEventListener('submit', ({ initials }) => {
+            this.game.recordHighScore(initials);
+            this.game.requestState(GameStateName.GAME_OVER, 'submitted');
+        });
+        this.entry.start();
+    }
+
+    onExit() {
+        if (this.entry) {
+            this.entry.stop();
+            this.entry = null;
+        }
+    }
+
+    onRender(ctx) {
+        this.game.renderScene();
+        renderOverlay(ctx, 'GAME OVER', [`Final Score: ${this.game.score}`]);
+
+        if (this.entry) {
+            this.entry.render(ctx, ctx.canvas.width / 2, ctx.canvas.height / 2 + 140);
+        }
+    }
+}
+
+/**
+ * Final score and high score table
+ * @extends GameScreenState
+ */
+class GameOverState extends GameScreenState {
+    /**
+     * @param {Game} game - Owning game
+     * @param {Object} [options={}] - State options
+     * @param {number} [options.inputDelay=1000] - Milliseconds before fire returns to the title,
+     *   so a held fire button does not skip the screen
+     * @param {number} [options.rowsShown=5] - High score rows listed under the score
+     */
+    constructor(game, options = {}) {
+        super(GameStateName.GAME_OVER, game, { canPause: false });
+        this.inputDelay = options.inputDelay !== undefined ? options.inputDelay : 1000;
+        this.rowsShown = options.rowsShown !== undefined ? options.rowsShown : 5;
+    }
+
+    getActionHandlers() {
+        return {
+            menuSelect: () => {
+                if (this.getActiveTime() >= this.inputDelay) {
+                    this.game.requestState(GameStateName.TITLE, 'continue');
+                }
+            }
+        };
+    }
+
+    onRender(ctx) {
+        this.game.renderScene();
+        renderOverlay(ctx, 'GAME OVER', [`Final Score: ${this.game.score}`]);
+        renderHighScoreTable(ctx, this.game.highScores.getEntries().slice(0, this.rowsShown), ctx.canvas.width / 2, ctx.canvas.height / 2 + 100);
+    }
+}
+
+// Export the states and helpers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GameStateName,
+        GameScreenState,
+        MenuState,
+        LoadingState,
+        TitleState,
+        SettingsState,
+        ControlsState,
+        PlayingState,
+        PausedState,
+        HighScoreEntryState,
+        GameOverState,
+        renderHighScoreTable,
+        REBINDABLE_ACTIONS
+    };
+} else if (typeof window !== 'undefined') {
+    window.GameStateName = GameStateName;
+    window.GameScreenState = GameScreenState;
+    window.MenuState = MenuState;
+    window.LoadingState = LoadingState;
+    window.TitleState = TitleState;
+    window.SettingsState = SettingsState;
+    window.ControlsState = ControlsState;
+    window.PlayingState = PlayingState;
+    window.PausedState = PausedState;
+    window.HighScoreEntryState = HighScoreEntryState;
+    window.GameOverState = GameOverState;
+    window.renderHighScoreTable = renderHighScoreTable;
+    window.REBINDABLE_ACTIONS = REBINDABLE_ACTIONS;
+}
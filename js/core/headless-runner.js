@@ -0,0 +1,286 @@
+/**
+ * Headless Runner Module
+ *
+ * Boots the full game in Node with no canvas, sprites or DOM listeners and
+ * advances it tick by tick as fast as the CPU allows. Input comes from a
+ * script instead of devices, so gameplay tests and balance simulations run
+ * the real update path, collision rules and state machine.
+ *
+ * Key Features:
+ * - Null renderer: the game is never drawn
+ * - Scripted input, optionally reacting to the live game each tick
+ * - Fixed seed for reproducible runs
+ * - Returns the final getGameState() snapshot and a replay of the run
+ * - Command line entry point for quick balance checks
+ *
+ * Architecture:
+ * - Drives GameStateManager.update() with the fixed tick length, exactly as
+ *   GameLoop does in the browser, but without requestAnimationFrame
+ * - Node only: requires game.js directly
+ *
+ * Usage:
+ *   const { runHeadless } = require('./js/core/headless-runner.js');
+ *   const result = await runHeadless({
+ *       seed: 42,
+ *       ticks: 60 * 60,
+ *       script: (tick, game) => ({ x: tick % 120 < 60 ? -1 : 1, shoot: true })
+ *   });
+ *   console.log(result.state.score);
+ *
+ *   node js/core/headless-runner.js --seed 42 --ticks 3600
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+const { Game, GAME_CONFIG } = require('../game.js');
+const { GameStateName } = require('./game-states.js');
+const { ScriptedInput } = require('../input/scripted-input.js');
+
+/**
+ * @callback InputScript
+ * @param {number} tick - Zero-based tick about to run
+ * @param {Game} game - Live game, for scripts that react to it
+ * @returns {{x?: number, y?: number, shoot?: boolean, nextWeapon?: boolean}|null} Actions to hold for the tick
+ */
+
+/**
+ * Default runner configuration
+ * @type {Object}
+ */
+const DEFAULT_HEADLESS_CONFIG = Object.freeze({
+    seed: 1,
+    ticks: 60 * 60, // one minute of play at the default tick rate
+    stopOnGameOver: true,
+    livesMode: null, // null keeps GAME_CONFIG.LIVES.MODE
+    quiet: true // silence the game's console logging while running
+});
+
+/**
+ * Runs one seeded game without a browser
+ */
+class HeadlessRunner {
+    /**
+     * Creates a new runner
+     * @param {Object} [config={}] - Runner configuration
+     * @param {number|string} [config.seed=1] - Master seed
+     * @param {number} [config.ticks=3600] - Maximum ticks to simulate
+     * @param {boolean} [config.stopOnGameOver=true] - End the run as soon as the game is over
+     * @param {string|null} [config.livesMode=null] - 'lives' or 'health'; null keeps the default
+     * @param {boolean} [config.quiet=true] - Silence console.log while the game runs
+     */
+    constructor(config = {}) {
+        this.config = this._validateAndMergeConfig(config);
+
+        this.input = new ScriptedInput();
+        this.game = null;
+        this.tick = 0;
+    }
+
+    /**
+     * Validates and merges user configuration with defaults
+     * @param {Object} userConfig - User provided configuration
+     * @returns {Object} Validated configuration
+     * @private
+     */
+    _validateAndMergeConfig(userConfig) {
+        const config = { ...DEFAULT_HEADLESS_CONFIG, ...userConfig };
+
+        if (!Number.isInteger(config.ticks) || config.ticks < 0) {
+            throw new Error('Headless ticks must be a non-negative integer');
+        }
+        if (config.livesMode !== null && !['lives', 'health'].includes(config.livesMode)) {
+            throw new Error(`Unknown lives mode: ${config.livesMode}`);
+        }
+
+        return config;
+    }
+
+    /**
+     * Builds the game and starts a new game on it
+     * @returns {Promise<Game>} Game in the playing state
+     */
+    async boot() {
+        return this._quietly(async () => {
+            this.game = new Game({ seed: this.config.seed, headless: true, input: this.input });
+            await this.game.init();
+
+            if (this.config.livesMode) {
+                this.game.settings.livesMode = this.config.livesMode;
+            }
+
+            await this.game.stateManager.changeState(GameStateName.TITLE);
+            if (!(await this.game.startNewGame('start'))) {
+                throw new Error('Headless game failed to start');
+            }
+
+            return this.game;
+        });
+    }
+
+    /**
+     * Advances the game with scripted input
+     * @param {InputScript} [script] - Actions per tick; the ship idles when omitted
+     * @param {number} [ticks=config.ticks] - Maximum ticks to simulate
+     * @returns {Promise<number>} Ticks simulated
+     */
+    async run(script = null, ticks = this.config.ticks) {
+        if (!this.game) {
+            throw new Error('HeadlessRunner.boot() must be called before run()');
+        }
+
+        const manager = this.game.stateManager;
+        const timeStep = 1000 / GAME_CONFIG.LOOP.TICK_RATE;
+        let simulated = 0;
+
+        await this._quietly(async () => {
+            while (simulated < ticks) {
+                if (this.config.stopOnGameOver && this.game.gameOver) break;
+
+                // State changes are async; let one finish before the next tick
+                await this._settle();
+                if (this.game.getCurrentStateName() !== GameStateName.PLAYING) break;
+
+                this.input.set(script ? script(this.tick, this.game) : null);
+                manager.update(timeStep);
+
+                this.tick++;
+                simulated++;
+            }
+
+            // The last tick may have started a transition (game over, replay end)
+            await this._settle();
+        });
+
+        return simulated;
+    }
+
+    /**
+     * Gets the game's state snapshot
+     * @returns {Object} getGameState() result
+     */
+    getState() {
+        return this.game.getGameState();
+    }
+
+    /**
+     * Releases the game's timers and listeners
+     */
+    destroy() {
+        if (this.game) {
+            this._quietly(() => this.game.destroy());
+            this.game = null;
+        }
+    }
+
+    /**
+     * Waits until no state transition is in flight
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _settle() {
+        while (this.game.stateManager.isTransitioning) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    /**
+     * Runs a function with console.log silenced when configured
+     * @private
+     * @param {Function} action - Function to run
+     * @returns {*} The function's result
+     */
+    _quietly(action) {
+        if (!this.config.quiet) {
+            return action();
+        }
+
+        const log = console.log;
+        console.log = () => {};
+        let result;
+        try {
+            result = action();
+        } catch (error) {
+            console.log = log;
+            throw error;
+        }
+
+        if (result && typeof result.then === 'function') {
+            return result.finally(() => {
+                console.log = log;
+            });
+        }
+
+        console.log = log;
+        return result;
+    }
+}
+
+/**
+ * Boots a game, runs it with scripted input and tears it down
+ * @param {Object} [options={}] - Runner configuration plus the script
+ * @param {InputScript} [options.script] - Actions per tick
+ * @returns {Promise<{ticks: number, state: Object, replay: string}>} Ticks simulated,
+ *   the final getGameState() snapshot and a replay of the run
+ */
+async function runHeadless(options = {}) {
+    const { script = null, ...config } = options;
+    const runner = new HeadlessRunner(config);
+
+    try {
+        await runner.boot();
+        const ticks = await runner.run(script);
+
+        return {
+            ticks,
+            state: runner.getState(),
+            replay: runner.game.exportReplay()
+        };
+    } finally {
+        runner.destroy();
+    }
+}
+
+/**
+ * Parses --seed, --ticks and --lives-mode command line flags
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Runner configuration
+ */
+function parseArgs(args) {
+    const config = {};
+
+    for (let i = 0; i < args.length; i += 2) {
+        const value = args[i + 1];
+
+        switch (args[i]) {
+            case '--seed':
+                config.seed = /^\d+$/.test(value) ? Number(value) : value;
+                break;
+            case '--ticks':
+                config.ticks = Number(value);
+                break;
+            case '--lives-mode':
+                config.livesMode = value;
+                break;
+            default:
+                throw new Error(`Unknown option: ${args[i]}`);
+        }
+    }
+
+    return config;
+}
+
+// Command line: simulate an idle-but-firing ship and print the final state
+if (require.main === module) {
+    runHeadless({ ...parseArgs(process.argv.slice(2)), script: () => ({ shoot: true }) })
+        .then(({ ticks, state }) => {
+            process.stdout.write(`${JSON.stringify({ ticks, ...state }, null, 2)}\n`);
+        })
+        .catch((error) => {
+            console.error('[HeadlessRunner] Run failed:', error);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { HeadlessRunner, runHeadless, parseArgs, DEFAULT_HEADLESS_CONFIG };
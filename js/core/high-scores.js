@@ -0,0 +1,354 @@
+/**
+ * High Score Table Module
+ *
+ * Keeps the top N scores across sessions. Entries are persisted through a
+ * pluggable Storage-compatible backend (localStorage in the browser, an
+ * in-memory store in Node) and verified on load, so corrupted or hand-edited
+ * data is discarded instead of breaking the game.
+ *
+ * Key Features:
+ * - Top N entries with score, initials, wave reached, date and mode
+ * - Storage backend injection (getItem / setItem / removeItem)
+ * - Versioned payload with checksum for tamper detection
+ * - Per-entry validation and graceful reset on bad data
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * High score entry
+ * @typedef {Object} HighScoreEntry
+ * @property {number} score - Final score
+ * @property {string} initials - Three upper-case letters
+ * @property {number} wave - Wave reached
+ * @property {string} date - ISO 8601 timestamp
+ * @property {string} mode - Damage mode the game was played in
+ */
+
+/**
+ * Default high score configuration
+ * @type {Object}
+ */
+const DEFAULT_HIGH_SCORE_CONFIG = Object.freeze({
+    storageKey: 'spaceInvaders.highScores',
+    maxEntries: 10
+});
+
+/**
+ * Payload format version
+ * @type {number}
+ */
+const HIGH_SCORE_FORMAT_VERSION = 1;
+
+/**
+ * Minimal in-memory Storage implementation for Node and tests
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    /**
+     * @param {string} key - Item key
+     * @returns {string|null} Stored value
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    /**
+     * @param {string} key - Item key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    /**
+     * @param {string} key - Item key
+     */
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * Picks localStorage when it is usable, otherwise an in-memory store
+ * @returns {Storage} Storage backend
+ */
+function getDefaultStorage() {
+    try {
+        if (typeof localStorage !== 'undefined' && localStorage) {
+            return localStorage;
+        }
+    } catch (error) {
+        // Access can throw when storage is disabled by the browser
+    }
+
+    return new MemoryStorage();
+}
+
+/**
+ * Persistent table of the best scores
+ */
+class HighScoreTable {
+    /**
+     * Creates a high score table and loads any saved entries
+     * @param {Object} [config={}] - Table configuration, merged over the defaults
+     * @param {Object} [options={}] - Runtime dependencies
+     * @param {Storage} [options.storage] - Storage backend; defaults to localStorage when available
+     */
+    constructor(config = {}, options = {}) {
+        this.config = { ...DEFAULT_HIGH_SCORE_CONFIG, ...config };
+
+        if (!Number.isInteger(this.config.maxEntries) || this.config.maxEntries < 1) {
+            throw new Error('High score maxEntries must be a positive integer');
+        }
+
+        this.storage = options.storage || getDefaultStorage();
+        this.entries = [];
+        this.lastLoadError = null;
+
+        this.load();
+    }
+
+    /**
+     * Loads and verifies saved entries, resetting storage if they are invalid
+     * @returns {HighScoreEntry[]} Loaded entries
+     */
+    load() {
+        this.entries = [];
+        this.lastLoadError = null;
+
+        let raw;
+        try {
+            raw = this.storage.getItem(this.config.storageKey);
+        } catch (error) {
+            this._logError('Failed to read high scores', error);
+            return this.getEntries();
+        }
+
+        if (raw === null || raw === undefined) {
+            return this.getEntries();
+        }
+
+        try {
+            this.entries = this._parse(raw);
+        } catch (error) {
+            this.lastLoadError = error.message;
+            this._logError('Discarding invalid high score data', error);
+            this._reset();
+        }
+
+        return this.getEntries();
+    }
+
+    /**
+     * Parses and verifies a stored payload
+     * @param {string} raw - Stored JSON
+     * @returns {HighScoreEntry[]} Verified entries
+     * @throws {Error} When the payload is corrupted or has been tampered with
+     * @private
+     */
+    _parse(raw) {
+        const payload = JSON.parse(raw);
+
+        if (!payload || payload.version !== HIGH_SCORE_FORMAT_VERSION || !Array.isArray(payload.entries)) {
+            throw new Error('Unrecognised high score format');
+        }
+
+        if (payload.checksum !== HighScoreTable._checksum(payload.entries)) {
+            throw new Error('High score checksum mismatch');
+        }
+
+        payload.entries.forEach((entry, index) => {
+            if (!HighScoreTable.isValidEntry(entry)) {
+                throw new Error(`Invalid high score entry at index ${index}`);
+            }
+        });
+
+        for (let i = 1; i < payload.entries.length; i++) {
+            if (payload.entries[i].score > payload.entries[i - 1].score) {
+                throw new Error('High score entries are out of order');
+            }
+        }
+
+        return payload.entries.slice(0, this.config.maxEntries);
+    }
+
+    /**
+     * Checks that an entry has the expected shape
+     * @param {Object} entry - Candidate entry
+     * @returns {boolean} True if the entry is valid
+     * @static
+     */
+    static isValidEntry(entry) {
+        return Boolean(entry) &&
+            Number.isInteger(entry.score) && entry.score >= 0 &&
+            typeof entry.initials === 'string' && /^[A-Z]{3}$/.test(entry.initials) &&
+            Number.isInteger(entry.wave) && entry.wave >= 1 &&
+            typeof entry.date === 'string' && !Number.isNaN(Date.parse(entry.date)) &&
+            typeof entry.mode === 'string' && entry.mode.length > 0;
+    }
+
+    /**
+     * Computes a checksum (FNV-1a) over the serialized entries
+     * @param {HighScoreEntry[]} entries - Entries to hash
+     * @returns {string} Hex checksum
+     * @private
+     * @static
+     */
+    static _checksum(entries) {
+        const text = JSON.stringify(entries);
+        let hash = 0x811c9dc5;
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Writes the current entries to storage
+     * @returns {boolean} True if the write succeeded
+     * @private
+     */
+    _save() {
+        const payload = {
+            version: HIGH_SCORE_FORMAT_VERSION,
+            entries: this.entries,
+            checksum: HighScoreTable._checksum(this.entries)
+        };
+
+        try {
+            this.storage.setItem(this.config.storageKey, JSON.stringify(payload));
+            return true;
+        } catch (error) {
+            this._logError('Failed to save high scores', error);
+            return false;
+        }
+    }
+
+    /**
+     * Removes stored data after a failed load
+     * @private
+     */
+    _reset() {
+        this.entries = [];
+
+        try {
+            this.storage.removeItem(this.config.storageKey);
+        } catch (error) {
+            this._logError('Failed to reset high scores', error);
+        }
+    }
+
+    /**
+     * Gets the rank a score would take in the table
+     * @param {number} score - Score to place
+     * @returns {number} Zero-based rank, or -1 if it does not make the table
+     */
+    getRank(score) {
+        if (!(score > 0)) {
+            return -1;
+        }
+
+        // Ties rank below existing entries: first to reach a score keeps the spot
+        const rank = this.entries.findIndex(entry => score > entry.score);
+        const position = rank === -1 ? this.entries.length : rank;
+
+        return position < this.config.maxEntries ? position : -1;
+    }
+
+    /**
+     * Checks whether a score earns a place in the table
+     * @param {number} score - Score to check
+     * @returns {boolean} True if the score qualifies
+     */
+    qualifies(score) {
+        return this.getRank(score) !== -1;
+    }
+
+    /**
+     * Adds an entry and persists the table
+     * @param {Object} entry - New entry
+     * @param {number} entry.score - Final score
+     * @param {string} entry.initials - Three letters
+     * @param {number} [entry.wave=1] - Wave reached
+     * @param {string} [entry.mode='lives'] - Damage mode
+     * @param {Date|string} [entry.date=new Date()] - When the score was set
+     * @returns {number} Zero-based rank, or -1 if the score did not qualify
+     * @throws {Error} When the entry is invalid
+     */
+    addEntry({ score, initials, wave = 1, mode = 'lives', date = new Date() }) {
+        const entry = {
+            score: Math.floor(Number(score) || 0),
+            initials: String(initials || '').toUpperCase(),
+            wave: Math.max(1, Math.floor(Number(wave) || 1)),
+            date: new Date(date).toISOString(),
+            mode: String(mode)
+        };
+
+        if (!HighScoreTable.isValidEntry(entry)) {
+            throw new Error('Invalid high score entry');
+        }
+
+        const rank = this.getRank(entry.score);
+        if (rank === -1) {
+            return -1;
+        }
+
+        this.entries.splice(rank, 0, entry);
+        this.entries.length = Math.min(this.entries.length, this.config.maxEntries);
+        this._save();
+
+        return rank;
+    }
+
+    /**
+     * Gets a copy of the table, best first
+     * @returns {HighScoreEntry[]} Entries
+     */
+    getEntries() {
+        return this.entries.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Gets the best score on record
+     * @returns {number} Top score, 0 when the table is empty
+     */
+    getTopScore() {
+        return this.entries.length > 0 ? this.entries[0].score : 0;
+    }
+
+    /**
+     * Removes every entry
+     */
+    clear() {
+        this._reset();
+    }
+
+    /**
+     * Log error message
+     * @private
+     * @param {string} message - Error message
+     * @param {Error} error - Error object
+     */
+    _logError(message, error) {
+        console.warn(`[HighScoreTable] ${message}:`, error && error.message ? error.message : error);
+    }
+}
+
+// Export the table and related helpers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HighScoreTable, MemoryStorage, getDefaultStorage, DEFAULT_HIGH_SCORE_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.HighScoreTable = HighScoreTable;
+    window.MemoryStorage = MemoryStorage;
+    window.getDefaultStorage = getDefaultStorage;
+    window.DEFAULT_HIGH_SCORE_CONFIG = DEFAULT_HIGH_SCORE_CONFIG;
+}
@@ -0,0 +1,316 @@
+/**
+ * Lives Manager Module
+ *
+ * Implements the arcade lives model: the player has a stock of ships, each
+ * loss plays a death explosion followed by a short respawn delay, and extra
+ * ships are awarded at score thresholds. The game ends when the stock runs out.
+ *
+ * Key Features:
+ * - Configurable starting and maximum ship count
+ * - Death explosion and respawn delay phases
+ * - Extra lives at fixed score thresholds and optionally every N points
+ * - "lives" (one hit per ship) or "health" (health pool per ship) damage modes
+ * - lifeLost / respawn / extraLife / gameOver notifications on an event bus
+ *
+ * Architecture:
+ * - Owns no entities; the game freezes the field while isRespawning()
+ * - Event bus is any object with emit(event, data), normally the
+ *   GameStateManager
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Damage models
+ * @readonly
+ * @enum {string}
+ */
+const LivesMode = Object.freeze({
+    LIVES: 'lives',
+    HEALTH: 'health'
+});
+
+/**
+ * Player ship lifecycle phases
+ * @readonly
+ * @enum {string}
+ */
+const LifePhase = Object.freeze({
+    ALIVE: 'alive',
+    RESPAWNING: 'respawning',
+    OUT: 'out'
+});
+
+/**
+ * Default lives configuration
+ * @type {Object}
+ */
+const DEFAULT_LIVES_CONFIG = Object.freeze({
+    mode: LivesMode.LIVES,
+    startingLives: 3,
+    maxLives: 6,
+    respawnDelay: 2000,
+    explosionDuration: 800,
+    extraLifeScores: Object.freeze([1500]),
+    extraLifeEvery: 0
+});
+
+/**
+ * Tracks the player's ship stock and respawn sequence
+ */
+class LivesManager {
+    /**
+     * Creates a new lives manager
+     * @param {Object} [config={}] - Lives configuration, merged over the defaults
+     * @param {Object} [options={}] - Runtime dependencies
+     * @param {{emit: Function}} [options.eventBus] - Bus receiving lives events
+     */
+    constructor(config = {}, options = {}) {
+        this.config = this._validateAndMergeConfig(config);
+        this.eventBus = options.eventBus || null;
+
+        this.reset();
+    }
+
+    /**
+     * Validates and merges user configuration with defaults
+     * @param {Object} userConfig - User provided configuration
+     * @returns {Object} Validated configuration
+     * @private
+     */
+    _validateAndMergeConfig(userConfig) {
+        const config = { ...DEFAULT_LIVES_CONFIG, ...userConfig };
+
+        if (!Object.values(LivesMode).includes(config.mode)) {
+            throw new Error(`Unknown lives mode: ${config.mode}`);
+        }
+
+        if (!Number.isInteger(config.startingLives) || config.startingLives < 1) {
+            throw new Error('startingLives must be a positive integer');
+        }
+
+        if (config.maxLives < config.startingLives) {
+            throw new Error('maxLives cannot be less than startingLives');
+        }
+
+        if (config.respawnDelay < config.explosionDuration) {
+            throw new Error('respawnDelay must cover the explosion');
+        }
+
+        config.extraLifeScores = [...config.extraLifeScores].sort((a, b) => a - b);
+
+        return config;
+    }
+
+    /**
+     * Restores the starting ship stock
+     */
+    reset() {
+        this.lives = this.config.startingLives;
+        this.phase = LifePhase.ALIVE;
+        this.respawnTimer = 0;
+        this.explosion = null;
+        this.extraLivesAwarded = 0;
+        this.nextExtraLifeScore = this._computeNextExtraLifeScore();
+    }
+
+    /**
+     * Checks whether every hit costs a ship
+     * @returns {boolean} True in lives mode, false in health mode
+     */
+    isOneHitMode() {
+        return this.config.mode === LivesMode.LIVES;
+    }
+
+    /**
+     * Records the loss of the current ship
+     * @param {{x: number, y: number}} [position] - Where the ship exploded
+     * @returns {boolean} True if a ship was lost
+     */
+    loseLife(position = { x: 0, y: 0 }) {
+        if (this.phase !== LifePhase.ALIVE) {
+            return false;
+        }
+
+        this.lives--;
+        this.explosion = { x: position.x, y: position.y, elapsed: 0 };
+
+        this._emit('lifeLost', { lives: this.lives, position: { x: position.x, y: position.y } });
+
+        if (this.lives <= 0) {
+            this.phase = LifePhase.OUT;
+            this._emit('gameOver', { reason: 'Out of lives' });
+        } else {
+            this.phase = LifePhase.RESPAWNING;
+            this.respawnTimer = this.config.respawnDelay;
+        }
+
+        return true;
+    }
+
+    /**
+     * Advances the explosion and respawn delay
+     * @param {number} deltaTime - Time elapsed since last update in milliseconds
+     */
+    update(deltaTime) {
+        const dt = Math.max(0, Number(deltaTime) || 0);
+
+        if (this.explosion) {
+            this.explosion.elapsed += dt;
+            if (this.explosion.elapsed >= this.config.explosionDuration) {
+                this.explosion = null;
+            }
+        }
+
+        if (this.phase !== LifePhase.RESPAWNING) {
+            return;
+        }
+
+        this.respawnTimer -= dt;
+        if (this.respawnTimer <= 0) {
+            this.respawnTimer = 0;
+            this.phase = LifePhase.ALIVE;
+            this._emit('respawn', { lives: this.lives });
+        }
+    }
+
+    /**
+     * Awards extra ships for every threshold the score has passed
+     * @param {number} score - Current score
+     * @returns {number} Number of ships awarded by this call
+     */
+    checkExtraLife(score) {
+        let awarded = 0;
+
+        while (this.nextExtraLifeScore !== null && score >= this.nextExtraLifeScore) {
+            const threshold = this.nextExtraLifeScore;
+            this.extraLivesAwarded++;
+            this.nextExtraLifeScore = this._computeNextExtraLifeScore();
+
+            if (this.lives < this.config.maxLives) {
+                this.lives++;
+                awarded++;
+                this._emit('extraLife', { lives: this.lives, score: threshold });
+            }
+        }
+
+        return awarded;
+    }
+
+    /**
+     * Computes the score at which the next extra ship is awarded
+     * @returns {number|null} Score threshold, or null if none remain
+     * @private
+     */
+    _computeNextExtraLifeScore() {
+        const { extraLifeScores, extraLifeEvery } = this.config;
+
+        if (this.extraLivesAwarded < extraLifeScores.length) {
+            return extraLifeScores[this.extraLivesAwarded];
+        }
+
+        if (extraLifeEvery > 0) {
+            const base = extraLifeScores.length > 0 ? extraLifeScores[extraLifeScores.length - 1] : 0;
+            return base + extraLifeEvery * (this.extraLivesAwarded - extraLifeScores.length + 1);
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks whether the field should be frozen for a respawn
+     * @returns {boolean} True during the respawn delay
+     */
+    isRespawning() {
+        return this.phase === LifePhase.RESPAWNING;
+    }
+
+    /**
+     * Checks whether the ship stock is exhausted
+     * @returns {boolean} True once the last ship is lost
+     */
+    isOut() {
+        return this.phase === LifePhase.OUT;
+    }
+
+    /**
+     * Gets the remaining ship count, including the one in play
+     * @returns {number} Lives remaining
+     */
+    getLives() {
+        return this.lives;
+    }
+
+    /**
+     * Gets the death explosion, if one is playing
+     * @returns {{x: number, y: number, progress: number}|null} Explosion render data
+     */
+    getExplosion() {
+        if (!this.explosion) {
+            return null;
+        }
+
+        return {
+            x: this.explosion.x,
+            y: this.explosion.y,
+            progress: Math.min(1, this.explosion.elapsed / this.config.explosionDuration)
+        };
+    }
+
+    /**
+     * Captures the ship stock, respawn countdown and extra life progress
+     * @returns {Object} Serializable state
+     */
+    getState() {
+        return {
+            lives: this.lives,
+            phase: this.phase,
+            respawnTimer: this.respawnTimer,
+            explosion: this.explosion ? { ...this.explosion } : null,
+            extraLivesAwarded: this.extraLivesAwarded
+        };
+    }
+
+    /**
+     * Restores a state captured with getState() without emitting events
+     * @param {Object} state - Saved state
+     * @throws {Error} When the state is malformed
+     */
+    setState(state) {
+        if (!state || !Number.isInteger(state.lives) || state.lives < 0
+            || !Object.values(LifePhase).includes(state.phase)) {
+            throw new Error('Invalid lives state');
+        }
+
+        this.lives = Math.min(state.lives, this.config.maxLives);
+        this.phase = state.phase;
+        this.respawnTimer = Math.max(0, Number(state.respawnTimer) || 0);
+        this.explosion = state.explosion ? { ...state.explosion } : null;
+        this.extraLivesAwarded = Math.max(0, Number(state.extraLivesAwarded) || 0);
+        this.nextExtraLifeScore = this._computeNextExtraLifeScore();
+    }
+
+    /**
+     * Emits an event on the bus, if one is attached
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     * @private
+     */
+    _emit(event, data) {
+        if (this.eventBus && typeof this.eventBus.emit === 'function') {
+            this.eventBus.emit(event, data);
+        }
+    }
+}
+
+// Export the manager and related constants
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LivesManager, LivesMode, LifePhase, DEFAULT_LIVES_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.LivesManager = LivesManager;
+    window.LivesMode = LivesMode;
+    window.LifePhase = LifePhase;
+    window.DEFAULT_LIVES_CONFIG = DEFAULT_LIVES_CONFIG;
+}
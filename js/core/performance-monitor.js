@@ -183,6 +183,9 @@ class PerformanceMonitor {
         // Debug overlay element
         this.debugOverlay = null;
 
+        // Pending update loop timer, cleared on destroy
+        this.updateTimer = null;
+
         // Initialize
         this._initialize();
     }
@@ -545,7 +548,7 @@ class PerformanceMonitor {
                 this._handleError('Error in update loop', error);
             }
             
-            setTimeout(updateLoop, this.config.updateInterval);
+            this.updateTimer = setTimeout(updateLoop, this.config.updateInterval);
         };
         
         updateLoop();
@@ -629,6 +632,10 @@ class PerformanceMonitor {
                 this.debugOverlay = null;
             }
 
+            // Stop the update loop
+            clearTimeout(this.updateTimer);
+            this.updateTimer = null;
+
             // Clear all listeners
             this.listeners.clear();
 
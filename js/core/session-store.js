@@ -0,0 +1,246 @@
+/**
+ * Session Store Module
+ *
+ * Persists a snapshot of an in-progress game so it can be continued later.
+ * Snapshots are wrapped in a versioned envelope; older saves are brought up
+ * to date by migration hooks, one version at a time, before the game sees
+ * them. Unreadable or unknown saves are discarded rather than breaking the
+ * title screen.
+ *
+ * Key Features:
+ * - Storage backend injection (getItem / setItem / removeItem)
+ * - Schema version on every save, with per-version migration hooks
+ * - Saves from a newer build are rejected, not guessed at
+ * - Graceful reset on corrupt data
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+const SessionModules = typeof require === 'function' ? require('./high-scores.js') : window;
+
+/**
+ * Current snapshot schema version; bump it and register a migration from
+ * the previous version whenever the snapshot shape changes
+ * @type {number}
+ */
+const SESSION_SCHEMA_VERSION = 2;
+
+/**
+ * Default session store configuration
+ * @type {Object}
+ */
+const DEFAULT_SESSION_CONFIG = Object.freeze({
+    storageKey: 'spaceInvaders.session'
+});
+
+/**
+ * Migration from one schema version to the next
+ * @callback SessionMigration
+ * @param {Object} data - Snapshot in the old schema
+ * @returns {Object} Snapshot in the next schema
+ */
+
+/**
+ * Built-in migrations of the game's snapshot, keyed by the version they upgrade from.
+ * Each describes the schema as it was, so defaults are spelled out rather than
+ * read from the current config.
+ * @type {Object<number, SessionMigration>}
+ */
+const SESSION_MIGRATIONS = Object.freeze({
+    // 1 -> 2: weapons; every earlier shot was a plain single-shot bullet
+    1: data => {
+        const { lastShotTime = null, ...player } = data.player || {};
+
+        return {
+            ...data,
+            player: { ...player, weapon: { weapon: 'single', lastShotTime, weapons: {} } },
+            projectiles: (data.projectiles || []).map(projectile => ({
+                ...projectile,
+                kind: 'bullet',
+                weapon: 'single',
+                pierce: 0,
+                turnRate: 0
+            }))
+        };
+    }
+});
+
+/**
+ * Single-slot store for a suspended game session
+ */
+class SessionStore {
+    /**
+     * Creates a session store
+     * @param {Object} [config={}] - Store configuration, merged over the defaults
+     * @param {Object} [options={}] - Runtime dependencies
+     * @param {Storage} [options.storage] - Storage backend; defaults to localStorage when available
+     * @param {Object<number, SessionMigration>} [options.migrations] - Migrations keyed by the version they upgrade from;
+     *   SESSION_MIGRATIONS unless a custom version is given
+     * @param {number} [options.version=SESSION_SCHEMA_VERSION] - Schema version written by this build
+     */
+    constructor(config = {}, options = {}) {
+        this.config = { ...DEFAULT_SESSION_CONFIG, ...config };
+
+        if (!this.config.storageKey || typeof this.config.storageKey !== 'string') {
+            throw new Error('Session storageKey must be a non-empty string');
+        }
+
+        this.storage = options.storage || SessionModules.getDefaultStorage();
+        this.version = options.version || SESSION_SCHEMA_VERSION;
+        this.migrations = new Map();
+        this.lastLoadError = null;
+
+        // The built-in migrations lead to SESSION_SCHEMA_VERSION; a custom version brings its own
+        const migrations = options.migrations || (options.version ? {} : SESSION_MIGRATIONS);
+        for (const [fromVersion, migration] of Object.entries(migrations)) {
+            this.registerMigration(Number(fromVersion), migration);
+        }
+    }
+
+    /**
+     * Registers the upgrade from one schema version to the next
+     * @param {number} fromVersion - Version the migration reads
+     * @param {SessionMigration} migration - Upgrade to fromVersion + 1
+     * @throws {Error} When the version or migration is invalid
+     */
+    registerMigration(fromVersion, migration) {
+        if (!Number.isInteger(fromVersion) || fromVersion < 1 || fromVersion >= this.version) {
+            throw new Error(`Invalid session migration version: ${fromVersion}`);
+        }
+        if (typeof migration !== 'function') {
+            throw new Error('Session migration must be a function');
+        }
+
+        this.migrations.set(fromVersion, migration);
+    }
+
+    /**
+     * Writes a snapshot, replacing any previous save
+     * @param {Object} data - Snapshot to store
+     * @returns {boolean} True if the write succeeded
+     */
+    save(data) {
+        const envelope = {
+            version: this.version,
+            savedAt: new Date().toISOString(),
+            data
+        };
+
+        try {
+            this.storage.setItem(this.config.storageKey, JSON.stringify(envelope));
+            return true;
+        } catch (error) {
+            this._logError('Failed to save session', error);
+            return false;
+        }
+    }
+
+    /**
+     * Reads the saved snapshot, migrating it to the current schema
+     * @returns {Object|null} Snapshot, or null when there is no usable save
+     */
+    load() {
+        this.lastLoadError = null;
+
+        let raw;
+        try {
+            raw = this.storage.getItem(this.config.storageKey);
+        } catch (error) {
+            this._logError('Failed to read session', error);
+            return null;
+        }
+
+        if (raw === null || raw === undefined) {
+            return null;
+        }
+
+        try {
+            return this._parse(raw);
+        } catch (error) {
+            this.lastLoadError = error.message;
+            this._logError('Discarding invalid session', error);
+            this.clear();
+            return null;
+        }
+    }
+
+    /**
+     * Parses an envelope and runs the migrations it needs
+     * @param {string} raw - Stored JSON
+     * @returns {Object} Snapshot in the current schema
+     * @throws {Error} When the save is corrupt, too new or cannot be migrated
+     * @private
+     */
+    _parse(raw) {
+        const envelope = JSON.parse(raw);
+
+        if (!envelope || !Number.isInteger(envelope.version) || envelope.version < 1
+            || !envelope.data || typeof envelope.data !== 'object') {
+            throw new Error('Unrecognised session format');
+        }
+        if (envelope.version > this.version) {
+            throw new Error(`Session version ${envelope.version} is newer than ${this.version}`);
+        }
+
+        let data = envelope.data;
+        for (let version = envelope.version; version < this.version; version++) {
+            const migration = this.migrations.get(version);
+            if (!migration) {
+                throw new Error(`No session migration from version ${version}`);
+            }
+
+            data = migration(data);
+            if (!data || typeof data !== 'object') {
+                throw new Error(`Session migration from version ${version} returned no data`);
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Checks whether a save is present, without validating it
+     * @returns {boolean} True if something is stored
+     */
+    hasSave() {
+        try {
+            const raw = this.storage.getItem(this.config.storageKey);
+            return raw !== null && raw !== undefined;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Removes the save
+     */
+    clear() {
+        try {
+            this.storage.removeItem(this.config.storageKey);
+        } catch (error) {
+            this._logError('Failed to clear session', error);
+        }
+    }
+
+    /**
+     * Log error message
+     * @private
+     * @param {string} message - Error message
+     * @param {Error} error - Error object
+     */
+    _logError(message, error) {
+        console.warn(`[SessionStore] ${message}:`, error && error.message ? error.message : error);
+    }
+}
+
+// Export the store and its schema version
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionStore, SESSION_SCHEMA_VERSION, SESSION_MIGRATIONS, DEFAULT_SESSION_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.SessionStore = SessionStore;
+    window.SESSION_SCHEMA_VERSION = SESSION_SCHEMA_VERSION;
+    window.SESSION_MIGRATIONS = SESSION_MIGRATIONS;
+    window.DEFAULT_SESSION_CONFIG = DEFAULT_SESSION_CONFIG;
+}
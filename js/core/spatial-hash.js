@@ -0,0 +1,442 @@
+/**
+ * Spatial Hash Module
+ *
+ * Uniform-grid broad phase for collision detection. Objects are bucketed by
+ * the grid cells their bounding box overlaps, so only objects sharing a cell
+ * are ever tested against each other. Collision layers and masks filter
+ * which pairs are considered, and per-layer-pair callbacks receive the
+ * overlapping objects.
+ *
+ * Key Features:
+ * - Insert / update / remove with automatic re-bucketing
+ * - Bounds are read on insert / update; call update() after moving an object
+ * - Bit-flag collision layers with per-object masks
+ * - Region queries filtered by mask
+ * - Ordered collision rules with AABB narrow phase
+ *
+ * Architecture:
+ * - Accepts any game object shape used in the codebase: {position, size},
+ *   Entity ({position, width, height}) or a plain {x, y, width, height}
+ * - Skips objects whose `active` flag is false, so callbacks that retire
+ *   an object stop it colliding again in the same pass
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Collision layer bit flags
+ * @readonly
+ * @enum {number}
+ */
+const CollisionLayer = Object.freeze({
+    NONE: 0,
+    PLAYER: 1 << 0,
+    PLAYER_SHOT: 1 << 1,
+    ENEMY: 1 << 2,
+    ENEMY_SHOT: 1 << 3,
+    BUNKER: 1 << 4,
+    PICKUP: 1 << 5,
+    ALL: 0xFFFFFFFF
+});
+
+/**
+ * Default mask for each layer: the layers it can collide with
+ * @type {Object<number, number>}
+ */
+const DEFAULT_COLLISION_MASKS = Object.freeze({
+    [CollisionLayer.PLAYER]: CollisionLayer.ENEMY | CollisionLayer.ENEMY_SHOT | CollisionLayer.PICKUP,
+    [CollisionLayer.PLAYER_SHOT]: CollisionLayer.ENEMY | CollisionLayer.BUNKER,
+    [CollisionLayer.ENEMY]: CollisionLayer.PLAYER | CollisionLayer.PLAYER_SHOT | CollisionLayer.BUNKER,
+    [CollisionLayer.ENEMY_SHOT]: CollisionLayer.PLAYER | CollisionLayer.BUNKER,
+    [CollisionLayer.BUNKER]: CollisionLayer.PLAYER_SHOT | CollisionLayer.ENEMY | CollisionLayer.ENEMY_SHOT,
+    [CollisionLayer.PICKUP]: CollisionLayer.PLAYER
+});
+
+/**
+ * Default spatial hash configuration
+ * @type {Object}
+ */
+const DEFAULT_SPATIAL_HASH_CONFIG = Object.freeze({
+    cellSize: 64
+});
+
+/**
+ * Uniform grid broad phase with layered collision rules
+ */
+class SpatialHash {
+    /**
+     * Creates a new spatial hash
+     * @param {Object} [config={}] - Grid configuration, merged over the defaults
+     * @param {number} [config.cellSize=64] - Cell edge length in pixels
+     */
+    constructor(config = {}) {
+        this.config = this._validateAndMergeConfig(config);
+
+        this.cells = new Map();
+        this.records = new Map();
+        this.rules = [];
+        this.stats = { candidatePairs: 0, narrowTests: 0, collisions: 0 };
+    }
+
+    /**
+     * Validates and merges user configuration with defaults
+     * @param {Object} userConfig - User provided configuration
+     * @returns {Object} Validated configuration
+     * @private
+     */
+    _validateAndMergeConfig(userConfig) {
+        const config = { ...DEFAULT_SPATIAL_HASH_CONFIG, ...userConfig };
+
+        if (!(config.cellSize > 0)) {
+            throw new Error('Spatial hash cellSize must be positive');
+        }
+
+        return config;
+    }
+
+    /**
+     * Reads an axis-aligned bounding box from a game object
+     * @param {Object} object - {position, size}, {position, width, height} or {x, y, width, height}
+     * @returns {{x: number, y: number, width: number, height: number}} Bounding box
+     * @static
+     */
+    static getBounds(object) {
+        if (object.position && object.size) {
+            return { x: object.position.x, y: object.position.y, width: object.size.x, height: object.size.y };
+        }
+
+        if (object.position) {
+            return { x: object.position.x, y: object.position.y, width: object.width || 0, height: object.height || 0 };
+        }
+
+        return { x: object.x || 0, y: object.y || 0, width: object.width || 0, height: object.height || 0 };
+    }
+
+    /**
+     * Checks whether two boxes overlap (touching edges do not count)
+     * @param {Object} a - First bounding box
+     * @param {Object} b - Second bounding box
+     * @returns {boolean} True if the boxes overlap
+     * @static
+     */
+    static overlaps(a, b) {
+        return a.x < b.x + b.width &&
+               a.x + a.width > b.x &&
+               a.y < b.y + b.height &&
+               a.y + a.height > b.y;
+    }
+
+    /**
+     * Adds an object to the grid
+     * @param {Object} object - Game object
+     * @param {number} layer - CollisionLayer flag the object belongs to
+     * @param {number} [mask] - Layers it collides with; defaults to DEFAULT_COLLISION_MASKS[layer]
+     * @returns {SpatialHash} Returns this for method chaining
+     */
+    insert(object, layer, mask = DEFAULT_COLLISION_MASKS[layer]) {
+        if (!object || typeof object !== 'object') {
+            throw new Error('Spatial hash can only store objects');
+        }
+        if (!Number.isInteger(layer) || layer <= 0) {
+            throw new Error(`Invalid collision layer: ${layer}`);
+        }
+
+        if (this.records.has(object)) {
+            this.remove(object);
+        }
+
+        const record = {
+            object,
+            layer,
+            mask: mask === undefined ? CollisionLayer.ALL : mask,
+            bounds: null,
+            range: null
+        };
+        this.records.set(object, record);
+        this._bucket(record);
+
+        return this;
+    }
+
+    /**
+     * Re-buckets an object after it moved or resized
+     * @param {Object} object - Previously inserted object
+     * @returns {boolean} True if the object is in the grid
+     */
+    update(object) {
+        const record = this.records.get(object);
+        if (!record) return false;
+
+        this._unbucket(record);
+        this._bucket(record);
+        return true;
+    }
+
+    /**
+     * Removes an object from the grid
+     * @param {Object} object - Previously inserted object
+     * @returns {boolean} True if the object was removed
+     */
+    remove(object) {
+        const record = this.records.get(object);
+        if (!record) return false;
+
+        this._unbucket(record);
+        this.records.delete(object);
+        return true;
+    }
+
+    /**
+     * Empties the grid; collision rules are kept
+     */
+    clear() {
+        this.cells.clear();
+        this.records.clear();
+    }
+
+    /**
+     * Checks whether an object is in the grid
+     * @param {Object} object - Game object
+     * @returns {boolean} True if inserted
+     */
+    has(object) {
+        return this.records.has(object);
+    }
+
+    /**
+     * Gets the number of objects in the grid
+     * @returns {number} Object count
+     */
+    size() {
+        return this.records.size;
+    }
+
+    /**
+     * Finds active objects overlapping a region
+     * @param {Object} region - Bounding box ({x, y, width, height}) or game object
+     * @param {number} [mask=CollisionLayer.ALL] - Only return objects on these layers
+     * @returns {Object[]} Overlapping objects
+     */
+    query(region, mask = CollisionLayer.ALL) {
+        const bounds = region.position ? SpatialHash.getBounds(region) : region;
+        const range = this._cellRange(bounds);
+        const found = new Set();
+
+        for (let cx = range.minX; cx <= range.maxX; cx++) {
+            for (let cy = range.minY; cy <= range.maxY; cy++) {
+                const cell = this.cells.get(SpatialHash._cellKey(cx, cy));
+                if (!cell) continue;
+
+                for (const record of cell.members) {
+                    if ((record.layer & mask) === 0 || record.object.active === false) continue;
+
+                    if (SpatialHash.overlaps(bounds, record.bounds)) {
+                        found.add(record.object);
+                    }
+                }
+            }
+        }
+
+        return [...found];
+    }
+
+    /**
+     * Registers a collision callback for a pair of layers
+     *
+     * Rules run in registration order, so earlier rules take priority: a shot
+     * retired by a bunker rule never reaches a later enemy rule.
+     * @param {number} layerA - First layer; its object is the callback's first argument
+     * @param {number} layerB - Second layer
+     * @param {Function} callback - Called with (objectA, objectB) for each overlapping pair
+     * @returns {Function} Function that unregisters the rule
+     */
+    onCollision(layerA, layerB, callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Collision callback must be a function');
+        }
+
+        const rule = { layerA, layerB, callback };
+        this.rules.push(rule);
+
+        return () => {
+            const index = this.rules.indexOf(rule);
+            if (index !== -1) {
+                this.rules.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Collects each pair of objects that share a cell and accept each other's layer
+     * @returns {Array<[Object, Object]>} Candidate pairs of records
+     */
+    getCandidatePairs() {
+        const pairs = [];
+
+        for (const cell of this.cells.values()) {
+            const members = cell.members;
+            if (members.length < 2) continue;
+
+            for (let i = 0; i < members.length; i++) {
+                for (let j = i + 1; j < members.length; j++) {
+                    const a = members[i];
+                    const b = members[j];
+                    if ((a.mask & b.layer) === 0 || (b.mask & a.layer) === 0) continue;
+
+                    // Objects spanning several cells meet more than once; only the
+                    // first cell of their shared range reports the pair
+                    if (cell.cx !== Math.max(a.range.minX, b.range.minX) ||
+                        cell.cy !== Math.max(a.range.minY, b.range.minY)) continue;
+
+                    pairs.push([a, b]);
+                }
+            }
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Runs the collision rules over the current grid contents
+     * @returns {number} Number of callbacks invoked
+     */
+    checkCollisions() {
+        const pairs = this.getCandidatePairs();
+        let collisions = 0;
+        let narrowTests = 0;
+
+        for (const rule of this.rules) {
+            for (const [first, second] of pairs) {
+                let a;
+                let b;
+                if (first.layer === rule.layerA && second.layer === rule.layerB) {
+                    a = first;
+                    b = second;
+                } else if (second.layer === rule.layerA && first.layer === rule.layerB) {
+                    a = second;
+                    b = first;
+                } else {
+                    continue;
+                }
+
+                if (a.object.active === false || b.object.active === false) continue;
+
+                narrowTests++;
+                if (!SpatialHash.overlaps(a.bounds, b.bounds)) continue;
+
+                collisions++;
+                try {
+                    rule.callback(a.object, b.object);
+                } catch (error) {
+                    console.error('[SpatialHash] Error in collision callback:', error);
+                }
+            }
+        }
+
+        this.stats = { candidatePairs: pairs.length, narrowTests, collisions };
+        return collisions;
+    }
+
+    /**
+     * Gets counters from the last collision pass
+     * @returns {{cells: number, objects: number, candidatePairs: number, narrowTests: number, collisions: number}} Statistics
+     */
+    getStats() {
+        return {
+            cells: this.cells.size,
+            objects: this.records.size,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Packs integer cell coordinates into a numeric map key
+     * @param {number} cx - Cell column
+     * @param {number} cy - Cell row
+     * @returns {number} Cell key
+     * @private
+     * @static
+     */
+    static _cellKey(cx, cy) {
+        // Exact for coordinates within +/-2^20 cells, far beyond any playfield
+        return (cx + 0x100000) * 0x200000 + (cy + 0x100000);
+    }
+
+    /**
+     * Gets the range of cells a bounding box covers
+     * @param {Object} bounds - Bounding box
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}} Inclusive cell range
+     * @private
+     */
+    _cellRange(bounds) {
+        const size = this.config.cellSize;
+
+        return {
+            minX: Math.floor(bounds.x / size),
+            minY: Math.floor(bounds.y / size),
+            // Subtract a hair so a box ending exactly on a cell edge stays out of the next cell
+            maxX: Math.floor((bounds.x + Math.max(0, bounds.width - 1e-9)) / size),
+            maxY: Math.floor((bounds.y + Math.max(0, bounds.height - 1e-9)) / size)
+        };
+    }
+
+    /**
+     * Adds a record to the cells its object covers
+     * @param {Object} record - Grid record
+     * @private
+     */
+    _bucket(record) {
+        record.bounds = SpatialHash.getBounds(record.object);
+        record.range = this._cellRange(record.bounds);
+        const { minX, minY, maxX, maxY } = record.range;
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const key = SpatialHash._cellKey(cx, cy);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = { cx, cy, members: [] };
+                    this.cells.set(key, cell);
+                }
+                cell.members.push(record);
+            }
+        }
+    }
+
+    /**
+     * Removes a record from its cells, dropping cells that become empty
+     * @param {Object} record - Grid record
+     * @private
+     */
+    _unbucket(record) {
+        const { minX, minY, maxX, maxY } = record.range;
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const key = SpatialHash._cellKey(cx, cy);
+                const cell = this.cells.get(key);
+                if (!cell) continue;
+
+                const index = cell.members.indexOf(record);
+                if (index !== -1) {
+                    cell.members.splice(index, 1);
+                }
+                if (cell.members.length === 0) {
+                    this.cells.delete(key);
+                }
+            }
+        }
+    }
+}
+
+// Export the spatial hash and related constants
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpatialHash, CollisionLayer, DEFAULT_COLLISION_MASKS, DEFAULT_SPATIAL_HASH_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.SpatialHash = SpatialHash;
+    window.CollisionLayer = CollisionLayer;
+    window.DEFAULT_COLLISION_MASKS = DEFAULT_COLLISION_MASKS;
+    window.DEFAULT_SPATIAL_HASH_CONFIG = DEFAULT_SPATIAL_HASH_CONFIG;
+}
@@ -0,0 +1,284 @@
+/**
+ * Wave Manager Module
+ *
+ * Drives level progression: each cleared formation ends the current wave,
+ * holds an inter-wave banner for a moment, then starts the next wave one
+ * row lower and faster according to the difficulty curve.
+ *
+ * Key Features:
+ * - Playing / intermission phases with a timed banner
+ * - Difficulty curve for march speed, fire rate and starting height
+ * - Overridable curve function for custom progressions
+ * - waveStart / waveCleared notifications on a shared event bus
+ *
+ * Architecture:
+ * - Owns no entities; the game applies the difficulty it announces
+ * - Event bus is any object with emit(event, data), normally the
+ *   GameStateManager
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Wave phase identifiers
+ * @readonly
+ * @enum {string}
+ */
+const WavePhase = Object.freeze({
+    IDLE: 'idle',
+    PLAYING: 'playing',
+    INTERMISSION: 'intermission'
+});
+
+/**
+ * Difficulty settings for a single wave
+ * @typedef {Object} WaveDifficulty
+ * @property {number} speedMultiplier - Formation march speed factor
+ * @property {number} fireRateMultiplier - Enemy fire rate factor
+ * @property {number} originYOffset - Extra pixels the formation starts lower
+ */
+
+/**
+ * Default wave configuration
+ * @type {Object}
+ */
+const DEFAULT_WAVE_CONFIG = Object.freeze({
+    bannerDuration: 2500,
+    speedGrowth: 0.15,
+    maxSpeedMultiplier: 3,
+    fireRateGrowth: 0.2,
+    maxFireRateMultiplier: 3,
+    rowDrop: 16,
+    maxRowDrops: 8,
+    difficultyCurve: null
+});
+
+/**
+ * Tracks the current wave and announces transitions between waves
+ */
+class WaveManager {
+    /**
+     * Creates a new wave manager
+     * @param {Object} [config={}] - Wave configuration, merged over the defaults
+     * @param {Function} [config.difficultyCurve] - (wave, config) => WaveDifficulty override
+     * @param {Object} [options={}] - Runtime dependencies
+     * @param {{emit: Function}} [options.eventBus] - Bus receiving wave events
+     */
+    constructor(config = {}, options = {}) {
+        this.config = this._validateAndMergeConfig(config);
+        this.eventBus = options.eventBus || null;
+
+        this.wave = 0;
+        this.phase = WavePhase.IDLE;
+        this.bannerTimer = 0;
+    }
+
+    /**
+     * Validates and merges user configuration with defaults
+     * @param {Object} userConfig - User provided configuration
+     * @returns {Object} Validated configuration
+     * @private
+     */
+    _validateAndMergeConfig(userConfig) {
+        const config = { ...DEFAULT_WAVE_CONFIG, ...userConfig };
+
+        if (!(config.bannerDuration >= 0)) {
+            throw new Error('Wave bannerDuration must be non-negative');
+        }
+
+        if (config.maxSpeedMultiplier < 1 || config.maxFireRateMultiplier < 1) {
+            throw new Error('Wave difficulty caps must be at least 1');
+        }
+
+        if (config.difficultyCurve !== null && typeof config.difficultyCurve !== 'function') {
+            throw new Error('Wave difficultyCurve must be a function');
+        }
+
+        return config;
+    }
+
+    /**
+     * Starts a new game at the given wave
+     * @param {number} [wave=1] - First wave number
+     */
+    start(wave = 1) {
+        this._beginWave(Math.max(1, Math.floor(wave)));
+    }
+
+    /**
+     * Ends the current wave and shows the inter-wave banner
+     * @returns {boolean} True if a playing wave was completed
+     */
+    completeWave() {
+        if (this.phase !== WavePhase.PLAYING) {
+            return false;
+        }
+
+        this.phase = WavePhase.INTERMISSION;
+        this.bannerTimer = this.config.bannerDuration;
+
+        this._emit('waveCleared', {
+            wave: this.wave,
+            nextWave: this.wave + 1,
+            bannerDuration: this.config.bannerDuration
+        });
+
+        if (this.bannerTimer === 0) {
+            this._beginWave(this.wave + 1);
+        }
+
+        return true;
+    }
+
+    /**
+     * Counts down the inter-wave banner
+     * @param {number} deltaTime - Time elapsed since last update in milliseconds
+     */
+    update(deltaTime) {
+        if (this.phase !== WavePhase.INTERMISSION) {
+            return;
+        }
+
+        this.bannerTimer -= Math.max(0, Number(deltaTime) || 0);
+        if (this.bannerTimer <= 0) {
+            this._beginWave(this.wave + 1);
+        }
+    }
+
+    /**
+     * Enters the playing phase of a wave and announces its difficulty
+     * @param {number} wave - Wave number
+     * @private
+     */
+    _beginWave(wave) {
+        this.wave = wave;
+        this.phase = WavePhase.PLAYING;
+        this.bannerTimer = 0;
+
+        this._emit('waveStart', {
+            wave,
+            difficulty: this.getDifficulty(wave)
+        });
+    }
+
+    /**
+     * Gets the difficulty settings for a wave
+     * @param {number} [wave=this.wave] - Wave number
+     * @returns {WaveDifficulty} Difficulty settings
+     */
+    getDifficulty(wave = this.wave) {
+        const level = Math.max(1, wave);
+
+        if (this.config.difficultyCurve) {
+            return this.config.difficultyCurve(level, this.config);
+        }
+
+        const {
+            speedGrowth, maxSpeedMultiplier,
+            fireRateGrowth, maxFireRateMultiplier,
+            rowDrop, maxRowDrops
+        } = this.config;
+
+        return {
+            speedMultiplier: Math.min(maxSpeedMultiplier, 1 + speedGrowth * (level - 1)),
+            fireRateMultiplier: Math.min(maxFireRateMultiplier, 1 + fireRateGrowth * (level - 1)),
+            originYOffset: Math.min(maxRowDrops, level - 1) * rowDrop
+        };
+    }
+
+    /**
+     * Gets the current wave number
+     * @returns {number} Wave number, 0 before the game starts
+     */
+    getCurrentWave() {
+        return this.wave;
+    }
+
+    /**
+     * Gets the current phase
+     * @returns {string} One of WavePhase
+     */
+    getPhase() {
+        return this.phase;
+    }
+
+    /**
+     * Checks whether the game is between waves
+     * @returns {boolean} True while the banner is showing
+     */
+    isIntermission() {
+        return this.phase === WavePhase.INTERMISSION;
+    }
+
+    /**
+     * Gets the inter-wave banner, if one is showing
+     * @returns {{title: string, subtitle: string, remaining: number}|null} Banner render data
+     */
+    getBanner() {
+        if (!this.isIntermission()) {
+            return null;
+        }
+
+        return {
+            title: `WAVE ${this.wave} CLEARED`,
+            subtitle: `Get ready for wave ${this.wave + 1}`,
+            remaining: this.bannerTimer
+        };
+    }
+
+    /**
+     * Returns to the idle phase
+     */
+    reset() {
+        this.wave = 0;
+        this.phase = WavePhase.IDLE;
+        this.bannerTimer = 0;
+    }
+
+    /**
+     * Captures the wave number, phase and banner countdown
+     * @returns {{wave: number, phase: string, bannerTimer: number}} Serializable state
+     */
+    getState() {
+        return { wave: this.wave, phase: this.phase, bannerTimer: this.bannerTimer };
+    }
+
+    /**
+     * Restores a state captured with getState() without emitting events
+     * @param {{wave: number, phase: string, bannerTimer: number}} state - Saved state
+     * @throws {Error} When the state is malformed
+     */
+    setState(state) {
+        if (!state || !Number.isInteger(state.wave) || state.wave < 0
+            || !Object.values(WavePhase).includes(state.phase)) {
+            throw new Error('Invalid wave state');
+        }
+
+        this.wave = state.wave;
+        this.phase = state.phase;
+        this.bannerTimer = Math.max(0, Number(state.bannerTimer) || 0);
+    }
+
+    /**
+     * Emits an event on the bus, if one is attached
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     * @private
+     */
+    _emit(event, data) {
+        if (this.eventBus && typeof this.eventBus.emit === 'function') {
+            this.eventBus.emit(event, data);
+        }
+    }
+}
+
+// Export the manager and related constants
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WaveManager, WavePhase, DEFAULT_WAVE_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.WaveManager = WaveManager;
+    window.WavePhase = WavePhase;
+    window.DEFAULT_WAVE_CONFIG = DEFAULT_WAVE_CONFIG;
+}
@@ -0,0 +1,524 @@
+/**
+ * Bunker Entity Module
+ *
+ * Destructible shield bunkers that sit between the player and the invader
+ * formation. Each bunker keeps a bitmask of its remaining shape; projectiles
+ * blast craters out of it and invaders grind it away as they march through.
+ *
+ * Key Features:
+ * - Cell bitmask built from a readable ASCII shape
+ * - Pixel-accurate collision against the remaining cells
+ * - Circular craters at the projectile impact point
+ * - Rectangular erosion where the formation overlaps the bunker
+ * - Off-screen canvas cache, redrawn only after erosion
+ *
+ * Architecture:
+ * - Extends Entity for position, bounds, rendering hooks and events
+ * - Bitmask is the source of truth; the canvas is only a render cache
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+const EntityBase = (typeof require === 'function' ? require('./entity.js') : window).Entity;
+
+/**
+ * Classic arch-shaped bunker, one character per cell ('#' solid, '.' empty)
+ * @type {string[]}
+ */
+const DEFAULT_BUNKER_SHAPE = Object.freeze([
+    '....##############....',
+    '...################...',
+    '..##################..',
+    '.####################.',
+    '######################',
+    '######################',
+    '######################',
+    '######################',
+    '######################',
+    '######################',
+    '######################',
+    '######################',
+    '#######........#######',
+    '######..........######',
+    '#####............#####',
+    '#####............#####'
+]);
+
+/**
+ * Default bunker configuration
+ * @type {Object}
+ */
+const DEFAULT_BUNKER_CONFIG = Object.freeze({
+    shape: DEFAULT_BUNKER_SHAPE,
+    cellSize: 2,
+    craterRadius: 4,
+    color: '#00FF00'
+});
+
+/**
+ * Destructible shield bunker
+ * @extends Entity
+ */
+class Bunker extends EntityBase {
+    /**
+     * Creates a new bunker
+     * @param {Object} [config={}] - Bunker configuration
+     * @param {number} [config.x=0] - Left edge in world coordinates
+     * @param {number} [config.y=0] - Top edge in world coordinates
+     * @param {string[]} [config.shape] - Rows of '#' (solid) and '.' (empty) cells
+     * @param {number} [config.cellSize=2] - Size of one cell in pixels
+     * @param {number} [config.craterRadius=4] - Radius of projectile craters in pixels
+     * @param {string} [config.color='#00FF00'] - Fill colour
+     */
+    constructor(config = {}) {
+        const settings = Bunker._validateSettings({ ...DEFAULT_BUNKER_CONFIG, ...config });
+        const columns = settings.shape[0].length;
+        const rows = settings.shape.length;
+
+        super({
+            x: config.x,
+            y: config.y,
+            width: columns * settings.cellSize,
+            height: rows * settings.cellSize,
+            type: 'bunker'
+        });
+
+        this.shape = settings.shape;
+        this.cellSize = settings.cellSize;
+        this.craterRadius = settings.craterRadius;
+        this.color = settings.color;
+        this.columns = columns;
+        this.rows = rows;
+
+        this.mask = new Uint8Array(columns * rows);
+        this.solidCount = 0;
+        this.canvas = null;
+        this.dirty = true;
+
+        this.reset();
+    }
+
+    /**
+     * Validates bunker settings
+     * @param {Object} settings - Merged settings
+     * @returns {Object} Validated settings
+     * @private
+     * @static
+     */
+    static _validateSettings(settings) {
+        const { shape } = settings;
+
+        if (!Array.isArray(shape) || shape.length === 0 || typeof shape[0] !== 'string' || shape[0].length === 0) {
+            throw new Error('Bunker shape must be a non-empty array of strings');
+        }
+
+        if (shape.some(row => typeof row !== 'string' || row.length !== shape[0].length)) {
+            throw new Error('Bunker shape rows must all have the same length');
+        }
+
+        if (!(settings.cellSize > 0)) {
+            throw new Error('Bunker cellSize must be positive');
+        }
+
+        return settings;
+    }
+
+    /**
+     * Restores the original shape, e.g. at the start of a wave
+     */
+    reset() {
+        this.solidCount = 0;
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const solid = this.shape[row][column] === '#' ? 1 : 0;
+                this.mask[row * this.columns + column] = solid;
+                this.solidCount += solid;
+            }
+        }
+
+        this.active = true;
+        this.visible = true;
+        this.dirty = true;
+        this._updateBounds();
+
+        this.emit('reset', { entity: this });
+    }
+
+    /**
+     * Moves the bunker, keeping its bounds in sync since static bunkers
+     * are never run through update()
+     * @param {number} x - New X position
+     * @param {number} y - New Y position
+     */
+    setPosition(x, y) {
+        super.setPosition(x, y);
+        this._updateBounds();
+    }
+
+    /**
+     * Checks whether the cell at the given grid coordinates is solid
+     * @param {number} column - Cell column
+     * @param {number} row - Cell row
+     * @returns {boolean} True if the cell is intact
+     */
+    isSolid(column, row) {
+        if (column < 0 || row < 0 || column >= this.columns || row >= this.rows) {
+            return false;
+        }
+
+        return this.mask[row * this.columns + column] === 1;
+    }
+
+    /**
+     * Gets the number of intact cells
+     * @returns {number} Remaining solid cells
+     */
+    getSolidCount() {
+        return this.solidCount;
+    }
+
+    /**
+     * Checks whether every cell has been eroded
+     * @returns {boolean} True if nothing is left of the bunker
+     */
+    isDestroyed() {
+        return this.solidCount === 0;
+    }
+
+    /**
+     * Captures the remaining cells
+     * @returns {{mask: number[], active: boolean}} Serializable bunker state
+     */
+    getState() {
+        return { mask: Array.from(this.mask), active: this.active };
+    }
+
+    /**
+     * Restores a state captured with getState()
+     * @param {{mask: number[], active: boolean}} state - Saved bunker state
+     * @throws {Error} When the mask does not fit this bunker's grid
+     */
+    setState(state) {
+        if (!state || !Array.isArray(state.mask) || state.mask.length !== this.mask.length) {
+            throw new Error('Invalid bunker state');
+        }
+
+        this.solidCount = 0;
+        state.mask.forEach((cell, index) => {
+            this.mask[index] = cell ? 1 : 0;
+            this.solidCount += this.mask[index];
+        });
+
+        this.active = state.active !== false;
+        this.visible = this.active;
+        this.dirty = true;
+    }
+
+    /**
+     * Tests a rectangle against the remaining cells
+     * @param {Object} target - Rectangle ({x, y, width, height}) or game object ({position, size})
+     * @returns {boolean} True if any intact cell overlaps the rectangle
+     */
+    hitTest(target) {
+        return this.findImpact(target) !== null;
+    }
+
+    /**
+     * Finds the first intact cell a moving rectangle runs into
+     * @param {Object} target - Rectangle ({x, y, width, height}) or game object ({position, size})
+     * @param {number} [direction=1] - Vertical travel direction: positive moves down, negative moves up
+     * @returns {{x: number, y: number}|null} World-space centre of the impacted cell
+     */
+    findImpact(target, direction = 1) {
+        const rect = Bunker._toRect(target);
+        const range = this._getCellRange(rect);
+        if (!range) {
+            return null;
+        }
+
+        const downward = direction >= 0;
+        const firstRow = downward ? range.top : range.bottom;
+        const step = downward ? 1 : -1;
+
+        for (let row = firstRow; row >= range.top && row <= range.bottom; row += step) {
+            for (let column = range.left; column <= range.right; column++) {
+                if (this.isSolid(column, row)) {
+                    return {
+                        x: this.position.x + (column + 0.5) * this.cellSize,
+                        y: this.position.y + (row + 0.5) * this.cellSize
+                    };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Pixel-accurate collision: bounds are only a broad phase, the result
+     * depends on the remaining cells
+     * @param {Entity} other - Entity to test
+     * @returns {boolean} True if an intact cell overlaps the other entity
+     */
+    collidesWith(other) {
+        if (!super.collidesWith(other)) {
+            return false;
+        }
+
+        return this.hitTest(other.hitbox || other.bounds);
+    }
+
+    /**
+     * Resolves a projectile against the bunker, blasting a crater on impact
+     * @param {Object} projectile - Projectile with position, size and velocity
+     * @returns {boolean} True if the projectile hit the bunker
+     */
+    handleProjectileHit(projectile) {
+        if (!this.active || !projectile) {
+            return false;
+        }
+
+        const direction = projectile.velocity ? Math.sign(projectile.velocity.y) || 1 : 1;
+        const impact = this.findImpact(projectile, direction);
+        if (!impact) {
+            return false;
+        }
+
+        const removed = this.erode(impact.x, impact.y, this.craterRadius);
+        this.emit('hit', { entity: this, projectile, impact, removed });
+
+        return true;
+    }
+
+    /**
+     * Clears every cell whose centre lies within a circle
+     * @param {number} x - Crater centre X in world coordinates
+     * @param {number} y - Crater centre Y in world coordinates
+     * @param {number} [radius=this.craterRadius] - Crater radius in pixels
+     * @returns {number} Number of cells removed
+     */
+    erode(x, y, radius = this.craterRadius) {
+        const range = this._getCellRange({ x: x - radius, y: y - radius, width: radius * 2, height: radius * 2 });
+        if (!range) {
+            return 0;
+        }
+
+        const radiusSquared = radius * radius;
+        let removed = 0;
+
+        for (let row = range.top; row <= range.bottom; row++) {
+            for (let column = range.left; column <= range.right; column++) {
+                const dx = this.position.x + (column + 0.5) * this.cellSize - x;
+                const dy = this.position.y + (row + 0.5) * this.cellSize - y;
+
+                if (dx * dx + dy * dy <= radiusSquared && this._clearCell(column, row)) {
+                    removed++;
+                }
+            }
+        }
+
+        return this._afterErosion(removed);
+    }
+
+    /**
+     * Clears every cell overlapped by a rectangle, e.g. an invader marching through
+     * @param {Object} target - Rectangle ({x, y, width, height}) or game object ({position, size})
+     * @returns {number} Number of cells removed
+     */
+    erodeRect(target) {
+        const range = this._getCellRange(Bunker._toRect(target));
+        if (!range) {
+            return 0;
+        }
+
+        let removed = 0;
+        for (let row = range.top; row <= range.bottom; row++) {
+            for (let column = range.left; column <= range.right; column++) {
+                if (this._clearCell(column, row)) {
+                    removed++;
+                }
+            }
+        }
+
+        return this._afterErosion(removed);
+    }
+
+    /**
+     * Clears a single cell
+     * @param {number} column - Cell column
+     * @param {number} row - Cell row
+     * @returns {boolean} True if the cell was solid
+     * @private
+     */
+    _clearCell(column, row) {
+        if (!this.isSolid(column, row)) {
+            return false;
+        }
+
+        this.mask[row * this.columns + column] = 0;
+        this.solidCount--;
+        return true;
+    }
+
+    /**
+     * Bookkeeping shared by the erosion methods
+     * @param {number} removed - Cells removed by the erosion
+     * @returns {number} Cells removed
+     * @private
+     */
+    _afterErosion(removed) {
+        if (removed > 0) {
+            this.dirty = true;
+            this.emit('eroded', { entity: this, removed, remaining: this.solidCount });
+
+            if (this.solidCount === 0) {
+                this.emit('depleted', { entity: this });
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Converts a world-space rectangle to the overlapped cell range
+     * @param {{x: number, y: number, width: number, height: number}} rect - World rectangle
+     * @returns {{left: number, right: number, top: number, bottom: number}|null} Inclusive range, or null if outside
+     * @private
+     */
+    _getCellRange(rect) {
+        const localLeft = (rect.x - this.position.x) / this.cellSize;
+        const localTop = (rect.y - this.position.y) / this.cellSize;
+        const localRight = (rect.x + rect.width - this.position.x) / this.cellSize;
+        const localBottom = (rect.y + rect.height - this.position.y) / this.cellSize;
+
+        const range = {
+            left: Math.max(0, Math.floor(localLeft)),
+            top: Math.max(0, Math.floor(localTop)),
+            right: Math.min(this.columns - 1, Math.ceil(localRight) - 1),
+            bottom: Math.min(this.rows - 1, Math.ceil(localBottom) - 1)
+        };
+
+        if (range.left > range.right || range.top > range.bottom) {
+            return null;
+        }
+
+        return range;
+    }
+
+    /**
+     * Normalizes rectangles and game objects to {x, y, width, height}
+     * @param {Object} target - Rectangle or object with position and size
+     * @returns {{x: number, y: number, width: number, height: number}} World rectangle
+     * @private
+     * @static
+     */
+    static _toRect(target) {
+        if (target && target.position && target.size) {
+            return {
+                x: target.position.x,
+                y: target.position.y,
+                width: target.size.x,
+                height: target.size.y
+            };
+        }
+
+        return {
+            x: Number(target && target.x) || 0,
+            y: Number(target && target.y) || 0,
+            width: Number(target && target.width) || 0,
+            height: Number(target && target.height) || 0
+        };
+    }
+
+    /**
+     * Draws the remaining cells in place of the solid rectangle fallback
+     * @param {CanvasRenderingContext2D} context - Canvas context, translated to the bunker centre
+     * @private
+     */
+    _renderFallback(context) {
+        const left = -this.width / 2;
+        const top = -this.height / 2;
+        const cache = this._getCanvas();
+
+        if (cache) {
+            context.drawImage(cache, left, top);
+            return;
+        }
+
+        context.fillStyle = this.color;
+        this._drawCells(context, left, top);
+    }
+
+    /**
+     * Gets the off-screen canvas, redrawing it if the shape changed
+     * @returns {HTMLCanvasElement|null} Cached canvas, or null without a DOM
+     * @private
+     */
+    _getCanvas() {
+        if (typeof document === 'undefined') {
+            return null;
+        }
+
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = this.width;
+            this.canvas.height = this.height;
+        }
+
+        if (this.dirty) {
+            const ctx = this.canvas.getContext('2d');
+            ctx.clearRect(0, 0, this.width, this.height);
+            ctx.fillStyle = this.color;
+            this._drawCells(ctx, 0, 0);
+            this.dirty = false;
+        }
+
+        return this.canvas;
+    }
+
+    /**
+     * Fills one rectangle per intact cell
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {number} originX - X of the bunker's top-left corner
+     * @param {number} originY - Y of the bunker's top-left corner
+     * @private
+     */
+    _drawCells(ctx, originX, originY) {
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                if (this.mask[row * this.columns + column]) {
+                    ctx.fillRect(
+                        originX + column * this.cellSize,
+                        originY + row * this.cellSize,
+                        this.cellSize,
+                        this.cellSize
+                    );
+                }
+            }
+        }
+    }
+
+    /**
+     * Serializes bunker state, including the remaining shape
+     * @returns {Object} Serialized bunker data
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            cellSize: this.cellSize,
+            mask: Array.from(this.mask)
+        };
+    }
+}
+
+// Export the bunker and related constants
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Bunker, DEFAULT_BUNKER_SHAPE, DEFAULT_BUNKER_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.Bunker = Bunker;
+    window.DEFAULT_BUNKER_SHAPE = DEFAULT_BUNKER_SHAPE;
+    window.DEFAULT_BUNKER_CONFIG = DEFAULT_BUNKER_CONFIG;
+}
@@ -0,0 +1,365 @@
+/**
+ * Enemy Fire Module
+ *
+ * Implements invader return fire. Shots are always fired by the bottom-most
+ * living invader of a column, so a column can only shoot once its lower
+ * members have been cleared out of the way.
+ *
+ * Key Features:
+ * - Configurable fire interval and on-screen shot limit
+ * - Three projectile archetypes: straight, zig-zag and fast "plunger"
+ * - Plunger shots aim at the column above the player
+ * - Weighted projectile type selection
+ * - Injectable random source for reproducible runs
+ *
+ * Architecture:
+ * - Controller owns and moves its projectiles; the game only reads them
+ *   for collision and rendering
+ * - Plain data projectiles ({ position, size, active }) compatible with the
+ *   game's existing collision helpers
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Enemy projectile archetype identifiers
+ * @readonly
+ * @enum {string}
+ */
+const ENEMY_PROJECTILE_TYPES = Object.freeze({
+    STRAIGHT: 'straight',
+    ZIGZAG: 'zigzag',
+    PLUNGER: 'plunger'
+});
+
+/**
+ * Projectile archetype definition
+ * @typedef {Object} EnemyProjectileArchetype
+ * @property {number} speed - Downward speed in pixels per second
+ * @property {number} width - Projectile width in pixels
+ * @property {number} height - Projectile height in pixels
+ * @property {number} damage - Damage dealt to the player
+ * @property {number} [amplitude=0] - Horizontal sway in pixels (zig-zag)
+ * @property {number} [frequency=0] - Sway frequency in radians per second (zig-zag)
+ * @property {boolean} [aimed=false] - Fire from the column above the target
+ */
+
+/**
+ * Default enemy fire configuration
+ * @type {Object}
+ */
+const DEFAULT_ENEMY_FIRE_CONFIG = Object.freeze({
+    fireInterval: 1000,
+    maxActive: 3,
+    boundsBottom: 600,
+    typeWeights: Object.freeze({
+        [ENEMY_PROJECTILE_TYPES.STRAIGHT]: 5,
+        [ENEMY_PROJECTILE_TYPES.ZIGZAG]: 3,
+        [ENEMY_PROJECTILE_TYPES.PLUNGER]: 2
+    }),
+    archetypes: Object.freeze({
+        [ENEMY_PROJECTILE_TYPES.STRAIGHT]: Object.freeze({
+            speed: 180, width: 3, height: 10, damage: 20
+        }),
+        [ENEMY_PROJECTILE_TYPES.ZIGZAG]: Object.freeze({
+            speed: 150, width: 4, height: 10, damage: 20, amplitude: 4, frequency: 18
+        }),
+        [ENEMY_PROJECTILE_TYPES.PLUNGER]: Object.freeze({
+            speed: 320, width: 3, height: 14, damage: 25, aimed: true
+        })
+    })
+});
+
+/**
+ * Selects shooters from an invader formation and simulates their projectiles
+ */
+class EnemyFireController {
+    /**
+     * Creates a new enemy fire controller
+     * @param {Object} [config={}] - Fire configuration, merged over the defaults
+     * @param {Object} [options={}] - Runtime dependencies
+     * @param {Function} [options.random=Math.random] - Random source returning [0, 1)
+     */
+    constructor(config = {}, options = {}) {
+        this.config = this._validateAndMergeConfig(config);
+        this.random = typeof options.random === 'function' ? options.random : Math.random;
+
+        this.projectiles = [];
+        this.fireTimer = 0;
+        this.shotsFired = 0;
+        this.rateMultiplier = 1;
+    }
+
+    /**
+     * Validates and merges user configuration with defaults
+     * @param {Object} userConfig - User provided configuration
+     * @returns {Object} Validated configuration
+     * @private
+     */
+    _validateAndMergeConfig(userConfig) {
+        const archetypes = { ...DEFAULT_ENEMY_FIRE_CONFIG.archetypes };
+        for (const [type, archetype] of Object.entries(userConfig.archetypes || {})) {
+            archetypes[type] = { ...archetypes[type], ...archetype };
+        }
+
+        const config = {
+            ...DEFAULT_ENEMY_FIRE_CONFIG,
+            ...userConfig,
+            typeWeights: { ...DEFAULT_ENEMY_FIRE_CONFIG.typeWeights, ...(userConfig.typeWeights || {}) },
+            archetypes
+        };
+
+        if (!(config.fireInterval > 0)) {
+            throw new Error('Enemy fireInterval must be positive');
+        }
+
+        if (!Number.isInteger(config.maxActive) || config.maxActive < 0) {
+            throw new Error('Enemy maxActive must be a non-negative integer');
+        }
+
+        for (const type of Object.keys(config.typeWeights)) {
+            if (!config.archetypes[type]) {
+                throw new Error(`No archetype defined for enemy projectile type: ${type}`);
+            }
+        }
+
+        return config;
+    }
+
+    /**
+     * Advances the fire timer and moves active projectiles
+     * @param {number} deltaTime - Time elapsed since last update in milliseconds
+     * @param {InvaderFormation} formation - Formation supplying shooters
+     * @param {Object} [target] - Entity to aim plunger shots at
+     * @param {{x: number}} target.position - Target position
+     * @param {{x: number}} target.size - Target size
+     */
+    update(deltaTime, formation, target = null) {
+        const dt = Math.max(0, Number(deltaTime) || 0);
+
+        this._moveProjectiles(dt / 1000);
+
+        if (!formation || formation.getAliveCount() === 0 || formation.hasLanded()) {
+            return;
+        }
+
+        this.fireTimer += dt;
+        if (this.fireTimer >= this.getFireInterval()) {
+            this.fireTimer = 0;
+
+            if (this.getActiveProjectiles().length < this.config.maxActive) {
+                this.fire(formation, target);
+            }
+        }
+    }
+
+    /**
+     * Gets the effective time between shots
+     * @returns {number} Milliseconds between shots
+     */
+    getFireInterval() {
+        return this.config.fireInterval / this.rateMultiplier;
+    }
+
+    /**
+     * Scales the fire rate, e.g. for later waves
+     * @param {number} multiplier - Rate factor; 2 fires twice as often
+     * @throws {Error} When the multiplier is not positive
+     */
+    setRateMultiplier(multiplier) {
+        if (!(multiplier > 0)) {
+            throw new Error('Enemy fire rate multiplier must be positive');
+        }
+
+        this.rateMultiplier = multiplier;
+    }
+
+    /**
+     * Fires a single shot from the formation
+     * @param {InvaderFormation} formation - Formation supplying shooters
+     * @param {Object} [target] - Entity to aim plunger shots at
+     * @returns {Object|null} The new projectile, or null if nobody can shoot
+     */
+    fire(formation, target = null) {
+        const kind = this._pickType();
+        const archetype = this.config.archetypes[kind];
+        const shooter = this._pickShooter(formation, archetype.aimed ? target : null);
+
+        if (!shooter) {
+            return null;
+        }
+
+        const x = shooter.position.x + shooter.size.x / 2 - archetype.width / 2;
+        const projectile = {
+            position: { x, y: shooter.position.y + shooter.size.y },
+            velocity: { x: 0, y: archetype.speed },
+            size: { x: archetype.width, y: archetype.height },
+            type: 'enemy',
+            kind,
+            damage: archetype.damage,
+            originX: x,
+            age: 0,
+            shooter: shooter.id,
+            active: true
+        };
+
+        this.projectiles.push(projectile);
+        this.shotsFired++;
+
+        return projectile;
+    }
+
+    /**
+     * Picks the shooting invader: bottom-most living member of a column
+     * @param {InvaderFormation} formation - Formation supplying shooters
+     * @param {Object|null} target - Aim at the column closest to this entity
+     * @returns {Object|null} Shooter invader
+     * @private
+     */
+    _pickShooter(formation, target) {
+        const shooters = [];
+        for (let column = 0; column < formation.config.columns; column++) {
+            const invader = formation.getBottomInvader(column);
+            if (invader) {
+                shooters.push(invader);
+            }
+        }
+
+        if (shooters.length === 0) {
+            return null;
+        }
+
+        if (target && target.position) {
+            const targetX = target.position.x + (target.size ? target.size.x / 2 : 0);
+            return shooters.reduce((best, invader) => {
+                const distance = Math.abs(invader.position.x + invader.size.x / 2 - targetX);
+                const bestDistance = Math.abs(best.position.x + best.size.x / 2 - targetX);
+                return distance < bestDistance ? invader : best;
+            });
+        }
+
+        return shooters[Math.floor(this.random() * shooters.length) % shooters.length];
+    }
+
+    /**
+     * Picks a projectile type using the configured weights
+     * @returns {string} Projectile type
+     * @private
+     */
+    _pickType() {
+        const entries = Object.entries(this.config.typeWeights).filter(([, weight]) => weight > 0);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+        if (total <= 0) {
+            return ENEMY_PROJECTILE_TYPES.STRAIGHT;
+        }
+
+        let roll = this.random() * total;
+        for (const [type, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) {
+                return type;
+            }
+        }
+
+        return entries[entries.length - 1][0];
+    }
+
+    /**
+     * Moves projectiles and retires those that leave the playfield
+     * @param {number} deltaSeconds - Time elapsed in seconds
+     * @private
+     */
+    _moveProjectiles(deltaSeconds) {
+        for (const projectile of this.projectiles) {
+            if (!projectile.active) continue;
+
+            const archetype = this.config.archetypes[projectile.kind];
+            projectile.age += deltaSeconds;
+            projectile.position.y += projectile.velocity.y * deltaSeconds;
+
+            if (archetype.amplitude) {
+                projectile.position.x = projectile.originX +
+                    Math.sin(projectile.age * archetype.frequency) * archetype.amplitude;
+            }
+
+            if (projectile.position.y > this.config.boundsBottom) {
+                projectile.active = false;
+            }
+        }
+
+        this.projectiles = this.projectiles.filter(projectile => projectile.active);
+    }
+
+    /**
+     * Gets the projectiles still in flight
+     * @returns {Object[]} Active projectiles
+     */
+    getActiveProjectiles() {
+        return this.projectiles.filter(projectile => projectile.active);
+    }
+
+    /**
+     * Removes every projectile and restarts the fire timer
+     */
+    reset() {
+        this.projectiles = [];
+        this.fireTimer = 0;
+    }
+
+    /**
+     * Captures the fire timer and the shots in flight
+     * @returns {Object} Serializable controller state
+     */
+    getState() {
+        return {
+            fireTimer: this.fireTimer,
+            shotsFired: this.shotsFired,
+            rateMultiplier: this.rateMultiplier,
+            projectiles: this.getActiveProjectiles().map(projectile => ({
+                ...projectile,
+                position: { ...projectile.position },
+                velocity: { ...projectile.velocity },
+                size: { ...projectile.size }
+            }))
+        };
+    }
+
+    /**
+     * Restores a state captured with getState()
+     * @param {Object} state - Saved controller state
+     * @throws {Error} When the state is malformed
+     */
+    setState(state) {
+        if (!state || !Array.isArray(state.projectiles)) {
+            throw new Error('Invalid enemy fire state');
+        }
+
+        const unknown = state.projectiles.find(projectile => !this.config.archetypes[projectile.kind]);
+        if (unknown) {
+            throw new Error(`Unknown enemy projectile kind: ${unknown.kind}`);
+        }
+
+        this.setRateMultiplier(state.rateMultiplier);
+        this.fireTimer = Number(state.fireTimer) || 0;
+        this.shotsFired = Number(state.shotsFired) || 0;
+        this.projectiles = state.projectiles.map(projectile => ({
+            ...projectile,
+            position: { ...projectile.position },
+            velocity: { ...projectile.velocity },
+            size: { ...projectile.size },
+            active: true
+        }));
+    }
+}
+
+// Export the controller and related constants
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EnemyFireController, ENEMY_PROJECTILE_TYPES, DEFAULT_ENEMY_FIRE_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.EnemyFireController = EnemyFireController;
+    window.ENEMY_PROJECTILE_TYPES = ENEMY_PROJECTILE_TYPES;
+    window.DEFAULT_ENEMY_FIRE_CONFIG = DEFAULT_ENEMY_FIRE_CONFIG;
+}
@@ -1,4 +1,10 @@
-* 
+/**
+ * Entity Module
+ * 
+ * Base class and geometry helpers shared by game objects: position and
+ * physics integration, bounds management, rendering hooks, components
+ * and a lightweight event system.
+ * 
  * @author Space Invaders Development Team
  * @version 1.0.0
  * @since 2025-01-27
@@ -181,6 +187,8 @@ class Entity {
      * @param {boolean} [config.visible=true] - Visibility state
      * @param {string} [config.type='entity'] - Entity type identifier
      * @param {Object} [config.hitbox=null] - Custom hitbox configuration
+     * @param {Animator} [config.animator=null] - Atlas animator drawn instead of the sprite
+     * @param {AssetManager} [config.assets=null] - Shared loader for the sprite image
      */
     constructor(config = {}) {
         // Validate and sanitize configuration
@@ -208,6 +216,10 @@ class Entity {
         this.spriteImage = null;
         this.spriteLoaded = false;
         this.spriteError = false;
+        this.assets = config.assets || null;
+        
+        // Atlas animation, drawn in place of the sprite while it has a frame
+        this.animator = config.animator || null;
         
         // Collision detection
         this.bounds = new Rectangle(
@@ -304,23 +316,33 @@ class Entity {
             return;
         }
         
+        const onLoad = () => {
+            this.spriteLoaded = true;
+            this.spriteError = false;
+            this.emit('spriteLoaded', { entity: this, sprite: this.sprite });
+            console.log(`Sprite loaded for entity ${this.id}: ${this.sprite}`);
+        };
+        
+        const onError = (error) => {
+            this.spriteError = true;
+            this.spriteLoaded = false;
+            this.emit('spriteError', { entity: this, sprite: this.sprite, error });
+            console.error(`Failed to load sprite for entity ${this.id}: ${this.sprite}`, error);
+        };
+        
         try {
-            this.spriteImage = new Image();
-            
-            this.spriteImage.onload = () => {
-                this.spriteLoaded = true;
-                this.spriteError = false;
-                this.emit('spriteLoaded', { entity: this, sprite: this.sprite });
-                console.log(`Sprite loaded for entity ${this.id}: ${this.sprite}`);
-            };
-            
-            this.spriteImage.onerror = (error) => {
-                this.spriteError = true;
-                this.spriteLoaded = false;
-                this.emit('spriteError', { entity: this, sprite: this.sprite, error });
-                console.error(`Failed to load sprite for entity ${this.id}: ${this.sprite}`, error);
-            };
+            // Through the asset manager, entities sharing a sprite share one request
+            if (this.assets) {
+                this.assets.loadImage(this.sprite).then((image) => {
+                    this.spriteImage = image;
+                    onLoad();
+                }, onError);
+                return;
+            }
             
+            this.spriteImage = new Image();
+            this.spriteImage.onload = onLoad;
+            this.spriteImage.onerror = onError;
             this.spriteImage.src = this.sprite;
         } catch (error) {
             this.spriteError = true;
@@ -350,6 +372,11 @@ class Entity {
             // Update bounds
             this._updateBounds();
             
+            // Advance animation; animators count in milliseconds
+            if (this.animator) {
+                this.animator.update(dt * 1000);
+            }
+            
             // Update components
             this._updateComponents(dt);
             
@@ -463,8 +490,10 @@ class Entity {
                 context.globalAlpha = alpha;
             }
             
-            // Render sprite or fallback
-            if (this.spriteLoaded && this.spriteImage) {
+            // Render animation frame, sprite or fallback
+            if (this.animator && this.animator.getFrame()) {
+                this._renderAnimationFrame(context);
+            } else if (this.spriteLoaded && this.spriteImage) {
                 this._renderSprite(context);
             } else {
                 this._renderFallback(context);
@@ -532,6 +561,15 @@ class Entity {
         );
     }
 
+    /**
+     * Renders the animator's current frame
+     * @param {CanvasRenderingContext2D} context - Canvas context
+     * @private
+     */
+    _renderAnimationFrame(context) {
+        this.animator.draw(context, -this.width / 2, -this.height / 2, this.width, this.height);
+    }
+
     /**
      * Renders fallback representation when sprite is not available
      * @param {CanvasRenderingContext2D} context - Canvas context
@@ -705,6 +743,29 @@ class Entity {
                bounds.contains(this.position.x + this.width, this.position.y + this.height);
     }
 
+    /**
+     * Sets or clears the animator
+     * @param {Animator|null} animator - Atlas animator, or null to go back to the sprite
+     */
+    setAnimator(animator) {
+        this.animator = animator || null;
+    }
+
+    /**
+     * Plays an animation clip if the animator has it
+     * @param {string} clip - Clip name
+     * @param {Object} [options] - Play options, see Animator.play()
+     * @returns {boolean} True if the clip started
+     */
+    playAnimation(clip, options) {
+        if (!this.animator || !this.animator.atlas.hasClip(clip)) {
+            return false;
+        }
+        
+        this.animator.play(clip, options);
+        return true;
+    }
+
     /**
      * Adds a component to the entity
      * @param {string} name - Component name
@@ -859,6 +920,7 @@ class Entity {
             
             // Clear sprite reference
             this.spriteImage = null;
+            this.animator = null;
             
             this.emit('destroyed', { entity: this });
             
@@ -0,0 +1,514 @@
+/**
+ * Invader Formation Module
+ *
+ * Implements the classic Space Invaders marching formation: a grid of invaders
+ * that steps sideways as a single block, drops one row whenever a living member
+ * reaches the playfield edge, speeds up as members are destroyed and lands once
+ * it reaches the player's row.
+ *
+ * Key Features:
+ * - Configurable rows, columns, spacing and step timing
+ * - Per-row invader types with point values
+ * - Step interval that shrinks as the formation thins out
+ * - Edge detection against the living members only
+ * - Event notifications for steps, kills, clears and landings
+ *
+ * Architecture:
+ * - Plain data invaders ({ position, size, active }) so the game's existing
+ *   collision and rendering code can consume them directly
+ * - Observer pattern for formation events
+ * - Fixed-step movement driven by an accumulator
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Invader type identifiers, top row to bottom row in the classic layout
+ * @readonly
+ * @enum {string}
+ */
+const INVADER_TYPES = Object.freeze({
+    SQUID: 'squid',
+    CRAB: 'crab',
+    OCTOPUS: 'octopus'
+});
+
+/**
+ * Formation configuration
+ * @typedef {Object} FormationConfig
+ * @property {number} rows - Number of invader rows
+ * @property {number} columns - Number of invader columns
+ * @property {number} invaderWidth - Invader width in pixels
+ * @property {number} invaderHeight - Invader height in pixels
+ * @property {number} horizontalSpacing - Gap between columns in pixels
+ * @property {number} verticalSpacing - Gap between rows in pixels
+ * @property {number} originX - X position of the top-left invader
+ * @property {number} originY - Y position of the top-left invader
+ * @property {number} stepDistance - Horizontal distance per step in pixels
+ * @property {number} dropDistance - Vertical distance per drop in pixels
+ * @property {number} stepInterval - Time between steps with a full formation (ms)
+ * @property {number} minStepInterval - Time between steps with one invader left (ms)
+ * @property {number} boundsLeft - Left edge of the marching area
+ * @property {number} boundsRight - Right edge of the marching area
+ * @property {number} invasionLine - Y coordinate at which the formation has landed
+ * @property {string[]} rowTypes - Invader type per row, top to bottom
+ * @property {Object<string, number>} points - Score awarded per invader type
+ */
+
+/**
+ * Default formation configuration (classic 5x11 arcade layout)
+ * @type {FormationConfig}
+ */
+const DEFAULT_FORMATION_CONFIG = Object.freeze({
+    rows: 5,
+    columns: 11,
+    invaderWidth: 24,
+    invaderHeight: 24,
+    horizontalSpacing: 16,
+    verticalSpacing: 16,
+    originX: 80,
+    originY: 80,
+    stepDistance: 8,
+    dropDistance: 16,
+    stepInterval: 800,
+    minStepInterval: 40,
+    boundsLeft: 10,
+    boundsRight: 790,
+    invasionLine: 550,
+    rowTypes: Object.freeze([
+        INVADER_TYPES.SQUID,
+        INVADER_TYPES.CRAB,
+        INVADER_TYPES.CRAB,
+        INVADER_TYPES.OCTOPUS,
+        INVADER_TYPES.OCTOPUS
+    ]),
+    points: Object.freeze({
+        [INVADER_TYPES.SQUID]: 30,
+        [INVADER_TYPES.CRAB]: 20,
+        [INVADER_TYPES.OCTOPUS]: 10
+    })
+});
+
+/**
+ * Marching grid of invaders
+ */
+class InvaderFormation {
+    /**
+     * Creates a new formation
+     * @param {Partial<FormationConfig>} [config={}] - Formation configuration
+     * @throws {Error} When the configuration is invalid
+     */
+    constructor(config = {}) {
+        this.config = this._validateAndMergeConfig(config);
+
+        // Grid state
+        this.invaders = [];
+        this.aliveCount = 0;
+        this.originY = this.config.originY; // may differ per wave, see reset()
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.direction = 1;
+
+        // Marching state
+        this.stepTimer = 0;
+        this.stepCount = 0;
+        this.animationFrame = 0;
+        this.landed = false;
+        this.speedMultiplier = 1;
+
+        // Observer pattern for formation events
+        this.listeners = new Map();
+
+        this.reset();
+    }
+
+    /**
+     * Validates and merges user configuration with defaults
+     * @param {Partial<FormationConfig>} userConfig - User provided configuration
+     * @returns {FormationConfig} Validated configuration
+     * @private
+     */
+    _validateAndMergeConfig(userConfig) {
+        const config = {
+            ...DEFAULT_FORMATION_CONFIG,
+            ...userConfig,
+            points: { ...DEFAULT_FORMATION_CONFIG.points, ...(userConfig.points || {}) }
+        };
+
+        if (!Number.isInteger(config.rows) || config.rows < 1) {
+            throw new Error('Formation rows must be a positive integer');
+        }
+
+        if (!Number.isInteger(config.columns) || config.columns < 1) {
+            throw new Error('Formation columns must be a positive integer');
+        }
+
+        if (config.stepInterval <= 0 || config.minStepInterval <= 0) {
+            throw new Error('Formation step intervals must be positive');
+        }
+
+        if (config.minStepInterval > config.stepInterval) {
+            throw new Error('minStepInterval cannot exceed stepInterval');
+        }
+
+        if (config.boundsRight <= config.boundsLeft) {
+            throw new Error('Formation bounds are inverted');
+        }
+
+        if (!Array.isArray(config.rowTypes) || config.rowTypes.length === 0) {
+            throw new Error('Formation rowTypes must be a non-empty array');
+        }
+
+        return config;
+    }
+
+    /**
+     * Rebuilds the grid with every invader alive at the origin
+     * @param {Object} [options={}] - Reset options
+     * @param {number} [options.originY] - Starting row height for this reset only;
+     *   the configured origin by default
+     */
+    reset(options = {}) {
+        const { rows, columns, invaderWidth, invaderHeight, rowTypes, points } = this.config;
+
+        this.originY = Number.isFinite(options.originY) ? options.originY : this.config.originY;
+
+        this.invaders = [];
+        for (let row = 0; row < rows; row++) {
+            // Rows beyond the configured types reuse the last type
+            const type = rowTypes[Math.min(row, rowTypes.length - 1)];
+
+            for (let column = 0; column < columns; column++) {
+                this.invaders.push({
+                    id: `invader_${row}_${column}`,
+                    row,
+                    column,
+                    type,
+                    points: points[type] || 0,
+                    position: { x: 0, y: 0 },
+                    size: { x: invaderWidth, y: invaderHeight },
+                    health: 1,
+                    active: true
+                });
+            }
+        }
+
+        this.aliveCount = this.invaders.length;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.direction = 1;
+        this.stepTimer = 0;
+        this.stepCount = 0;
+        this.animationFrame = 0;
+        this.landed = false;
+
+        this._syncPositions();
+        this._emit('reset', { invaders: this.aliveCount });
+    }
+
+    /**
+     * Advances the march
+     * @param {number} deltaTime - Time elapsed since last update in milliseconds
+     */
+    update(deltaTime) {
+        if (this.landed || this.aliveCount === 0) {
+            return;
+        }
+
+        this.stepTimer += Math.max(0, Number(deltaTime) || 0);
+
+        let interval = this.getStepInterval();
+        while (this.stepTimer >= interval && !this.landed) {
+            this.stepTimer -= interval;
+            this._step();
+            interval = this.getStepInterval();
+        }
+    }
+
+    /**
+     * Performs a single formation step: sideways, or down and reverse at an edge
+     * @private
+     */
+    _step() {
+        const extent = this.getBounds();
+        const { stepDistance, dropDistance, boundsLeft, boundsRight, invasionLine } = this.config;
+
+        const hitsEdge = this.direction > 0
+            ? extent.right + stepDistance > boundsRight
+            : extent.left - stepDistance < boundsLeft;
+
+        if (hitsEdge) {
+            this.offsetY += dropDistance;
+            this.direction *= -1;
+        } else {
+            this.offsetX += stepDistance * this.direction;
+        }
+
+        this.stepCount++;
+        this.animationFrame = 1 - this.animationFrame;
+        this._syncPositions();
+
+        this._emit('step', {
+            direction: this.direction,
+            dropped: hitsEdge,
+            stepCount: this.stepCount
+        });
+
+        const bottom = this.getBounds().bottom;
+        if (bottom >= invasionLine) {
+            this.landed = true;
+            this._emit('landed', { bottom });
+        }
+    }
+
+    /**
+     * Recomputes invader positions from the grid offset
+     * @private
+     */
+    _syncPositions() {
+        const { originX, invaderWidth, invaderHeight, horizontalSpacing, verticalSpacing } = this.config;
+        const originY = this.originY;
+
+        for (const invader of this.invaders) {
+            invader.position.x = originX + this.offsetX + invader.column * (invaderWidth + horizontalSpacing);
+            invader.position.y = originY + this.offsetY + invader.row * (invaderHeight + verticalSpacing);
+        }
+    }
+
+    /**
+     * Gets the current step interval, shrinking linearly with the alive count
+     * and divided by the speed multiplier
+     * @returns {number} Milliseconds between steps
+     */
+    getStepInterval() {
+        const { stepInterval, minStepInterval } = this.config;
+        const total = this.invaders.length;
+
+        if (total <= 1) {
+            return minStepInterval / this.speedMultiplier;
+        }
+
+        const remaining = (this.aliveCount - 1) / (total - 1);
+        const interval = minStepInterval + (stepInterval - minStepInterval) * Math.max(0, remaining);
+        return interval / this.speedMultiplier;
+    }
+
+    /**
+     * Scales marching speed, e.g. for later waves
+     * @param {number} multiplier - Speed factor; 2 steps twice as often
+     * @throws {Error} When the multiplier is not positive
+     */
+    setSpeedMultiplier(multiplier) {
+        if (!(multiplier > 0)) {
+            throw new Error('Formation speed multiplier must be positive');
+        }
+
+        this.speedMultiplier = multiplier;
+    }
+
+    /**
+     * Destroys an invader and reports its point value
+     * @param {Object} invader - Invader belonging to this formation
+     * @returns {number} Points awarded, 0 if the invader was already dead
+     */
+    killInvader(invader) {
+        if (!invader || !invader.active || !this.invaders.includes(invader)) {
+            return 0;
+        }
+
+        invader.active = false;
+        invader.health = 0;
+        this.aliveCount--;
+
+        this._emit('invaderDestroyed', {
+            invader,
+            points: invader.points,
+            remaining: this.aliveCount
+        });
+
+        if (this.aliveCount === 0) {
+            this._emit('cleared', { stepCount: this.stepCount });
+        }
+
+        return invader.points;
+    }
+
+    /**
+     * Gets the living invaders
+     * @returns {Object[]} Active invaders
+     */
+    getActiveInvaders() {
+        return this.invaders.filter(invader => invader.active);
+    }
+
+    /**
+     * Gets the number of living invaders
+     * @returns {number} Alive count
+     */
+    getAliveCount() {
+        return this.aliveCount;
+    }
+
+    /**
+     * Gets the lowest living invader in a column
+     * @param {number} column - Column index
+     * @returns {Object|null} Bottom-most invader or null if the column is empty
+     */
+    getBottomInvader(column) {
+        let bottom = null;
+
+        for (const invader of this.invaders) {
+            if (invader.active && invader.column === column &&
+                (!bottom || invader.row > bottom.row)) {
+                bottom = invader;
+            }
+        }
+
+        return bottom;
+    }
+
+    /**
+     * Gets the bounding box of the living invaders
+     * @returns {{left: number, right: number, top: number, bottom: number}} Extent
+     */
+    getBounds() {
+        let left = Infinity;
+        let right = -Infinity;
+        let top = Infinity;
+        let bottom = -Infinity;
+
+        for (const invader of this.invaders) {
+            if (!invader.active) continue;
+
+            left = Math.min(left, invader.position.x);
+            right = Math.max(right, invader.position.x + invader.size.x);
+            top = Math.min(top, invader.position.y);
+            bottom = Math.max(bottom, invader.position.y + invader.size.y);
+        }
+
+        return { left, right, top, bottom };
+    }
+
+    /**
+     * Checks whether every invader has been destroyed
+     * @returns {boolean} True if the formation is empty
+     */
+    isCleared() {
+        return this.aliveCount === 0;
+    }
+
+    /**
+     * Checks whether the formation has reached the invasion line
+     * @returns {boolean} True if landed
+     */
+    hasLanded() {
+        return this.landed;
+    }
+
+    /**
+     * Captures the march and which invaders are still alive
+     * @returns {Object} Serializable formation state
+     */
+    getState() {
+        return {
+            originY: this.originY,
+            offsetX: this.offsetX,
+            offsetY: this.offsetY,
+            direction: this.direction,
+            stepTimer: this.stepTimer,
+            stepCount: this.stepCount,
+            animationFrame: this.animationFrame,
+            landed: this.landed,
+            speedMultiplier: this.speedMultiplier,
+            alive: this.invaders.map(invader => (invader.active ? 1 : 0))
+        };
+    }
+
+    /**
+     * Restores a state captured with getState() without emitting events
+     * @param {Object} state - Saved formation state
+     * @throws {Error} When the state does not fit this formation's grid
+     */
+    setState(state) {
+        if (!state || !Array.isArray(state.alive) || state.alive.length !== this.invaders.length) {
+            throw new Error('Invalid formation state');
+        }
+
+        this.setSpeedMultiplier(state.speedMultiplier);
+        this.originY = Number.isFinite(state.originY) ? state.originY : this.config.originY;
+        this.offsetX = Number(state.offsetX) || 0;
+        this.offsetY = Number(state.offsetY) || 0;
+        this.direction = state.direction < 0 ? -1 : 1;
+        this.stepTimer = Number(state.stepTimer) || 0;
+        this.stepCount = Number(state.stepCount) || 0;
+        this.animationFrame = state.animationFrame ? 1 : 0;
+        this.landed = Boolean(state.landed);
+
+        this.aliveCount = 0;
+        this.invaders.forEach((invader, index) => {
+            invader.active = Boolean(state.alive[index]);
+            invader.health = invader.active ? 1 : 0;
+            this.aliveCount += invader.active ? 1 : 0;
+        });
+
+        this._syncPositions();
+    }
+
+    /**
+     * Adds event listener
+     * @param {string} event - Event name (step, invaderDestroyed, cleared, landed, reset)
+     * @param {Function} callback - Callback function
+     */
+    addEventListener(event, callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+    }
+
+    /**
+     * Removes event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     */
+    removeEventListener(event, callback) {
+        const eventListeners = this.listeners.get(event);
+        if (eventListeners) {
+            eventListeners.delete(callback);
+        }
+    }
+
+    /**
+     * Emits an event to all listeners
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     * @private
+     */
+    _emit(event, data) {
+        const eventListeners = this.listeners.get(event);
+        if (!eventListeners) return;
+
+        eventListeners.forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`[InvaderFormation] Error in ${event} listener:`, error);
+            }
+        });
+    }
+}
+
+// Export the formation and related constants
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InvaderFormation, INVADER_TYPES, DEFAULT_FORMATION_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.InvaderFormation = InvaderFormation;
+    window.INVADER_TYPES = INVADER_TYPES;
+    window.DEFAULT_FORMATION_CONFIG = DEFAULT_FORMATION_CONFIG;
+}
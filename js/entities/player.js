@@ -8,7 +8,7 @@
  * 
  * Key Features:
  * - Bounded movement within game world
- * - Sprite-based rendering with animation support
+ * - Sprite-based rendering with atlas animation (idle, hit and explode clips)
  * - Health and damage management
  * - Input-responsive movement system
  * - Performance-optimized update cycles
@@ -64,6 +64,17 @@ class Player {
         INVULNERABLE: 'invulnerable'
     };
 
+    /**
+     * Animation clips the player plays when its atlas defines them
+     * @static
+     * @readonly
+     */
+    static ANIMATION = {
+        IDLE: 'idle',
+        HIT: 'hit',
+        EXPLODE: 'explode'
+    };
+
     /**
      * Movement direction enumeration
      * @static
@@ -89,6 +100,8 @@ class Player {
      * @param {number} [config.health] - Starting health points
      * @param {HTMLCanvasElement} [config.canvas] - Game canvas for bounds checking
      * @param {string} [config.spriteUrl] - URL to player sprite image
+     * @param {Animator} [config.animator] - Atlas animator with idle/hit/explode clips; drawn instead of the sprite
+     * @param {AssetManager} [config.assets] - Shared loader for the sprite image
      * @throws {Error} When required parameters are invalid
      */
     constructor(config = {}) {
@@ -97,8 +110,9 @@ class Player {
             this._validateConfig(config);
             this._initializeProperties(config);
             this._initializeState();
-            this._initializeSprite(config.spriteUrl);
+            this._initializeSprite(config.spriteUrl, config.assets);
             this._initializeEventHandlers();
+            this.setAnimator(config.animator || null);
             
             // Log successful initialization
             this._log('info', 'Player entity initialized successfully', {
@@ -177,20 +191,26 @@ class Player {
         this.isVisible = true;
         
         // Animation state
-        this.currentFrame = 0;
-        this.animationTimer = 0;
-        this.animationFrames = [];
+        this.animator = null;
+        this._onAnimationFinished = ({ clip }) => {
+            // A hit flashes once, then the ship idles again
+            if (clip === Player.ANIMATION.HIT && !this.isDestroyed) {
+                this._playAnimation(Player.ANIMATION.IDLE);
+            }
+        };
     }
 
     /**
      * Initializes sprite rendering
      * @private
      * @param {string} [spriteUrl] - URL to sprite image
+     * @param {AssetManager} [assets] - Shared loader; without one the sprite gets its own Image
      */
-    _initializeSprite(spriteUrl) {
+    _initializeSprite(spriteUrl, assets = null) {
         this.sprite = null;
         this.spriteLoaded = false;
         this.spriteError = false;
+        this.assets = assets;
         
         if (spriteUrl) {
             this._loadSprite(spriteUrl);
@@ -212,20 +232,31 @@ class Player {
      * @param {string} spriteUrl - URL to sprite image
      */
     _loadSprite(spriteUrl) {
+        const onLoad = () => {
+            this.spriteLoaded = true;
+            this.spriteError = false;
+            this._log('info', 'Player sprite loaded successfully', { url: spriteUrl });
+            this._emitEvent('spriteLoaded', { sprite: this.sprite });
+        };
+        const onError = (error) => {
+            this.spriteError = true;
+            this.spriteLoaded = false;
+            this._log('error', 'Failed to load player sprite', { url: spriteUrl, error });
+            this._emitEvent('spriteError', { error, url: spriteUrl });
+        };
+        
         try {
+            if (this.assets) {
+                this.assets.loadImage(spriteUrl).then((image) => {
+                    this.sprite = image;
+                    onLoad();
+                }, onError);
+                return;
+            }
+            
             this.sprite = new Image();
-            this.sprite.onload = () => {
-                this.spriteLoaded = true;
-                this.spriteError = false;
-                this._log('info', 'Player sprite loaded successfully', { url: spriteUrl });
-                this._emitEvent('spriteLoaded', { sprite: this.sprite });
-            };
-            this.sprite.onerror = (error) => {
-                this.spriteError = true;
-                this.spriteLoaded = false;
-                this._log('error', 'Failed to load player sprite', { url: spriteUrl, error });
-                this._emitEvent('spriteError', { error, url: spriteUrl });
-            };
+            this.sprite.onload = onLoad;
+            this.sprite.onerror = onError;
             this.sprite.src = spriteUrl;
         } catch (error) {
             this._log('error', 'Error initializing sprite', { error: error.message });
@@ -237,7 +268,8 @@ class Player {
      * Updates the player entity state
      * 
      * @param {number} deltaTime - Time elapsed since last update in milliseconds
-     * @param {Object} [input] - Input state object
+     * @param {Object} [input] - Resolved input: a TickInput, whose getMovementVector()
+     *   axes (-1 to 1) scale the speed, or plain direction flags
      * @param {boolean} [input.left] - Left movement input
      * @param {boolean} [input.right] - Right movement input
      * @param {boolean} [input.up] - Up movement input
@@ -245,7 +277,11 @@ class Player {
      */
     update(deltaTime, input = {}) {
         try {
-            if (this.isDestroyed) return;
+            if (this.isDestroyed) {
+                // Keep the explosion playing after the ship is gone
+                this._updateAnimation(deltaTime);
+                return;
+            }
 
             const deltaSeconds = deltaTime / 1000;
             this.lastUpdateTime = performance.now();
@@ -285,41 +321,53 @@ class Player {
                 this._emitEvent('invulnerabilityEnded');
             }
         }
-        
-        this.animationTimer += deltaTime;
+    }
+
+    /**
+     * Reads movement axes from resolved input
+     * @private
+     * @static
+     * @param {Object} input - TickInput or direction flags
+     * @returns {{x: number, y: number}} Movement axes, -1 to 1; opposite flags cancel
+     */
+    static _resolveAxes(input) {
+        if (typeof input.getMovementVector === 'function') {
+            const { x, y } = input.getMovementVector();
+            return { x: Math.max(-1, Math.min(1, x)), y: Math.max(-1, Math.min(1, y)) };
+        }
+
+        return {
+            x: (input.right ? 1 : 0) - (input.left ? 1 : 0),
+            y: (input.down ? 1 : 0) - (input.up ? 1 : 0)
+        };
     }
 
     /**
      * Processes input for movement
      * @private
-     * @param {Object} input - Input state object
+     * @param {Object} input - TickInput or direction flags
      */
     _processInput(input) {
-        let targetVelocityX = 0;
-        let targetVelocityY = 0;
+        const { x, y } = Player._resolveAxes(input);
         let newDirection = Player.DIRECTION.NONE;
 
         // Horizontal movement
-        if (input.left && !input.right) {
-            targetVelocityX = -this.speed;
+        if (x < 0) {
             newDirection = Player.DIRECTION.LEFT;
-        } else if (input.right && !input.left) {
-            targetVelocityX = this.speed;
+        } else if (x > 0) {
             newDirection = Player.DIRECTION.RIGHT;
         }
 
         // Vertical movement
-        if (input.up && !input.down) {
-            targetVelocityY = -this.speed;
+        if (y < 0) {
             newDirection = newDirection === Player.DIRECTION.NONE ? Player.DIRECTION.UP : newDirection;
-        } else if (input.down && !input.up) {
-            targetVelocityY = this.speed;
+        } else if (y > 0) {
             newDirection = newDirection === Player.DIRECTION.NONE ? Player.DIRECTION.DOWN : newDirection;
         }
 
-        // Update target velocities
-        this.targetVelocityX = targetVelocityX;
-        this.targetVelocityY = targetVelocityY;
+        // Update target velocities; a partly pushed stick moves slower
+        this.targetVelocityX = x * this.speed;
+        this.targetVelocityY = y * this.speed;
         
         // Update direction if changed
         if (newDirection !== this.direction) {
@@ -393,14 +441,55 @@ class Player {
      * @param {number} deltaTime - Time elapsed in milliseconds
      */
     _updateAnimation(deltaTime) {
-        if (this.animationFrames.length > 1) {
-            if (this.animationTimer >= Player.CONFIG.ANIMATION_FRAME_DURATION) {
-                this.currentFrame = (this.currentFrame + 1) % this.animationFrames.length;
-                this.animationTimer = 0;
-            }
+        if (this.animator) {
+            this.animator.update(deltaTime);
         }
     }
 
+    /**
+     * Sets or clears the atlas animator and starts its idle clip
+     * 
+     * @param {Animator|null} animator - Animator over an atlas with Player.ANIMATION clips
+     */
+    setAnimator(animator) {
+        if (this.animator) {
+            this.animator.removeEventListener('finished', this._onAnimationFinished);
+        }
+        
+        this.animator = animator || null;
+        
+        if (this.animator) {
+            this.animator.addEventListener('finished', this._onAnimationFinished);
+            this._playAnimation(this.isDestroyed ? Player.ANIMATION.EXPLODE : Player.ANIMATION.IDLE);
+        }
+    }
+
+    /**
+     * Restarts a clip when the animator's atlas defines it
+     * @private
+     * @param {string} clip - Player.ANIMATION value
+     * @returns {boolean} True if the clip started
+     */
+    _playAnimation(clip) {
+        if (!this.animator || !this.animator.atlas.hasClip(clip)) {
+            return false;
+        }
+        
+        this.animator.play(clip, { restart: true });
+        return true;
+    }
+
+    /**
+     * Checks whether the explode clip is still running
+     * @private
+     * @returns {boolean} True while the ship should be drawn exploding
+     */
+    _isExploding() {
+        return Boolean(this.animator) &&
+            this.animator.getClipName() === Player.ANIMATION.EXPLODE &&
+            !this.animator.isFinished();
+    }
+
     /**
      * Updates entity state based on current conditions
      * @private
@@ -436,7 +525,7 @@ class Player {
      */
     render(ctx, options = {}) {
         try {
-            if (!this.isVisible || this.isDestroyed) return;
+            if (!this.isVisible || (this.isDestroyed && !this._isExploding())) return;
 
             const { debug = false, alpha = 1 } = options;
             
@@ -451,8 +540,10 @@ class Player {
                 ctx.globalAlpha = alpha;
             }
             
-            // Render sprite or fallback
-            if (this.spriteLoaded && this.sprite) {
+            // Render animation frame, sprite or fallback
+            if (this.animator && this.animator.getFrame()) {
+                this.animator.draw(ctx, this.x, this.y, this.width, this.height);
+            } else if (this.spriteLoaded && this.sprite) {
                 this._renderSprite(ctx);
             } else {
                 this._renderFallback(ctx);
@@ -580,6 +671,8 @@ class Player {
             // Check for destruction
             if (this.health <= 0) {
                 this._handleDestruction();
+            } else {
+                this._playAnimation(Player.ANIMATION.HIT);
             }
             
             return true;
@@ -622,6 +715,7 @@ class Player {
         this.state = Player.STATE.DESTROYED;
         this.velocityX = 0;
         this.velocityY = 0;
+        this._playAnimation(Player.ANIMATION.EXPLODE);
         
         this._log('info', 'Player destroyed');
         this._emitEvent('destroyed', {
@@ -657,8 +751,7 @@ class Player {
             this.isVisible = true;
             
             // Reset animation
-            this.currentFrame = 0;
-            this.animationTimer = 0;
+            this._playAnimation(Player.ANIMATION.IDLE);
             
             // Reset score if specified
             if (config.resetScore) {
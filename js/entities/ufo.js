@@ -0,0 +1,311 @@
+/**
+ * Mystery Ship Module
+ *
+ * Implements the bonus UFO that periodically crosses the top of the screen.
+ * Its point value follows the arcade shot-count table, so a player who
+ * counts their shots can aim for the 300 point bonus.
+ *
+ * Key Features:
+ * - Periodic appearances on a configurable interval
+ * - Entry side chosen from the player's shot count parity
+ * - Deterministic scoring from the original 15-entry table
+ * - Floating score popup after a kill
+ * - Stays away once the formation is down to its last few invaders
+ *
+ * Architecture:
+ * - Plain data position/size so the game's collision helpers apply
+ * - Event-driven notifications for spawn, kill and escape
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Arcade mystery ship scores, indexed by player shots fired modulo 15
+ * @type {number[]}
+ */
+const UFO_POINTS_TABLE = Object.freeze([
+    100, 50, 50, 100, 150, 100, 100, 50, 300, 100, 100, 100, 50, 150, 100
+]);
+
+/**
+ * Default mystery ship configuration
+ * @type {Object}
+ */
+const DEFAULT_UFO_CONFIG = Object.freeze({
+    width: 32,
+    height: 14,
+    y: 40,
+    speed: 120,
+    spawnInterval: 25000,
+    minInvaders: 8,
+    boundsLeft: 0,
+    boundsRight: 800,
+    popupDuration: 1000,
+    popupRiseSpeed: 20,
+    pointsTable: UFO_POINTS_TABLE
+});
+
+/**
+ * Bonus mystery ship crossing the top of the playfield
+ */
+class MysteryShip {
+    /**
+     * Creates a new mystery ship
+     * @param {Object} [config={}] - Ship configuration, merged over the defaults
+     */
+    constructor(config = {}) {
+        this.config = this._validateAndMergeConfig(config);
+
+        this.position = { x: 0, y: this.config.y };
+        this.size = { x: this.config.width, y: this.config.height };
+        this.direction = 1;
+        this.active = false;
+        this.spawnTimer = 0;
+        this.popup = null;
+
+        this.eventListeners = new Map();
+    }
+
+    /**
+     * Validates and merges user configuration with defaults
+     * @param {Object} userConfig - User provided configuration
+     * @returns {Object} Validated configuration
+     * @private
+     */
+    _validateAndMergeConfig(userConfig) {
+        const config = { ...DEFAULT_UFO_CONFIG, ...userConfig };
+
+        if (!(config.speed > 0)) {
+            throw new Error('UFO speed must be positive');
+        }
+
+        if (!(config.spawnInterval > 0)) {
+            throw new Error('UFO spawnInterval must be positive');
+        }
+
+        if (!Array.isArray(config.pointsTable) || config.pointsTable.length === 0) {
+            throw new Error('UFO pointsTable must be a non-empty array');
+        }
+
+        if (config.boundsRight - config.boundsLeft <= config.width) {
+            throw new Error('UFO bounds must be wider than the ship');
+        }
+
+        return config;
+    }
+
+    /**
+     * Advances the ship, its spawn timer and any score popup
+     * @param {number} deltaTime - Time elapsed since last update in milliseconds
+     * @param {Object} [context={}] - Game state the ship reacts to
+     * @param {number} [context.shotsFired=0] - Player shots fired so far
+     * @param {number} [context.invadersRemaining=Infinity] - Living invaders
+     */
+    update(deltaTime, context = {}) {
+        const dt = Math.max(0, Number(deltaTime) || 0);
+        const { shotsFired = 0, invadersRemaining = Infinity } = context;
+
+        this._updatePopup(dt);
+
+        if (this.active) {
+            this.position.x += this.direction * this.config.speed * dt / 1000;
+
+            const offScreen = this.direction > 0
+                ? this.position.x > this.config.boundsRight
+                : this.position.x + this.size.x < this.config.boundsLeft;
+
+            if (offScreen) {
+                this.active = false;
+                this._emit('escaped', {});
+            }
+            return;
+        }
+
+        if (this.popup || invadersRemaining < this.config.minInvaders) {
+            return;
+        }
+
+        this.spawnTimer += dt;
+        if (this.spawnTimer >= this.config.spawnInterval) {
+            this.spawn(shotsFired % 2 === 0 ? 1 : -1);
+        }
+    }
+
+    /**
+     * Launches the ship from one side of the screen
+     * @param {number} [direction=1] - 1 enters from the left, -1 from the right
+     */
+    spawn(direction = 1) {
+        this.direction = direction < 0 ? -1 : 1;
+        this.position.x = this.direction > 0
+            ? this.config.boundsLeft - this.size.x
+            : this.config.boundsRight;
+        this.position.y = this.config.y;
+        this.active = true;
+        this.spawnTimer = 0;
+
+        this._emit('spawned', { direction: this.direction });
+    }
+
+    /**
+     * Gets the score the ship is worth for a given shot count
+     * @param {number} shotsFired - Player shots fired, including the killing shot
+     * @returns {number} Point value
+     */
+    getPointValue(shotsFired) {
+        const table = this.config.pointsTable;
+        const index = Math.max(0, Math.floor(shotsFired) - 1) % table.length;
+        return table[index];
+    }
+
+    /**
+     * Destroys the ship and starts its score popup
+     * @param {number} shotsFired - Player shots fired, including the killing shot
+     * @returns {number} Points awarded, 0 if the ship was not active
+     */
+    hit(shotsFired) {
+        if (!this.active) {
+            return 0;
+        }
+
+        const points = this.getPointValue(shotsFired);
+        this.active = false;
+        this.popup = {
+            text: String(points),
+            x: this.position.x + this.size.x / 2,
+            y: this.position.y + this.size.y / 2,
+            remaining: this.config.popupDuration
+        };
+
+        this._emit('destroyed', { points, position: { ...this.position } });
+
+        return points;
+    }
+
+    /**
+     * Floats the score popup upwards and expires it
+     * @param {number} dt - Time elapsed in milliseconds
+     * @private
+     */
+    _updatePopup(dt) {
+        if (!this.popup) return;
+
+        this.popup.remaining -= dt;
+        this.popup.y -= this.config.popupRiseSpeed * dt / 1000;
+
+        if (this.popup.remaining <= 0) {
+            this.popup = null;
+        }
+    }
+
+    /**
+     * Gets the score popup, if one is showing
+     * @returns {{text: string, x: number, y: number, alpha: number}|null} Popup render data
+     */
+    getPopup() {
+        if (!this.popup) {
+            return null;
+        }
+
+        return {
+            text: this.popup.text,
+            x: this.popup.x,
+            y: this.popup.y,
+            alpha: Math.max(0, Math.min(1, this.popup.remaining / this.config.popupDuration))
+        };
+    }
+
+    /**
+     * Removes the ship and popup and restarts the spawn timer
+     */
+    reset() {
+        this.active = false;
+        this.popup = null;
+        this.spawnTimer = 0;
+    }
+
+    /**
+     * Captures the ship, its spawn timer and any score popup
+     * @returns {Object} Serializable ship state
+     */
+    getState() {
+        return {
+            x: this.position.x,
+            direction: this.direction,
+            active: this.active,
+            spawnTimer: this.spawnTimer,
+            popup: this.popup ? { ...this.popup } : null
+        };
+    }
+
+    /**
+     * Restores a state captured with getState()
+     * @param {Object} state - Saved ship state
+     * @throws {Error} When the state is malformed
+     */
+    setState(state) {
+        if (!state || typeof state !== 'object') {
+            throw new Error('Invalid mystery ship state');
+        }
+
+        this.position.x = Number(state.x) || 0;
+        this.direction = state.direction < 0 ? -1 : 1;
+        this.active = Boolean(state.active);
+        this.spawnTimer = Number(state.spawnTimer) || 0;
+        this.popup = state.popup ? { ...state.popup } : null;
+    }
+
+    /**
+     * Adds event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Event callback
+     */
+    addEventListener(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, new Set());
+        }
+        this.eventListeners.get(event).add(callback);
+    }
+
+    /**
+     * Removes event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Event callback
+     */
+    removeEventListener(event, callback) {
+        const listeners = this.eventListeners.get(event);
+        if (listeners) {
+            listeners.delete(callback);
+        }
+    }
+
+    /**
+     * Emits event to listeners
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     * @private
+     */
+    _emit(event, data) {
+        const listeners = this.eventListeners.get(event);
+        if (!listeners) return;
+
+        for (const callback of listeners) {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`[MysteryShip] Error in ${event} listener:`, error);
+            }
+        }
+    }
+}
+
+// Export the ship and related constants
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MysteryShip, UFO_POINTS_TABLE, DEFAULT_UFO_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.MysteryShip = MysteryShip;
+    window.UFO_POINTS_TABLE = UFO_POINTS_TABLE;
+    window.DEFAULT_UFO_CONFIG = DEFAULT_UFO_CONFIG;
+}
@@ -0,0 +1,561 @@
+/**
+ * Weapon Module
+ *
+ * Configurable weapons for any entity that shoots. A Weapon is a component:
+ * attach it with Entity.addComponent('weapon', weapon), or hold one and call
+ * its hooks yourself as the game's player ship does. It decides when the
+ * owner may fire and what comes out; the caller owns the projectiles it
+ * returns and moves them, steering homing ones with Weapon.steer().
+ *
+ * Key Features:
+ * - Built-in weapons: single shot, the classic one-bullet-on-screen rule,
+ *   spread, rapid fire, piercing laser and homing missile
+ * - Per-weapon cooldown, ammo, heat and projectile archetype
+ * - Switching at runtime; an empty weapon falls back to the default one
+ * - Serializable state for saved sessions
+ *
+ * Architecture:
+ * - Plain data projectiles ({ position, velocity, size, active }) like the
+ *   enemy fire controller's, so the game's collision helpers take both
+ * - Cooldowns run on the caller's clock (fire(currentTime)); heat cools in
+ *   update(deltaTime) like any other component
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Built-in weapon identifiers
+ * @readonly
+ * @enum {string}
+ */
+const WEAPON_TYPES = Object.freeze({
+    SINGLE: 'single',
+    CLASSIC: 'classic',
+    SPREAD: 'spread',
+    RAPID: 'rapid',
+    LASER: 'laser',
+    HOMING: 'homing'
+});
+
+/**
+ * Weapon projectile archetype identifiers
+ * @readonly
+ * @enum {string}
+ */
+const WEAPON_PROJECTILE_TYPES = Object.freeze({
+    BULLET: 'bullet',
+    LASER: 'laser',
+    MISSILE: 'missile'
+});
+
+/**
+ * Projectile archetype definition
+ * @typedef {Object} WeaponProjectileArchetype
+ * @property {number} speed - Speed in pixels per second
+ * @property {number} width - Projectile width in pixels
+ * @property {number} height - Projectile height in pixels
+ * @property {number} [damage=1] - Damage dealt per hit
+ * @property {number} [pierce=0] - Targets the projectile passes through before it stops
+ * @property {number} [turnRate=0] - Homing turn rate in radians per second
+ */
+
+/**
+ * Weapon definition
+ * @typedef {Object} WeaponDefinition
+ * @property {string} projectile - Archetype fired
+ * @property {number} [cooldown=0] - Milliseconds between shots
+ * @property {number|null} [ammo=null] - Shots before the weapon is empty; null for unlimited
+ * @property {number} [heatPerShot=0] - Heat added per shot; reaching heatLimit overheats the weapon
+ * @property {number} [coolingRate=0] - Heat lost per second; an overheated weapon fires again once cold
+ * @property {number} [count=1] - Projectiles per shot
+ * @property {number} [spreadAngle=0] - Fan of a multi-projectile shot in radians
+ * @property {number} [maxActive=0] - Shots of this weapon allowed on screen at once; 0 for no limit
+ */
+
+/**
+ * Default weapon configuration
+ * @type {Object}
+ */
+const DEFAULT_WEAPON_CONFIG = Object.freeze({
+    weapon: WEAPON_TYPES.SINGLE, // equipped at first, and again when another runs dry
+    loadout: Object.freeze(Object.values(WEAPON_TYPES)),
+    team: 'player', // projectile type, used to pick collision layers
+    direction: -1, // -1 fires up the screen, 1 down
+    heatLimit: 100,
+    archetypes: Object.freeze({
+        [WEAPON_PROJECTILE_TYPES.BULLET]: Object.freeze({
+            speed: 400, width: 4, height: 12
+        }),
+        [WEAPON_PROJECTILE_TYPES.LASER]: Object.freeze({
+            speed: 900, width: 3, height: 28, pierce: 4
+        }),
+        [WEAPON_PROJECTILE_TYPES.MISSILE]: Object.freeze({
+            speed: 240, width: 6, height: 12, turnRate: 3
+        })
+    }),
+    weapons: Object.freeze({
+        [WEAPON_TYPES.SINGLE]: Object.freeze({
+            projectile: WEAPON_PROJECTILE_TYPES.BULLET, cooldown: 200
+        }),
+        [WEAPON_TYPES.CLASSIC]: Object.freeze({
+            projectile: WEAPON_PROJECTILE_TYPES.BULLET, maxActive: 1
+        }),
+        [WEAPON_TYPES.SPREAD]: Object.freeze({
+            projectile: WEAPON_PROJECTILE_TYPES.BULLET, cooldown: 350, count: 3, spreadAngle: 0.3, ammo: 40
+        }),
+        [WEAPON_TYPES.RAPID]: Object.freeze({
+            projectile: WEAPON_PROJECTILE_TYPES.BULLET, cooldown: 70, heatPerShot: 14, coolingRate: 45
+        }),
+        [WEAPON_TYPES.LASER]: Object.freeze({
+            projectile: WEAPON_PROJECTILE_TYPES.LASER, cooldown: 500, heatPerShot: 40, coolingRate: 35
+        }),
+        [WEAPON_TYPES.HOMING]: Object.freeze({
+            projectile: WEAPON_PROJECTILE_TYPES.MISSILE, cooldown: 600, ammo: 12, maxActive: 3
+        })
+    })
+});
+
+/**
+ * Fills in the optional fields of a weapon definition
+ * @type {Object}
+ */
+const WEAPON_DEFAULTS = Object.freeze({
+    cooldown: 0,
+    ammo: null,
+    heatPerShot: 0,
+    coolingRate: 0,
+    count: 1,
+    spreadAngle: 0,
+    maxActive: 0
+});
+
+/**
+ * Gets an owner's or target's dimensions; game sprites carry a size vector,
+ * Entity subclasses width and height
+ * @param {Object} entity - Object with size or width and height
+ * @returns {{x: number, y: number}} Width and height
+ */
+function getExtent(entity) {
+    return entity.size || { x: entity.width, y: entity.height };
+}
+
+/**
+ * Fires projectiles for the entity it is attached to
+ */
+class Weapon {
+    /**
+     * Creates a weapon component
+     * @param {Object} [config={}] - Weapon configuration, merged over the defaults;
+     *   archetypes and weapons merge per entry
+     * @throws {Error} When the configuration is invalid
+     */
+    constructor(config = {}) {
+        this.config = this._validateAndMergeConfig(config);
+
+        this.entity = null;
+        this.current = this.config.weapon;
+        this.lastShotTime = -Infinity;
+        this.shots = [];
+        this.states = {};
+        this.reset();
+    }
+
+    /**
+     * Validates and merges user configuration with defaults
+     * @param {Object} userConfig - User provided configuration
+     * @returns {Object} Validated configuration
+     * @private
+     */
+    _validateAndMergeConfig(userConfig) {
+        const archetypes = { ...DEFAULT_WEAPON_CONFIG.archetypes };
+        for (const [kind, archetype] of Object.entries(userConfig.archetypes || {})) {
+            archetypes[kind] = { ...archetypes[kind], ...archetype };
+        }
+
+        const weapons = {};
+        for (const [type, weapon] of Object.entries({ ...DEFAULT_WEAPON_CONFIG.weapons, ...(userConfig.weapons || {}) })) {
+            weapons[type] = { ...WEAPON_DEFAULTS, ...DEFAULT_WEAPON_CONFIG.weapons[type], ...weapon };
+        }
+
+        const config = {
+            ...DEFAULT_WEAPON_CONFIG,
+            ...userConfig,
+            archetypes,
+            weapons
+        };
+        config.loadout = [...config.loadout];
+
+        if (!(config.heatLimit > 0)) {
+            throw new Error('Weapon heatLimit must be positive');
+        }
+
+        if (config.direction !== 1 && config.direction !== -1) {
+            throw new Error('Weapon direction must be 1 or -1');
+        }
+
+        for (const [kind, archetype] of Object.entries(archetypes)) {
+            if (!(archetype.speed > 0) || !(archetype.width > 0) || !(archetype.height > 0)) {
+                throw new Error(`Weapon projectile ${kind} needs a positive speed, width and height`);
+            }
+        }
+
+        for (const [type, weapon] of Object.entries(weapons)) {
+            if (!archetypes[weapon.projectile]) {
+                throw new Error(`No archetype defined for weapon projectile: ${weapon.projectile}`);
+            }
+            if (!(weapon.cooldown >= 0) || !(weapon.heatPerShot >= 0) || !(weapon.coolingRate >= 0) || !(weapon.spreadAngle >= 0)) {
+                throw new Error(`Weapon ${type} has a negative cooldown, heat or spread`);
+            }
+            if (!Number.isInteger(weapon.count) || weapon.count < 1) {
+                throw new Error(`Weapon ${type} count must be a positive integer`);
+            }
+            if (!Number.isInteger(weapon.maxActive) || weapon.maxActive < 0) {
+                throw new Error(`Weapon ${type} maxActive must be a non-negative integer`);
+            }
+            if (weapon.ammo !== null && (!Number.isInteger(weapon.ammo) || weapon.ammo < 0)) {
+                throw new Error(`Weapon ${type} ammo must be a non-negative integer or null`);
+            }
+        }
+
+        for (const type of [config.weapon, ...config.loadout]) {
+            if (!weapons[type]) {
+                throw new Error(`Unknown weapon: ${type}`);
+            }
+        }
+
+        return config;
+    }
+
+    /**
+     * Component hook: remembers the entity the weapon fires from
+     * @param {Object} entity - Owner with position and size
+     */
+    init(entity) {
+        this.entity = entity;
+    }
+
+    /**
+     * Component hook: cools every weapon down
+     * @param {number} deltaTime - Time elapsed in seconds
+     */
+    update(deltaTime) {
+        const dt = Math.max(0, Number(deltaTime) || 0);
+
+        for (const [type, state] of Object.entries(this.states)) {
+            const weapon = this.config.weapons[type];
+            if (state.heat <= 0 || weapon.coolingRate <= 0) continue;
+
+            state.heat = Math.max(0, state.heat - weapon.coolingRate * dt);
+            if (state.heat === 0) {
+                state.overheated = false;
+            }
+        }
+    }
+
+    /**
+     * Component hook: forgets the owner and its shots
+     */
+    destroy() {
+        this.entity = null;
+        this.shots = [];
+    }
+
+    /**
+     * Gets the equipped weapon
+     * @returns {string} Weapon type
+     */
+    getWeapon() {
+        return this.current;
+    }
+
+    /**
+     * Gets the definition of a weapon
+     * @param {string} [type] - Weapon type; the equipped one by default
+     * @returns {WeaponDefinition|null} Definition, or null if unknown
+     */
+    getDefinition(type = this.current) {
+        return this.config.weapons[type] || null;
+    }
+
+    /**
+     * Equips a weapon; ammo and heat carry over per weapon, while the cooldown
+     * since the last shot is shared, so switching never skips it
+     * @param {string} type - Weapon type
+     * @throws {Error} When the weapon is not defined
+     */
+    setWeapon(type) {
+        if (!this.config.weapons[type]) {
+            throw new Error(`Unknown weapon: ${type}`);
+        }
+
+        this.current = type;
+    }
+
+    /**
+     * Equips the next loadout weapon that still has ammo
+     * @param {number} [step=1] - 1 for the next weapon, -1 for the previous one
+     * @returns {string} Weapon type now equipped
+     */
+    cycleWeapon(step = 1) {
+        const loadout = this.config.loadout;
+        const start = Math.max(0, loadout.indexOf(this.current));
+
+        for (let i = 1; i <= loadout.length; i++) {
+            const type = loadout[((start + i * step) % loadout.length + loadout.length) % loadout.length];
+            if (this.states[type].ammo !== 0) {
+                this.current = type;
+                break;
+            }
+        }
+
+        return this.current;
+    }
+
+    /**
+     * Tops up a weapon's ammo, never past its definition's ammo; weapons with
+     * unlimited ammo ignore it
+     * @param {string} type - Weapon type
+     * @param {number} amount - Shots to add
+     * @throws {Error} When the weapon is not defined
+     */
+    addAmmo(type, amount) {
+        if (!this.config.weapons[type]) {
+            throw new Error(`Unknown weapon: ${type}`);
+        }
+
+        const state = this.states[type];
+        if (state.ammo !== null) {
+            const full = this.config.weapons[type].ammo;
+            state.ammo = Math.min(full, state.ammo + Math.max(0, Math.floor(Number(amount) || 0)));
+        }
+    }
+
+    /**
+     * Gets what a HUD shows for the equipped weapon
+     * @returns {{weapon: string, ammo: number|null, heat: number, overheated: boolean}}
+     *   Ammo left (null for unlimited) and heat as a fraction of the limit
+     */
+    getStatus() {
+        const state = this.states[this.current];
+
+        return {
+            weapon: this.current,
+            ammo: state.ammo,
+            heat: Math.min(1, state.heat / this.config.heatLimit),
+            overheated: state.overheated
+        };
+    }
+
+    /**
+     * Gets the shots of a weapon still in flight
+     * @param {string} [type] - Weapon type; the equipped one by default
+     * @returns {Object[]} Active projectiles
+     */
+    getActiveShots(type = this.current) {
+        this.shots = this.shots.filter(projectile => projectile.active);
+        return this.shots.filter(projectile => projectile.weapon === type);
+    }
+
+    /**
+     * Checks whether the equipped weapon can fire
+     * @param {number} currentTime - Current time in milliseconds
+     * @returns {boolean} True if a shot would leave the weapon
+     */
+    canFire(currentTime) {
+        const weapon = this.config.weapons[this.current];
+        const state = this.states[this.current];
+
+        return state.ammo !== 0 &&
+            !state.overheated &&
+            currentTime - this.lastShotTime >= weapon.cooldown &&
+            (weapon.maxActive === 0 || this.getActiveShots().length < weapon.maxActive);
+    }
+
+    /**
+     * Fires the equipped weapon
+     * @param {number} currentTime - Current time in milliseconds
+     * @param {Object} [shooter] - Entity with position and size (or width and height); the
+     *   attached entity by default
+     * @returns {Object[]} New projectiles, fanned out for multi-projectile weapons; empty if the
+     *   weapon cannot fire
+     * @throws {Error} When there is no shooter
+     */
+    fire(currentTime, shooter = this.entity) {
+        const extent = shooter && shooter.position ? getExtent(shooter) : {};
+        if (!(extent.x >= 0) || !(extent.y >= 0)) {
+            throw new Error('Weapon needs a shooter with a position and size');
+        }
+
+        if (!this.canFire(currentTime)) {
+            return [];
+        }
+
+        const type = this.current;
+        const weapon = this.config.weapons[type];
+        const archetype = this.config.archetypes[weapon.projectile];
+        const direction = this.config.direction;
+        const x = shooter.position.x + extent.x / 2 - archetype.width / 2;
+        const y = direction < 0 ? shooter.position.y : shooter.position.y + extent.y;
+        const projectiles = [];
+
+        for (let i = 0; i < weapon.count; i++) {
+            // Even fan across spreadAngle, centred on straight ahead
+            const angle = weapon.count > 1 ? weapon.spreadAngle * (i / (weapon.count - 1) - 0.5) : 0;
+
+            projectiles.push({
+                position: { x, y },
+                velocity: { x: Math.sin(angle) * archetype.speed, y: Math.cos(angle) * archetype.speed * direction },
+                size: { x: archetype.width, y: archetype.height },
+                type: this.config.team,
+                kind: weapon.projectile,
+                weapon: type,
+                damage: archetype.damage || 1,
+                pierce: archetype.pierce || 0,
+                turnRate: archetype.turnRate || 0,
+                active: true
+            });
+        }
+
+        const state = this.states[type];
+        this.lastShotTime = currentTime;
+        this.shots.push(...projectiles);
+
+        if (weapon.heatPerShot > 0) {
+            state.heat = Math.min(this.config.heatLimit, state.heat + weapon.heatPerShot);
+            state.overheated = state.heat >= this.config.heatLimit;
+        }
+
+        if (state.ammo !== null) {
+            state.ammo--;
+            if (state.ammo === 0) {
+                this.current = this.config.weapon;
+            }
+        }
+
+        return projectiles;
+    }
+
+    /**
+     * Turns a homing projectile towards the nearest target, keeping its speed
+     * @param {Object} projectile - Projectile from fire(); ignored without a turnRate
+     * @param {Object[]} targets - Entities with position, size (or width and height) and optionally active
+     * @param {number} deltaSeconds - Time elapsed in seconds
+     * @static
+     */
+    static steer(projectile, targets, deltaSeconds) {
+        if (!(projectile.turnRate > 0)) return;
+
+        const centre = entity => ({
+            x: entity.position.x + getExtent(entity).x / 2,
+            y: entity.position.y + getExtent(entity).y / 2
+        });
+        const from = centre(projectile);
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        for (const target of targets) {
+            if (target.active === false) continue;
+
+            const to = centre(target);
+            const distance = Math.hypot(to.x - from.x, to.y - from.y);
+            if (distance < nearestDistance) {
+                nearest = to;
+                nearestDistance = distance;
+            }
+        }
+
+        if (!nearest) return;
+
+        const { velocity } = projectile;
+        const speed = Math.hypot(velocity.x, velocity.y);
+        const heading = Math.atan2(velocity.y, velocity.x);
+        // Shortest way round, limited to the turn rate
+        let turn = Math.atan2(nearest.y - from.y, nearest.x - from.x) - heading;
+        turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+        const maxTurn = projectile.turnRate * deltaSeconds;
+        const newHeading = heading + Math.max(-maxTurn, Math.min(maxTurn, turn));
+
+        velocity.x = Math.cos(newHeading) * speed;
+        velocity.y = Math.sin(newHeading) * speed;
+    }
+
+    /**
+     * Starts tracking projectiles again, e.g. after a saved session is restored
+     * @param {Object[]} projectiles - Projectiles in play; only this weapon's kinds are kept
+     */
+    trackShots(projectiles) {
+        this.shots = projectiles.filter(projectile => (
+            projectile.active && projectile.type === this.config.team && this.config.weapons[projectile.weapon]
+        ));
+    }
+
+    /**
+     * Refills every weapon, cools it down and re-equips the default weapon
+     */
+    reset() {
+        this.current = this.config.weapon;
+        this.lastShotTime = -Infinity;
+        this.shots = [];
+        this.states = {};
+
+        for (const [type, weapon] of Object.entries(this.config.weapons)) {
+            this.states[type] = { ammo: weapon.ammo, heat: 0, overheated: false };
+        }
+    }
+
+    /**
+     * Captures the equipped weapon, cooldown, ammo and heat
+     * @returns {Object} Serializable weapon state
+     */
+    getState() {
+        const weapons = {};
+        for (const [type, state] of Object.entries(this.states)) {
+            weapons[type] = { ...state };
+        }
+
+        return {
+            weapon: this.current,
+            // JSON has no -Infinity; null means the weapon has never fired
+            lastShotTime: Number.isFinite(this.lastShotTime) ? this.lastShotTime : null,
+            weapons
+        };
+    }
+
+    /**
+     * Restores a state captured with getState(); weapons it leaves out start fresh
+     * @param {Object} state - Saved weapon state
+     * @throws {Error} When the state is malformed
+     */
+    setState(state) {
+        if (!state || !this.config.weapons[state.weapon]) {
+            throw new Error(`Invalid weapon state: ${state ? state.weapon : state}`);
+        }
+
+        this.reset();
+        this.current = state.weapon;
+        this.lastShotTime = Number.isFinite(state.lastShotTime) ? state.lastShotTime : -Infinity;
+
+        for (const [type, saved] of Object.entries(state.weapons || {})) {
+            if (!this.states[type] || !saved) continue;
+
+            const ammo = this.states[type].ammo === null ? null : Math.max(0, Math.floor(Number(saved.ammo) || 0));
+            this.states[type] = {
+                ammo,
+                heat: Math.min(this.config.heatLimit, Math.max(0, Number(saved.heat) || 0)),
+                overheated: Boolean(saved.overheated)
+            };
+        }
+    }
+}
+
+// Export the weapon and related constants
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Weapon, WEAPON_TYPES, WEAPON_PROJECTILE_TYPES, DEFAULT_WEAPON_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.Weapon = Weapon;
+    window.WEAPON_TYPES = WEAPON_TYPES;
+    window.WEAPON_PROJECTILE_TYPES = WEAPON_PROJECTILE_TYPES;
+    window.DEFAULT_WEAPON_CONFIG = DEFAULT_WEAPON_CONFIG;
+}
@@ -17,7 +17,7 @@
  * - Game state management
  * - Performance monitoring
  * 
- * Dependencies: None (uses only browser APIs)
+ * Dependencies: None (uses only browser APIs); Node runs it headless
  * 
  * @author Space Invaders Development Team
  * @version 1.0.6
@@ -26,55 +26,45 @@
 'use strict';
 
 /**
- * Vector2D utility class for position and movement calculations
+ * Sibling modules the game is assembled from. Node (tests, tooling) resolves
+ * them through CommonJS; in the browser each script registers its exports on
+ * window before this file runs.
  */
-class Vector2D {
-    /**
-     * @param {number} x - X coordinate
-     * @param {number} y - Y coordinate
-     */
-    constructor(x = 0, y = 0) {
-        this.x = x;
-        this.y = y;
-    }
-
-    /**
-     * Add another vector to this vector
-     * @param {Vector2D} other - Vector to add
-     * @returns {Vector2D} New vector result
-     */
-    add(other) {
-        return new Vector2D(this.x + other.x, this.y + other.y);
-    }
-
-    /**
-     * Multiply vector by scalar
-     * @param {number} scalar - Multiplication factor
-     * @returns {Vector2D} New vector result
-     */
-    multiply(scalar) {
-        return new Vector2D(this.x * scalar, this.y * scalar);
-    }
-
-    /**
-     * Get distance to another vector
-     * @param {Vector2D} other - Target vector
-     * @returns {number} Distance
-     */
-    distanceTo(other) {
-        const dx = this.x - other.x;
-        const dy = this.y - other.y;
-        return Math.sqrt(dx * dx + dy * dy);
-    }
-
-    /**
-     * Clone this vector
-     * @returns {Vector2D} New vector copy
-     */
-    clone() {
-        return new Vector2D(this.x, this.y);
+const GameModules = typeof require === 'function'
+    ? {
+        ...require('./entities/invader-formation.js'),
+        ...require('./entities/enemy-fire.js'),
+        ...require('./entities/entity.js'),
+        ...require('./entities/weapon.js'),
+        ...require('./entities/bunker.js'),
+        ...require('./entities/ufo.js'),
+        ...require('./core/game-state.js'),
+        ...require('./core/game-loop.js'),
+        ...require('./core/spatial-hash.js'),
+        ...require('./utils/random.js'),
+        ...require('./core/wave-manager.js'),
+        ...require('./core/lives-manager.js'),
+        ...require('./core/high-scores.js'),
+        ...require('./core/session-store.js'),
+        ...require('./core/asset-manager.js'),
+        ...require('./ui/initials-entry.js'),
+        ...require('./core/game-states.js'),
+        ...require('./input/replay.js'),
+        ...require('./input/input-context.js'),
+        ...require('./input/action-input.js'),
+        ...require('./input/scripted-input.js'),
+        ...require('./input/gamepad-input.js'),
+        ...require('./input/touch-controls.js'),
+        ...require('./input/binding-store.js'),
+        ...require('./audio/sound-effects.js'),
+        ...require('./audio/audio-engine.js'),
+        ...require('./rendering/particle-system.js'),
+        ...require('./rendering/sprite-atlas.js'),
+        ...require('./rendering/animator.js'),
+        ...require('./core/performance-monitor.js'),
+        KeyBindings: require('./input/key-bindings.js')
     }
-}
+    : window;
 
 /**
  * Game constants and configuration
@@ -85,27 +75,138 @@ const GAME_CONFIG = {
         HEIGHT: 600,
         BACKGROUND_COLOR: '#000011'
     },
+    COLLISION: {
+        CELL_SIZE: 64 // spatial hash cell edge in pixels
+    },
+    LOOP: {
+        TICK_RATE: 60, // fixed simulation updates per second
+        MAX_FRAME_TIME: 250, // milliseconds; longer frames are clamped
+        MAX_UPDATES_PER_FRAME: 5 // catch-up limit before time is dropped
+    },
+    REPLAY: {
+        CHECKSUM_INTERVAL: 60 // ticks between recorded state checksums
+    },
     PLAYER: {
         WIDTH: 32,
         HEIGHT: 32,
         SPEED: 300, // pixels per second
         COLOR: '#00FF00',
         START_X: 400,
-        START_Y: 550
+        START_Y: 550,
+        INVULNERABILITY_TIME: 1000, // milliseconds of invulnerability after a hit or respawn
+        HIT_COLOR: '#FFFFFF', // flash on the frames of the hit animation
+        HIT_FRAME_DURATION: 80, // milliseconds
+        EXPLODE_FRAME_DURATION: 150 // milliseconds
     },
     PROJECTILE: {
         WIDTH: 4,
         HEIGHT: 12,
         SPEED: 400,
         COLOR: '#FFFF00',
-        COOLDOWN: 200 // milliseconds
+        COOLDOWN: 200 // milliseconds, single-shot weapon
+    },
+    WEAPONS: {
+        DEFAULT: 'single', // see WEAPON_TYPES in js/entities/weapon.js
+        COLORS: { bullet: '#FFFF00', laser: '#66FFFF', missile: '#FF9933' }
     },
     ENEMY: {
         WIDTH: 24,
         HEIGHT: 24,
-        SPEED: 50,
-        COLOR: '#FF0000',
-        SPAWN_RATE: 2000 // milliseconds
+        COLOR: '#FF0000'
+    },
+    FORMATION: {
+        ROWS: 5,
+        COLUMNS: 11,
+        H_SPACING: 16, // pixels between columns
+        V_SPACING: 16, // pixels between rows
+        ORIGIN_X: 80,
+        ORIGIN_Y: 80,
+        STEP_DISTANCE: 8, // pixels per sideways step
+        DROP_DISTANCE: 16, // pixels per edge drop
+        STEP_INTERVAL: 800, // milliseconds between steps, full formation
+        MIN_STEP_INTERVAL: 40, // milliseconds between steps, last invader
+        EDGE_MARGIN: 10,
+        ROW_TYPES: ['squid', 'crab', 'crab', 'octopus', 'octopus'],
+        POINTS: { squid: 30, crab: 20, octopus: 10 }
+    },
+    ENEMY_FIRE: {
+        FIRE_INTERVAL: 1000, // milliseconds between shots
+        MAX_ACTIVE: 3, // enemy shots allowed on screen at once
+        TYPE_WEIGHTS: { straight: 5, zigzag: 3, plunger: 2 },
+        TYPES: {
+            straight: { SPEED: 180, WIDTH: 3, HEIGHT: 10, DAMAGE: 20, COLOR: '#FFFFFF' },
+            zigzag: { SPEED: 150, WIDTH: 4, HEIGHT: 10, DAMAGE: 20, COLOR: '#FF66FF', AMPLITUDE: 4, FREQUENCY: 18 },
+            plunger: { SPEED: 320, WIDTH: 3, HEIGHT: 14, DAMAGE: 25, COLOR: '#FF4444', AIMED: true }
+        }
+    },
+    LIVES: {
+        MODE: 'lives', // 'lives': one hit per ship, 'health': health pool per ship
+        STARTING_LIVES: 3,
+        MAX_LIVES: 6,
+        RESPAWN_DELAY: 2000, // milliseconds the field stays frozen after a death
+        EXPLOSION_DURATION: 800, // milliseconds
+        EXTRA_LIFE_SCORES: [1500],
+        EXTRA_LIFE_EVERY: 0, // 0 disables repeating extra lives
+        ICON_SIZE: 16
+    },
+    SESSION: {
+        STORAGE_KEY: 'spaceInvaders.session'
+    },
+    AUDIO: {
+        STORAGE_KEY: 'spaceInvaders.audio',
+        MARCH_NOTE_LENGTH: 0.6 // fraction of the formation step interval each bass note lasts
+    },
+    HIGH_SCORES: {
+        STORAGE_KEY: 'spaceInvaders.highScores',
+        MAX_ENTRIES: 10,
+        ROWS_SHOWN: 5 // entries listed on the game over screen
+    },
+    WAVES: {
+        BANNER_DURATION: 2500, // milliseconds between waves
+        SPEED_GROWTH: 0.15, // extra march speed per wave
+        MAX_SPEED_MULTIPLIER: 3,
+        FIRE_RATE_GROWTH: 0.2, // extra enemy fire rate per wave
+        MAX_FIRE_RATE_MULTIPLIER: 3,
+        MAX_ROW_DROPS: 8 // waves after which the start height stops lowering
+    },
+    UFO: {
+        WIDTH: 32,
+        HEIGHT: 14,
+        Y: 40,
+        SPEED: 120, // pixels per second
+        COLOR: '#FF00FF',
+        SPAWN_INTERVAL: 25000, // milliseconds between appearances
+        MIN_INVADERS: 8, // no appearances below this many invaders
+        POINTS_TABLE: [100, 50, 50, 100, 150, 100, 100, 50, 300, 100, 100, 100, 50, 150, 100],
+        POPUP_DURATION: 1000, // milliseconds the score popup stays visible
+        POPUP_COLOR: '#FF00FF'
+    },
+    BUNKER: {
+        COUNT: 4,
+        Y: 460,
+        CELL_SIZE: 2, // pixels per bitmask cell
+        CRATER_RADIUS: 4, // pixels cleared around a projectile impact
+        COLOR: '#00FF00'
+    },
+    ASSETS: {
+        MANIFEST: 'assets/manifest.json',
+        CONCURRENCY: 4, // files in flight at once
+        RETRIES: 2 // extra attempts per file before a placeholder is used
+    },
+    CONTROLS: {
+        STORAGE_KEY: 'spaceInvaders.controls'
+    },
+    TOUCH: {
+        HANDEDNESS: 'right', // 'right' puts fire under the right thumb, 'left' swaps the sides
+        AUTO_FIRE: false // taps on fire toggle continuous fire instead of holding it
+    },
+    GAMEPAD: {
+        DEAD_ZONE: 0.25, // stick deflection ignored around the centre
+        RUMBLE_DURATION: 200 // milliseconds a hit shakes the pad
+    },
+    PARTICLES: {
+        MAX: 512, // hard cap on live particles
+        MIN_BUDGET: 64 // budget floor while the performance monitor reports poor health
     },
     PERFORMANCE: {
         TARGET_FPS: 60,
@@ -114,195 +215,46 @@ const GAME_CONFIG = {
 };
 
 /**
- * Input manager for handling keyboard and touch events
+ * One tick's resolved actions
+ *
+ * Gameplay reads these instead of the devices so that live play, recording
+ * and replay playback all run the same update path.
  */
-class InputManager {
-    constructor() {
-        this.keys = new Set();
-        this.touchActive = false;
-        this.touchPosition = new Vector2D();
-        this.callbacks = new Map();
-        
-        this._setupEventListeners();
-        this._logInfo('InputManager initialized');
-    }
-
+class TickInput {
     /**
-     * Setup keyboard and touch event listeners
-     * @private
+     * @param {number} bits - ReplayAction bits
      */
-    _setupEventListeners() {
-        try {
-            // Keyboard events
-            document.addEventListener('keydown', (e) => this._handleKeyDown(e));
-            document.addEventListener('keyup', (e) => this._handleKeyUp(e));
-            
-            // Touch events for mobile support
-            document.addEventListener('touchstart', (e) => this._handleTouchStart(e));
-            document.addEventListener('touchmove', (e) => this._handleTouchMove(e));
-            document.addEventListener('touchend', (e) => this._handleTouchEnd(e));
-            
-            // Prevent context menu on right click
-            document.addEventListener('contextmenu', (e) => e.preventDefault());
-            
-        } catch (error) {
-            this._logError('Failed to setup event listeners', error);
-        }
-    }
-
-    /**
-     * Handle keydown events
-     * @private
-     * @param {KeyboardEvent} event - Keyboard event
-     */
-    _handleKeyDown(event) {
-        const key = event.code.toLowerCase();
-        this.keys.add(key);
-        
-        // Trigger callbacks for specific keys
-        if (this.callbacks.has(key)) {
-            this.callbacks.get(key).forEach(callback => {
-                try {
-                    callback('down', event);
-                } catch (error) {
-                    this._logError(`Callback error for key ${key}`, error);
-                }
-            });
-        }
+    constructor(bits) {
+        const actions = GameModules.decodeActions(bits);
         
-        // Prevent default for game keys
-        if (['space', 'arrowleft', 'arrowright', 'arrowup', 'arrowdown'].includes(key)) {
-            event.preventDefault();
-        }
-    }
-
-    /**
-     * Handle keyup events
-     * @private
-     * @param {KeyboardEvent} event - Keyboard event
-     */
-    _handleKeyUp(event) {
-        const key = event.code.toLowerCase();
-        this.keys.delete(key);
-        
-        if (this.callbacks.has(key)) {
-            this.callbacks.get(key).forEach(callback => {
-                try {
-                    callback('up', event);
-                } catch (error) {
-                    this._logError(`Callback error for key ${key}`, error);
-                }
-            });
-        }
-    }
-
-    /**
-     * Handle touch start events
-     * @private
-     * @param {TouchEvent} event - Touch event
-     */
-    _handleTouchStart(event) {
-        event.preventDefault();
-        this.touchActive = true;
-        const touch = event.touches[0];
-        this.touchPosition.x = touch.clientX;
-        this.touchPosition.y = touch.clientY;
-    }
-
-    /**
-     * Handle touch move events
-     * @private
-     * @param {TouchEvent} event - Touch event
-     */
-    _handleTouchMove(event) {
-        event.preventDefault();
-        if (this.touchActive && event.touches.length > 0) {
-            const touch = event.touches[0];
-            this.touchPosition.x = touch.clientX;
-            this.touchPosition.y = touch.clientY;
-        }
-    }
-
-    /**
-     * Handle touch end events
-     * @private
-     * @param {TouchEvent} event - Touch event
-     */
-    _handleTouchEnd(event) {
-        event.preventDefault();
-        this.touchActive = false;
-    }
-
-    /**
-     * Check if a key is currently pressed
-     * @param {string} key - Key code to check
-     * @returns {boolean} True if key is pressed
-     */
-    isKeyPressed(key) {
-        return this.keys.has(key.toLowerCase());
-    }
-
-    /**
-     * Register callback for key events
-     * @param {string} key - Key code
-     * @param {Function} callback - Callback function
-     */
-    onKey(key, callback) {
-        const keyLower = key.toLowerCase();
-        if (!this.callbacks.has(keyLower)) {
-            this.callbacks.set(keyLower, []);
-        }
-        this.callbacks.get(keyLower).push(callback);
+        this.bits = bits;
+        this.movement = new GameModules.Vector2D(actions.x, actions.y);
+        this.shooting = actions.shoot;
+        this.switchingWeapon = actions.nextWeapon;
     }
 
     /**
-     * Get movement vector from input
-     * @returns {Vector2D} Movement direction
+     * Get movement axes for the tick
+     * @returns {Vector2D} Movement axes, -1 to 1; less than 1 for a partly pushed stick
      */
     getMovementVector() {
-        const movement = new Vector2D();
-        
-        if (this.isKeyPressed('arrowleft') || this.isKeyPressed('keya')) {
-            movement.x -= 1;
-        }
-        if (this.isKeyPressed('arrowright') || this.isKeyPressed('keyd')) {
-            movement.x += 1;
-        }
-        if (this.isKeyPressed('arrowup') || this.isKeyPressed('keyw')) {
-            movement.y -= 1;
-        }
-        if (this.isKeyPressed('arrowdown') || this.isKeyPressed('keys')) {
-            movement.y += 1;
-        }
-        
-        return movement;
+        return this.movement;
     }
 
     /**
-     * Check if shoot action is triggered
+     * Check if the tick fires
      * @returns {boolean} True if shooting
      */
     isShooting() {
-        return this.isKeyPressed('space') || this.touchActive;
+        return this.shooting;
     }
 
     /**
-     * Log info message
-     * @private
-     * @param {string} message - Message to log
-     */
-    _logInfo(message) {
-        console.log(`[InputManager] ${message}`);
-    }
-
-    /**
-     * Log error message
-     * @private
-     * @param {string} message - Error message
-     * @param {Error} error - Error object
+     * Check if the tick switches to the next weapon
+     * @returns {boolean} True on the tick the switch was pressed
      */
-    _logError(message, error) {
-        console.error(`[InputManager] ${message}:`, error);
+    isSwitchingWeapon() {
+        return this.switchingWeapon;
     }
 }
 
@@ -316,6 +268,7 @@ class SpriteRenderer {
     constructor(context) {
         this.context = context;
         this.sprites = new Map();
+        this.atlases = new Map();
         this._logInfo('SpriteRenderer initialized');
     }
 
@@ -329,22 +282,8 @@ class SpriteRenderer {
             const canvas = document.createElement('canvas');
             canvas.width = config.width;
             canvas.height = config.height;
-            const ctx = canvas.getContext('2d');
             
-            // Draw based on sprite type
-            switch (config.type) {
-                case 'player':
-                    this._drawPlayerSprite(ctx, config);
-                    break;
-                case 'enemy':
-                    this._drawEnemySprite(ctx, config);
-                    break;
-                case 'projectile':
-                    this._drawProjectileSprite(ctx, config);
-                    break;
-                default:
-                    this._drawDefaultSprite(ctx, config);
-            }
+            this._drawSprite(canvas.getContext('2d'), config);
             
             this.sprites.set(id, canvas);
             this._logInfo(`Created sprite: ${id}`);
@@ -354,6 +293,105 @@ class SpriteRenderer {
         }
     }
 
+    /**
+     * Cache a loaded image under a key (AssetManager stores images by URL)
+     * @param {string} key - Cache key
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Image to cache
+     * @returns {boolean} True if cached
+     */
+    cacheSprite(key, image) {
+        this.sprites.set(key, image);
+        return true;
+    }
+
+    /**
+     * Get a cached image or sprite
+     * @param {string} key - Cache key or sprite identifier
+     * @returns {HTMLImageElement|HTMLCanvasElement|null} Cached image or null
+     */
+    getCachedSprite(key) {
+        return this.sprites.get(key) || null;
+    }
+
+    /**
+     * Create a texture atlas from shape data, one frame per entry, laid out
+     * side by side on a single sheet
+     * @param {string} id - Atlas identifier
+     * @param {Object<string, Object>} frames - Sprite configuration by frame name
+     * @param {Object<string, Object>} [animations={}] - Clips by name, as in an atlas descriptor
+     * @returns {SpriteAtlas|null} The atlas, or null if it could not be built
+     */
+    createAtlas(id, frames, animations = {}) {
+        try {
+            const entries = Object.entries(frames);
+            const canvas = document.createElement('canvas');
+            canvas.width = entries.reduce((width, [, config]) => width + config.width, 0);
+            canvas.height = Math.max(...entries.map(([, config]) => config.height));
+            const ctx = canvas.getContext('2d');
+            const descriptor = { frames: {}, animations };
+            
+            let x = 0;
+            for (const [name, config] of entries) {
+                ctx.save();
+                ctx.translate(x, 0);
+                this._drawSprite(ctx, config);
+                ctx.restore();
+                
+                descriptor.frames[name] = { frame: { x, y: 0, w: config.width, h: config.height } };
+                x += config.width;
+            }
+            
+            const atlas = new GameModules.SpriteAtlas(canvas, descriptor);
+            this.atlases.set(id, atlas);
+            this._logInfo(`Created atlas: ${id}`);
+            return atlas;
+            
+        } catch (error) {
+            this._logError(`Failed to create atlas ${id}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Draw a sprite based on its type
+     * @private
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} config - Sprite configuration
+     */
+    _drawSprite(ctx, config) {
+        switch (config.type) {
+            case 'player':
+                this._drawPlayerSprite(ctx, config);
+                break;
+            case 'enemy':
+                this._drawEnemySprite(ctx, config);
+                break;
+            case 'projectile':
+                this._drawProjectileSprite(ctx, config);
+                break;
+            case 'ufo':
+                this._drawUfoSprite(ctx, config);
+                break;
+            case 'image':
+                ctx.drawImage(config.image, 0, 0, config.width, config.height);
+                break;
+            case 'shipExplosion':
+                this._drawShipExplosionSprite(ctx, config);
+                break;
+            default:
+                this._drawDefaultSprite(ctx, config);
+        }
+        
+        // A flash colours whatever was drawn, keeping its outline
+        if (config.flash) {
+            ctx.save();
+            ctx.globalCompositeOperation = 'source-atop';
+            ctx.fillStyle = config.flash;
+            ctx.fillRect(0, 0, config.width, config.height);
+            ctx.restore();
+        }
+    }
+
     /**
      * Draw player sprite
      * @private
@@ -377,6 +415,34 @@ class SpriteRenderer {
         ctx.fillRect(width * 0.4, height * 0.8, width * 0.2, height * 0.2);
     }
 
+    /**
+     * Draw one stage of the player ship breaking apart
+     * @private
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} config - Sprite configuration; stage counts up from 0 to stages - 1
+     */
+    _drawShipExplosionSprite(ctx, config) {
+        const { width, height, color, stage = 0, stages = 3 } = config;
+        const spread = (stage + 1) / stages;
+        const piece = width * 0.16;
+        
+        // Hull fragments fly out from the centre
+        ctx.fillStyle = color;
+        for (const [dx, dy] of [[-1, -1], [1, -1], [-1, 1], [1, 1], [0, -1]]) {
+            ctx.fillRect(
+                width / 2 + dx * width * 0.35 * spread - piece / 2,
+                height / 2 + dy * height * 0.35 * spread - piece / 2,
+                piece,
+                piece
+            );
+        }
+        
+        // The core burns out
+        const core = width * 0.3 * (1 - stage / stages);
+        ctx.fillStyle = '#FFAA00';
+        ctx.fillRect(width / 2 - core / 2, height / 2 - core / 2, core, core);
+    }
+
     /**
      * Draw enemy sprite
      * @private
@@ -384,7 +450,7 @@ class SpriteRenderer {
      * @param {Object} config - Sprite configuration
      */
     _drawEnemySprite(ctx, config) {
-        const { width, height, color } = config;
+        const { width, height, color, pose = 0 } = config;
         
         ctx.fillStyle = color;
         ctx.beginPath();
@@ -394,11 +460,45 @@ class SpriteRenderer {
         ctx.closePath();
         ctx.fill();
         
+        // Legs swap between the two marching poses
+        const legX = pose === 0 ? [0.2, 0.7] : [0.1, 0.8];
+        const legY = pose === 0 ? 0.6 : 0.75;
+        for (const x of legX) {
+            ctx.fillRect(width * x, height * legY, width * 0.1, height * 0.25);
+        }
+        
         // Add details
         ctx.fillStyle = '#FFAA00';
         ctx.fillRect(width * 0.3, height * 0.3, width * 0.4, height * 0.2);
     }
 
+    /**
+     * Draw mystery ship sprite
+     * @private
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} config - Sprite configuration
+     */
+    _drawUfoSprite(ctx, config) {
+        const { width, height, color } = config;
+        
+        // Draw saucer hull
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.ellipse(width / 2, height * 0.65, width / 2, height * 0.35, 0, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Draw dome
+        ctx.beginPath();
+        ctx.ellipse(width / 2, height * 0.4, width * 0.2, height * 0.4, 0, Math.PI, 0);
+        ctx.fill();
+        
+        // Add lights
+        ctx.fillStyle = '#FFFF00';
+        for (let i = 1; i <= 3; i++) {
+            ctx.fillRect(width * i / 4 - 1, height * 0.6, 2, 2);
+        }
+    }
+
     /**
      * Draw projectile sprite
      * @private
@@ -430,6 +530,57 @@ class SpriteRenderer {
         ctx.fillRect(0, 0, width, height);
     }
 
+    /**
+     * Get a one-pixel sprite of a colour, creating it on first use
+     * @param {string} color - CSS colour
+     * @returns {HTMLCanvasElement} Sprite image, scaled up when drawn
+     */
+    getColorSprite(color) {
+        const id = `color_${color}`;
+        if (!this.sprites.has(id)) {
+            this.createSprite(id, { type: 'color', width: 1, height: 1, color });
+        }
+        return this.sprites.get(id);
+    }
+
+    /**
+     * Render many sprites with one save/restore
+     * @param {Array<{image: HTMLCanvasElement, x: number, y: number, width: number, height: number, alpha?: number}>} sprites - Sprites to draw
+     * @returns {number} Number of sprites drawn
+     */
+    renderBatch(sprites) {
+        let drawn = 0;
+        
+        try {
+            this.context.save();
+            for (const sprite of sprites) {
+                if (!sprite.image) continue;
+                
+                this.context.globalAlpha = sprite.alpha !== undefined ? Math.max(0, Math.min(1, sprite.alpha)) : 1;
+                this.context.drawImage(sprite.image, sprite.x, sprite.y, sprite.width, sprite.height);
+                drawn++;
+            }
+            this.context.restore();
+        } catch (error) {
+            this._logError('Failed to render sprite batch', error);
+        }
+        
+        return drawn;
+    }
+
+    /**
+     * Render one frame of an atlas at given position
+     * @param {string} atlasId - Atlas identifier
+     * @param {string} frameName - Frame name
+     * @param {Vector2D} position - Position to render at
+     */
+    renderFrame(atlasId, frameName, position) {
+        const atlas = this.atlases.get(atlasId);
+        if (!atlas || !atlas.drawFrame(this.context, frameName, position.x, position.y)) {
+            this._logError(`Frame not found: ${atlasId}/${frameName}`);
+        }
+    }
+
     /**
      * Render a sprite at given position
      * @param {string} spriteId - Sprite identifier
@@ -485,17 +636,41 @@ class SpriteRenderer {
  * Player entity class
  */
 class Player {
+    /**
+     * Animation clips the ship plays when its atlas defines them
+     * @static
+     * @readonly
+     */
+    static ANIMATION = {
+        IDLE: 'idle',
+        HIT: 'hit',
+        EXPLODE: 'explode'
+    };
+
     /**
      * @param {Vector2D} position - Initial position
+     * @param {Object} [weaponConfig={}] - Weapon configuration, see js/entities/weapon.js
      */
-    constructor(position) {
+    constructor(position, weaponConfig = {}) {
         this.position = position.clone();
-        this.velocity = new Vector2D();
-        this.size = new Vector2D(GAME_CONFIG.PLAYER.WIDTH, GAME_CONFIG.PLAYER.HEIGHT);
+        this.velocity = new GameModules.Vector2D();
+        this.size = new GameModules.Vector2D(GAME_CONFIG.PLAYER.WIDTH, GAME_CONFIG.PLAYER.HEIGHT);
         this.health = 100;
         this.maxHealth = 100;
-        this.lastShotTime = 0;
+        this.previousPosition = null;
+        // The same component an Entity would take with addComponent('weapon', ...)
+        this.weapon = new GameModules.Weapon(weaponConfig);
+        this.weapon.init(this);
         this.active = true;
+        this.isInvulnerable = false;
+        this.invulnerabilityTimer = 0;
+        this.animator = null;
+        this._onAnimationFinished = ({ clip }) => {
+            // A hit flashes once, then the ship idles again
+            if (clip === Player.ANIMATION.HIT && this.active) {
+                this._playAnimation(Player.ANIMATION.IDLE);
+            }
+        };
         
         this._logInfo('Player entity created');
     }
@@ -503,19 +678,32 @@ class Player {
     /**
      * Update player state
      * @param {number} deltaTime - Time since last update in seconds
-     * @param {InputManager} input - Input manager instance
+     * @param {TickInput} input - Actions resolved for this tick
      */
     update(deltaTime, input) {
+        // Keep the explosion playing after the ship is gone
+        this._updateAnimation(deltaTime);
         if (!this.active) return;
 
         try {
-            // Get movement input
+            // Count down post-hit invulnerability
+            if (this.isInvulnerable) {
+                this.invulnerabilityTimer -= deltaTime * 1000;
+                if (this.invulnerabilityTimer <= 0) {
+                    this.isInvulnerable = false;
+                    this.invulnerabilityTimer = 0;
+                }
+            }
+            
+            // Let hot weapons cool down
+            this.weapon.update(deltaTime);
+
+            // Get movement input; a partly pushed stick moves slower
             const movement = input.getMovementVector();
             
-            // Apply movement
-            this.velocity = movement.multiply(GAME_CONFIG.PLAYER.SPEED);
-            const deltaPosition = this.velocity.multiply(deltaTime);
-            this.position = this.position.add(deltaPosition);
+            // Apply movement; Vector2D operations work in place, so copy first
+            this.velocity = movement.clone().multiply(GAME_CONFIG.PLAYER.SPEED);
+            this.position.add(this.velocity.clone().multiply(deltaTime));
             
             // Constrain to screen bounds
             this._constrainToScreen();
@@ -525,6 +713,59 @@ class Player {
         }
     }
 
+    /**
+     * Advance the atlas animation
+     * @private
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    _updateAnimation(deltaTime) {
+        if (this.animator) {
+            this.animator.update(deltaTime * 1000);
+        }
+    }
+
+    /**
+     * Set or clear the atlas animator and start the clip for the ship's state
+     * @param {Animator|null} animator - Animator over an atlas with Player.ANIMATION clips
+     */
+    setAnimator(animator) {
+        if (this.animator) {
+            this.animator.removeEventListener('finished', this._onAnimationFinished);
+        }
+        
+        this.animator = animator || null;
+        
+        if (this.animator) {
+            this.animator.addEventListener('finished', this._onAnimationFinished);
+            this._playAnimation(this.active ? Player.ANIMATION.IDLE : Player.ANIMATION.EXPLODE);
+        }
+    }
+
+    /**
+     * Restart a clip when the animator's atlas defines it
+     * @private
+     * @param {string} clip - Player.ANIMATION value
+     * @returns {boolean} True if the clip started
+     */
+    _playAnimation(clip) {
+        if (!this.animator || !this.animator.atlas.hasClip(clip)) {
+            return false;
+        }
+        
+        this.animator.play(clip, { restart: true });
+        return true;
+    }
+
+    /**
+     * Check whether a lost ship is still exploding
+     * @returns {boolean} True while the explode clip runs
+     */
+    isExploding() {
+        return !this.active && Boolean(this.animator) &&
+            this.animator.getClipName() === Player.ANIMATION.EXPLODE &&
+            !this.animator.isFinished();
+    }
+
     /**
      * Constrain player position to screen boundaries
      * @private
@@ -549,33 +790,25 @@ class Player {
     /**
      * Check if player can shoot
      * @param {number} currentTime - Current timestamp
-     * @returns {boolean} True if can shoot
+     * @returns {boolean} True if the equipped weapon can fire
      */
     canShoot(currentTime) {
-        return currentTime - this.lastShotTime >= GAME_CONFIG.PROJECTILE.COOLDOWN;
+        return this.weapon.canFire(currentTime);
     }
 
     /**
-     * Shoot projectile
+     * Fire the equipped weapon
      * @param {number} currentTime - Current timestamp
-     * @returns {Object|null} Projectile data or null
+     * @returns {Object[]} New projectiles; empty if the weapon cannot fire
      */
     shoot(currentTime) {
-        if (!this.canShoot(currentTime)) {
-            return null;
-        }
-
-        this.lastShotTime = currentTime;
-        
-        return {
-            position: new Vector2D(
-                this.position.x + this.size.x / 2 - GAME_CONFIG.PROJECTILE.WIDTH / 2,
-                this.position.y
-            ),
-            velocity: new Vector2D(0, -GAME_CONFIG.PROJECTILE.SPEED),
-            size: new Vector2D(GAME_CONFIG.PROJECTILE.WIDTH, GAME_CONFIG.PROJECTILE.HEIGHT),
-            type: 'player'
-        };
+        // The weapon keeps tracking these objects, so convert them in place
+        return this.weapon.fire(currentTime, this).map((projectile) => {
+            projectile.position = new GameModules.Vector2D(projectile.position.x, projectile.position.y);
+            projectile.velocity = new GameModules.Vector2D(projectile.velocity.x, projectile.velocity.y);
+            projectile.size = new GameModules.Vector2D(projectile.size.x, projectile.size.y);
+            return projectile;
+        });
     }
 
     /**
@@ -592,30 +825,100 @@ class Player {
     }
 
     /**
-     * Take damage
+     * Take damage, ignoring hits during the invulnerability window
      * @param {number} amount - Damage amount
+     * @param {Object} [source] - Damage source information
+     * @returns {boolean} True if damage was applied, false if prevented
      */
-    takeDamage(amount) {
+    takeDamage(amount, source = {}) {
+        if (!this.active || this.isInvulnerable || amount <= 0) {
+            return false;
+        }
+
         this.health = Math.max(0, this.health - amount);
+        this.isInvulnerable = true;
+        this.invulnerabilityTimer = GAME_CONFIG.PLAYER.INVULNERABILITY_TIME;
+
         if (this.health <= 0) {
             this.active = false;
-            this._logInfo('Player destroyed');
+            this._playAnimation(Player.ANIMATION.EXPLODE);
+            this._logInfo(`Player destroyed by ${source.type || 'unknown source'}`);
+        } else {
+            this._playAnimation(Player.ANIMATION.HIT);
         }
+
+        return true;
     }
 
     /**
-     * Log info message
-     * @private
-     * @param {string} message - Message to log
+     * Bring a fresh ship into play, briefly invulnerable
+     * @param {Vector2D} position - Respawn position
      */
-    _logInfo(message) {
-        console.log(`[Player] ${message}`);
+    respawn(position) {
+        this.position = position.clone();
+        this.previousPosition = null;
+        this.velocity = new GameModules.Vector2D();
+        this.health = this.maxHealth;
+        this.active = true;
+        this.isInvulnerable = true;
+        this.invulnerabilityTimer = GAME_CONFIG.PLAYER.INVULNERABILITY_TIME;
+        this._playAnimation(Player.ANIMATION.IDLE);
+        
+        this._logInfo('Player respawned');
     }
 
     /**
-     * Log error message
-     * @private
-     * @param {string} message - Error message
+     * Capture the ship for a saved session
+     * @returns {Object} Serializable player state
+     */
+    getState() {
+        return {
+            x: this.position.x,
+            y: this.position.y,
+            health: this.health,
+            active: this.active,
+            isInvulnerable: this.isInvulnerable,
+            invulnerabilityTimer: this.invulnerabilityTimer,
+            weapon: this.weapon.getState()
+        };
+    }
+
+    /**
+     * Restore a state captured with getState()
+     * @param {Object} state - Saved player state
+     * @throws {Error} When the state is malformed
+     */
+    setState(state) {
+        if (!state || !Number.isFinite(state.x) || !Number.isFinite(state.y)) {
+            throw new Error('Invalid player state');
+        }
+
+        this.position = new GameModules.Vector2D(state.x, state.y);
+        this.previousPosition = null;
+        this.velocity = new GameModules.Vector2D();
+        this.health = Math.min(this.maxHealth, Math.max(0, Number(state.health) || 0));
+        this.active = Boolean(state.active);
+        this.isInvulnerable = Boolean(state.isInvulnerable);
+        this.invulnerabilityTimer = Math.max(0, Number(state.invulnerabilityTimer) || 0);
+        this.weapon.setState(state.weapon);
+        if (this.active) {
+            this._playAnimation(Player.ANIMATION.IDLE);
+        }
+    }
+
+    /**
+     * Log info message
+     * @private
+     * @param {string} message - Message to log
+     */
+    _logInfo(message) {
+        console.log(`[Player] ${message}`);
+    }
+
+    /**
+     * Log error message
+     * @private
+     * @param {string} message - Error message
      * @param {Error} error - Error object
      */
     _logError(message, error) {
@@ -627,18 +930,62 @@ class Player {
  * Main game class
  */
 class Game {
-    constructor() {
+    /**
+     * @param {Object} [options={}] - Game options
+     * @param {number|string} [options.seed] - Fixed seed for every game; each game
+     *   gets a fresh seed when omitted
+     * @param {boolean} [options.headless=false] - Run without a canvas, sprites or DOM
+     *   listeners; gameplay is advanced by the caller (see HeadlessRunner)
+     * @param {Object} [options.input] - Extra input device, such as a ScriptedInput; it is
+     *   attached to the game's KeyBindings. Headless games default to a ScriptedInput
+     * @param {SessionStore} [options.sessionStore] - Where suspended games are saved;
+     *   defaults to one backed by localStorage when available
+     * @param {AudioEngine} [options.audio] - Sound output; headless games default to a silent engine
+     */
+    constructor(options = {}) {
+        this.fixedSeed = options.seed;
+        this.headless = Boolean(options.headless);
+        this.inputDevice = options.input || null;
+        this.random = new GameModules.RandomService(this.fixedSeed);
+        
         this.canvas = null;
         this.context = null;
-        this.inputManager = null;
+        this.input = null;
+        this.gamepad = null;
+        this.touchControls = null;
         this.spriteRenderer = null;
         this.player = null;
         this.projectiles = [];
-        this.enemies = [];
+        this.formation = null;
+        this.enemyFire = null;
+        this.bunkers = [];
+        this.ufo = null;
+        this.shotsFired = 0;
+        this.collisionGrid = null;
+        this.stateManager = null;
+        this.waveManager = null;
+        this.livesManager = null;
+        this.keyBindings = null;
+        this.bindingStore = null;
+        this.highScores = null;
+        this.sessionStore = options.sessionStore || null;
+        this.audio = options.audio || null;
+        this.particles = null;
+        this.performanceMonitor = null;
+        this.invaderAnimator = null;
+        this.assets = null;
+        this.replayRecorder = null;
+        this.replayPlayer = null;
+        this.liveSettings = null;
+        this.settings = {
+            livesMode: GAME_CONFIG.LIVES.MODE,
+            weapon: GAME_CONFIG.WEAPONS.DEFAULT
+        };
         
-        this.lastTime = 0;
-        this.lastEnemySpawn = 0;
-        this.gameRunning = false;
+        this.gameLoop = null;
+        this.simulationTime = 0;
+        this.interpolation = 1;
+        this.gameOver = false;
         this.score = 0;
         
         this.performanceMetrics = {
@@ -655,11 +1002,18 @@ class Game {
      */
     async init() {
         try {
-            await this._setupCanvas();
+            if (!this.headless) {
+                await this._setupCanvas();
+            }
             this._setupManagers();
-            this._createSprites();
+            if (!this.headless) {
+                this._createSprites();
+            }
             this._initializeEntities();
-            this._setupEventListeners();
+            this._setupStates();
+            if (!this.headless) {
+                this._setupEventListeners();
+            }
             
             this._logInfo('Game initialized successfully');
             
@@ -687,165 +1041,1237 @@ class Game {
             document.body.appendChild(this.canvas);
         }
 
-        this.context = this.canvas.getContext('2d');
-        if (!this.context) {
-            throw new Error('Failed to get 2D rendering context');
+        this.context = this.canvas.getContext('2d');
+        if (!this.context) {
+            throw new Error('Failed to get 2D rendering context');
+        }
+
+        // Right clicks and long presses would open the browser menu over the game
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        
+        // Set canvas properties
+        this.canvas.width = GAME_CONFIG.CANVAS.WIDTH;
+        this.canvas.height = GAME_CONFIG.CANVAS.HEIGHT;
+        
+        this._logInfo('Canvas setup complete');
+    }
+
+    /**
+     * Setup game managers
+     * @private
+     */
+    _setupManagers() {
+        if (this.headless) {
+            // Menus still subscribe to actions; nothing dispatches to this target unless a caller does
+            this.keyBindings = new GameModules.KeyBindings({ target: new EventTarget() });
+            this.inputDevice = this.inputDevice || new GameModules.ScriptedInput();
+        } else {
+            this.spriteRenderer = new SpriteRenderer(this.context);
+            this.keyBindings = new GameModules.KeyBindings();
+            // Headless games keep the defaults; only players' browsers remember rebound keys
+            this.bindingStore = new GameModules.BindingStore({ storageKey: GAME_CONFIG.CONTROLS.STORAGE_KEY });
+            this.bindingStore.load(this.keyBindings);
+            this.gamepad = new GameModules.GamepadInput({
+                deadZone: GAME_CONFIG.GAMEPAD.DEAD_ZONE,
+                rumble: { duration: GAME_CONFIG.GAMEPAD.RUMBLE_DURATION }
+            }, { keyBindings: this.keyBindings });
+            this.touchControls = new GameModules.TouchControls({
+                width: GAME_CONFIG.CANVAS.WIDTH,
+                height: GAME_CONFIG.CANVAS.HEIGHT,
+                handedness: GAME_CONFIG.TOUCH.HANDEDNESS,
+                autoFire: GAME_CONFIG.TOUCH.AUTO_FIRE
+            }, { element: this.canvas, keyBindings: this.keyBindings });
+        }
+        if (this.inputDevice && typeof this.inputDevice.attach === 'function') {
+            this.inputDevice.attach(this.keyBindings);
+        }
+        // Every device reports to the bindings; gameplay reads only what this resolves
+        this.input = new GameModules.ActionInput(this.keyBindings, {
+            sources: [this.gamepad, this.touchControls, this.inputDevice]
+        });
+        this.highScores = new GameModules.HighScoreTable({
+            storageKey: GAME_CONFIG.HIGH_SCORES.STORAGE_KEY,
+            maxEntries: GAME_CONFIG.HIGH_SCORES.MAX_ENTRIES
+        });
+        if (!this.sessionStore) {
+            this.sessionStore = new GameModules.SessionStore({ storageKey: GAME_CONFIG.SESSION.STORAGE_KEY });
+        }
+        if (!this.audio) {
+            this.audio = new GameModules.AudioEngine({ storageKey: GAME_CONFIG.AUDIO.STORAGE_KEY },
+                this.headless ? { contextFactory: null } : {});
+        }
+        if (!this.headless) {
+            this.performanceMonitor = new GameModules.PerformanceMonitor({ enableMemoryMonitoring: false });
+        }
+        this.assets = new GameModules.AssetManager({
+            concurrency: GAME_CONFIG.ASSETS.CONCURRENCY,
+            retries: GAME_CONFIG.ASSETS.RETRIES
+        }, {
+            spriteRenderer: this.spriteRenderer
+        });
+        this.particles = new GameModules.ParticleSystem({
+            maxParticles: GAME_CONFIG.PARTICLES.MAX,
+            minBudget: GAME_CONFIG.PARTICLES.MIN_BUDGET
+        }, {
+            random: this.random.stream(GameModules.RandomStream.PARTICLES).next,
+            performanceMonitor: this.performanceMonitor,
+            imageFor: color => this.spriteRenderer.getColorSprite(color)
+        });
+        this.stateManager = new GameModules.GameStateManager();
+        this.waveManager = new GameModules.WaveManager(this._getWaveConfig(), {
+            eventBus: this.stateManager
+        });
+        
+        this.collisionGrid = new GameModules.SpatialHash({ cellSize: GAME_CONFIG.COLLISION.CELL_SIZE });
+        this._setupCollisionRules();
+        
+        this.stateManager.addEventListener('waveCleared', () => this._clearField());
+        this.stateManager.addEventListener('waveStart', (event) => this._startWave(event));
+        this.stateManager.addEventListener('respawn', () => this._respawnPlayer());
+        this.stateManager.addEventListener('gameOver', (event) => this._triggerGameOver(event.reason));
+        this.stateManager.addEventListener('lifeLost', ({ position }) => {
+            this.audio.play(GameModules.SoundEffect.EXPLOSION, { size: 'large' });
+            this.particles.emit(GameModules.ParticleEmitter.PLAYER_DEATH, position.x, position.y);
+        });
+        this.stateManager.addEventListener('stateChanged', () => this._syncLoopingSounds());
+        
+        this._logInfo('Managers initialized');
+    }
+
+    /**
+     * Create sprite assets
+     * @private
+     */
+    _createSprites() {
+        // Player sprite, and the atlas the ship animates from
+        const ship = {
+            type: 'player',
+            width: GAME_CONFIG.PLAYER.WIDTH,
+            height: GAME_CONFIG.PLAYER.HEIGHT,
+            color: GAME_CONFIG.PLAYER.COLOR
+        };
+        this.spriteRenderer.createSprite('player', ship);
+        this._createPlayerAtlas(ship);
+
+        // Enemy atlas: the two poses of the march
+        const enemy = {
+            type: 'enemy',
+            width: GAME_CONFIG.ENEMY.WIDTH,
+            height: GAME_CONFIG.ENEMY.HEIGHT,
+            color: GAME_CONFIG.ENEMY.COLOR
+        };
+        const enemyAtlas = this.spriteRenderer.createAtlas('enemy', {
+            enemy_0: { ...enemy, pose: 0 },
+            enemy_1: { ...enemy, pose: 1 }
+        }, {
+            march: { frames: ['enemy_0', 'enemy_1'], loop: GameModules.LoopMode.LOOP }
+        });
+        if (enemyAtlas) {
+            this.invaderAnimator = new GameModules.Animator(enemyAtlas, { clip: 'march' });
+        }
+
+        // Player projectile sprites, one per weapon archetype
+        const weaponArchetypes = new GameModules.Weapon(this._getWeaponConfig()).config.archetypes;
+        for (const [kind, archetype] of Object.entries(weaponArchetypes)) {
+            this.spriteRenderer.createSprite(`projectile_${kind}`, {
+                type: 'projectile',
+                width: archetype.width,
+                height: archetype.height,
+                color: GAME_CONFIG.WEAPONS.COLORS[kind] || GAME_CONFIG.PROJECTILE.COLOR
+            });
+        }
+
+        // Mystery ship sprite
+        this.spriteRenderer.createSprite('ufo', {
+            type: 'ufo',
+            width: GAME_CONFIG.UFO.WIDTH,
+            height: GAME_CONFIG.UFO.HEIGHT,
+            color: GAME_CONFIG.UFO.COLOR
+        });
+
+        // Enemy projectile sprites, one per archetype
+        for (const [kind, type] of Object.entries(GAME_CONFIG.ENEMY_FIRE.TYPES)) {
+            this.spriteRenderer.createSprite(`enemyProjectile_${kind}`, {
+                type: 'projectile',
+                width: type.WIDTH,
+                height: type.HEIGHT,
+                color: type.COLOR
+            });
+        }
+        
+        this._logInfo('Sprites created');
+    }
+
+    /**
+     * Build the player atlas around the intact ship: idle, the flash of a hit
+     * and the ship breaking apart
+     * @private
+     * @param {Object} ship - Sprite configuration of the intact ship
+     */
+    _createPlayerAtlas(ship) {
+        const { WIDTH, HEIGHT, COLOR, HIT_COLOR, HIT_FRAME_DURATION, EXPLODE_FRAME_DURATION } = GAME_CONFIG.PLAYER;
+        const stages = 3;
+        const frames = {
+            player_idle: ship,
+            player_hit: { ...ship, flash: HIT_COLOR }
+        };
+        const explode = [];
+        for (let stage = 0; stage < stages; stage++) {
+            frames[`player_explode_${stage}`] = { type: 'shipExplosion', width: WIDTH, height: HEIGHT, color: COLOR, stage, stages };
+            explode.push(`player_explode_${stage}`);
+        }
+        
+        this.spriteRenderer.createAtlas('player', frames, {
+            [Player.ANIMATION.IDLE]: { frames: ['player_idle'] },
+            [Player.ANIMATION.HIT]: {
+                frames: ['player_hit', 'player_idle', 'player_hit'],
+                frameDuration: HIT_FRAME_DURATION,
+                loop: GameModules.LoopMode.ONCE
+            },
+            [Player.ANIMATION.EXPLODE]: {
+                frames: explode,
+                frameDuration: EXPLODE_FRAME_DURATION,
+                loop: GameModules.LoopMode.ONCE
+            }
+        });
+    }
+
+    /**
+     * Give a ship an animator over the player atlas
+     * @private
+     * @returns {Animator|null} Animator, or null without the atlas (headless)
+     */
+    _createPlayerAnimator() {
+        const atlas = this.spriteRenderer ? this.spriteRenderer.atlases.get('player') : null;
+        return atlas ? new GameModules.Animator(atlas) : null;
+    }
+
+    /**
+     * Initialize game entities
+     * @private
+     */
+    _initializeEntities() {
+        const playerStartPos = new GameModules.Vector2D(
+            GAME_CONFIG.PLAYER.START_X - GAME_CONFIG.PLAYER.WIDTH / 2,
+            GAME_CONFIG.PLAYER.START_Y
+        );
+        
+        this.player = new Player(playerStartPos, this._getWeaponConfig());
+        this.player.setAnimator(this._createPlayerAnimator());
+        this.projectiles = [];
+        this.formation = new GameModules.InvaderFormation(this._getFormationConfig());
+        this.formation.addEventListener('landed', () => this._triggerGameOver('Formation reached the player row'));
+        this.formation.addEventListener('step', () => {
+            this._playMarchStep();
+            // Invaders change pose with every step, however fast they march
+            if (this.invaderAnimator) {
+                this.invaderAnimator.nextFrame();
+            }
+        });
+        this.formation.addEventListener('reset', () => this._resetInvaderPose());
+        this._resetInvaderPose();
+        this.formation.addEventListener('invaderDestroyed', ({ invader }) => {
+            this.audio.play(GameModules.SoundEffect.EXPLOSION, { size: 'small' });
+            this.particles.emit(GameModules.ParticleEmitter.INVADER_EXPLOSION,
+                invader.position.x + invader.size.x / 2, invader.position.y + invader.size.y / 2);
+        });
+        this.enemyFire = new GameModules.EnemyFireController(this._getEnemyFireConfig(), {
+            random: this.random.stream(GameModules.RandomStream.ENEMY_FIRE).next
+        });
+        this.bunkers = this._createBunkers();
+        this.ufo = new GameModules.MysteryShip(this._getUfoConfig());
+        this.ufo.addEventListener('spawned', () => this._syncLoopingSounds());
+        this.ufo.addEventListener('escaped', () => this._syncLoopingSounds());
+        this.ufo.addEventListener('destroyed', ({ position }) => {
+            this._syncLoopingSounds();
+            this.audio.play(GameModules.SoundEffect.EXPLOSION, { size: 'small' });
+            this.particles.emit(GameModules.ParticleEmitter.INVADER_EXPLOSION,
+                position.x + this.ufo.size.x / 2, position.y + this.ufo.size.y / 2,
+                { colors: [GAME_CONFIG.UFO.COLOR, '#FFFFFF'] });
+        });
+        this.shotsFired = 0;
+        this.audio.stopAllLoops();
+        this.audio.resetMarch();
+        this.particles.clear();
+        
+        // Rebuilt per game so a damage mode chosen in settings takes effect
+        this.livesManager = new GameModules.LivesManager(this._getLivesConfig(), {
+            eventBus: this.stateManager
+        });
+        this.waveManager.start();
+        
+        this._logInfo('Entities initialized');
+    }
+
+    /**
+     * Register the screen states and the transitions between them
+     * @private
+     */
+    _setupStates() {
+        const State = GameModules.GameStateName;
+        const manager = this.stateManager;
+        const rowsShown = GAME_CONFIG.HIGH_SCORES.ROWS_SHOWN;
+        const on = trigger => context => Boolean(context) && context.trigger === trigger;
+        
+        manager.registerState(State.LOADING, new GameModules.LoadingState(this));
+        manager.registerState(State.TITLE, new GameModules.TitleState(this, { rowsShown }));
+        manager.registerState(State.SETTINGS, new GameModules.SettingsState(this));
+        manager.registerState(State.CONTROLS, new GameModules.ControlsState(this));
+        manager.registerState(State.PLAYING, new GameModules.PlayingState(this));
+        manager.registerState(State.PAUSED, new GameModules.PausedState(this));
+        manager.registerState(State.HIGH_SCORE_ENTRY, new GameModules.HighScoreEntryState(this));
+        manager.registerState(State.GAME_OVER, new GameModules.GameOverState(this, { rowsShown }));
+        
+        manager.addTransition(State.LOADING, State.TITLE, on('loaded'));
+        manager.addTransition(State.TITLE, State.PLAYING, on('start'));
+        manager.addTransition(State.TITLE, State.SETTINGS, on('settings'));
+        manager.addTransition(State.TITLE, State.PAUSED, on('loadSession'));
+        manager.addTransition(State.SETTINGS, State.TITLE, on('back'));
+        manager.addTransition(State.SETTINGS, State.CONTROLS, on('controls'));
+        manager.addTransition(State.CONTROLS, State.SETTINGS, on('back'));
+        manager.addTransition(State.PLAYING, State.PAUSED, on('pause'));
+        manager.addTransition(State.PAUSED, State.PLAYING, on('resume'));
+        manager.addTransition(State.PLAYING, State.PLAYING, on('restart'));
+        manager.addTransition(State.PAUSED, State.PLAYING, on('restart'));
+        manager.addTransition(State.GAME_OVER, State.PLAYING, on('restart'));
+        manager.addTransition(State.HIGH_SCORE_ENTRY, State.GAME_OVER, on('submitted'));
+        manager.addTransition(State.GAME_OVER, State.TITLE, on('continue'));
+        for (const from of [State.TITLE, State.PLAYING, State.PAUSED, State.GAME_OVER]) {
+            manager.addTransition(from, State.PLAYING, on('replay'));
+        }
+        manager.addTransition(State.PLAYING, State.GAME_OVER, on('replayEnd'));
+        
+        // Checked every frame: a finished game moves on by itself. Replayed
+        // scores are never entered in the table.
+        manager.addTransition(State.PLAYING, State.HIGH_SCORE_ENTRY,
+            () => this.gameOver && !this.replayPlayer && this.highScores.qualifies(this.score));
+        manager.addTransition(State.PLAYING, State.GAME_OVER,
+            () => this.gameOver && (Boolean(this.replayPlayer) || !this.highScores.qualifies(this.score)));
+        
+        manager.errorRecovery.fallbackState = State.TITLE;
+        
+        // During playback the replay context takes the pause key over (see PlayingState)
+        this.keyBindings.on('pause', (event) => {
+            if (event.pressed) this.togglePause();
+        });
+        this.keyBindings.on('restart', (event) => {
+            if (event.pressed) this.startNewGame('restart');
+        });
+        this.keyBindings.on('mute', (event) => {
+            if (event.pressed) this.audio.toggleMute();
+        });
+        
+        this._logInfo('States registered');
+    }
+
+    /**
+     * Build the formation configuration from GAME_CONFIG
+     * @private
+     * @returns {Object} InvaderFormation configuration
+     */
+    _getFormationConfig() {
+        const formation = GAME_CONFIG.FORMATION;
+        
+        return {
+            rows: formation.ROWS,
+            columns: formation.COLUMNS,
+            invaderWidth: GAME_CONFIG.ENEMY.WIDTH,
+            invaderHeight: GAME_CONFIG.ENEMY.HEIGHT,
+            horizontalSpacing: formation.H_SPACING,
+            verticalSpacing: formation.V_SPACING,
+            originX: formation.ORIGIN_X,
+            originY: formation.ORIGIN_Y,
+            stepDistance: formation.STEP_DISTANCE,
+            dropDistance: formation.DROP_DISTANCE,
+            stepInterval: formation.STEP_INTERVAL,
+            minStepInterval: formation.MIN_STEP_INTERVAL,
+            boundsLeft: formation.EDGE_MARGIN,
+            boundsRight: GAME_CONFIG.CANVAS.WIDTH - formation.EDGE_MARGIN,
+            invasionLine: GAME_CONFIG.PLAYER.START_Y,
+            rowTypes: formation.ROW_TYPES,
+            points: formation.POINTS
+        };
+    }
+
+    /**
+     * Create the row of shield bunkers, evenly spaced across the canvas
+     * @private
+     * @returns {Bunker[]} Bunkers
+     */
+    _createBunkers() {
+        const { COUNT, Y, CELL_SIZE, CRATER_RADIUS, COLOR } = GAME_CONFIG.BUNKER;
+        const bunkers = [];
+        
+        for (let i = 0; i < COUNT; i++) {
+            const bunker = new GameModules.Bunker({
+                y: Y,
+                cellSize: CELL_SIZE,
+                craterRadius: CRATER_RADIUS,
+                color: COLOR
+            });
+            const slotCenter = GAME_CONFIG.CANVAS.WIDTH * (i + 0.5) / COUNT;
+            bunker.setPosition(slotCenter - bunker.width / 2, Y);
+            // Debris flies back towards whoever fired
+            bunker.on('hit', ({ projectile, impact }) => {
+                const angle = projectile.velocity && projectile.velocity.y > 0 ? -Math.PI / 2 : Math.PI / 2;
+                this.particles.emit(GameModules.ParticleEmitter.BUNKER_IMPACT, impact.x, impact.y,
+                    { angle, colors: [COLOR] });
+            });
+            bunkers.push(bunker);
+        }
+        
+        return bunkers;
+    }
+
+    /**
+     * Build the lives configuration from GAME_CONFIG
+     * @private
+     * @returns {Object} LivesManager configuration
+     */
+    _getLivesConfig() {
+        const lives = GAME_CONFIG.LIVES;
+        
+        return {
+            mode: this.settings.livesMode,
+            startingLives: lives.STARTING_LIVES,
+            maxLives: lives.MAX_LIVES,
+            respawnDelay: lives.RESPAWN_DELAY,
+            explosionDuration: lives.EXPLOSION_DURATION,
+            extraLifeScores: lives.EXTRA_LIFE_SCORES,
+            extraLifeEvery: lives.EXTRA_LIFE_EVERY
+        };
+    }
+
+    /**
+     * Build the player's weapon configuration from GAME_CONFIG and the chosen weapon
+     * @private
+     * @returns {Object} Weapon configuration
+     */
+    _getWeaponConfig() {
+        const projectile = GAME_CONFIG.PROJECTILE;
+        
+        return {
+            weapon: this.settings.weapon,
+            archetypes: {
+                bullet: { speed: projectile.SPEED, width: projectile.WIDTH, height: projectile.HEIGHT }
+            },
+            weapons: {
+                single: { cooldown: projectile.COOLDOWN }
+            }
+        };
+    }
+
+    /**
+     * Put the next ship into play at the start position
+     * @private
+     */
+    _respawnPlayer() {
+        this.player.respawn(new GameModules.Vector2D(
+            GAME_CONFIG.PLAYER.START_X - GAME_CONFIG.PLAYER.WIDTH / 2,
+            GAME_CONFIG.PLAYER.START_Y
+        ));
+    }
+
+    /**
+     * Build the wave configuration from GAME_CONFIG
+     * @private
+     * @returns {Object} WaveManager configuration
+     */
+    _getWaveConfig() {
+        const waves = GAME_CONFIG.WAVES;
+        
+        return {
+            bannerDuration: waves.BANNER_DURATION,
+            speedGrowth: waves.SPEED_GROWTH,
+            maxSpeedMultiplier: waves.MAX_SPEED_MULTIPLIER,
+            fireRateGrowth: waves.FIRE_RATE_GROWTH,
+            maxFireRateMultiplier: waves.MAX_FIRE_RATE_MULTIPLIER,
+            rowDrop: GAME_CONFIG.FORMATION.DROP_DISTANCE,
+            maxRowDrops: waves.MAX_ROW_DROPS
+        };
+    }
+
+    /**
+     * Remove projectiles and the mystery ship once a wave is cleared
+     * @private
+     */
+    _clearField() {
+        // Retire shots rather than just dropping them; the weapon still counts active ones
+        this.projectiles.forEach(projectile => { projectile.active = false; });
+        this.projectiles = [];
+        this.enemyFire.reset();
+        this.ufo.reset();
+        this._syncLoopingSounds();
+    }
+
+    /**
+     * Play the siren only while the mystery ship flies and the game is live
+     * @private
+     */
+    _syncLoopingSounds() {
+        const live = this.getCurrentStateName() === GameModules.GameStateName.PLAYING;
+        
+        if (live && this.ufo && this.ufo.active) {
+            this.audio.startLoop(GameModules.SoundEffect.UFO_SIREN);
+        } else {
+            this.audio.stopLoop(GameModules.SoundEffect.UFO_SIREN);
+        }
+    }
+
+    /**
+     * Play the next bass note, shorter as the formation speeds up
+     * @private
+     */
+    _playMarchStep() {
+        const interval = this.formation.getStepInterval();
+        
+        this.audio.playMarchStep({
+            duration: Math.min(0.2, interval / 1000 * GAME_CONFIG.AUDIO.MARCH_NOTE_LENGTH)
+        });
+    }
+
+    /**
+     * Put the formation back in its first marching pose
+     * @private
+     */
+    _resetInvaderPose() {
+        if (this.invaderAnimator) {
+            this.invaderAnimator.play('march', { restart: true });
+        }
+    }
+
+    /**
+     * Set up the field for a new wave
+     * @private
+     * @param {Object} event - waveStart event
+     * @param {number} event.wave - Wave number
+     * @param {Object} event.difficulty - Difficulty settings for the wave
+     */
+    _startWave({ wave, difficulty }) {
+        this._clearField();
+        this.bunkers.forEach(bunker => bunker.reset());
+        
+        // Every wave restocks the weapons that run on ammo
+        const weapon = this.player.weapon;
+        for (const type of weapon.config.loadout) {
+            weapon.addAmmo(type, weapon.getDefinition(type).ammo);
+        }
+        
+        this.formation.setSpeedMultiplier(difficulty.speedMultiplier);
+        this.formation.reset({ originY: GAME_CONFIG.FORMATION.ORIGIN_Y + difficulty.originYOffset });
+        this.enemyFire.setRateMultiplier(difficulty.fireRateMultiplier);
+        
+        this._logInfo(`Wave ${wave} started`);
+    }
+
+    /**
+     * Build the mystery ship configuration from GAME_CONFIG
+     * @private
+     * @returns {Object} MysteryShip configuration
+     */
+    _getUfoConfig() {
+        const ufo = GAME_CONFIG.UFO;
+        
+        return {
+            width: ufo.WIDTH,
+            height: ufo.HEIGHT,
+            y: ufo.Y,
+            speed: ufo.SPEED,
+            spawnInterval: ufo.SPAWN_INTERVAL,
+            minInvaders: ufo.MIN_INVADERS,
+            boundsLeft: 0,
+            boundsRight: GAME_CONFIG.CANVAS.WIDTH,
+            popupDuration: ufo.POPUP_DURATION,
+            pointsTable: ufo.POINTS_TABLE
+        };
+    }
+
+    /**
+     * Build the enemy fire configuration from GAME_CONFIG
+     * @private
+     * @returns {Object} EnemyFireController configuration
+     */
+    _getEnemyFireConfig() {
+        const fire = GAME_CONFIG.ENEMY_FIRE;
+        const archetypes = {};
+        
+        for (const [kind, type] of Object.entries(fire.TYPES)) {
+            archetypes[kind] = {
+                speed: type.SPEED,
+                width: type.WIDTH,
+                height: type.HEIGHT,
+                damage: type.DAMAGE,
+                amplitude: type.AMPLITUDE || 0,
+                frequency: type.FREQUENCY || 0,
+                aimed: Boolean(type.AIMED)
+            };
+        }
+        
+        return {
+            fireInterval: fire.FIRE_INTERVAL,
+            maxActive: fire.MAX_ACTIVE,
+            boundsBottom: GAME_CONFIG.CANVAS.HEIGHT,
+            typeWeights: fire.TYPE_WEIGHTS,
+            archetypes
+        };
+    }
+
+    /**
+     * Setup additional event listeners
+     * @private
+     */
+    _setupEventListeners() {
+        // Handle window resize
+        window.addEventListener('resize', () => this._handleResize());
+        
+        // Browsers only start audio from a user gesture
+        const unlockAudio = () => this.audio.unlock();
+        window.addEventListener('keydown', unlockAudio, { once: true });
+        window.addEventListener('pointerdown', unlockAudio, { once: true });
+        
+        // Pause (and so save) when the tab is hidden; the player resumes when ready
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pause();
+            }
+        });
+        
+        this._logInfo('Event listeners setup');
+    }
+
+    /**
+     * Handle window resize
+     * @private
+     */
+    _handleResize() {
+        // Could implement responsive canvas sizing here
+        this._logInfo('Window resized');
+    }
+
+    /**
+     * Start the game loop on the title screen
+     */
+    start() {
+        if (this.gameLoop && this.gameLoop.isRunning()) {
+            this._logInfo('Game already running');
+            return;
+        }
+
+        if (!this.gameLoop) {
+            this.gameLoop = this._createGameLoop();
+        }
+        
+        if (!this.stateManager.currentState) {
+            if (this.headless) {
+                this.stateManager.changeState(GameModules.GameStateName.TITLE);
+            } else {
+                this.stateManager.changeState(GameModules.GameStateName.LOADING);
+                this._loadAssets();
+            }
+        }
+        
+        this.gameLoop.start();
+        
+        this._logInfo('Game started');
+    }
+
+    /**
+     * Load the asset manifest, swap loaded art in for the generated sprites
+     * and move on to the title screen
+     *
+     * Never fails: missing files become placeholders, and without a manifest
+     * the generated sprites are kept.
+     * @private
+     */
+    async _loadAssets() {
+        try {
+            await this.assets.loadManifest(GAME_CONFIG.ASSETS.MANIFEST);
+        } catch (error) {
+            this._logError('Asset manifest unavailable, using generated sprites', error);
+        }
+        
+        const image = this.assets.get('player');
+        if (image) {
+            const ship = {
+                type: 'image',
+                image,
+                width: GAME_CONFIG.PLAYER.WIDTH,
+                height: GAME_CONFIG.PLAYER.HEIGHT
+            };
+            this.spriteRenderer.createSprite('player', ship);
+            this._createPlayerAtlas(ship);
+            this.player.setAnimator(this._createPlayerAnimator());
+        }
+        
+        await this.requestState(GameModules.GameStateName.TITLE, 'loaded');
+    }
+
+    /**
+     * Stop the loop and release timers and listeners
+     */
+    destroy() {
+        if (this.gameLoop) {
+            this.gameLoop.stop();
+        }
+        if (this.input) {
+            this.input.destroy();
+        }
+        if (this.gamepad) {
+            this.gamepad.destroy();
+        }
+        if (this.touchControls) {
+            this.touchControls.destroy();
+        }
+        if (this.keyBindings) {
+            this.keyBindings.destroy();
+        }
+        if (this.stateManager) {
+            this.stateManager.destroy();
+        }
+        if (this.audio) {
+            this.audio.destroy();
+        }
+        if (this.particles) {
+            this.particles.destroy();
+        }
+        if (this.performanceMonitor) {
+            this.performanceMonitor.destroy();
+        }
+        
+        this._logInfo('Game destroyed');
+    }
+
+    /**
+     * Pause gameplay and save the session so it can be continued later
+     * @returns {Promise<boolean>} True if the game was paused
+     */
+    async pause() {
+        const paused = await this.requestState(GameModules.GameStateName.PAUSED, 'pause');
+        
+        if (paused) {
+            this.saveSession();
+        }
+        
+        return paused;
+    }
+
+    /**
+     * Resume paused gameplay
+     * @returns {Promise<boolean>} True if play resumed
+     */
+    resume() {
+        return this.requestState(GameModules.GameStateName.PLAYING, 'resume');
+    }
+
+    /**
+     * Pause while playing, resume while paused
+     * @returns {Promise<boolean>} True if the state changed
+     */
+    togglePause() {
+        const current = this.getCurrentStateName();
+        
+        if (current === GameModules.GameStateName.PLAYING) {
+            return this.pause();
+        }
+        if (current === GameModules.GameStateName.PAUSED) {
+            return this.resume();
+        }
+        
+        return Promise.resolve(false);
+    }
+
+    /**
+     * Reset the field and score and go to the playing state
+     * @param {string} [trigger='start'] - Transition trigger ('start' or 'restart')
+     * @returns {Promise<boolean>} True if a new game began
+     */
+    async startNewGame(trigger = 'start') {
+        const context = { trigger };
+        const manager = this.stateManager;
+        
+        if (manager.isTransitioning || !manager.canTransitionTo(GameModules.GameStateName.PLAYING, context)) {
+            return false;
+        }
+        
+        if (trigger !== 'replay') {
+            this.stopReplay();
+            // A fresh game replaces whatever was suspended
+            this.sessionStore.clear();
+        }
+        
+        this.score = 0;
+        this.gameOver = false;
+        this.simulationTime = 0;
+        if (this.replayPlayer) {
+            this.random.reseed(this.replayPlayer.getSeed());
+        } else {
+            this.random.reseed(this.fixedSeed !== undefined ? this.fixedSeed : GameModules.RandomService.generateSeed());
+        }
+        this._initializeEntities();
+        
+        // Every live game is recorded; exportReplay() hands out the latest one
+        this.replayRecorder = this.replayPlayer ? null : new GameModules.ReplayRecorder({
+            seed: this.random.getSeed(),
+            config: this._getReplayConfig()
+        }, {
+            checksumInterval: GAME_CONFIG.REPLAY.CHECKSUM_INTERVAL
+        });
+        
+        const started = { start: 'New game started', restart: 'Game restarted', replay: 'Replay started' }[trigger];
+        this._logInfo(`${started || 'New game started'} (seed ${this.random.getSeed()})`);
+        
+        return manager.changeState(GameModules.GameStateName.PLAYING, context);
+    }
+
+    /**
+     * Play a recorded game back through the normal update path
+     *
+     * Device input is ignored until playback ends. Control playback through
+     * replayPlayer (pause, step, setSpeed) or the replay input context:
+     * P pauses, period steps a tick and S cycles the speed.
+     * @param {string|Object} replay - Replay produced by exportReplay()
+     * @returns {Promise<boolean>} True if playback began
+     * @throws {Error} When the replay is malformed
+     */
+    async playReplay(replay) {
+        const player = new GameModules.ReplayPlayer(replay, {
+            onDesync: ({ tick }) => this._logError('Replay desynced', new Error(`State diverged at tick ${tick}`))
+        });
+        const config = player.getConfig();
+        const manager = this.stateManager;
+        
+        if (manager.isTransitioning || !manager.canTransitionTo(GameModules.GameStateName.PLAYING, { trigger: 'replay' })) {
+            return false;
+        }
+        
+        if (config.configHash !== this._getReplayConfig().configHash) {
+            this._logInfo('Replay was recorded with a different GAME_CONFIG; expect a desync');
+        }
+        
+        this.stopReplay();
+        this.replayPlayer = player;
+        this.liveSettings = { ...this.settings };
+        if (config.livesMode) {
+            this.settings.livesMode = config.livesMode;
+        }
+        if (config.weapon) {
+            this.settings.weapon = config.weapon;
+        }
+        this._setDevicesEnabled(false);
+        
+        return this.startNewGame('replay');
+    }
+
+    /**
+     * Stop replay playback and give control back to the input devices
+     */
+    stopReplay() {
+        const playback = this.replayPlayer;
+        if (!playback) return;
+        
+        if (!playback.isFinished()) {
+            playback.stop();
+            this._finishPlayback();
+        }
+        this.replayPlayer = null;
+    }
+
+    /**
+     * Check whether a replay is being played back
+     * @returns {boolean} True while recorded ticks remain
+     */
+    isReplaying() {
+        return Boolean(this.replayPlayer) && !this.replayPlayer.isFinished();
+    }
+
+    /**
+     * Get the recording of the current or most recent live game
+     * @returns {string|null} Replay file contents, or null before the first game
+     */
+    exportReplay() {
+        return this.replayRecorder ? this.replayRecorder.serialize() : null;
+    }
+
+    /**
+     * Capture everything needed to carry on the current game later
+     * @returns {Object} JSON-safe session snapshot
+     */
+    getSessionSnapshot() {
+        return {
+            simulationTime: this.simulationTime,
+            score: this.score,
+            shotsFired: this.shotsFired,
+            livesMode: this.settings.livesMode,
+            random: this.random.getState(),
+            player: this.player.getState(),
+            projectiles: this.projectiles.filter(p => p.active).map(p => ({
+                x: p.position.x,
+                y: p.position.y,
+                vx: p.velocity.x,
+                vy: p.velocity.y,
+                width: p.size.x,
+                height: p.size.y,
+                type: p.type,
+                kind: p.kind,
+                weapon: p.weapon,
+                pierce: p.pierce,
+                turnRate: p.turnRate
+            })),
+            formation: this.formation.getState(),
+            bunkers: this.bunkers.map(bunker => bunker.getState()),
+            enemyFire: this.enemyFire.getState(),
+            ufo: this.ufo.getState(),
+            wave: this.waveManager.getState(),
+            lives: this.livesManager.getState()
+        };
+    }
+
+    /**
+     * Replace the field with a snapshot from getSessionSnapshot()
+     * @param {Object} snapshot - Session snapshot
+     * @throws {Error} When the snapshot does not fit this build's field
+     */
+    restoreSession(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.projectiles) || !Array.isArray(snapshot.bunkers)) {
+            throw new Error('Invalid session snapshot');
+        }
+        if (!['lives', 'health'].includes(snapshot.livesMode)) {
+            throw new Error(`Unknown lives mode: ${snapshot.livesMode}`);
+        }
+        
+        this.settings.livesMode = snapshot.livesMode;
+        this._initializeEntities();
+        
+        if (snapshot.bunkers.length !== this.bunkers.length) {
+            throw new Error('Saved bunkers do not match the field');
+        }
+        
+        this.score = Math.max(0, Number(snapshot.score) || 0);
+        this.gameOver = false;
+        this.simulationTime = Number(snapshot.simulationTime) || 0;
+        this.shotsFired = Number(snapshot.shotsFired) || 0;
+        this.player.setState(snapshot.player);
+        const archetypes = this.player.weapon.config.archetypes;
+        const unknown = snapshot.projectiles.find(p => !archetypes[p.kind] || !this.player.weapon.getDefinition(p.weapon));
+        if (unknown) {
+            throw new Error(`Unknown projectile: ${unknown.kind} from ${unknown.weapon}`);
+        }
+        this.projectiles = snapshot.projectiles.map(p => ({
+            position: new GameModules.Vector2D(p.x, p.y),
+            velocity: new GameModules.Vector2D(p.vx, p.vy),
+            size: new GameModules.Vector2D(p.width, p.height),
+            type: p.type,
+            kind: p.kind,
+            weapon: p.weapon,
+            pierce: Number(p.pierce) || 0,
+            turnRate: Number(p.turnRate) || 0,
+            active: true
+        }));
+        this.player.weapon.trackShots(this.projectiles);
+        this.formation.setState(snapshot.formation);
+        this.bunkers.forEach((bunker, index) => bunker.setState(snapshot.bunkers[index]));
+        this.enemyFire.setState(snapshot.enemyFire);
+        this.ufo.setState(snapshot.ufo);
+        this.waveManager.setState(snapshot.wave);
+        this.livesManager.setState(snapshot.lives);
+        // Last, so nothing above draws from the restored streams
+        this.random.setState(snapshot.random);
+        
+        // A replay needs the whole game from its seed; continued games are not recorded
+        this.replayRecorder = null;
+    }
+
+    /**
+     * Save the current game so it can be continued from the title screen
+     * @returns {boolean} True if a snapshot was written
+     */
+    saveSession() {
+        const State = GameModules.GameStateName;
+        const current = this.getCurrentStateName();
+        
+        if (this.replayPlayer || this.gameOver || (current !== State.PLAYING && current !== State.PAUSED)) {
+            return false;
+        }
+        
+        const saved = this.sessionStore.save(this.getSessionSnapshot());
+        if (saved) {
+            this._logInfo('Session saved');
+        }
+        return saved;
+    }
+
+    /**
+     * Remember the current key bindings for the next visit
+     * @returns {boolean} True if the bindings were written
+     */
+    saveKeyBindings() {
+        return Boolean(this.bindingStore) && this.bindingStore.save(this.keyBindings);
+    }
+
+    /**
+     * Check whether a suspended game can be continued
+     * @returns {boolean} True if a session is saved
+     */
+    hasSavedSession() {
+        return Boolean(this.sessionStore) && this.sessionStore.hasSave();
+    }
+
+    /**
+     * Restore the saved session and show it paused, ready to resume
+     * @returns {Promise<boolean>} True if the session was restored
+     */
+    async continueSession() {
+        const context = { trigger: 'loadSession' };
+        const manager = this.stateManager;
+        
+        if (manager.isTransitioning || !manager.canTransitionTo(GameModules.GameStateName.PAUSED, context)) {
+            return false;
         }
-
-        // Set canvas properties
-        this.canvas.width = GAME_CONFIG.CANVAS.WIDTH;
-        this.canvas.height = GAME_CONFIG.CANVAS.HEIGHT;
         
-        this._logInfo('Canvas setup complete');
+        const snapshot = this.sessionStore.load();
+        if (!snapshot) {
+            return false;
+        }
+        
+        this.stopReplay();
+        const settings = { ...this.settings };
+        try {
+            this.restoreSession(snapshot);
+        } catch (error) {
+            this._logError('Discarding unusable session', error);
+            this.sessionStore.clear();
+            // Leave the settings and a clean field behind for the next new game
+            Object.assign(this.settings, settings);
+            this._initializeEntities();
+            return false;
+        }
+        
+        this._logInfo(`Session continued at wave ${this.waveManager.getCurrentWave()}`);
+        return manager.changeState(GameModules.GameStateName.PAUSED, context);
     }
 
     /**
-     * Setup game managers
-     * @private
+     * Hash the simulation state that a desync would show up in
+     * @returns {number} State checksum
      */
-    _setupManagers() {
-        this.inputManager = new InputManager();
-        this.spriteRenderer = new SpriteRenderer(this.context);
+    getChecksum() {
+        const bounds = this.formation.getBounds();
         
-        this._logInfo('Managers initialized');
+        return GameModules.checksumValues([
+            this.simulationTime,
+            this.score,
+            this.livesManager.getLives(),
+            this.player.position.x,
+            this.player.position.y,
+            this.player.health,
+            this.formation.getAliveCount(),
+            bounds.left,
+            bounds.top,
+            this.projectiles.filter(p => p.active).length,
+            this.enemyFire.getActiveProjectiles().length,
+            this.ufo.active,
+            this.random.stream(GameModules.RandomStream.ENEMY_FIRE).getState()
+        ]);
     }
 
     /**
-     * Create sprite assets
+     * Settings stored in a replay header; a replay only reproduces a run under the same values
      * @private
+     * @returns {Object} Replay run configuration
      */
-    _createSprites() {
-        // Player sprite
-        this.spriteRenderer.createSprite('player', {
-            type: 'player',
-            width: GAME_CONFIG.PLAYER.WIDTH,
-            height: GAME_CONFIG.PLAYER.HEIGHT,
-            color: GAME_CONFIG.PLAYER.COLOR
-        });
-
-        // Enemy sprite
-        this.spriteRenderer.createSprite('enemy', {
-            type: 'enemy',
-            width: GAME_CONFIG.ENEMY.WIDTH,
-            height: GAME_CONFIG.ENEMY.HEIGHT,
-            color: GAME_CONFIG.ENEMY.COLOR
-        });
-
-        // Projectile sprite
-        this.spriteRenderer.createSprite('projectile', {
-            type: 'projectile',
-            width: GAME_CONFIG.PROJECTILE.WIDTH,
-            height: GAME_CONFIG.PROJECTILE.HEIGHT,
-            color: GAME_CONFIG.PROJECTILE.COLOR
-        });
-        
-        this._logInfo('Sprites created');
+    _getReplayConfig() {
+        return {
+            tickRate: GAME_CONFIG.LOOP.TICK_RATE,
+            livesMode: this.settings.livesMode,
+            weapon: this.settings.weapon,
+            configHash: GameModules.hashString(JSON.stringify(GAME_CONFIG))
+        };
     }
 
     /**
-     * Initialize game entities
+     * Hand control back to the devices once playback runs out
      * @private
      */
-    _initializeEntities() {
-        const playerStartPos = new Vector2D(
-            GAME_CONFIG.PLAYER.START_X - GAME_CONFIG.PLAYER.WIDTH / 2,
-            GAME_CONFIG.PLAYER.START_Y
-        );
-        
-        this.player = new Player(playerStartPos);
-        this.projectiles = [];
-        this.enemies = [];
+    _finishPlayback() {
+        if (this.liveSettings) {
+            Object.assign(this.settings, this.liveSettings);
+            this.liveSettings = null;
+        }
+        this._setDevicesEnabled(true);
         
-        this._logInfo('Entities initialized');
+        const desync = this.replayPlayer.getDesync();
+        this._logInfo(desync ? `Replay ended, desynced at tick ${desync.tick}` : 'Replay ended in sync');
     }
 
     /**
-     * Setup additional event listeners
+     * Accept or ignore the keyboard, touch and gamepads in gameplay; disabling
+     * releases everything held. Menus keep reading the key bindings.
      * @private
+     * @param {boolean} enabled - Whether device input is accepted
      */
-    _setupEventListeners() {
-        // Handle window resize
-        window.addEventListener('resize', () => this._handleResize());
+    _setDevicesEnabled(enabled) {
+        this.input.setEnabled(enabled);
+    }
+
+    /**
+     * Move to another state if the transition table allows it
+     * @param {string} name - Target state name
+     * @param {string} trigger - Transition trigger
+     * @returns {Promise<boolean>} True if the state changed
+     */
+    async requestState(name, trigger) {
+        const context = { trigger };
+        const manager = this.stateManager;
         
-        // Handle visibility change
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.pause();
-            } else {
-                this.resume();
-            }
-        });
+        if (manager.isTransitioning || !manager.canTransitionTo(name, context)) {
+            return false;
+        }
         
-        this._logInfo('Event listeners setup');
+        return manager.changeState(name, context);
     }
 
     /**
-     * Handle window resize
+     * Get the name of the active state
+     * @returns {string|null} State name, or null before the game starts
+     */
+    getCurrentStateName() {
+        return this.stateManager && this.stateManager.currentState
+            ? this.stateManager.currentState.name
+            : null;
+    }
+
+    /**
+     * Create the fixed-timestep loop that drives the state manager
      * @private
+     * @returns {GameLoop} Game loop
      */
-    _handleResize() {
-        // Could implement responsive canvas sizing here
-        this._logInfo('Window resized');
+    _createGameLoop() {
+        return new GameModules.GameLoop({
+            update: (deltaTime) => this.stateManager.update(deltaTime),
+            render: (interpolation) => {
+                const frameStart = this.performanceMonitor ? this.performanceMonitor.startFrame() : 0;
+                // Pads have no events; read them once a frame, ready for the next ticks
+                this.input.poll();
+                this._render(interpolation);
+                this._updatePerformanceMetrics(performance.now());
+                if (this.performanceMonitor) {
+                    this.performanceMonitor.endFrame(frameStart);
+                }
+            },
+            // Log and keep running, as the hand-rolled loop did
+            onError: (message, error) => this._logError(message, error)
+        }, {
+            targetFPS: GAME_CONFIG.LOOP.TICK_RATE,
+            maxDeltaTime: GAME_CONFIG.LOOP.MAX_FRAME_TIME,
+            maxUpdatesPerFrame: GAME_CONFIG.LOOP.MAX_UPDATES_PER_FRAME
+        });
     }
 
     /**
-     * Start the game
+     * Advance gameplay by one fixed tick; driven by the playing state
+     * @param {number} deltaTime - Tick length in milliseconds
      */
-    start() {
-        if (this.gameRunning) {
-            this._logInfo('Game already running');
+    simulate(deltaTime) {
+        const playback = this.replayPlayer;
+        
+        if (!playback) {
+            this._tick(deltaTime);
             return;
         }
-
-        this.gameRunning = true;
-        this.lastTime = performance.now();
-        this._gameLoop();
+        if (playback.isFinished()) return;
         
-        this._logInfo('Game started');
+        // Speed, pause and stepping decide how many recorded ticks this update runs
+        const ticks = playback.takeTicks();
+        for (let i = 0; i < ticks && !this.gameOver; i++) {
+            this._tick(playback.getTimeStep(deltaTime));
+        }
+        
+        if (this.gameOver || playback.isFinished()) {
+            playback.stop();
+            this._finishPlayback();
+            if (!this.gameOver) {
+                this.requestState(GameModules.GameStateName.GAME_OVER, 'replayEnd');
+            }
+        }
     }
 
     /**
-     * Pause the game
+     * Run one fixed tick on the resolved input and checksum it for the replay
+     * @private
+     * @param {number} deltaTime - Tick length in milliseconds
      */
-    pause() {
-        this.gameRunning = false;
-        this._logInfo('Game paused');
+    _tick(deltaTime) {
+        const input = new TickInput(this._captureInput());
+        
+        this._savePreviousPositions();
+        this.simulationTime += deltaTime;
+        this._update(deltaTime / 1000, this.simulationTime, input);
+        this.particles.update(deltaTime);
+        
+        const replay = this.replayPlayer || this.replayRecorder;
+        if (replay) {
+            replay.checkpoint(() => this.getChecksum());
+        }
     }
 
     /**
-     * Resume the game
+     * Resolve this tick's actions: from the recording during playback,
+     * otherwise from the devices, recording them as they are read
+     * @private
+     * @returns {number} ReplayAction bits
      */
-    resume() {
-        if (this.gameRunning) return;
+    _captureInput() {
+        if (this.replayPlayer) {
+            return this.replayPlayer.next();
+        }
+        
+        const bits = GameModules.encodeActions(this.input.sample());
         
-        this.gameRunning = true;
-        this.lastTime = performance.now();
-        this._gameLoop();
+        if (this.replayRecorder) {
+            this.replayRecorder.record(bits);
+        }
         
-        this._logInfo('Game resumed');
+        return bits;
     }
 
     /**
-     * Main game loop
+     * Remember where moving entities were before this tick, for render interpolation
      * @private
      */
-    _gameLoop() {
-        if (!this.gameRunning) return;
-
-        const currentTime = performance.now();
-        const deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
-        this.lastTime = currentTime;
-
-        try {
-            this._update(deltaTime, currentTime);
-            this._render();
-            this._updatePerformanceMetrics(currentTime);
-            
-        } catch (error) {
-            this._logError('Error in game loop', error);
+    _savePreviousPositions() {
+        const snapshot = entity => (entity.active ? { x: entity.position.x, y: entity.position.y } : null);
+        
+        if (this.player) {
+            this.player.previousPosition = snapshot(this.player);
         }
+        for (const projectile of this.projectiles) {
+            projectile.previousPosition = snapshot(projectile);
+        }
+        for (const projectile of this.enemyFire.getActiveProjectiles()) {
+            projectile.previousPosition = snapshot(projectile);
+        }
+        this.ufo.previousPosition = snapshot(this.ufo);
+    }
 
-        requestAnimationFrame(() => this._gameLoop());
+    /**
+     * Blend an entity's position between the last two ticks
+     * @private
+     * @param {Object} entity - Entity with position and optional previousPosition
+     * @param {number} alpha - Interpolation factor (0 = previous tick, 1 = current tick)
+     * @returns {{x: number, y: number}} Position to draw at
+     */
+    _interpolatePosition(entity, alpha) {
+        const previous = entity.previousPosition;
+        
+        // Entities spawned or teleported this tick have nothing to blend from
+        if (!previous || alpha >= 1) {
+            return entity.position;
+        }
+        
+        return {
+            x: previous.x + (entity.position.x - previous.x) * alpha,
+            y: previous.y + (entity.position.y - previous.y) * alpha
+        };
     }
 
     /**
@@ -853,57 +2279,78 @@ class Game {
      * @private
      * @param {number} deltaTime - Time since last update
      * @param {number} currentTime - Current timestamp
+     * @param {TickInput} input - Actions resolved for this tick
      */
-    _update(deltaTime, currentTime) {
+    _update(deltaTime, currentTime, input) {
+        if (this.gameOver) return;
+
+        // Freeze the field until the next ship arrives; the lost ship only animates
+        this.livesManager.update(deltaTime * 1000);
+        if (this.livesManager.isRespawning()) {
+            this.player.update(deltaTime, input);
+            this._updateProjectiles(deltaTime);
+            this._cleanupEntities();
+            return;
+        }
+
+        // Hold the field empty while the inter-wave banner shows
+        this.waveManager.update(deltaTime * 1000);
+        if (this.waveManager.isIntermission()) {
+            if (this.player && this.player.active) {
+                this.player.update(deltaTime, input);
+            }
+            return;
+        }
+
         // Update player
         if (this.player && this.player.active) {
-            this.player.update(deltaTime, this.inputManager);
+            this.player.update(deltaTime, input);
+            if (input.getMovementVector().x !== 0) {
+                this.particles.emit(GameModules.ParticleEmitter.EXHAUST,
+                    this.player.position.x + this.player.size.x / 2, this.player.position.y + this.player.size.y);
+            }
             
-            // Handle shooting
-            if (this.inputManager.isShooting()) {
-                const projectile = this.player.shoot(currentTime);
-                if (projectile) {
-                    this.projectiles.push(projectile);
+            if (input.isSwitchingWeapon()) {
+                this.player.weapon.cycleWeapon();
+            }
+            
+            // Handle shooting; a spread counts as one shot
+            if (input.isShooting()) {
+                const shots = this.player.shoot(currentTime);
+                if (shots.length > 0) {
+                    this.projectiles.push(...shots);
+                    this.shotsFired++;
+                    this.audio.play(GameModules.SoundEffect.LASER);
                 }
             }
         }
 
-        // Spawn enemies
-        if (currentTime - this.lastEnemySpawn >= GAME_CONFIG.ENEMY.SPAWN_RATE) {
-            this._spawnEnemy();
-            this.lastEnemySpawn = currentTime;
-        }
-
         // Update projectiles
         this._updateProjectiles(deltaTime);
         
-        // Update enemies
-        this._updateEnemies(deltaTime);
+        // March the invader formation
+        this.formation.update(deltaTime * 1000);
+        
+        // Let the bottom row shoot back
+        this.enemyFire.update(deltaTime * 1000, this.formation, this.player);
+        
+        // Fly the mystery ship
+        this.ufo.update(deltaTime * 1000, {
+            shotsFired: this.shotsFired,
+            invadersRemaining: this.formation.getAliveCount()
+        });
         
         // Check collisions
         this._checkCollisions();
+        this.livesManager.checkExtraLife(this.score);
         
         // Clean up inactive entities
         this._cleanupEntities();
-    }
-
-    /**
-     * Spawn a new enemy
-     * @private
-     */
-    _spawnEnemy() {
-        const enemy = {
-            position: new Vector2D(
-                Math.random() * (GAME_CONFIG.CANVAS.WIDTH - GAME_CONFIG.ENEMY.WIDTH),
-                -GAME_CONFIG.ENEMY.HEIGHT
-            ),
-            velocity: new Vector2D(0, GAME_CONFIG.ENEMY.SPEED),
-            size: new Vector2D(GAME_CONFIG.ENEMY.WIDTH, GAME_CONFIG.ENEMY.HEIGHT),
-            health: 1,
-            active: true
-        };
         
-        this.enemies.push(enemy);
+        // Wiping out the formation ends the wave
+        if (this.formation.isCleared()) {
+            this.waveManager.completeWave();
+        }
     }
 
     /**
@@ -912,37 +2359,77 @@ class Game {
      * @param {number} deltaTime - Time delta
      */
     _updateProjectiles(deltaTime) {
+        let targets = null;
+        
         for (const projectile of this.projectiles) {
             if (!projectile.active) continue;
             
-            const deltaPosition = projectile.velocity.multiply(deltaTime);
-            projectile.position = projectile.position.add(deltaPosition);
+            // Missiles home in on the nearest invader or the mystery ship
+            if (projectile.turnRate > 0) {
+                targets = targets || [...this.formation.getActiveInvaders(), ...(this.ufo.active ? [this.ufo] : [])];
+                GameModules.Weapon.steer(projectile, targets, deltaTime);
+            }
+            
+            projectile.position.add(projectile.velocity.clone().multiply(deltaTime));
             
             // Remove projectiles that are off-screen
             if (projectile.position.y < -projectile.size.y || 
-                projectile.position.y > GAME_CONFIG.CANVAS.HEIGHT) {
+                projectile.position.y > GAME_CONFIG.CANVAS.HEIGHT ||
+                projectile.position.x < -projectile.size.x ||
+                projectile.position.x > GAME_CONFIG.CANVAS.WIDTH) {
                 projectile.active = false;
             }
         }
     }
 
     /**
-     * Update enemies
+     * Register collision responses; rules run in order, so bunkers stop shots first
      * @private
-     * @param {number} deltaTime - Time delta
      */
-    _updateEnemies(deltaTime) {
-        for (const enemy of this.enemies) {
-            if (!enemy.active) continue;
-            
-            const deltaPosition = enemy.velocity.multiply(deltaTime);
-            enemy.position = enemy.position.add(deltaPosition);
-            
-            // Remove enemies that are off-screen
-            if (enemy.position.y > GAME_CONFIG.CANVAS.HEIGHT) {
-                enemy.active = false;
+    _setupCollisionRules() {
+        const Layer = GameModules.CollisionLayer;
+        const grid = this.collisionGrid;
+        
+        // Projectiles from either side chip craters out of the bunkers
+        const shotHitsBunker = (projectile, bunker) => {
+            if (bunker.handleProjectileHit(projectile)) {
+                projectile.active = false;
             }
-        }
+        };
+        grid.onCollision(Layer.PLAYER_SHOT, Layer.BUNKER, shotHitsBunker);
+        grid.onCollision(Layer.ENEMY_SHOT, Layer.BUNKER, shotHitsBunker);
+        
+        // Invaders marching through a bunker grind it away
+        grid.onCollision(Layer.ENEMY, Layer.BUNKER, (enemy, bunker) => bunker.erodeRect(enemy));
+        
+        // Player shots destroy invaders and the mystery ship; a laser carries on through a few
+        grid.onCollision(Layer.PLAYER_SHOT, Layer.ENEMY, (projectile, enemy) => {
+            if (projectile.pierce > 0) {
+                projectile.pierce--;
+            } else {
+                projectile.active = false;
+            }
+            this.score += enemy === this.ufo
+                ? this.ufo.hit(this.shotsFired)
+                : this.formation.killInvader(enemy);
+        });
+        
+        // Ramming an invader costs health
+        grid.onCollision(Layer.PLAYER, Layer.ENEMY, (player, enemy) => {
+            if (enemy === this.ufo) return;
+            
+            this.formation.killInvader(enemy);
+            this._damagePlayer(20, { type: 'invader', id: enemy.id });
+        });
+        
+        grid.onCollision(Layer.ENEMY_SHOT, Layer.PLAYER, (projectile) => {
+            projectile.active = false;
+            this._damagePlayer(projectile.damage, {
+                type: 'enemyProjectile',
+                kind: projectile.kind,
+                shooter: projectile.shooter
+            });
+        });
     }
 
     /**
@@ -950,46 +2437,95 @@ class Game {
      * @private
      */
     _checkCollisions() {
-        // Check projectile-enemy collisions
+        const Layer = GameModules.CollisionLayer;
+        const grid = this.collisionGrid;
+        
+        // Everything moves every tick, so rebuilding is cheaper than re-bucketing
+        grid.clear();
+        
+        if (this.player.active) {
+            grid.insert(this.player, Layer.PLAYER);
+        }
         for (const projectile of this.projectiles) {
-            if (!projectile.active || projectile.type !== 'player') continue;
-            
-            for (const enemy of this.enemies) {
-                if (!enemy.active) continue;
-                
-                if (this._checkCollision(projectile, enemy)) {
-                    projectile.active = false;
-                    enemy.active = false;
-                    this.score += 10;
-                }
+            if (projectile.active && projectile.type === 'player') {
+                grid.insert(projectile, Layer.PLAYER_SHOT);
             }
         }
-
-        // Check player-enemy collisions
-        if (this.player && this.player.active) {
-            for (const enemy of this.enemies) {
-                if (!enemy.active) continue;
-                
-                if (this._checkCollision(this.player, enemy)) {
-                    enemy.active = false;
-                    this.player.takeDamage(20);
-                }
+        for (const projectile of this.enemyFire.getActiveProjectiles()) {
+            grid.insert(projectile, Layer.ENEMY_SHOT);
+        }
+        for (const enemy of this.formation.getActiveInvaders()) {
+            grid.insert(enemy, Layer.ENEMY);
+        }
+        if (this.ufo.active) {
+            grid.insert(this.ufo, Layer.ENEMY);
+        }
+        for (const bunker of this.bunkers) {
+            if (!bunker.isDestroyed()) {
+                grid.insert(bunker, Layer.BUNKER);
             }
         }
+        
+        grid.checkCollisions();
+    }
+
+    /**
+     * Damage the player and hand a lost ship over to the lives system
+     * @private
+     * @param {number} amount - Damage in health mode; any hit is lethal in lives mode
+     * @param {Object} source - Damage source information
+     */
+    _damagePlayer(amount, source) {
+        const damage = this.livesManager.isOneHitMode() ? this.player.health : amount;
+        
+        if (!this.player.takeDamage(damage, source)) {
+            return;
+        }
+        if (this.gamepad) {
+            this.gamepad.rumble();
+        }
+        if (this.player.active) {
+            return;
+        }
+        
+        this.enemyFire.reset();
+        this.livesManager.loseLife({
+            x: this.player.position.x + this.player.size.x / 2,
+            y: this.player.position.y + this.player.size.y / 2
+        });
     }
 
     /**
-     * Check collision between two entities
+     * End the current game
      * @private
-     * @param {Object} a - First entity
-     * @param {Object} b - Second entity
-     * @returns {boolean} True if collision detected
+     * @param {string} reason - Why the game ended
+     */
+    _triggerGameOver(reason) {
+        if (this.gameOver) return;
+        
+        // The state manager moves on to initials entry or the game over screen
+        this.gameOver = true;
+        if (!this.replayPlayer) {
+            this.sessionStore.clear();
+        }
+        this._logInfo(`Game over: ${reason}`);
+    }
+
+    /**
+     * Record the final score in the high score table
+     * @param {string} initials - Player initials
+     * @returns {number} Zero-based rank, or -1 if the score did not qualify
      */
-    _checkCollision(a, b) {
-        return a.position.x < b.position.x + b.size.x &&
-               a.position.x + a.size.x > b.position.x &&
-               a.position.y < b.position.y + b.size.y &&
-               a.position.y + a.size.y > b.position.y;
+    recordHighScore(initials) {
+        const rank = this.highScores.addEntry({
+            score: this.score,
+            initials,
+            wave: this.waveManager.getCurrentWave(),
+            mode: this.settings.livesMode
+        });
+        
+        this._logInfo(`High score recorded at rank ${rank + 1}`);
+        return rank;
     }
 
     /**
@@ -998,71 +2534,207 @@ class Game {
      */
     _cleanupEntities() {
         this.projectiles = this.projectiles.filter(p => p.active);
-        this.enemies = this.enemies.filter(e => e.active);
     }
 
     /**
      * Render the game
      * @private
+     * @param {number} [interpolation=1] - Fraction of a tick since the last update
      */
-    _render() {
+    _render(interpolation = 1) {
+        this.interpolation = interpolation;
+
+        // Keep the last frame on screen while states swap; headless games never draw
+        if (this.stateManager.isTransitioning || !this.context) return;
+
         // Clear canvas
         this.context.fillStyle = GAME_CONFIG.CANVAS.BACKGROUND_COLOR;
         this.context.fillRect(0, 0, GAME_CONFIG.CANVAS.WIDTH, GAME_CONFIG.CANVAS.HEIGHT);
 
-        // Render player
-        if (this.player && this.player.active) {
-            this.spriteRenderer.render('player', this.player.position);
+        this.stateManager.render(this.context);
+        
+        if (this.touchControls) {
+            this.touchControls.render(this.context);
+        }
+    }
+
+    /**
+     * Render the playfield; used by the gameplay and overlay states
+     * @param {number} [alpha=1] - Interpolation factor; 1 draws the latest tick as-is
+     */
+    renderScene(alpha = 1) {
+        // Render player, flickering while invulnerable; a lost ship explodes where it was hit
+        if (this.player && (this.player.active || this.player.isExploding())) {
+            const flickerHidden = this.player.active && this.player.isInvulnerable &&
+                Math.floor(this.player.invulnerabilityTimer / 100) % 2 === 1;
+            if (!flickerHidden) {
+                const frame = this.player.animator ? this.player.animator.getFrameName() : null;
+                const position = this._interpolatePosition(this.player, alpha);
+                if (frame) {
+                    this.spriteRenderer.renderFrame('player', frame, position);
+                } else {
+                    this.spriteRenderer.render('player', position);
+                }
+            }
         }
 
         // Render projectiles
         for (const projectile of this.projectiles) {
             if (projectile.active) {
-                this.spriteRenderer.render('projectile', projectile.position);
+                this.spriteRenderer.render(`projectile_${projectile.kind}`, this._interpolatePosition(projectile, alpha));
             }
         }
 
-        // Render enemies
-        for (const enemy of this.enemies) {
-            if (enemy.active) {
-                this.spriteRenderer.render('enemy', enemy.position);
-            }
+        // Render death explosion
+        const explosion = this.livesManager.getExplosion();
+        if (explosion) {
+            this._renderExplosion(explosion);
+        }
+
+        // Render bunkers
+        for (const bunker of this.bunkers) {
+            bunker.render(this.context);
+        }
+
+        // Render enemy projectiles
+        for (const projectile of this.enemyFire.getActiveProjectiles()) {
+            this.spriteRenderer.render(`enemyProjectile_${projectile.kind}`, this._interpolatePosition(projectile, alpha));
+        }
+
+        // Render enemies; the formation marches in whole steps, so no interpolation
+        const pose = this.invaderAnimator ? this.invaderAnimator.getFrameName() : 'enemy_0';
+        for (const enemy of this.formation.getActiveInvaders()) {
+            this.spriteRenderer.renderFrame('enemy', pose, enemy.position);
         }
 
-        // Render UI
-        this._renderUI();
+        // Render mystery ship
+        if (this.ufo.active) {
+            this.spriteRenderer.render('ufo', this._interpolatePosition(this.ufo, alpha));
+        }
+
+        // Render particles over everything else
+        this.particles.render(this.spriteRenderer);
+    }
+
+    /**
+     * Render the player's death explosion
+     * @private
+     * @param {Object} explosion - Explosion render data from the lives manager
+     */
+    _renderExplosion({ x, y, progress }) {
+        const radius = GAME_CONFIG.PLAYER.WIDTH * (0.3 + progress);
+        
+        this.context.save();
+        this.context.globalAlpha = 1 - progress;
+        this.context.fillStyle = '#FFAA00';
+        this.context.beginPath();
+        this.context.arc(x, y, radius, 0, Math.PI * 2);
+        this.context.fill();
+        this.context.fillStyle = '#FFFFFF';
+        this.context.beginPath();
+        this.context.arc(x, y, radius * 0.5, 0, Math.PI * 2);
+        this.context.fill();
+        this.context.restore();
     }
 
     /**
-     * Render UI elements
+     * Render remaining ships as icons along the bottom of the screen
      * @private
      */
-    _renderUI() {
+    _renderLives() {
+        const icon = this.spriteRenderer.sprites.get('player');
+        const size = GAME_CONFIG.LIVES.ICON_SIZE;
+        const y = GAME_CONFIG.CANVAS.HEIGHT - size - 6;
+        // The ship in play is not shown as a reserve icon
+        const reserve = Math.max(0, this.livesManager.getLives() - 1);
+        
+        this.context.fillText(`${this.livesManager.getLives()}`, 10, y + size - 2);
+        
+        if (!icon) return;
+        
+        for (let i = 0; i < reserve; i++) {
+            this.context.drawImage(icon, 30 + i * (size + 4), y, size, size);
+        }
+    }
+
+    /**
+     * Render the in-game HUD
+     */
+    renderHud() {
         this.context.fillStyle = '#FFFFFF';
         this.context.font = '16px Arial';
         
         // Score
         this.context.fillText(`Score: ${this.score}`, 10, 30);
         
-        // Health
-        if (this.player) {
+        // Best score on record
+        if (this.highScores) {
+            const best = Math.max(this.score, this.highScores.getTopScore());
+            this.context.textAlign = 'right';
+            this.context.fillText(`Hi: ${best}`, GAME_CONFIG.CANVAS.WIDTH - 10, 30);
+            this.context.textAlign = 'left';
+        }
+        
+        // Health, only meaningful when hits drain a health pool
+        if (this.player && this.livesManager && !this.livesManager.isOneHitMode()) {
             this.context.fillText(`Health: ${this.player.health}`, 10, 50);
         }
         
+        // Lives
+        if (this.livesManager) {
+            this._renderLives();
+        }
+        
         // FPS
         this.context.fillText(`FPS: ${this.performanceMetrics.currentFps}`, 10, 70);
         
-        // Game over screen
-        if (this.player && !this.player.active) {
-            this.context.fillStyle = 'rgba(0, 0, 0, 0.7)';
-            this.context.fillRect(0, 0, GAME_CONFIG.CANVAS.WIDTH, GAME_CONFIG.CANVAS.HEIGHT);
+        // Wave
+        if (this.waveManager) {
+            this.context.fillText(`Wave: ${this.waveManager.getCurrentWave()}`, 10, 90);
+        }
+        
+        // Weapon, with ammo left and a heat gauge while it is warm
+        if (this.player) {
+            const weapon = this.player.weapon.getStatus();
+            const ammo = weapon.ammo === null ? '' : ` (${weapon.ammo})`;
+            this.context.fillText(`Weapon: ${weapon.weapon.toUpperCase()}${ammo}`, 10, 110);
             
-            this.context.fillStyle = '#FFFFFF';
-            this.context.font = '48px Arial';
+            if (weapon.heat > 0) {
+                this.context.save();
+                this.context.fillStyle = weapon.overheated ? '#FF4444' : '#FFAA00';
+                this.context.fillRect(10, 116, 100 * weapon.heat, 4);
+                this.context.restore();
+            }
+        }
+        
+        // Playback indicator
+        if (this.isReplaying()) {
+            const progress = this.replayPlayer.getProgress();
+            this.context.textAlign = 'right';
+            this.context.fillText(progress.paused ? 'REPLAY (paused)' : `REPLAY ${progress.speed}x`,
+                GAME_CONFIG.CANVAS.WIDTH - 10, 50);
+            this.context.textAlign = 'left';
+        }
+        
+        // Mystery ship score popup
+        const popup = this.ufo ? this.ufo.getPopup() : null;
+        if (popup) {
+            this.context.save();
+            this.context.globalAlpha = popup.alpha;
+            this.context.fillStyle = GAME_CONFIG.UFO.POPUP_COLOR;
+            this.context.textAlign = 'center';
+            this.context.fillText(popup.text, popup.x, popup.y);
+            this.context.restore();
+        }
+        
+        // Inter-wave banner
+        const banner = this.waveManager ? this.waveManager.getBanner() : null;
+        if (banner && !this.gameOver) {
             this.context.textAlign = 'center';
-            this.context.fillText('GAME OVER', GAME_CONFIG.CANVAS.WIDTH / 2, GAME_CONFIG.CANVAS.HEIGHT / 2);
-            this.context.font = '24px Arial';
-            this.context.fillText(`Final Score: ${this.score}`, GAME_CONFIG.CANVAS.WIDTH / 2, GAME_CONFIG.CANVAS.HEIGHT / 2 + 50);
+            this.context.font = '36px Arial';
+            this.context.fillText(banner.title, GAME_CONFIG.CANVAS.WIDTH / 2, GAME_CONFIG.CANVAS.HEIGHT / 2 - 20);
+            this.context.font = '20px Arial';
+            this.context.fillText(banner.subtitle, GAME_CONFIG.CANVAS.WIDTH / 2, GAME_CONFIG.CANVAS.HEIGHT / 2 + 20);
             this.context.textAlign = 'left';
         }
     }
@@ -1088,12 +2760,20 @@ class Game {
      */
     getGameState() {
         return {
-            running: this.gameRunning,
+            running: this.gameLoop ? this.gameLoop.isRunning() : false,
+            seed: this.random.getSeed(),
+            replaying: this.isReplaying(),
+            state: this.getCurrentStateName(),
+            gameOver: this.gameOver,
             score: this.score,
+            wave: this.waveManager ? this.waveManager.getCurrentWave() : 0,
+            wavePhase: this.waveManager ? this.waveManager.getPhase() : 'idle',
             playerActive: this.player ? this.player.active : false,
             playerHealth: this.player ? this.player.health : 0,
-            enemyCount: this.enemies.filter(e => e.active).length,
+            lives: this.livesManager ? this.livesManager.getLives() : 0,
+            enemyCount: this.formation ? this.formation.getAliveCount() : 0,
             projectileCount: this.projectiles.filter(p => p.active).length,
+            enemyProjectileCount: this.enemyFire ? this.enemyFire.getActiveProjectiles().length : 0,
             fps: this.performanceMetrics.currentFps
         };
     }
@@ -1121,9 +2801,12 @@ class Game {
 /**
  * Initialize and start the game when DOM is loaded
  */
-document.addEventListener('DOMContentLoaded', async () => {
+async function bootGame() {
     try {
-        const game = new Game();
+        // ?seed=<number or text> replays a reported run
+        const seedParam = new URLSearchParams(window.location.search).get('seed');
+        const seed = seedParam !== null && /^\d+$/.test(seedParam) ? Number(seedParam) : seedParam;
+        const game = new Game(seed !== null ? { seed } : {});
         await game.init();
         game.start();
         
@@ -1131,7 +2814,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         window.game = game;
         
         console.log('[SpaceInvaders] Game loaded successfully');
-        console.log('[SpaceInvaders] Controls: Arrow keys or WASD to move, Space to shoot');
+        console.log('[SpaceInvaders] Controls: Arrow keys or WASD to move, Space or Enter to shoot, Q to switch weapon, P to pause, Ctrl+R to restart; gamepads use the stick or d-pad, A to shoot, Y to switch weapon, Start to pause');
         
     } catch (error) {
         console.error('[SpaceInvaders] Failed to start game:', error);
@@ -1158,9 +2841,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         `;
         document.body.appendChild(errorDiv);
     }
-});
+}
+
+// Node (tests, the headless runner) only takes the exports
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', bootGame);
+}
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Game, Player, InputManager, SpriteRenderer, Vector2D };
+    module.exports = { Game, Player, TickInput, SpriteRenderer, Vector2D: GameModules.Vector2D, GAME_CONFIG };
 }
\ No newline at end of file
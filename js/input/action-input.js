@@ -0,0 +1,211 @@
+/**
+ * Action Input Module
+ *
+ * The one place gameplay reads input from. Every device reports through
+ * KeyBindings: the keyboard directly, gamepads, touch controls and scripted
+ * input by triggering actions with their own source name. Each fixed tick,
+ * ActionInput resolves those actions into movement axes, a fire button and
+ * weapon switches;
+ * the game records that result for replays and plays recordings back in its
+ * place, so live play and playback run the same update path.
+ *
+ * Key Features:
+ * - Digital movement from the move actions, whichever device holds them
+ * - Analog magnitude from sources with a stick (getAxes())
+ * - Presses shorter than a tick still fire on the next tick
+ * - One weapon switch per press of nextWeapon, however long it is held
+ * - Enable and disable every source at once, e.g. during replay playback
+ *
+ * Resolution rules:
+ * - The move actions decide the direction of each axis; opposite
+ *   directions cancel
+ * - A keyboard key held for that direction means full speed; otherwise the
+ *   furthest-pushed stick sets the speed, and full speed without one
+ *   (d-pad, scripted input)
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Move actions for each axis, negative direction first
+ * @type {Object<string, string[]>}
+ */
+const MOVE_ACTIONS = Object.freeze({
+    x: ['moveLeft', 'moveRight'],
+    y: ['moveUp', 'moveDown']
+});
+
+/**
+ * Action that fires
+ * @type {string}
+ */
+const SHOOT_ACTION = 'shoot';
+
+/**
+ * Action that switches to the next weapon
+ * @type {string}
+ */
+const NEXT_WEAPON_ACTION = 'nextWeapon';
+
+/**
+ * Resolves device actions into per-tick gameplay input
+ */
+class ActionInput {
+    /**
+     * Creates the input pipeline
+     * @param {KeyBindings} keyBindings - Bindings every source reports to
+     * @param {Object} [options={}] - Runtime dependencies
+     * @param {Array<Object>} [options.sources=[]] - Devices feeding the bindings; any of
+     *   poll(), getAxes() and setEnabled() they implement are used
+     * @throws {Error} When keyBindings is missing
+     */
+    constructor(keyBindings, options = {}) {
+        if (!keyBindings || typeof keyBindings.isActionActive !== 'function') {
+            throw new Error('ActionInput requires KeyBindings');
+        }
+
+        this.keyBindings = keyBindings;
+        this.sources = [];
+        this.enabled = true;
+
+        // Fire presses since the last sample, so a tap shorter than a tick still registers
+        this.shootPressed = false;
+        this._onShoot = (inputEvent) => {
+            if (this.enabled && inputEvent.pressed) {
+                this.shootPressed = true;
+            }
+        };
+        this.keyBindings.on(SHOOT_ACTION, this._onShoot);
+
+        // Weapon switch presses since the last sample; holding the key does not keep cycling
+        this.nextWeaponPressed = false;
+        this._onNextWeapon = (inputEvent) => {
+            if (this.enabled && inputEvent.pressed) {
+                this.nextWeaponPressed = true;
+            }
+        };
+        this.keyBindings.on(NEXT_WEAPON_ACTION, this._onNextWeapon);
+
+        for (const source of options.sources || []) {
+            this.addSource(source);
+        }
+    }
+
+    /**
+     * Adds a device; null and undefined are ignored
+     * @param {Object|null} source - Device feeding the bindings
+     */
+    addSource(source) {
+        if (source && !this.sources.includes(source)) {
+            this.sources.push(source);
+        }
+    }
+
+    /**
+     * Reads devices that have no events of their own, such as gamepads
+     */
+    poll() {
+        if (!this.enabled) return;
+
+        for (const source of this.sources) {
+            if (typeof source.poll === 'function') {
+                source.poll();
+            }
+        }
+    }
+
+    /**
+     * Resolves the actions held right now and starts collecting presses for the next tick
+     * @returns {{x: number, y: number, shoot: boolean, nextWeapon: boolean}} Movement axes (-1 to 1),
+     *   fire button and whether to switch weapon
+     */
+    sample() {
+        if (!this.enabled) {
+            return { x: 0, y: 0, shoot: false, nextWeapon: false };
+        }
+
+        const actions = {
+            x: this.getAxis('x'),
+            y: this.getAxis('y'),
+            shoot: this.shootPressed || this.keyBindings.isActionActive(SHOOT_ACTION),
+            nextWeapon: this.nextWeaponPressed
+        };
+        this.shootPressed = false;
+        this.nextWeaponPressed = false;
+
+        return actions;
+    }
+
+    /**
+     * Resolves one movement axis
+     * @param {string} axis - 'x' or 'y'
+     * @returns {number} Axis value, -1 to 1
+     */
+    getAxis(axis) {
+        const [negative, positive] = MOVE_ACTIONS[axis];
+        const direction = (this.keyBindings.isActionActive(positive) ? 1 : 0) -
+            (this.keyBindings.isActionActive(negative) ? 1 : 0);
+
+        if (direction === 0) return 0;
+        if (this._isKeyHeld(direction < 0 ? negative : positive)) return direction;
+
+        let magnitude = 0;
+        for (const source of this.sources) {
+            if (typeof source.getAxes !== 'function') continue;
+
+            const value = source.getAxes()[axis] * direction;
+            if (value > magnitude) {
+                magnitude = value;
+            }
+        }
+
+        return direction * (magnitude > 0 ? magnitude : 1);
+    }
+
+    /**
+     * @param {string} action - Action name
+     * @returns {boolean} True if one of the action's keyboard keys is down
+     * @private
+     */
+    _isKeyHeld(action) {
+        const binding = this.keyBindings.getBindings()[action];
+        return Boolean(binding) && binding.keys.some(key => this.keyBindings.isKeyPressed(key));
+    }
+
+    /**
+     * Accepts or ignores every device; disabling releases everything held
+     *
+     * The bindings themselves stay active, so menus keep working.
+     * @param {boolean} enabled - Whether device input is accepted
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+        this.shootPressed = false;
+        this.nextWeaponPressed = false;
+
+        for (const source of this.sources) {
+            if (typeof source.setEnabled === 'function') {
+                source.setEnabled(this.enabled);
+            }
+        }
+    }
+
+    /**
+     * Stops listening to the bindings
+     */
+    destroy() {
+        this.keyBindings.off(SHOOT_ACTION, this._onShoot);
+        this.keyBindings.off(NEXT_WEAPON_ACTION, this._onNextWeapon);
+        this.sources = [];
+    }
+}
+
+// Export the pipeline
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ActionInput, MOVE_ACTIONS };
+} else if (typeof window !== 'undefined') {
+    window.ActionInput = ActionInput;
+    window.MOVE_ACTIONS = MOVE_ACTIONS;
+}
@@ -0,0 +1,181 @@
+/**
+ * Binding Store Module
+ *
+ * Persists the player's key bindings as a versioned profile and applies
+ * it to KeyBindings on boot. Only keys and modifiers are stored; cooldowns,
+ * repeat behaviour and input sequences always come from the build, so
+ * tuning them in a later release reaches players who rebound their keys.
+ *
+ * Profile format:
+ *
+ *   {
+ *     "version": 1,
+ *     "bindings": {
+ *       "shoot": { "keys": ["Space", "KeyJ"], "modifiers": [] },
+ *       "restart": { "keys": ["KeyR"], "modifiers": ["ctrl"] }
+ *     }
+ *   }
+ *
+ * Actions the build no longer has and malformed entries are skipped, so one
+ * bad entry never costs the player the rest of their layout.
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+const BindingModules = typeof require === 'function'
+    ? {
+        ...require('../core/high-scores.js'),
+        KeyBindings: require('./key-bindings.js')
+    }
+    : window;
+
+/**
+ * Profile format version; bump it when the stored shape changes
+ * @type {number}
+ */
+const BINDING_PROFILE_VERSION = 1;
+
+/**
+ * Default binding store configuration
+ * @type {Object}
+ */
+const DEFAULT_BINDING_STORE_CONFIG = Object.freeze({
+    storageKey: 'spaceInvaders.controls'
+});
+
+/**
+ * Storage for the player's key binding profile
+ */
+class BindingStore {
+    /**
+     * Creates a binding store
+     * @param {Object} [config={}] - Store configuration, merged over the defaults
+     * @param {Object} [options={}] - Runtime dependencies
+     * @param {Storage} [options.storage] - Storage backend; defaults to localStorage when available
+     */
+    constructor(config = {}, options = {}) {
+        this.config = { ...DEFAULT_BINDING_STORE_CONFIG, ...config };
+
+        if (!this.config.storageKey || typeof this.config.storageKey !== 'string') {
+            throw new Error('Binding storageKey must be a non-empty string');
+        }
+
+        this.storage = options.storage || BindingModules.getDefaultStorage();
+    }
+
+    /**
+     * Builds the stored profile for the current bindings
+     * @param {KeyBindings} keyBindings - Bindings to capture
+     * @returns {Object} Versioned profile
+     */
+    createProfile(keyBindings) {
+        const bindings = {};
+
+        for (const [action, binding] of Object.entries(keyBindings.getBindings())) {
+            if (!binding.keys) continue;
+            bindings[action] = { keys: [...binding.keys], modifiers: [...(binding.modifiers || [])] };
+        }
+
+        return { version: BINDING_PROFILE_VERSION, bindings };
+    }
+
+    /**
+     * Writes the current bindings
+     * @param {KeyBindings} keyBindings - Bindings to save
+     * @returns {boolean} True if the write succeeded
+     */
+    save(keyBindings) {
+        try {
+            this.storage.setItem(this.config.storageKey, JSON.stringify(this.createProfile(keyBindings)));
+            return true;
+        } catch (error) {
+            this._logError('Failed to save key bindings', error);
+            return false;
+        }
+    }
+
+    /**
+     * Applies the saved profile, keeping the current binding for anything
+     * missing or invalid
+     * @param {KeyBindings} keyBindings - Bindings to update
+     * @returns {number} Actions restored from the profile
+     */
+    load(keyBindings) {
+        let profile;
+        try {
+            const raw = this.storage.getItem(this.config.storageKey);
+            if (raw === null || raw === undefined) return 0;
+            profile = JSON.parse(raw);
+        } catch (error) {
+            this._logError('Discarding invalid key bindings', error);
+            return 0;
+        }
+
+        if (!profile || profile.version !== BINDING_PROFILE_VERSION || !profile.bindings) {
+            this._logError('Discarding key bindings', new Error(`unsupported profile version ${profile && profile.version}`));
+            return 0;
+        }
+
+        const current = keyBindings.getBindings();
+        let restored = 0;
+
+        for (const [action, saved] of Object.entries(profile.bindings)) {
+            if (!current[action] || !BindingStore._isValidEntry(saved)) continue;
+
+            keyBindings.updateBinding(action, {
+                ...current[action],
+                keys: [...new Set(saved.keys)],
+                modifiers: [...saved.modifiers]
+            });
+            restored++;
+        }
+
+        return restored;
+    }
+
+    /**
+     * Forgets the saved profile
+     */
+    clear() {
+        try {
+            this.storage.removeItem(this.config.storageKey);
+        } catch (error) {
+            this._logError('Failed to clear key bindings', error);
+        }
+    }
+
+    /**
+     * @param {*} entry - Candidate stored binding
+     * @returns {boolean} True for non-empty key codes and known modifiers
+     * @private
+     * @static
+     */
+    static _isValidEntry(entry) {
+        return Boolean(entry) &&
+            Array.isArray(entry.keys) && entry.keys.length > 0 &&
+            entry.keys.every(key => typeof key === 'string' && key.length > 0) &&
+            Array.isArray(entry.modifiers) &&
+            entry.modifiers.every(modifier => BindingModules.KeyBindings.MODIFIERS.includes(modifier));
+    }
+
+    /**
+     * Log error message
+     * @private
+     * @param {string} message - Error message
+     * @param {Error} error - Error object
+     */
+    _logError(message, error) {
+        console.warn(`[BindingStore] ${message}:`, error && error.message ? error.message : error);
+    }
+}
+
+// Export the store
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BindingStore, BINDING_PROFILE_VERSION, DEFAULT_BINDING_STORE_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.BindingStore = BindingStore;
+    window.BINDING_PROFILE_VERSION = BINDING_PROFILE_VERSION;
+    window.DEFAULT_BINDING_STORE_CONFIG = DEFAULT_BINDING_STORE_CONFIG;
+}
@@ -0,0 +1,535 @@
+/**
+ * Gamepad Input Module
+ *
+ * Polls the Gamepad API once per frame and turns sticks, d-pad and buttons
+ * into the same action names KeyBindings uses, so menus and gameplay treat
+ * a controller exactly like the keyboard. Presses and releases are
+ * forwarded to KeyBindings, which menus and ActionInput both read.
+ *
+ * Key Features:
+ * - Radial dead zone on the left stick, per profile
+ * - Per-controller profiles matched on the gamepad id, with standard and
+ *   generic fallbacks
+ * - Hot-plugging: pads are picked up and dropped as polls see them come and go
+ * - Rumble on hit through vibrationActuator or hapticActuators
+ * - Injectable gamepad provider, so tests can drive fake pads
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Button layouts for the Gamepad API 'standard' mapping and for pads without it
+ *
+ * Buttons map action names to button indices; axes name the stick axes that
+ * drive moveLeft/moveRight and moveUp/moveDown.
+ * @type {Object<string, Object>}
+ */
+const GAMEPAD_PROFILES = Object.freeze({
+    standard: Object.freeze({
+        name: 'standard',
+        axes: Object.freeze({ x: 0, y: 1 }),
+        buttons: Object.freeze({
+            shoot: Object.freeze([0, 1, 7]), // A, B, right trigger
+            nextWeapon: Object.freeze([3]), // Y
+            pause: Object.freeze([9]), // start
+            mute: Object.freeze([8]), // back / select
+            moveUp: Object.freeze([12]),
+            moveDown: Object.freeze([13]),
+            moveLeft: Object.freeze([14]),
+            moveRight: Object.freeze([15])
+        })
+    }),
+    generic: Object.freeze({
+        name: 'generic',
+        axes: Object.freeze({ x: 0, y: 1 }),
+        buttons: Object.freeze({
+            shoot: Object.freeze([0, 1, 2, 3]),
+            pause: Object.freeze([9])
+        })
+    })
+});
+
+/**
+ * Default gamepad configuration
+ * @type {Object}
+ */
+const DEFAULT_GAMEPAD_CONFIG = Object.freeze({
+    deadZone: 0.25, // stick deflection ignored around the centre, 0 to 1
+    buttonThreshold: 0.5, // analog button value that counts as pressed
+    profiles: Object.freeze([]), // per-controller profiles, tried in order before the fallbacks
+    rumble: Object.freeze({
+        duration: 200, // ms
+        strongMagnitude: 0.8,
+        weakMagnitude: 0.4
+    })
+});
+
+/**
+ * Actions the stick drives, by axis direction
+ * @type {Object<string, string[]>}
+ */
+const AXIS_ACTIONS = Object.freeze({
+    x: Object.freeze(['moveLeft', 'moveRight']),
+    y: Object.freeze(['moveUp', 'moveDown'])
+});
+
+/**
+ * Controller input source
+ */
+class GamepadInput {
+    /**
+     * Creates a gamepad source
+     * @param {Object} [config={}] - Configuration, merged over the defaults
+     * @param {Object} [options={}] - Runtime dependencies
+     * @param {Function|null} [options.provider] - Returns the current gamepads (nulls allowed);
+     *   defaults to navigator.getGamepads when present, null disables the source
+     * @param {KeyBindings} [options.keyBindings] - Receives presses and releases as actions
+     */
+    constructor(config = {}, options = {}) {
+        this.config = this._validateAndMergeConfig(config);
+
+        this.provider = options.provider !== undefined ? options.provider : GamepadInput.defaultProvider();
+        this.keyBindings = options.keyBindings || null;
+
+        this.enabled = true;
+        this.pads = new Map();
+        this.listeners = new Map();
+    }
+
+    /**
+     * Validates and merges user configuration with defaults
+     * @param {Object} userConfig - User provided configuration
+     * @returns {Object} Validated configuration
+     * @private
+     */
+    _validateAndMergeConfig(userConfig) {
+        const config = {
+            ...DEFAULT_GAMEPAD_CONFIG,
+            ...userConfig,
+            rumble: { ...DEFAULT_GAMEPAD_CONFIG.rumble, ...userConfig.rumble }
+        };
+
+        if (!(config.deadZone >= 0 && config.deadZone < 1)) {
+            throw new Error('deadZone must be in [0, 1)');
+        }
+        if (!(config.buttonThreshold > 0 && config.buttonThreshold <= 1)) {
+            throw new Error('buttonThreshold must be in (0, 1]');
+        }
+        if (!Array.isArray(config.profiles)) {
+            throw new Error('profiles must be an array');
+        }
+        config.profiles.forEach((profile, index) => {
+            if (!profile || !(typeof profile.match === 'string' || profile.match instanceof RegExp)) {
+                throw new Error(`Gamepad profile ${index} needs a match string or RegExp`);
+            }
+            if (!profile.buttons && !profile.axes) {
+                throw new Error(`Gamepad profile ${index} maps no buttons or axes`);
+            }
+        });
+
+        return config;
+    }
+
+    /**
+     * Picks navigator.getGamepads when present
+     * @returns {Function|null} Gamepad provider
+     * @static
+     */
+    static defaultProvider() {
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+            return null;
+        }
+
+        return () => Array.from(navigator.getGamepads());
+    }
+
+    /**
+     * Reads every pad and reports what changed; call once per frame
+     *
+     * Pads that appear are connected with their profile, pads that vanish
+     * release their actions. Presses and releases go to KeyBindings.
+     */
+    poll() {
+        if (!this.enabled || !this.provider) return;
+
+        let gamepads;
+        try {
+            gamepads = this.provider() || [];
+        } catch (error) {
+            this._logError('Failed to read gamepads', error);
+            return;
+        }
+
+        const seen = new Set();
+        for (const gamepad of gamepads) {
+            if (!gamepad || gamepad.connected === false) continue;
+
+            seen.add(gamepad.index);
+            let pad = this.pads.get(gamepad.index);
+            if (!pad || pad.id !== gamepad.id) {
+                if (pad) {
+                    this._disconnect(gamepad.index);
+                }
+                pad = this._connect(gamepad);
+            }
+
+            pad.gamepad = gamepad;
+            this._applyActions(pad, this._readActions(gamepad, pad.profile));
+        }
+
+        for (const index of [...this.pads.keys()]) {
+            if (!seen.has(index)) {
+                this._disconnect(index);
+            }
+        }
+    }
+
+    /**
+     * Starts tracking a pad
+     * @param {Gamepad} gamepad - Newly seen pad
+     * @returns {Object} Tracked pad
+     * @private
+     */
+    _connect(gamepad) {
+        const pad = {
+            index: gamepad.index,
+            id: gamepad.id,
+            profile: this.getProfileFor(gamepad),
+            gamepad,
+            actions: new Set()
+        };
+
+        this.pads.set(gamepad.index, pad);
+        this._log(`Gamepad ${gamepad.index} connected: ${gamepad.id} (${pad.profile.name})`);
+        this._emit('connected', { index: pad.index, id: pad.id, profile: pad.profile.name });
+        return pad;
+    }
+
+    /**
+     * Releases a pad's actions and stops tracking it
+     * @param {number} index - Pad index
+     * @private
+     */
+    _disconnect(index) {
+        const pad = this.pads.get(index);
+        if (!pad) return;
+
+        this._applyActions(pad, new Set());
+        this.pads.delete(index);
+        this._log(`Gamepad ${index} disconnected`);
+        this._emit('disconnected', { index, id: pad.id });
+    }
+
+    /**
+     * Chooses the profile for a pad
+     *
+     * Configured profiles are tried in order against the pad id; otherwise
+     * pads reporting the standard mapping get the standard layout.
+     * @param {Gamepad} gamepad - Pad to match
+     * @returns {Object} Profile
+     */
+    getProfileFor(gamepad) {
+        const id = gamepad.id || '';
+        const custom = this.config.profiles.find(profile => (
+            typeof profile.match === 'string' ? id.includes(profile.match) : profile.match.test(id)
+        ));
+
+        if (custom) {
+            return { name: id, axes: {}, buttons: {}, ...custom };
+        }
+
+        return gamepad.mapping === 'standard' ? GAMEPAD_PROFILES.standard : GAMEPAD_PROFILES.generic;
+    }
+
+    /**
+     * Resolves the actions a pad holds right now
+     * @param {Gamepad} gamepad - Pad state
+     * @param {Object} profile - Pad profile
+     * @returns {Set<string>} Held action names
+     * @private
+     */
+    _readActions(gamepad, profile) {
+        const actions = new Set();
+        const buttons = gamepad.buttons || [];
+
+        for (const [action, indices] of Object.entries(profile.buttons || {})) {
+            if (indices.some(index => this._isButtonPressed(buttons[index]))) {
+                actions.add(action);
+            }
+        }
+
+        const stick = this._readStick(gamepad, profile);
+        for (const axis of ['x', 'y']) {
+            if (stick[axis] !== 0) {
+                actions.add(AXIS_ACTIONS[axis][stick[axis] < 0 ? 0 : 1]);
+            }
+        }
+
+        return actions;
+    }
+
+    /**
+     * Reads the stick with the radial dead zone applied
+     * @param {Gamepad} gamepad - Pad state
+     * @param {Object} profile - Pad profile
+     * @returns {{x: number, y: number}} Deflection, zero inside the dead zone
+     * @private
+     */
+    _readStick(gamepad, profile) {
+        const axes = gamepad.axes || [];
+        const layout = profile.axes || {};
+        const x = Number(axes[layout.x]) || 0;
+        const y = Number(axes[layout.y]) || 0;
+        const deadZone = profile.deadZone !== undefined ? profile.deadZone : this.config.deadZone;
+
+        if (Math.hypot(x, y) <= deadZone) {
+            return { x: 0, y: 0 };
+        }
+
+        // A deflection counts along an axis only once it clears the zone there too,
+        // so a slightly diagonal push does not also nudge the other direction
+        return {
+            x: Math.abs(x) > deadZone ? x : 0,
+            y: Math.abs(y) > deadZone ? y : 0
+        };
+    }
+
+    /**
+     * @param {GamepadButton|number|undefined} button - Button state; old implementations report numbers
+     * @returns {boolean} True if held
+     * @private
+     */
+    _isButtonPressed(button) {
+        if (button === undefined || button === null) return false;
+        if (typeof button === 'number') return button >= this.config.buttonThreshold;
+
+        return Boolean(button.pressed) || button.value >= this.config.buttonThreshold;
+    }
+
+    /**
+     * Reports the difference between a pad's held actions and the new set
+     * @param {Object} pad - Tracked pad
+     * @param {Set<string>} actions - Actions held now
+     * @private
+     */
+    _applyActions(pad, actions) {
+        const source = `Gamepad${pad.index}`;
+
+        for (const action of actions) {
+            if (pad.actions.has(action)) continue;
+
+            if (this.keyBindings) {
+                this.keyBindings.triggerAction(action, source, true);
+            }
+        }
+        for (const action of pad.actions) {
+            if (!actions.has(action) && this.keyBindings) {
+                this.keyBindings.triggerAction(action, source, false);
+            }
+        }
+
+        pad.actions = actions;
+    }
+
+    /**
+     * Checks whether any pad holds an action
+     * @param {string} action - KeyBindings action name
+     * @returns {boolean} True if held
+     */
+    isActionActive(action) {
+        for (const pad of this.pads.values()) {
+            if (pad.actions.has(action)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Gets the movement direction held on any pad
+     * @returns {{x: number, y: number}} Movement direction, each axis -1, 0 or 1
+     */
+    getMovementVector() {
+        return {
+            x: (this.isActionActive('moveRight') ? 1 : 0) - (this.isActionActive('moveLeft') ? 1 : 0),
+            y: (this.isActionActive('moveDown') ? 1 : 0) - (this.isActionActive('moveUp') ? 1 : 0)
+        };
+    }
+
+    /**
+     * Gets how far the sticks are pushed, for analog movement
+     *
+     * Each axis is rescaled so it starts from zero at the edge of the dead
+     * zone; with several pads, the one pushed furthest wins.
+     * @returns {{x: number, y: number}} Stick axes, -1 to 1
+     */
+    getAxes() {
+        const axes = { x: 0, y: 0 };
+        if (!this.enabled) return axes;
+
+        for (const pad of this.pads.values()) {
+            const stick = this._readStick(pad.gamepad, pad.profile);
+            const deadZone = pad.profile.deadZone !== undefined ? pad.profile.deadZone : this.config.deadZone;
+
+            for (const axis of ['x', 'y']) {
+                const magnitude = Math.min(1, (Math.abs(stick[axis]) - deadZone) / (1 - deadZone));
+                if (stick[axis] !== 0 && magnitude > Math.abs(axes[axis])) {
+                    axes[axis] = Math.sign(stick[axis]) * magnitude;
+                }
+            }
+        }
+
+        return axes;
+    }
+
+    /**
+     * Checks whether fire is held on any pad
+     * @returns {boolean} True if shooting
+     */
+    isShooting() {
+        return this.isActionActive('shoot');
+    }
+
+    /**
+     * Gets the pads being tracked
+     * @returns {Array<{index: number, id: string, profile: string}>} Connected pads
+     */
+    getConnectedGamepads() {
+        return [...this.pads.values()].map(pad => ({ index: pad.index, id: pad.id, profile: pad.profile.name }));
+    }
+
+    /**
+     * Shakes every connected pad that supports it
+     * @param {Object} [options={}] - Overrides for the configured rumble
+     * @returns {number} Pads asked to rumble
+     */
+    rumble(options = {}) {
+        if (!this.enabled) return 0;
+
+        const { duration, strongMagnitude, weakMagnitude } = { ...this.config.rumble, ...options };
+        let count = 0;
+
+        for (const { gamepad } of this.pads.values()) {
+            try {
+                const actuator = gamepad.vibrationActuator;
+                const haptic = gamepad.hapticActuators && gamepad.hapticActuators[0];
+                let result;
+
+                if (actuator && typeof actuator.playEffect === 'function') {
+                    result = actuator.playEffect(actuator.type || 'dual-rumble', { duration, strongMagnitude, weakMagnitude });
+                } else if (haptic && typeof haptic.pulse === 'function') {
+                    result = haptic.pulse(strongMagnitude, duration);
+                } else {
+                    continue;
+                }
+
+                if (result && typeof result.catch === 'function') {
+                    result.catch(error => this._logError('Rumble failed', error));
+                }
+                count++;
+            } catch (error) {
+                this._logError('Rumble failed', error);
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Enable or disable the pads; disabling releases every action
+     * @param {boolean} enabled - Whether pad input is accepted
+     */
+    setEnabled(enabled) {
+        if (!enabled) {
+            for (const pad of this.pads.values()) {
+                this._applyActions(pad, new Set());
+            }
+        }
+
+        this.enabled = Boolean(enabled);
+    }
+
+    /**
+     * Releases every action and forgets the pads
+     */
+    destroy() {
+        this.setEnabled(false);
+        this.pads.clear();
+        this.listeners.clear();
+    }
+
+    /**
+     * Adds event listener
+     * @param {string} event - Event name ('connected', 'disconnected')
+     * @param {Function} callback - Event callback
+     */
+    addEventListener(event, callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+    }
+
+    /**
+     * Removes event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Event callback
+     */
+    removeEventListener(event, callback) {
+        const eventListeners = this.listeners.get(event);
+        if (eventListeners) {
+            eventListeners.delete(callback);
+        }
+    }
+
+    /**
+     * Emits an event to all listeners
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     * @private
+     */
+    _emit(event, data) {
+        const eventListeners = this.listeners.get(event);
+        if (!eventListeners) return;
+
+        eventListeners.forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`[GamepadInput] Error in ${event} listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Log info message
+     * @private
+     * @param {string} message - Message to log
+     */
+    _log(message) {
+        console.log(`[GamepadInput] ${message}`);
+    }
+
+    /**
+     * Log error message
+     * @private
+     * @param {string} message - Error message
+     * @param {Error} error - Error object
+     */
+    _logError(message, error) {
+        console.warn(`[GamepadInput] ${message}:`, error && error.message ? error.message : error);
+    }
+}
+
+// Export the source and its profiles
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GamepadInput, GAMEPAD_PROFILES, DEFAULT_GAMEPAD_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.GamepadInput = GamepadInput;
+    window.GAMEPAD_PROFILES = GAMEPAD_PROFILES;
+    window.DEFAULT_GAMEPAD_CONFIG = DEFAULT_GAMEPAD_CONFIG;
+}
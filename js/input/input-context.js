@@ -0,0 +1,170 @@
+/**
+ * Input Context Module
+ *
+ * Named action maps stacked on top of the KeyBindings table. The table is
+ * the gameplay context and always sits at the bottom; screens push their
+ * own context while they are active, so Enter on a menu selects the item
+ * instead of firing, and letters typed into a text field never mute the
+ * game. Each context decides what happens to events:
+ *
+ * - consume: an event the context maps stops there (default), or also
+ *   reaches the contexts below
+ * - passThrough: events the context does not map continue down (true),
+ *   stop (false), or continue only for the listed lower actions
+ *
+ * Gamepads, touch and scripted input report gameplay actions; a context
+ * translates them through each binding's sources list, so the same fire
+ * button selects on a menu and confirms a letter on the initials screen.
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Built-in context names
+ * @readonly
+ * @enum {string}
+ */
+const InputContextName = Object.freeze({
+    GAMEPLAY: 'gameplay', // the KeyBindings table itself
+    MENU: 'menu',
+    TEXT_ENTRY: 'textEntry',
+    REPLAY: 'replay',
+    DEBUG: 'debug'
+});
+
+/**
+ * Gameplay actions that keep working over menus and the replay viewer
+ * @type {string[]}
+ */
+const GLOBAL_ACTIONS = Object.freeze(['mute', 'fullscreen', 'debug']);
+
+/**
+ * Action maps of the built-in contexts
+ * @type {Object<string, Object>}
+ */
+const DEFAULT_INPUT_CONTEXTS = Object.freeze({
+    [InputContextName.MENU]: {
+        bindings: {
+            menuUp: { keys: ['ArrowUp', 'KeyW'], sources: ['moveUp'], repeatable: true },
+            menuDown: { keys: ['ArrowDown', 'KeyS'], sources: ['moveDown'], repeatable: true },
+            menuSelect: { keys: ['Enter', 'Space'], sources: ['shoot'] },
+            menuBack: { keys: ['Escape', 'Backspace'], sources: ['pause'] }
+        },
+        // P still resumes from the pause screen and Ctrl+R still restarts
+        passThrough: ['pause', 'restart', ...GLOBAL_ACTIONS]
+    },
+    [InputContextName.TEXT_ENTRY]: {
+        bindings: {
+            nextLetter: { keys: ['ArrowUp', 'KeyW'], sources: ['moveUp'], repeatable: true },
+            previousLetter: { keys: ['ArrowDown', 'KeyS'], sources: ['moveDown'], repeatable: true },
+            cursorLeft: { keys: ['ArrowLeft', 'KeyA'], sources: ['moveLeft'] },
+            cursorRight: { keys: ['ArrowRight', 'KeyD'], sources: ['moveRight'] },
+            confirm: { keys: ['Enter', 'Space'], sources: ['shoot'] }
+        },
+        passThrough: false
+    },
+    [InputContextName.REPLAY]: {
+        bindings: {
+            replayPause: { keys: ['KeyP', 'Escape', 'Space'], sources: ['pause'] },
+            replayStep: { keys: ['Period'], repeatable: true, cooldown: 50 },
+            replaySpeed: { keys: ['KeyS'] }
+        },
+        passThrough: ['restart', ...GLOBAL_ACTIONS]
+    },
+    [InputContextName.DEBUG]: {
+        bindings: {
+            debugClose: { keys: ['Escape', 'Backquote'] }
+        },
+        // Everything else belongs to the console while it is open
+        passThrough: ['debug']
+    }
+});
+
+/**
+ * One layer of action bindings
+ */
+class InputContext {
+    /**
+     * Creates a context
+     * @param {string} name - Context name
+     * @param {Object} [options={}] - Context options
+     * @param {Object<string, Object>} [options.bindings={}] - Action map: keys, modifiers,
+     *   sources (gameplay actions reported by devices), repeatable and cooldown per action
+     * @param {boolean} [options.consume=true] - Whether mapped events stop at this context
+     * @param {boolean|string[]} [options.passThrough=true] - Which unmapped events reach the contexts below
+     * @throws {Error} When the name, a binding or passThrough is invalid
+     */
+    constructor(name, options = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Input context name must be a non-empty string');
+        }
+
+        const passThrough = options.passThrough !== undefined ? options.passThrough : true;
+        if (typeof passThrough !== 'boolean' &&
+            !(Array.isArray(passThrough) && passThrough.every(action => typeof action === 'string'))) {
+            throw new Error('Input context passThrough must be a boolean or a list of action names');
+        }
+
+        this.name = name;
+        this.consume = options.consume !== false;
+        this.passThrough = Array.isArray(passThrough) ? [...passThrough] : passThrough;
+        this.bindings = {};
+
+        for (const [action, binding] of Object.entries(options.bindings || {})) {
+            this.bindings[action] = InputContext._normalizeBinding(action, binding);
+        }
+    }
+
+    /**
+     * Builds one of the built-in contexts
+     * @param {string} name - InputContextName other than GAMEPLAY
+     * @returns {InputContext} New context
+     * @throws {Error} When the name is unknown
+     * @static
+     */
+    static create(name) {
+        const options = DEFAULT_INPUT_CONTEXTS[name];
+        if (!options) {
+            throw new Error(`Unknown input context: ${name}`);
+        }
+
+        return new InputContext(name, options);
+    }
+
+    /**
+     * @param {string} action - Action name
+     * @param {Object} binding - Binding options
+     * @returns {Object} Binding with every field filled in
+     * @throws {Error} When the binding is invalid
+     * @private
+     * @static
+     */
+    static _normalizeBinding(action, binding) {
+        const isNameList = list => Array.isArray(list) && list.every(item => typeof item === 'string' && item.length > 0);
+        const { keys = [], modifiers = [], sources = [], repeatable = false, cooldown = 0 } = binding || {};
+
+        if (!isNameList(keys) || !isNameList(modifiers) || !isNameList(sources)) {
+            throw new Error(`Invalid binding for context action: ${action}`);
+        }
+        if (keys.length === 0 && sources.length === 0) {
+            throw new Error(`Context action ${action} needs keys or sources`);
+        }
+        if (typeof cooldown !== 'number' || cooldown < 0) {
+            throw new Error(`Invalid cooldown for context action: ${action}`);
+        }
+
+        return { action, keys: [...keys], modifiers: [...modifiers], sources: [...sources], repeatable: Boolean(repeatable), cooldown };
+    }
+}
+
+// Export the contexts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InputContext, InputContextName, DEFAULT_INPUT_CONTEXTS, GLOBAL_ACTIONS };
+} else if (typeof window !== 'undefined') {
+    window.InputContext = InputContext;
+    window.InputContextName = InputContextName;
+    window.DEFAULT_INPUT_CONTEXTS = DEFAULT_INPUT_CONTEXTS;
+    window.GLOBAL_ACTIONS = GLOBAL_ACTIONS;
+}
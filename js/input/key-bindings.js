@@ -10,6 +10,9 @@
  * - Multiple key support for same action
  * - Key combination support (modifier keys)
  * - Runtime key binding changes
+ * - Stackable input contexts with their own action maps (see InputContext)
+ * - Input sequences (double taps, charge and release, cheat codes) matched
+ *   from the input buffer
  * - Input validation and sanitization
  * - Performance optimized event handling
  * 
@@ -27,10 +30,21 @@
 /**
  * @typedef {Object} KeyBinding
  * @property {string} action - The action name
- * @property {string[]} keys - Array of key codes that trigger this action
+ * @property {string[]} keys - Array of key codes that trigger this action; omitted for sequences
  * @property {string[]} [modifiers] - Optional modifier keys (ctrl, shift, alt)
  * @property {boolean} [repeatable] - Whether the action can repeat when key is held
  * @property {number} [cooldown] - Minimum time between action executions (ms)
+ * @property {Array<string|SequenceStep>} [sequence] - Steps that trigger this action in place of keys;
+ *   a string is shorthand for a press of that action
+ */
+
+/**
+ * @typedef {Object} SequenceStep
+ * @property {string} action - Action whose event this step waits for
+ * @property {boolean} [pressed=true] - Whether the step is a press or a release
+ * @property {number} [minDelay=0] - Least time since the previous step (ms), e.g. to charge a shot
+ * @property {number} [maxDelay] - Most time since the previous step (ms); defaults to
+ *   minDelay plus BUFFER_CONFIG.sequenceStepWindow
  */
 
 /**
@@ -90,6 +104,12 @@ class KeyBindings {
             repeatable: true,
             cooldown: 100
         },
+        nextWeapon: {
+            action: 'nextWeapon',
+            keys: ['KeyQ'],
+            repeatable: false, // one switch per press
+            cooldown: 0
+        },
         pause: {
             action: 'pause',
             keys: ['Escape', 'KeyP'],
@@ -124,6 +144,27 @@ class KeyBindings {
         }
     };
 
+    /**
+     * Name of the context formed by the bindings table, always at the bottom of the stack
+     * @type {string}
+     */
+    static BASE_CONTEXT = 'gameplay';
+
+    /**
+     * Modifier names in the order key descriptions list them
+     * @type {string[]}
+     */
+    static MODIFIERS = ['ctrl', 'shift', 'alt', 'meta'];
+
+    /**
+     * Key codes of the modifier keys themselves, which are never bound on their own
+     * @type {Set<string>}
+     */
+    static MODIFIER_KEYS = new Set([
+        'ControlLeft', 'ControlRight', 'ShiftLeft', 'ShiftRight',
+        'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'
+    ]);
+
     /**
      * Input buffer configuration
      * @type {Object}
@@ -131,7 +172,8 @@ class KeyBindings {
     static BUFFER_CONFIG = {
         maxSize: 10,
         timeWindow: 100, // ms
-        cleanupInterval: 50 // ms
+        cleanupInterval: 50, // ms
+        sequenceStepWindow: 300 // ms between sequence steps that set no maxDelay
     };
 
     /**
@@ -150,19 +192,32 @@ class KeyBindings {
      * @param {Object<string, KeyBinding>} [options.bindings] - Custom key bindings
      * @param {boolean} [options.enableBuffering=true] - Enable input buffering
      * @param {boolean} [options.enableLogging=false] - Enable debug logging
-     * @param {HTMLElement} [options.target=document] - Target element for event listeners
+     * @param {EventTarget} [options.target=document] - Target element for event listeners; required outside the browser
      */
     constructor(options = {}) {
         this.bindings = { ...KeyBindings.DEFAULT_BINDINGS, ...options.bindings };
         this.enableBuffering = options.enableBuffering !== false;
         this.enableLogging = options.enableLogging || false;
-        this.target = options.target || document;
+        this.target = options.target || (typeof document !== 'undefined' ? document : null);
+        this.cleanupTimer = null;
+
+        if (!this.target) {
+            throw new Error('KeyBindings needs an event target when there is no document');
+        }
 
         // Internal state
         this.keyStates = new Map();
         this.actionListeners = new Map();
         this.inputBuffer = [];
         this.keyToActionMap = new Map();
+        this.sourceActions = new Map();
+        this.contexts = [];
+        this.sequences = new Map();
+        this.bufferLimits = {
+            maxSize: KeyBindings.BUFFER_CONFIG.maxSize,
+            timeWindow: KeyBindings.BUFFER_CONFIG.timeWindow
+        };
+        this.captureCallback = null;
         this.isActive = false;
         this.performanceMetrics = {
             eventsProcessed: 0,
@@ -192,6 +247,7 @@ class KeyBindings {
      */
     buildKeyMappings() {
         this.keyToActionMap.clear();
+        this.sequences.clear();
 
         for (const [actionName, binding] of Object.entries(this.bindings)) {
             if (!this.validateBinding(binding)) {
@@ -199,6 +255,16 @@ class KeyBindings {
                 continue;
             }
 
+            if (binding.sequence) {
+                this.sequences.set(actionName, {
+                    steps: binding.sequence.map(step => this.normalizeSequenceStep(step)),
+                    cooldown: binding.cooldown || 0,
+                    lastEvent: null,
+                    lastTime: 0
+                });
+                continue;
+            }
+
             for (const key of binding.keys) {
                 if (!this.keyToActionMap.has(key)) {
                     this.keyToActionMap.set(key, []);
@@ -207,12 +273,49 @@ class KeyBindings {
             }
         }
 
+        this.updateBufferLimits();
+
         this.log('Key mappings built', {
             totalMappings: this.keyToActionMap.size,
+            sequences: this.sequences.size,
             actions: Object.keys(this.bindings)
         });
     }
 
+    /**
+     * Fill in the defaults of a sequence step
+     * @param {string|SequenceStep} step - Step as declared in the binding
+     * @returns {SequenceStep} Step with every field set
+     * @private
+     */
+    normalizeSequenceStep(step) {
+        const { action, pressed = true, minDelay = 0, maxDelay } = typeof step === 'string' ? { action: step } : step;
+
+        return {
+            action,
+            pressed,
+            minDelay,
+            // A step that only sets minDelay gets the usual window once that has passed
+            maxDelay: maxDelay !== undefined ? maxDelay : minDelay + KeyBindings.BUFFER_CONFIG.sequenceStepWindow
+        };
+    }
+
+    /**
+     * Keep buffered events long enough, and enough of them, to complete the longest sequence
+     * @private
+     */
+    updateBufferLimits() {
+        const { maxSize, timeWindow } = KeyBindings.BUFFER_CONFIG;
+        this.bufferLimits = { maxSize, timeWindow };
+
+        for (const { steps } of this.sequences.values()) {
+            const span = steps.slice(1).reduce((total, step) => total + step.maxDelay, 0);
+            // Room for a press and a release per step on top of the usual buffer
+            this.bufferLimits.maxSize = Math.max(this.bufferLimits.maxSize, maxSize + steps.length * 2);
+            this.bufferLimits.timeWindow = Math.max(this.bufferLimits.timeWindow, span);
+        }
+    }
+
     /**
      * Validate a key binding configuration
      * @param {KeyBinding} binding - The binding to validate
@@ -228,6 +331,12 @@ class KeyBindings {
             return false;
         }
 
+        if (binding.sequence !== undefined) {
+            return binding.keys === undefined &&
+                this.validateSequence(binding.sequence) &&
+                (binding.cooldown === undefined || (typeof binding.cooldown === 'number' && binding.cooldown >= 0));
+        }
+
         if (!Array.isArray(binding.keys) || binding.keys.length === 0) {
             return false;
         }
@@ -253,6 +362,33 @@ class KeyBindings {
         return true;
     }
 
+    /**
+     * Validate the steps of a sequence binding
+     * @param {Array<string|SequenceStep>} sequence - The steps to validate
+     * @returns {boolean} Whether the sequence is valid
+     * @private
+     */
+    validateSequence(sequence) {
+        // A single step is just a key binding
+        if (!Array.isArray(sequence) || sequence.length < 2) {
+            return false;
+        }
+
+        const isDelay = value => value === undefined || (typeof value === 'number' && value >= 0);
+
+        return sequence.every((step) => {
+            if (typeof step === 'string') {
+                return step.length > 0;
+            }
+
+            return Boolean(step) && typeof step === 'object' &&
+                typeof step.action === 'string' && step.action.length > 0 &&
+                (step.pressed === undefined || typeof step.pressed === 'boolean') &&
+                isDelay(step.minDelay) && isDelay(step.maxDelay) &&
+                (step.minDelay === undefined || step.maxDelay === undefined || step.minDelay <= step.maxDelay);
+        });
+    }
+
     /**
      * Setup keyboard event listeners
      * @private
@@ -260,7 +396,9 @@ class KeyBindings {
     setupEventListeners() {
         this.target.addEventListener('keydown', this.handleKeyDown, { passive: false });
         this.target.addEventListener('keyup', this.handleKeyUp, { passive: false });
-        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        }
 
         // Prevent context menu on right-click to avoid interfering with game controls
         this.target.addEventListener('contextmenu', (event) => {
@@ -278,10 +416,16 @@ class KeyBindings {
      */
     handleKeyDown(event) {
         if (!this.isActive) return;
+        if (this.captureCallback) {
+            this.handleCapture(event);
+            return;
+        }
 
         const startTime = performance.now();
         const key = event.code;
         const modifiers = this.getModifierState(event);
+        // Held keys repeat keydown; the buffer keeps the first press only
+        const repeat = Boolean(event.repeat) || this.isKeyPressed(key);
 
         try {
             // Update key state
@@ -292,8 +436,8 @@ class KeyBindings {
 
             // Process each action
             for (const actionName of actions) {
-                const binding = this.bindings[actionName];
-                if (this.shouldExecuteAction(actionName, binding)) {
+                const binding = this.getBinding(actionName);
+                if (this.shouldExecuteAction(actionName, binding, key)) {
                     this.executeAction(actionName, key, true, modifiers);
                     
                     // Prevent default browser behavior for game keys
@@ -304,8 +448,10 @@ class KeyBindings {
             }
 
             // Add to input buffer if enabled
-            if (this.enableBuffering && actions.length > 0) {
-                this.addToBuffer(actions[0], key, true, modifiers);
+            if (this.enableBuffering && !repeat) {
+                for (const actionName of actions) {
+                    this.addToBuffer(actionName, key, true, modifiers);
+                }
             }
 
         } catch (error) {
@@ -315,6 +461,29 @@ class KeyBindings {
         }
     }
 
+    /**
+     * Hand a keydown to the pending capture instead of the bindings
+     * @param {KeyboardEvent} event - The keyboard event
+     * @private
+     */
+    handleCapture(event) {
+        const key = event.code;
+
+        // Wait for the key the modifiers are held with
+        if (KeyBindings.MODIFIER_KEYS.has(key)) return;
+
+        event.preventDefault();
+        const callback = this.captureCallback;
+        const state = this.getModifierState(event);
+        this.captureCallback = null;
+
+        try {
+            callback({ key, modifiers: KeyBindings.MODIFIERS.filter(modifier => state[modifier]) });
+        } catch (error) {
+            this.log('Error in key capture callback', { key, error: error.message }, 'error');
+        }
+    }
+
     /**
      * Handle keyup events
      * @param {KeyboardEvent} event - The keyboard event
@@ -340,8 +509,10 @@ class KeyBindings {
             }
 
             // Add to input buffer if enabled
-            if (this.enableBuffering && actions.length > 0) {
-                this.addToBuffer(actions[0], key, false, modifiers);
+            if (this.enableBuffering) {
+                for (const actionName of actions) {
+                    this.addToBuffer(actionName, key, false, modifiers);
+                }
             }
 
         } catch (error) {
@@ -413,21 +584,128 @@ class KeyBindings {
      * Get actions that should be triggered for a given key and modifier combination
      * @param {string} key - The key code
      * @param {Object} modifiers - Current modifier state
-     * @returns {string[]} Array of action names
+     * @returns {string[]} Array of action names, resolved through the context stack
      * @private
      */
     getActionsForKey(key, modifiers) {
-        const potentialActions = this.keyToActionMap.get(key) || [];
-        const matchingActions = [];
+        return this.resolveActions(binding => binding.keys.includes(key) && this.modifiersMatch(binding.modifiers, modifiers));
+    }
 
-        for (const actionName of potentialActions) {
-            const binding = this.bindings[actionName];
-            if (this.modifiersMatch(binding.modifiers, modifiers)) {
-                matchingActions.push(actionName);
+    /**
+     * Get the context actions a device action stands for
+     *
+     * In the gameplay table a device action is itself; pushed contexts map
+     * device actions through each binding's sources.
+     * @param {string} deviceAction - Gameplay action reported by a device
+     * @returns {string[]} Array of action names, resolved through the context stack
+     * @private
+     */
+    getActionsForSource(deviceAction) {
+        return this.resolveActions((binding, actionName, context) => (
+            context.bindings ? binding.sources.includes(deviceAction) : actionName === deviceAction
+        ));
+    }
+
+    /**
+     * Walk the context stack from the top and collect the matching actions
+     *
+     * A context that maps the event and consumes it ends the walk; otherwise
+     * its passThrough decides which actions of the contexts below may still match.
+     * @param {Function} matches - (binding, actionName, context) => boolean
+     * @returns {string[]} Matching action names, topmost context first
+     * @private
+     */
+    resolveActions(matches) {
+        const actions = [];
+        const filters = [];
+
+        for (const context of this.getContextStack()) {
+            const bindings = context.bindings || this.bindings;
+            // The table may hold invalid bindings; only mapped ones take part
+            const names = context.bindings
+                ? Object.keys(bindings)
+                : [...new Set([].concat(...this.keyToActionMap.values()))];
+            const found = names.filter(actionName => (
+                filters.every(filter => filter.includes(actionName)) &&
+                matches(bindings[actionName], actionName, context)
+            ));
+
+            actions.push(...found);
+
+            if ((found.length > 0 && context.consume) || context.passThrough === false) break;
+            if (Array.isArray(context.passThrough)) {
+                filters.push(context.passThrough);
             }
         }
 
-        return matchingActions;
+        return actions;
+    }
+
+    /**
+     * Get the contexts events are resolved through, topmost first
+     * @returns {Array<Object>} Pushed contexts, then the bindings table
+     * @private
+     */
+    getContextStack() {
+        return [
+            ...[...this.contexts].reverse(),
+            { name: KeyBindings.BASE_CONTEXT, bindings: null, consume: true, passThrough: false }
+        ];
+    }
+
+    /**
+     * Find the binding for an action in the table or any pushed context
+     * @param {string} actionName - The action name
+     * @returns {KeyBinding|null} The binding, topmost context first
+     */
+    getBinding(actionName) {
+        for (const context of this.getContextStack()) {
+            const bindings = context.bindings || this.bindings;
+            if (bindings[actionName]) {
+                return bindings[actionName];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Put a context on top of the stack; it resolves events first
+     * @param {InputContext} context - Context with name, bindings, consume and passThrough
+     * @returns {InputContext} The context, to hand back to popContext()
+     * @throws {Error} If the context has no name or bindings
+     */
+    pushContext(context) {
+        if (!context || typeof context.name !== 'string' || !context.bindings) {
+            throw new Error('Input context must have a name and bindings');
+        }
+
+        this.contexts.push(context);
+        this.log('Input context pushed', { context: context.name });
+        return context;
+    }
+
+    /**
+     * Take a context off the stack, wherever it sits
+     * @param {InputContext} context - Context returned by pushContext()
+     * @returns {boolean} Whether the context was on the stack
+     */
+    popContext(context) {
+        const index = this.contexts.lastIndexOf(context);
+        if (index === -1) {
+            return false;
+        }
+
+        this.contexts.splice(index, 1);
+        this.log('Input context popped', { context: context.name });
+        return true;
+    }
+
+    /**
+     * Get the names of the contexts events go through
+     * @returns {string[]} Context names, topmost first; the last is always BASE_CONTEXT
+     */
+    getActiveContexts() {
+        return this.getContextStack().map(context => context.name);
     }
 
     /**
@@ -466,11 +744,11 @@ class KeyBindings {
      * Determine if an action should be executed based on timing and repeat settings
      * @param {string} actionName - The action name
      * @param {KeyBinding} binding - The key binding configuration
+     * @param {string} [key=binding.keys[0]] - The key that triggered the action
      * @returns {boolean} Whether the action should execute
      * @private
      */
-    shouldExecuteAction(actionName, binding) {
-        const key = binding.keys[0]; // Use first key for state lookup
+    shouldExecuteAction(actionName, binding, key = binding.keys[0]) {
         const state = this.keyStates.get(key);
         
         if (!state || !state.pressed) {
@@ -498,14 +776,15 @@ class KeyBindings {
      * @param {string} key - The key that triggered the action
      * @param {boolean} pressed - Whether this is a press or release event
      * @param {Object} modifiers - Current modifier state
+     * @param {string} [stateKey=key] - Key state to time the action on, if not the key's own
      * @private
      */
-    executeAction(actionName, key, pressed, modifiers) {
+    executeAction(actionName, key, pressed, modifiers, stateKey = key) {
         const now = Date.now();
         const binding = this.bindings[actionName];
 
         // Update action timing
-        const state = this.keyStates.get(key);
+        const state = this.keyStates.get(stateKey);
         if (state && pressed) {
             state.lastActionTime = now;
             state.repeating = true;
@@ -552,7 +831,7 @@ class KeyBindings {
     }
 
     /**
-     * Add input event to buffer for processing
+     * Add input event to buffer for processing, then look for completed sequences
      * @param {string} actionName - The action name
      * @param {string} key - The key code
      * @param {boolean} pressed - Whether key was pressed
@@ -571,9 +850,75 @@ class KeyBindings {
         this.inputBuffer.push(event);
 
         // Limit buffer size
-        if (this.inputBuffer.length > KeyBindings.BUFFER_CONFIG.maxSize) {
+        if (this.inputBuffer.length > this.bufferLimits.maxSize) {
             this.inputBuffer.shift();
         }
+
+        this.matchSequences(event);
+    }
+
+    /**
+     * Trigger every sequence the newest buffered event completes
+     *
+     * Buffered events a sequence has no step for (other actions, releases
+     * of press-only steps) are skipped; the rest must match its
+     * steps in order, each within its timing window. Events used by a
+     * completed sequence never start the same sequence again, so a triple
+     * tap is one double tap.
+     * @param {Object} event - Event just added to the buffer
+     * @private
+     */
+    matchSequences(event) {
+        for (const [actionName, sequence] of this.sequences) {
+            const { steps } = sequence;
+            const isStep = (step, buffered) => step.action === buffered.action && step.pressed === buffered.pressed;
+
+            if (!isStep(steps[steps.length - 1], event)) continue;
+
+            // Collect the sequence's events, newest first, back to its last completion
+            const matched = [];
+            for (let i = this.inputBuffer.length - 1; i >= 0 && matched.length < steps.length; i--) {
+                const buffered = this.inputBuffer[i];
+                if (buffered === sequence.lastEvent) break;
+                if (steps.some(step => isStep(step, buffered))) {
+                    matched.unshift(buffered);
+                }
+            }
+
+            const complete = matched.length === steps.length && steps.every((step, index) => {
+                if (!isStep(step, matched[index])) return false;
+                if (index === 0) return true;
+
+                const delay = matched[index].timestamp - matched[index - 1].timestamp;
+                return delay >= step.minDelay && delay <= step.maxDelay;
+            });
+            if (!complete || event.timestamp - sequence.lastTime < sequence.cooldown) continue;
+
+            sequence.lastEvent = event;
+            sequence.lastTime = event.timestamp;
+            this.executeSequence(actionName, event);
+        }
+    }
+
+    /**
+     * Notify listeners of a completed sequence
+     *
+     * Sequences are momentary: listeners get a press and no release.
+     * @param {string} actionName - The sequence's action
+     * @param {Object} event - Buffered event that completed it
+     * @private
+     */
+    executeSequence(actionName, event) {
+        this.notifyListeners(actionName, {
+            action: actionName,
+            key: event.key,
+            pressed: true,
+            sequence: true,
+            timestamp: event.timestamp,
+            modifiers: { ...event.modifiers }
+        });
+
+        this.log('Sequence completed', { action: actionName, key: event.key });
     }
 
     /**
@@ -595,7 +940,7 @@ class KeyBindings {
      * @private
      */
     startBufferCleanup() {
-        setInterval(() => {
+        this.cleanupTimer = setInterval(() => {
             this.cleanupBuffer();
             this.performanceMetrics.lastCleanup = Date.now();
         }, KeyBindings.BUFFER_CONFIG.cleanupInterval);
@@ -607,7 +952,7 @@ class KeyBindings {
      */
     cleanupBuffer() {
         const now = Date.now();
-        const timeWindow = KeyBindings.BUFFER_CONFIG.timeWindow;
+        const timeWindow = this.bufferLimits.timeWindow;
 
         this.inputBuffer = this.inputBuffer.filter(event => 
             (now - event.timestamp) <= timeWindow
@@ -646,6 +991,7 @@ class KeyBindings {
             state.pressed = false;
             state.repeating = false;
         }
+        this.sourceActions.clear();
     }
 
     /**
@@ -700,6 +1046,55 @@ class KeyBindings {
         this.log('Action listener removed', { action: actionName });
     }
 
+    /**
+     * Press or release an action from a device other than the keyboard
+     *
+     * Gamepads and touch controls report through here so listeners see the
+     * same events as for keys. The source takes the place of the key code;
+     * each of its actions gets a key state of its own, so holding fire does
+     * not make a pause press look like a repeat, and presses obey the
+     * binding's cooldown.
+     * Devices report gameplay actions; pushed contexts translate them, so a
+     * fire button press selects on a menu.
+     * @param {string} actionName - The gameplay action to trigger
+     * @param {string} source - Device control that triggered it, e.g. 'Gamepad0'
+     * @param {boolean} pressed - Whether this is a press or release
+     * @returns {boolean} Whether listeners were notified
+     */
+    triggerAction(actionName, source, pressed) {
+        if (!this.isActive || !this.bindings[actionName]) {
+            return false;
+        }
+
+        const modifiers = { ctrl: false, shift: false, alt: false, meta: false };
+        const stateKey = `${source}:${actionName}`;
+        this.updateKeyState(stateKey, pressed, modifiers);
+
+        if (!this.sourceActions.has(actionName)) {
+            this.sourceActions.set(actionName, new Set());
+        }
+        const sources = this.sourceActions.get(actionName);
+        if (pressed) {
+            sources.add(source);
+        } else {
+            sources.delete(source);
+        }
+
+        let notified = false;
+        for (const resolved of this.getActionsForSource(actionName)) {
+            if (pressed && !this.shouldExecuteAction(resolved, this.getBinding(resolved), stateKey)) {
+                continue;
+            }
+
+            this.executeAction(resolved, source, pressed, modifiers, stateKey);
+            if (this.enableBuffering) {
+                this.addToBuffer(resolved, source, pressed, modifiers);
+            }
+            notified = true;
+        }
+        return notified;
+    }
+
     /**
      * Check if a key is currently pressed
      * @param {string} key - The key code to check
@@ -712,16 +1107,28 @@ class KeyBindings {
 
     /**
      * Check if an action is currently active (any of its keys are pressed)
+     *
+     * Held keys and device actions are resolved through the context stack
+     * as it is now, so an action of a context that was popped is never active.
      * @param {string} actionName - The action to check
      * @returns {boolean} Whether the action is active
      */
     isActionActive(actionName) {
-        const binding = this.bindings[actionName];
-        if (!binding) {
+        if (!this.getBinding(actionName)) {
             return false;
         }
 
-        return binding.keys.some(key => this.isKeyPressed(key));
+        for (const [key, state] of this.keyStates) {
+            if (state.pressed && this.resolveActions(binding => binding.keys.includes(key)).includes(actionName)) {
+                return true;
+            }
+        }
+        for (const [deviceAction, sources] of this.sourceActions) {
+            if (sources.size > 0 && this.getActionsForSource(deviceAction).includes(actionName)) {
+                return true;
+            }
+        }
+        return false;
     }
 
     /**
@@ -737,6 +1144,9 @@ class KeyBindings {
      */
     clearInputBuffer() {
         this.inputBuffer.length = 0;
+        for (const sequence of this.sequences.values()) {
+            sequence.lastEvent = null;
+        }
         this.log('Input buffer cleared');
     }
 
@@ -777,6 +1187,78 @@ class KeyBindings {
         return JSON.parse(JSON.stringify(this.bindings));
     }
 
+    /**
+     * Send the next key press to a callback instead of triggering actions
+     *
+     * Used by the rebinding screen. Modifier keys pressed alone are skipped;
+     * the capture ends after one key, so call again to capture another.
+     * @param {Function} callback - Receives {key, modifiers} with modifiers as
+     *   names from KeyBindings.MODIFIERS
+     * @throws {Error} If callback is not a function
+     */
+    captureNextKey(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+
+        this.captureCallback = callback;
+    }
+
+    /**
+     * Stop a pending capture without calling its callback
+     */
+    cancelCapture() {
+        this.captureCallback = null;
+    }
+
+    /**
+     * Check whether a key capture is pending
+     * @returns {boolean} Whether the next key press will be captured
+     */
+    isCapturing() {
+        return this.captureCallback !== null;
+    }
+
+    /**
+     * Find the actions a key and modifier combination already triggers
+     *
+     * Combos only clash when the modifiers match exactly: KeyR and Ctrl+KeyR
+     * are different combos.
+     * @param {string} key - The key code
+     * @param {string[]} [modifiers=[]] - Modifier names held with the key
+     * @param {string} [exceptAction] - Action to leave out, usually the one being rebound
+     * @returns {string[]} Conflicting action names
+     */
+    findConflicts(key, modifiers = [], exceptAction = null) {
+        const wanted = KeyBindings.MODIFIERS.filter(modifier => modifiers.includes(modifier)).join('+');
+
+        return Object.entries(this.bindings)
+            .filter(([actionName, binding]) => (
+                actionName !== exceptAction &&
+                Array.isArray(binding.keys) && binding.keys.includes(key) &&
+                KeyBindings.MODIFIERS.filter(modifier => (binding.modifiers || []).includes(modifier)).join('+') === wanted
+            ))
+            .map(([actionName]) => actionName);
+    }
+
+    /**
+     * Describe a key combination for display, e.g. 'CTRL+R' or 'LEFT'
+     * @param {string} key - The key code
+     * @param {string[]} [modifiers=[]] - Modifier names held with the key
+     * @returns {string} Readable combination
+     * @static
+     */
+    static describeKey(key, modifiers = []) {
+        const name = key
+            .replace(/^(Key|Digit)/, '')
+            .replace(/^Arrow/, '')
+            .replace(/^Numpad(.+)/, 'NUM $1')
+            .toUpperCase();
+        const held = KeyBindings.MODIFIERS.filter(modifier => modifiers.includes(modifier));
+
+        return [...held.map(modifier => modifier.toUpperCase()), name].join('+');
+    }
+
     /**
      * Reset all bindings to defaults
      */
@@ -821,13 +1303,20 @@ class KeyBindings {
     destroy() {
         this.target.removeEventListener('keydown', this.handleKeyDown);
         this.target.removeEventListener('keyup', this.handleKeyUp);
-        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        }
+        clearInterval(this.cleanupTimer);
+        this.cleanupTimer = null;
 
         this.clearAllKeyStates();
         this.clearInputBuffer();
         this.actionListeners.clear();
         this.keyStates.clear();
+        this.captureCallback = null;
         this.keyToActionMap.clear();
+        this.sequences.clear();
+        this.contexts = [];
 
         this.isActive = false;
 
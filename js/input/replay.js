@@ -0,0 +1,612 @@
+/**
+ * Replay Module
+ *
+ * Input recording and deterministic playback. A run is fully determined by
+ * its seed, its configuration and the actions resolved on each fixed tick,
+ * so a replay stores exactly that: a small header plus one integer of
+ * action bits per tick. Periodic state checksums recorded alongside the
+ * input let playback report the first tick at which a run stops matching
+ * the recording.
+ *
+ * Key Features:
+ * - Action bit flags, run-length encoded: idle stretches cost two numbers
+ * - Analog stick magnitudes quantized into the same integer
+ * - Compact, versioned JSON file format
+ * - Playback pause, 1x / 2x / 4x speed and single-tick stepping
+ * - Checksum every N ticks for desync detection
+ *
+ * Architecture:
+ * - The recorder and player never touch the game; the game asks the player
+ *   for each tick's actions instead of reading its input devices, and hands
+ *   both a checksum callback after the tick
+ * - The player decides how many ticks run per loop update, which is how
+ *   speed, pause and stepping work without changing the loop's time step
+ *
+ * File format (version 1):
+ *   {
+ *     version: 1,
+ *     seed: 123456,                 // master RandomService seed
+ *     config: { tickRate: 60, ... },// settings that affect the simulation
+ *     ticks: 3600,                  // recorded tick count
+ *     input: [bits, count, ...],    // run-length encoded actions and axis magnitudes
+ *     checksumInterval: 60,
+ *     checksums: [hash, ...]        // after ticks N, 2N, 3N, ...
+ *   }
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Replay file format version
+ * @type {number}
+ */
+const REPLAY_FORMAT_VERSION = 1;
+
+/**
+ * Action bit flags stored per tick
+ * @readonly
+ * @enum {number}
+ */
+const ReplayAction = Object.freeze({
+    LEFT: 1 << 0,
+    RIGHT: 1 << 1,
+    UP: 1 << 2,
+    DOWN: 1 << 3,
+    SHOOT: 1 << 4,
+    // Above the axis magnitude fields, so older recordings never set it
+    NEXT_WEAPON: 1 << 13
+});
+
+/**
+ * Playback speeds, in ticks per loop update
+ * @type {number[]}
+ */
+const PLAYBACK_SPEEDS = Object.freeze([1, 2, 4]);
+
+/**
+ * Default recording configuration
+ * @type {Object}
+ */
+const DEFAULT_REPLAY_CONFIG = Object.freeze({
+    checksumInterval: 60 // ticks between state checksums
+});
+
+/**
+ * Steps an analog axis magnitude is quantized to
+ *
+ * Each axis stores its magnitude in four bits above the action flags; 0
+ * means full deflection, so keyboard input and recordings made before
+ * analog movement decode exactly as they did.
+ * @type {number}
+ */
+const AXIS_MAGNITUDE_STEPS = 16;
+
+/**
+ * Bit offsets of the X and Y magnitude fields
+ * @type {{x: number, y: number}}
+ */
+const AXIS_MAGNITUDE_SHIFT = Object.freeze({ x: 5, y: 9 });
+
+/**
+ * Quantizes one axis magnitude
+ * @param {number} value - Axis value, -1 to 1
+ * @returns {number} Magnitude field, 0 for full deflection
+ */
+function quantizeMagnitude(value) {
+    const steps = Math.max(1, Math.round(Math.min(1, Math.abs(value)) * AXIS_MAGNITUDE_STEPS));
+    return steps >= AXIS_MAGNITUDE_STEPS ? 0 : steps;
+}
+
+/**
+ * Packs resolved actions into bit flags
+ * @param {{x?: number, y?: number, shoot?: boolean, nextWeapon?: boolean}} actions - Movement axes
+ *   (-1 to 1), fire button and weapon switch
+ * @returns {number} ReplayAction bits plus the axis magnitudes
+ */
+function encodeActions({ x = 0, y = 0, shoot = false, nextWeapon = false } = {}) {
+    let bits = 0;
+
+    if (x < 0) bits |= ReplayAction.LEFT;
+    if (x > 0) bits |= ReplayAction.RIGHT;
+    if (y < 0) bits |= ReplayAction.UP;
+    if (y > 0) bits |= ReplayAction.DOWN;
+    if (shoot) bits |= ReplayAction.SHOOT;
+    if (nextWeapon) bits |= ReplayAction.NEXT_WEAPON;
+
+    if (x) bits |= quantizeMagnitude(x) << AXIS_MAGNITUDE_SHIFT.x;
+    if (y) bits |= quantizeMagnitude(y) << AXIS_MAGNITUDE_SHIFT.y;
+
+    return bits;
+}
+
+/**
+ * Unpacks bit flags into movement axes, fire button and weapon switch
+ * @param {number} bits - ReplayAction bits plus the axis magnitudes
+ * @returns {{x: number, y: number, shoot: boolean, nextWeapon: boolean}} Resolved actions
+ */
+function decodeActions(bits) {
+    const magnitude = (axis) => {
+        const steps = (bits >> AXIS_MAGNITUDE_SHIFT[axis]) & (AXIS_MAGNITUDE_STEPS - 1);
+        return steps ? steps / AXIS_MAGNITUDE_STEPS : 1;
+    };
+
+    return {
+        x: ((bits & ReplayAction.RIGHT ? 1 : 0) - (bits & ReplayAction.LEFT ? 1 : 0)) * magnitude('x'),
+        y: ((bits & ReplayAction.DOWN ? 1 : 0) - (bits & ReplayAction.UP ? 1 : 0)) * magnitude('y'),
+        shoot: Boolean(bits & ReplayAction.SHOOT),
+        nextWeapon: Boolean(bits & ReplayAction.NEXT_WEAPON)
+    };
+}
+
+/**
+ * Hashes a list of numbers to an unsigned 32-bit checksum (FNV-1a)
+ *
+ * Values are quantized to thousandths first, so the checksum tracks game
+ * state rather than the last bits of floating point noise.
+ * @param {Array<number|boolean>} values - State values
+ * @returns {number} Checksum
+ */
+function checksumValues(values) {
+    let hash = 0x811c9dc5;
+
+    for (const value of values) {
+        let word = Math.round(Number(value) * 1000) | 0;
+
+        for (let i = 0; i < 4; i++) {
+            hash ^= word & 0xff;
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+            word >>>= 8;
+        }
+    }
+
+    return hash;
+}
+
+/**
+ * Validates a replay and fills in defaults
+ * @param {string|Object} data - Serialized replay or replay object
+ * @returns {Object} Replay object
+ * @throws {Error} When the data is not a usable replay
+ */
+function parseReplay(data) {
+    let replay = data;
+
+    if (typeof data === 'string') {
+        try {
+            replay = JSON.parse(data);
+        } catch (error) {
+            throw new Error(`Invalid replay: ${error.message}`);
+        }
+    }
+
+    if (!replay || typeof replay !== 'object') {
+        throw new Error('Invalid replay: expected an object');
+    }
+    if (replay.version !== REPLAY_FORMAT_VERSION) {
+        throw new Error(`Unsupported replay version: ${replay.version}`);
+    }
+    if (!Number.isInteger(replay.seed) || replay.seed < 0) {
+        throw new Error('Invalid replay: seed must be a non-negative integer');
+    }
+
+    const input = replay.input;
+    if (!Array.isArray(input) || input.length % 2 !== 0
+        || !input.every(value => Number.isInteger(value) && value >= 0)) {
+        throw new Error('Invalid replay: input must be [bits, count] pairs');
+    }
+
+    const ticks = input.reduce((total, value, index) => (index % 2 === 1 ? total + value : total), 0);
+    if (replay.ticks !== undefined && replay.ticks !== ticks) {
+        throw new Error(`Invalid replay: header says ${replay.ticks} ticks, input holds ${ticks}`);
+    }
+
+    const checksumInterval = replay.checksumInterval !== undefined
+        ? replay.checksumInterval
+        : DEFAULT_REPLAY_CONFIG.checksumInterval;
+    if (!Number.isInteger(checksumInterval) || checksumInterval <= 0) {
+        throw new Error('Invalid replay: checksumInterval must be a positive integer');
+    }
+
+    const checksums = replay.checksums || [];
+    if (!Array.isArray(checksums) || !checksums.every(Number.isInteger)) {
+        throw new Error('Invalid replay: checksums must be integers');
+    }
+
+    return {
+        version: REPLAY_FORMAT_VERSION,
+        seed: replay.seed,
+        config: { ...replay.config },
+        ticks,
+        input: input.slice(),
+        checksumInterval,
+        checksums: checksums.slice()
+    };
+}
+
+/**
+ * Records one run's per-tick actions and checksums
+ */
+class ReplayRecorder {
+    /**
+     * Creates a new recorder
+     * @param {Object} header - Run header
+     * @param {number} header.seed - Master RandomService seed
+     * @param {Object} [header.config={}] - Settings that affect the simulation
+     * @param {Object} [config={}] - Recording configuration
+     * @param {number} [config.checksumInterval=60] - Ticks between state checksums
+     */
+    constructor({ seed, config: runConfig = {} } = {}, config = {}) {
+        this.config = this._validateAndMergeConfig(config);
+
+        if (!Number.isInteger(seed) || seed < 0) {
+            throw new Error('Replay seed must be a non-negative integer');
+        }
+
+        this.seed = seed;
+        this.runConfig = { ...runConfig };
+        this.input = [];
+        this.checksums = [];
+        this.tickCount = 0;
+    }
+
+    /**
+     * Validates and merges user configuration with defaults
+     * @param {Object} userConfig - User provided configuration
+     * @returns {Object} Validated configuration
+     * @private
+     */
+    _validateAndMergeConfig(userConfig) {
+        const config = { ...DEFAULT_REPLAY_CONFIG, ...userConfig };
+
+        if (!Number.isInteger(config.checksumInterval) || config.checksumInterval <= 0) {
+            throw new Error('Replay checksumInterval must be a positive integer');
+        }
+
+        return config;
+    }
+
+    /**
+     * Appends one tick's actions
+     * @param {number} bits - ReplayAction bits resolved for the tick
+     */
+    record(bits) {
+        const last = this.input.length - 2;
+
+        if (last >= 0 && this.input[last] === bits) {
+            this.input[last + 1]++;
+        } else {
+            this.input.push(bits, 1);
+        }
+
+        this.tickCount++;
+    }
+
+    /**
+     * Stores a state checksum when the tick just recorded is a checkpoint
+     * @param {Function} computeChecksum - Returns the current state checksum; only called at checkpoints
+     * @returns {boolean} True if a checksum was stored
+     */
+    checkpoint(computeChecksum) {
+        if (this.tickCount === 0 || this.tickCount % this.config.checksumInterval !== 0) {
+            return false;
+        }
+
+        this.checksums.push(computeChecksum());
+        return true;
+    }
+
+    /**
+     * Gets the number of ticks recorded
+     * @returns {number} Tick count
+     */
+    getTickCount() {
+        return this.tickCount;
+    }
+
+    /**
+     * Builds the replay object
+     * @returns {Object} Replay in the current file format
+     */
+    toJSON() {
+        return {
+            version: REPLAY_FORMAT_VERSION,
+            seed: this.seed,
+            config: { ...this.runConfig },
+            ticks: this.tickCount,
+            input: this.input.slice(),
+            checksumInterval: this.config.checksumInterval,
+            checksums: this.checksums.slice()
+        };
+    }
+
+    /**
+     * Serializes the replay for saving or sharing
+     * @returns {string} Replay file contents
+     */
+    serialize() {
+        return JSON.stringify(this.toJSON());
+    }
+}
+
+/**
+ * Feeds a recorded run back one tick at a time
+ */
+class ReplayPlayer {
+    /**
+     * Creates a new player
+     * @param {string|Object} replay - Serialized replay or replay object
+     * @param {Object} [options={}] - Playback options
+     * @param {Function} [options.onDesync] - Called once with {tick, expected, actual} on the first mismatch
+     */
+    constructor(replay, options = {}) {
+        this.replay = parseReplay(replay);
+        this.onDesync = options.onDesync || null;
+
+        this.tick = 0;
+        this.runIndex = 0;
+        this.runOffset = 0;
+        this.speed = 1;
+        this.paused = false;
+        this.pendingSteps = 0;
+        this.stopped = false;
+        this.desync = null;
+    }
+
+    /**
+     * Gets the master seed the run was recorded with
+     * @returns {number} Seed
+     */
+    getSeed() {
+        return this.replay.seed;
+    }
+
+    /**
+     * Gets the settings the run was recorded with
+     * @returns {Object} Run configuration
+     */
+    getConfig() {
+        return { ...this.replay.config };
+    }
+
+    /**
+     * Gets the recorded tick length
+     * @param {number} [fallback=1000 / 60] - Tick length when the replay does not state a tick rate
+     * @returns {number} Tick length in milliseconds
+     */
+    getTimeStep(fallback = 1000 / 60) {
+        const tickRate = this.replay.config.tickRate;
+        return tickRate > 0 ? 1000 / tickRate : fallback;
+    }
+
+    /**
+     * Gets the number of ticks the next loop update should run
+     *
+     * Consumes queued steps while paused.
+     * @returns {number} Tick count, 0 while paused with nothing queued
+     */
+    takeTicks() {
+        const remaining = this.isFinished() ? 0 : this.replay.ticks - this.tick;
+
+        if (this.paused) {
+            const steps = Math.min(this.pendingSteps, remaining);
+            this.pendingSteps = 0;
+            return steps;
+        }
+
+        return Math.min(this.speed, remaining);
+    }
+
+    /**
+     * Reads the next tick's actions and advances
+     * @returns {number} ReplayAction bits, 0 once the recording is exhausted
+     */
+    next() {
+        if (this.isFinished()) {
+            return 0;
+        }
+
+        const input = this.replay.input;
+        // Skip zero-length runs a hand-edited file might contain
+        while (this.runOffset >= input[this.runIndex * 2 + 1]) {
+            this.runIndex++;
+            this.runOffset = 0;
+        }
+
+        const bits = input[this.runIndex * 2];
+        this.runOffset++;
+        this.tick++;
+
+        return bits;
+    }
+
+    /**
+     * Compares the state checksum with the recording when the tick just played is a checkpoint
+     * @param {Function} computeChecksum - Returns the current state checksum; only called at checkpoints
+     * @returns {boolean} False if this checkpoint did not match
+     */
+    checkpoint(computeChecksum) {
+        const interval = this.replay.checksumInterval;
+        const index = this.tick / interval - 1;
+
+        if (this.tick === 0 || this.tick % interval !== 0 || index >= this.replay.checksums.length) {
+            return true;
+        }
+
+        const expected = this.replay.checksums[index];
+        const actual = computeChecksum();
+        if (actual === expected) {
+            return true;
+        }
+
+        if (!this.desync) {
+            this.desync = { tick: this.tick, expected, actual };
+            this._logWarn(`Desync at tick ${this.tick}: expected ${expected}, got ${actual}`);
+
+            if (this.onDesync) {
+                try {
+                    this.onDesync({ ...this.desync });
+                } catch (error) {
+                    this._logError('Desync callback failed', error);
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Pauses playback
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Resumes playback
+     */
+    resume() {
+        this.paused = false;
+        this.pendingSteps = 0;
+    }
+
+    /**
+     * Pauses when playing, resumes when paused
+     * @returns {boolean} True if now paused
+     */
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+
+        return this.paused;
+    }
+
+    /**
+     * Pauses playback and queues single ticks
+     * @param {number} [count=1] - Ticks to advance on the next loop update
+     */
+    step(count = 1) {
+        if (!Number.isInteger(count) || count <= 0) {
+            throw new Error('Replay step count must be a positive integer');
+        }
+
+        this.paused = true;
+        this.pendingSteps += count;
+    }
+
+    /**
+     * Sets the playback speed
+     * @param {number} speed - One of PLAYBACK_SPEEDS
+     */
+    setSpeed(speed) {
+        if (!PLAYBACK_SPEEDS.includes(speed)) {
+            throw new Error(`Replay speed must be one of ${PLAYBACK_SPEEDS.join(', ')}`);
+        }
+
+        this.speed = speed;
+    }
+
+    /**
+     * Moves to the next playback speed, wrapping back to the slowest
+     * @returns {number} New speed
+     */
+    cycleSpeed() {
+        const index = PLAYBACK_SPEEDS.indexOf(this.speed);
+        this.speed = PLAYBACK_SPEEDS[(index + 1) % PLAYBACK_SPEEDS.length];
+        return this.speed;
+    }
+
+    /**
+     * Ends playback early
+     */
+    stop() {
+        this.stopped = true;
+    }
+
+    /**
+     * Checks whether playback is paused
+     * @returns {boolean} True if paused
+     */
+    isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * Checks whether every recorded tick has been played or playback was stopped
+     * @returns {boolean} True if finished
+     */
+    isFinished() {
+        return this.stopped || this.tick >= this.replay.ticks;
+    }
+
+    /**
+     * Gets the first checksum mismatch
+     * @returns {{tick: number, expected: number, actual: number}|null} Desync, or null while in sync
+     */
+    getDesync() {
+        return this.desync ? { ...this.desync } : null;
+    }
+
+    /**
+     * Gets playback position and controls
+     * @returns {{tick: number, ticks: number, speed: number, paused: boolean}} Progress
+     */
+    getProgress() {
+        return {
+            tick: this.tick,
+            ticks: this.replay.ticks,
+            speed: this.speed,
+            paused: this.paused
+        };
+    }
+
+    /**
+     * Log warning message
+     * @private
+     * @param {string} message - Warning message
+     */
+    _logWarn(message) {
+        console.warn(`[ReplayPlayer] ${message}`);
+    }
+
+    /**
+     * Log error message
+     * @private
+     * @param {string} message - Error message
+     * @param {Error} error - Error object
+     */
+    _logError(message, error) {
+        console.error(`[ReplayPlayer] ${message}:`, error);
+    }
+}
+
+// Export the replay format, recorder and player
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ReplayRecorder,
+        ReplayPlayer,
+        ReplayAction,
+        AXIS_MAGNITUDE_STEPS,
+        PLAYBACK_SPEEDS,
+        REPLAY_FORMAT_VERSION,
+        DEFAULT_REPLAY_CONFIG,
+        encodeActions,
+        decodeActions,
+        checksumValues,
+        parseReplay
+    };
+} else if (typeof window !== 'undefined') {
+    window.ReplayRecorder = ReplayRecorder;
+    window.ReplayPlayer = ReplayPlayer;
+    window.ReplayAction = ReplayAction;
+    window.AXIS_MAGNITUDE_STEPS = AXIS_MAGNITUDE_STEPS;
+    window.PLAYBACK_SPEEDS = PLAYBACK_SPEEDS;
+    window.encodeActions = encodeActions;
+    window.decodeActions = decodeActions;
+    window.checksumValues = checksumValues;
+    window.parseReplay = parseReplay;
+}
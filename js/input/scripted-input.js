@@ -0,0 +1,159 @@
+/**
+ * Scripted Input Module
+ *
+ * A programmable input device. Tests, bots and the headless runner set the
+ * actions to hold for the next tick instead of dispatching DOM events; like
+ * the gamepad and touch sources, it presses and releases KeyBindings
+ * actions, so the game resolves it through the same ActionInput pipeline
+ * as real devices and recording and replays work unchanged.
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Source name reported to KeyBindings for scripted actions
+ * @type {string}
+ */
+const SCRIPT_SOURCE = 'Script';
+
+/**
+ * Input device driven by code
+ */
+class ScriptedInput {
+    /**
+     * @param {Object} [options={}] - Runtime dependencies
+     * @param {KeyBindings} [options.keyBindings] - Bindings to report actions to; see attach()
+     */
+    constructor(options = {}) {
+        this.enabled = true;
+        this.actions = { x: 0, y: 0, shoot: false, nextWeapon: false };
+        this.keyBindings = null;
+        this.held = new Set();
+
+        if (options.keyBindings) {
+            this.attach(options.keyBindings);
+        }
+    }
+
+    /**
+     * Starts reporting actions to a set of bindings; the game attaches the
+     * device it is given when it builds its own bindings
+     * @param {KeyBindings} keyBindings - Bindings to report to
+     */
+    attach(keyBindings) {
+        this._applyActions(new Set());
+        this.keyBindings = keyBindings;
+        this._applyActions(this._heldActions());
+    }
+
+    /**
+     * Sets the actions held until the next call
+     * @param {{x?: number, y?: number, shoot?: boolean, nextWeapon?: boolean}|null} actions - Movement
+     *   axes (-1 to 1), fire button and weapon switch; null releases everything
+     */
+    set(actions) {
+        const { x = 0, y = 0, shoot = false, nextWeapon = false } = actions || {};
+        const clamp = value => Math.max(-1, Math.min(1, Number(value) || 0));
+
+        this.actions = {
+            x: clamp(x),
+            y: clamp(y),
+            shoot: Boolean(shoot),
+            nextWeapon: Boolean(nextWeapon)
+        };
+        this._applyActions(this._heldActions());
+    }
+
+    /**
+     * Releases every action
+     */
+    clear() {
+        this.set(null);
+    }
+
+    /**
+     * @returns {Set<string>} KeyBindings actions the script holds
+     * @private
+     */
+    _heldActions() {
+        const actions = new Set();
+        if (!this.enabled) return actions;
+
+        const { x, y, shoot, nextWeapon } = this.actions;
+        if (x) actions.add(x < 0 ? 'moveLeft' : 'moveRight');
+        if (y) actions.add(y < 0 ? 'moveUp' : 'moveDown');
+        if (shoot) actions.add('shoot');
+        if (nextWeapon) actions.add('nextWeapon');
+
+        return actions;
+    }
+
+    /**
+     * Reports the difference between the held actions and the new set
+     * @param {Set<string>} actions - Actions held now
+     * @private
+     */
+    _applyActions(actions) {
+        if (this.keyBindings) {
+            for (const action of actions) {
+                if (!this.held.has(action)) {
+                    this.keyBindings.triggerAction(action, SCRIPT_SOURCE, true);
+                }
+            }
+            for (const action of this.held) {
+                if (!actions.has(action)) {
+                    this.keyBindings.triggerAction(action, SCRIPT_SOURCE, false);
+                }
+            }
+        }
+
+        this.held = actions;
+    }
+
+    /**
+     * Gets the held movement, for analog speed
+     * @returns {{x: number, y: number}} Movement axes, -1 to 1
+     */
+    getAxes() {
+        return this.enabled ? { x: this.actions.x, y: this.actions.y } : { x: 0, y: 0 };
+    }
+
+    /**
+     * Gets the held movement direction
+     * @returns {{x: number, y: number}} Movement direction, each axis -1, 0 or 1
+     */
+    getMovementVector() {
+        const { x, y } = this.getAxes();
+        return { x: Math.sign(x) || 0, y: Math.sign(y) || 0 };
+    }
+
+    /**
+     * Checks whether fire is held
+     * @returns {boolean} True if shooting
+     */
+    isShooting() {
+        return this.enabled && this.actions.shoot;
+    }
+
+    /**
+     * Enables or disables the device; disabling releases every action
+     * @param {boolean} enabled - Whether scripted actions are reported
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+
+        if (!this.enabled) {
+            this.clear();
+        }
+    }
+}
+
+// Export the scripted device
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScriptedInput, SCRIPT_SOURCE };
+} else if (typeof window !== 'undefined') {
+    window.ScriptedInput = ScriptedInput;
+    window.SCRIPT_SOURCE = SCRIPT_SOURCE;
+}
@@ -0,0 +1,527 @@
+/**
+ * Touch Controls Module
+ *
+ * On-screen controls for touch devices: a floating virtual stick on one
+ * half of the screen, a fire button on the other and a pause button in the
+ * top corner. Each finger is tracked by its touch identifier, so the player
+ * can steer and fire at the same time. Controls report the same action
+ * names to KeyBindings as the keyboard and gamepad sources.
+ *
+ * Key Features:
+ * - Draggable stick: the base appears under the thumb, the knob follows it
+ * - Fire button held to fire, or tapped to toggle auto-fire
+ * - Right-handed (fire on the right) and left-handed layouts
+ * - Hidden until the first touch, so desktop players never see it
+ *
+ * Touch positions are mapped from client coordinates to the logical canvas
+ * size, so the layout holds however the canvas is scaled.
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Which hand works the fire button
+ * @readonly
+ * @enum {string}
+ */
+const TouchHand = Object.freeze({
+    RIGHT: 'right',
+    LEFT: 'left'
+});
+
+/**
+ * Default touch control configuration
+ * @type {Object}
+ */
+const DEFAULT_TOUCH_CONFIG = Object.freeze({
+    width: 800, // logical canvas size the layout is computed in
+    height: 600,
+    handedness: TouchHand.RIGHT,
+    autoFire: false,
+    alwaysVisible: false, // show before the first touch
+    stickRadius: 60,
+    knobRadius: 24,
+    deadZone: 0.3, // fraction of stickRadius the knob moves before steering
+    fireRadius: 44,
+    pauseSize: 40,
+    margin: 24,
+    color: '#FFFFFF',
+    activeColor: '#00FF00'
+});
+
+/**
+ * Source name reported to KeyBindings for every touch control
+ * @type {string}
+ */
+const TOUCH_SOURCE = 'Touch';
+
+/**
+ * Virtual stick, fire and pause buttons driven by touch events
+ */
+class TouchControls {
+    /**
+     * Creates the controls
+     * @param {Object} [config={}] - Configuration, merged over the defaults
+     * @param {Object} [options={}] - Runtime dependencies
+     * @param {HTMLElement} [options.element] - Element receiving touches, usually the canvas
+     * @param {KeyBindings} [options.keyBindings] - Receives presses and releases as actions
+     */
+    constructor(config = {}, options = {}) {
+        this.config = this._validateAndMergeConfig(config);
+
+        this.keyBindings = options.keyBindings || null;
+        this.element = null;
+
+        this.enabled = true;
+        this.visible = this.config.alwaysVisible;
+        this.handedness = this.config.handedness;
+        this.autoFire = this.config.autoFire;
+        this.firing = false;
+        this.touches = new Map();
+        this.stick = null;
+        this.held = new Set();
+
+        // Bound methods for event listeners
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+
+        if (options.element) {
+            this.attach(options.element);
+        }
+    }
+
+    /**
+     * Validates and merges user configuration with defaults
+     * @param {Object} userConfig - User provided configuration
+     * @returns {Object} Validated configuration
+     * @private
+     */
+    _validateAndMergeConfig(userConfig) {
+        const config = { ...DEFAULT_TOUCH_CONFIG, ...userConfig };
+
+        if (!Object.values(TouchHand).includes(config.handedness)) {
+            throw new Error(`Unknown handedness: ${config.handedness}`);
+        }
+        for (const key of ['width', 'height', 'stickRadius', 'knobRadius', 'fireRadius', 'pauseSize']) {
+            if (!(config[key] > 0)) {
+                throw new Error(`${key} must be a positive number`);
+            }
+        }
+        if (!(config.deadZone >= 0 && config.deadZone < 1)) {
+            throw new Error('deadZone must be in [0, 1)');
+        }
+
+        return config;
+    }
+
+    /**
+     * Starts listening for touches on an element
+     * @param {HTMLElement} element - Element receiving touches
+     */
+    attach(element) {
+        this.detach();
+
+        // Not passive: the page must not scroll or zoom under the player's thumbs
+        const options = { passive: false };
+        element.addEventListener('touchstart', this.handleTouchStart, options);
+        element.addEventListener('touchmove', this.handleTouchMove, options);
+        element.addEventListener('touchend', this.handleTouchEnd, options);
+        element.addEventListener('touchcancel', this.handleTouchEnd, options);
+        this.element = element;
+    }
+
+    /**
+     * Stops listening for touches
+     */
+    detach() {
+        if (!this.element) return;
+
+        this.element.removeEventListener('touchstart', this.handleTouchStart);
+        this.element.removeEventListener('touchmove', this.handleTouchMove);
+        this.element.removeEventListener('touchend', this.handleTouchEnd);
+        this.element.removeEventListener('touchcancel', this.handleTouchEnd);
+        this.element = null;
+    }
+
+    /**
+     * Gets where each control sits for the current handedness
+     * @returns {{stick: Object, fire: Object, pause: Object}} Stick home centre and radius,
+     *   fire button centre and radius, pause button rectangle
+     */
+    getLayout() {
+        const { width, height, margin, stickRadius, fireRadius, pauseSize } = this.config;
+        const leftHanded = this.handedness === TouchHand.LEFT;
+        const stickX = margin + stickRadius;
+        const fireX = width - margin - fireRadius;
+
+        return {
+            stick: {
+                x: leftHanded ? width - stickX : stickX,
+                y: height - margin - stickRadius,
+                radius: stickRadius
+            },
+            fire: {
+                x: leftHanded ? width - fireX : fireX,
+                y: height - margin - fireRadius,
+                radius: fireRadius
+            },
+            pause: {
+                x: leftHanded ? margin : width - margin - pauseSize,
+                y: margin,
+                width: pauseSize,
+                height: pauseSize
+            }
+        };
+    }
+
+    /**
+     * Claims new touches for the control under them
+     * @param {TouchEvent} event - Touch event
+     */
+    handleTouchStart(event) {
+        event.preventDefault();
+        if (!this.enabled) return;
+
+        this.visible = true;
+        const layout = this.getLayout();
+
+        for (const touch of event.changedTouches) {
+            const point = this._toCanvas(touch);
+            const control = this._controlAt(point, layout);
+
+            if (control === 'stick') {
+                if (this.stick) continue;
+                this.stick = this._placeStick(point);
+            } else if (control === 'fire' && this.autoFire) {
+                this.firing = !this.firing;
+            }
+
+            this.touches.set(touch.identifier, control);
+        }
+
+        this._sync();
+    }
+
+    /**
+     * Drags the stick knob with its finger
+     * @param {TouchEvent} event - Touch event
+     */
+    handleTouchMove(event) {
+        event.preventDefault();
+        if (!this.enabled || !this.stick) return;
+
+        for (const touch of event.changedTouches) {
+            if (this.touches.get(touch.identifier) !== 'stick') continue;
+
+            const point = this._toCanvas(touch);
+            const dx = point.x - this.stick.x;
+            const dy = point.y - this.stick.y;
+            const distance = Math.hypot(dx, dy);
+            const scale = distance > this.config.stickRadius ? this.config.stickRadius / distance : 1;
+
+            this.stick.knobX = dx * scale;
+            this.stick.knobY = dy * scale;
+        }
+
+        this._sync();
+    }
+
+    /**
+     * Lets go of the controls whose fingers lifted
+     * @param {TouchEvent} event - Touch event
+     */
+    handleTouchEnd(event) {
+        event.preventDefault();
+
+        for (const touch of event.changedTouches) {
+            if (this.touches.get(touch.identifier) === 'stick') {
+                this.stick = null;
+            }
+            this.touches.delete(touch.identifier);
+        }
+
+        this._sync();
+    }
+
+    /**
+     * Maps a touch from client to canvas coordinates
+     * @param {Touch} touch - Touch point
+     * @returns {{x: number, y: number}} Position in the logical canvas
+     * @private
+     */
+    _toCanvas(touch) {
+        const rect = this.element && this.element.getBoundingClientRect
+            ? this.element.getBoundingClientRect()
+            : { left: 0, top: 0, width: this.config.width, height: this.config.height };
+
+        return {
+            x: (touch.clientX - rect.left) * this.config.width / (rect.width || this.config.width),
+            y: (touch.clientY - rect.top) * this.config.height / (rect.height || this.config.height)
+        };
+    }
+
+    /**
+     * Decides which control a new touch belongs to
+     *
+     * The pause button wins where it sits; otherwise the stick takes the half
+     * of the screen on its side and fire the other half, so thumbs need not
+     * land exactly on the drawn controls.
+     * @param {{x: number, y: number}} point - Touch position
+     * @param {Object} layout - Current layout
+     * @returns {string} 'pause', 'stick' or 'fire'
+     * @private
+     */
+    _controlAt(point, layout) {
+        const { pause, stick } = layout;
+        if (point.x >= pause.x && point.x <= pause.x + pause.width &&
+            point.y >= pause.y && point.y <= pause.y + pause.height) {
+            return 'pause';
+        }
+
+        const stickOnLeft = stick.x < this.config.width / 2;
+        return (point.x < this.config.width / 2) === stickOnLeft ? 'stick' : 'fire';
+    }
+
+    /**
+     * Puts the stick base under the thumb, kept fully on screen
+     * @param {{x: number, y: number}} point - Touch position
+     * @returns {Object} Stick state
+     * @private
+     */
+    _placeStick(point) {
+        const { width, height, stickRadius } = this.config;
+        const clamp = (value, max) => Math.min(Math.max(value, stickRadius), max - stickRadius);
+
+        return { x: clamp(point.x, width), y: clamp(point.y, height), knobX: 0, knobY: 0 };
+    }
+
+    /**
+     * Works out the held actions and reports what changed
+     * @private
+     */
+    _sync() {
+        const actions = new Set();
+        const controls = [...this.touches.values()];
+
+        if (this.stick) {
+            const limit = this.config.stickRadius * this.config.deadZone;
+            const { knobX, knobY } = this.stick;
+
+            if (Math.hypot(knobX, knobY) > limit) {
+                if (Math.abs(knobX) > limit) actions.add(knobX < 0 ? 'moveLeft' : 'moveRight');
+                if (Math.abs(knobY) > limit) actions.add(knobY < 0 ? 'moveUp' : 'moveDown');
+            }
+        }
+        if (this.autoFire ? this.firing : controls.includes('fire')) {
+            actions.add('shoot');
+        }
+        if (controls.includes('pause')) {
+            actions.add('pause');
+        }
+
+        this._applyActions(actions);
+    }
+
+    /**
+     * Reports the difference between the held actions and the new set
+     * @param {Set<string>} actions - Actions held now
+     * @private
+     */
+    _applyActions(actions) {
+        for (const action of actions) {
+            if (this.held.has(action)) continue;
+
+            if (this.keyBindings) {
+                this.keyBindings.triggerAction(action, TOUCH_SOURCE, true);
+            }
+        }
+        for (const action of this.held) {
+            if (!actions.has(action) && this.keyBindings) {
+                this.keyBindings.triggerAction(action, TOUCH_SOURCE, false);
+            }
+        }
+
+        this.held = actions;
+    }
+
+    /**
+     * Checks whether a control holds an action
+     * @param {string} action - KeyBindings action name
+     * @returns {boolean} True if held
+     */
+    isActionActive(action) {
+        return this.held.has(action);
+    }
+
+    /**
+     * Gets the movement direction held on the stick
+     * @returns {{x: number, y: number}} Movement direction, each axis -1, 0 or 1
+     */
+    getMovementVector() {
+        return {
+            x: (this.held.has('moveRight') ? 1 : 0) - (this.held.has('moveLeft') ? 1 : 0),
+            y: (this.held.has('moveDown') ? 1 : 0) - (this.held.has('moveUp') ? 1 : 0)
+        };
+    }
+
+    /**
+     * Gets how far the knob is pushed, for analog movement
+     *
+     * Each axis starts from zero at the edge of the dead zone and reaches 1
+     * at the rim of the stick base.
+     * @returns {{x: number, y: number}} Stick axes, -1 to 1
+     */
+    getAxes() {
+        const axes = { x: 0, y: 0 };
+        if (!this.enabled || !this.stick) return axes;
+
+        const radius = this.config.stickRadius;
+        const limit = radius * this.config.deadZone;
+        const knob = { x: this.stick.knobX, y: this.stick.knobY };
+
+        for (const axis of ['x', 'y']) {
+            if (Math.abs(knob[axis]) > limit) {
+                axes[axis] = Math.sign(knob[axis]) * Math.min(1, (Math.abs(knob[axis]) - limit) / (radius - limit));
+            }
+        }
+
+        return axes;
+    }
+
+    /**
+     * Checks whether fire is held or latched
+     * @returns {boolean} True if shooting
+     */
+    isShooting() {
+        return this.held.has('shoot');
+    }
+
+    /**
+     * Swaps the stick and fire sides
+     * @param {string} handedness - TouchHand value
+     * @throws {Error} When the handedness is unknown
+     */
+    setHandedness(handedness) {
+        if (!Object.values(TouchHand).includes(handedness)) {
+            throw new Error(`Unknown handedness: ${handedness}`);
+        }
+
+        this.handedness = handedness;
+        this.releaseAll();
+    }
+
+    /**
+     * @returns {string} Current TouchHand value
+     */
+    getHandedness() {
+        return this.handedness;
+    }
+
+    /**
+     * Switches between holding fire and tapping it on and off
+     * @param {boolean} autoFire - Whether taps toggle continuous fire
+     */
+    setAutoFire(autoFire) {
+        this.autoFire = Boolean(autoFire);
+        this.firing = false;
+        this._sync();
+    }
+
+    /**
+     * @returns {boolean} True if taps toggle continuous fire
+     */
+    isAutoFire() {
+        return this.autoFire;
+    }
+
+    /**
+     * Forgets every finger and releases every action
+     */
+    releaseAll() {
+        this.touches.clear();
+        this.stick = null;
+        this.firing = false;
+        this._applyActions(new Set());
+    }
+
+    /**
+     * Enable or disable the controls; disabling releases every action
+     * @param {boolean} enabled - Whether touches are accepted
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+
+        if (!this.enabled) {
+            this.releaseAll();
+        }
+    }
+
+    /**
+     * Draws the controls over the current frame
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    render(ctx) {
+        if (!this.visible || !this.enabled) return;
+
+        const { knobRadius, color, activeColor } = this.config;
+        const layout = this.getLayout();
+        const stick = this.stick || { x: layout.stick.x, y: layout.stick.y, knobX: 0, knobY: 0 };
+        const moving = ['moveLeft', 'moveRight', 'moveUp', 'moveDown'].some(action => this.held.has(action));
+        const circle = (x, y, radius) => {
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+        };
+
+        ctx.save();
+        ctx.globalAlpha = 0.35;
+        ctx.lineWidth = 2;
+
+        // Stick base and knob
+        ctx.strokeStyle = color;
+        circle(stick.x, stick.y, layout.stick.radius);
+        ctx.stroke();
+        ctx.fillStyle = moving ? activeColor : color;
+        circle(stick.x + stick.knobX, stick.y + stick.knobY, knobRadius);
+        ctx.fill();
+
+        // Fire button, filled while firing
+        const { fire, pause } = layout;
+        ctx.fillStyle = this.isShooting() ? activeColor : color;
+        circle(fire.x, fire.y, fire.radius);
+        ctx.fill();
+
+        // Pause button: two bars
+        const bar = pause.width / 4;
+        ctx.fillStyle = this.held.has('pause') ? activeColor : color;
+        ctx.fillRect(pause.x + bar * 0.5, pause.y, bar, pause.height);
+        ctx.fillRect(pause.x + bar * 2.5, pause.y, bar, pause.height);
+
+        ctx.globalAlpha = 0.8;
+        ctx.fillStyle = '#000000';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = '14px Arial';
+        ctx.fillText(this.autoFire ? 'AUTO' : 'FIRE', fire.x, fire.y);
+        ctx.restore();
+    }
+
+    /**
+     * Releases every action and stops listening
+     */
+    destroy() {
+        this.setEnabled(false);
+        this.detach();
+    }
+}
+
+// Export the controls and layouts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TouchControls, TouchHand, DEFAULT_TOUCH_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.TouchControls = TouchControls;
+    window.TouchHand = TouchHand;
+    window.DEFAULT_TOUCH_CONFIG = DEFAULT_TOUCH_CONFIG;
+}
@@ -0,0 +1,296 @@
+/**
+ * Animator Module
+ *
+ * Plays the named clips of a SpriteAtlas and tracks the current frame.
+ * One animator belongs to one entity (or to a group drawn in lockstep,
+ * like the invader formation); it is advanced either by time, through
+ * update(), or one frame at a time, through nextFrame(), for animations
+ * tied to game events rather than the clock.
+ *
+ * Key Features:
+ * - Per-frame durations from the clip
+ * - Loop, once and ping-pong playback
+ * - Playback speed factor, pause and resume
+ * - 'finished' and 'looped' events
+ * - Draws the current frame, or hands it to SpriteRenderer as sprite data
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+const AnimatorModules = typeof require === 'function' ? require('./sprite-atlas.js') : window;
+
+/**
+ * Clip player for a sprite atlas
+ */
+class Animator {
+    /**
+     * Creates an animator
+     * @param {SpriteAtlas} atlas - Atlas holding the clips
+     * @param {Object} [options={}] - Playback options
+     * @param {string} [options.clip] - Clip to start playing
+     * @param {number} [options.speed=1] - Playback speed factor
+     * @throws {Error} When the atlas is missing or the clip is unknown
+     */
+    constructor(atlas, options = {}) {
+        if (!atlas || typeof atlas.getClip !== 'function') {
+            throw new Error('Animator requires a SpriteAtlas');
+        }
+
+        this.atlas = atlas;
+        this.speed = 1;
+        this.clip = null;
+        this.step = 0;
+        this.elapsed = 0;
+        this.playing = false;
+        this.finished = false;
+        this.listeners = new Map();
+
+        this.setSpeed(options.speed !== undefined ? options.speed : 1);
+        if (options.clip) {
+            this.play(options.clip);
+        }
+    }
+
+    /**
+     * Starts a clip
+     *
+     * Playing the clip that is already running does nothing unless restart
+     * is set, so it is safe to call every frame with the wanted clip.
+     * @param {string} name - Clip name
+     * @param {Object} [options={}] - Play options
+     * @param {boolean} [options.restart=false] - Start over if the clip is already playing
+     * @throws {Error} When the clip is unknown
+     */
+    play(name, options = {}) {
+        const clip = this.atlas.getClip(name);
+        if (!clip) {
+            throw new Error(`Unknown animation clip: ${name}`);
+        }
+
+        if (clip === this.clip && this.playing && !options.restart) {
+            return;
+        }
+
+        this.clip = clip;
+        this.step = 0;
+        this.elapsed = 0;
+        this.playing = true;
+        this.finished = false;
+    }
+
+    /**
+     * Advances playback by elapsed time
+     * @param {number} deltaTime - Time elapsed in milliseconds
+     */
+    update(deltaTime) {
+        if (!this.playing) return;
+
+        this.elapsed += Math.max(0, Number(deltaTime) || 0) * this.speed;
+
+        let duration = this._currentDuration();
+        while (this.playing && this.elapsed >= duration) {
+            this.elapsed -= duration;
+            this._advance();
+            duration = this._currentDuration();
+        }
+    }
+
+    /**
+     * Shows the next frame straight away, ignoring frame durations
+     *
+     * Use this for animations stepped by game events, such as the invaders'
+     * two-frame march that changes pose with every formation step.
+     */
+    nextFrame() {
+        if (!this.clip || this.finished) return;
+
+        this.elapsed = 0;
+        this._advance();
+    }
+
+    /**
+     * Moves to the next step of the cycle
+     * @private
+     */
+    _advance() {
+        const next = this.step + 1;
+
+        if (next < this.clip.cycleLength) {
+            this.step = next;
+            return;
+        }
+
+        if (this.clip.loop === AnimatorModules.LoopMode.ONCE) {
+            // Hold the last frame
+            this.playing = false;
+            this.finished = true;
+            this.elapsed = 0;
+            this._emit('finished', { clip: this.clip.name });
+            return;
+        }
+
+        this.step = 0;
+        this._emit('looped', { clip: this.clip.name });
+    }
+
+    /**
+     * @returns {number} Duration of the current frame in milliseconds
+     * @private
+     */
+    _currentDuration() {
+        return this.clip.frames[this.clip.frameIndexAt(this.step)].duration;
+    }
+
+    /**
+     * Freezes playback on the current frame
+     */
+    pause() {
+        this.playing = false;
+    }
+
+    /**
+     * Continues a paused clip; finished clips stay finished
+     */
+    resume() {
+        if (this.clip && !this.finished) {
+            this.playing = true;
+        }
+    }
+
+    /**
+     * Sets the playback speed factor
+     * @param {number} speed - 2 plays twice as fast; 0 freezes time-based playback
+     * @throws {Error} When the speed is negative or not a number
+     */
+    setSpeed(speed) {
+        if (typeof speed !== 'number' || !(speed >= 0)) {
+            throw new Error('Animation speed must be a non-negative number');
+        }
+        this.speed = speed;
+    }
+
+    /**
+     * @returns {string|null} Name of the current clip
+     */
+    getClipName() {
+        return this.clip ? this.clip.name : null;
+    }
+
+    /**
+     * @returns {number} Index of the current frame within the clip
+     */
+    getFrameIndex() {
+        return this.clip ? this.clip.frameIndexAt(this.step) : 0;
+    }
+
+    /**
+     * @returns {string|null} Name of the current atlas frame
+     */
+    getFrameName() {
+        return this.clip ? this.clip.frames[this.getFrameIndex()].frame : null;
+    }
+
+    /**
+     * @returns {AtlasFrame|null} Current atlas frame
+     */
+    getFrame() {
+        const name = this.getFrameName();
+        return name ? this.atlas.getFrame(name) : null;
+    }
+
+    /**
+     * @returns {boolean} True while time advances the clip
+     */
+    isPlaying() {
+        return this.playing;
+    }
+
+    /**
+     * @returns {boolean} True once a clip that does not loop has ended
+     */
+    isFinished() {
+        return this.finished;
+    }
+
+    /**
+     * Draws the current frame
+     * @param {CanvasRenderingContext2D} context - Target context
+     * @param {number} x - Destination X
+     * @param {number} y - Destination Y
+     * @param {number} [width] - Destination width; defaults to the frame width
+     * @param {number} [height] - Destination height; defaults to the frame height
+     * @returns {boolean} True if a frame was drawn
+     */
+    draw(context, x, y, width, height) {
+        const name = this.getFrameName();
+        return name ? this.atlas.drawFrame(context, name, x, y, width, height) : false;
+    }
+
+    /**
+     * Builds SpriteRenderer sprite data for the current frame
+     * @param {number} x - Destination X
+     * @param {number} y - Destination Y
+     * @param {Object} [overrides={}] - Extra sprite fields
+     * @returns {SpriteData|null} Sprite data, or null without a clip
+     */
+    toSprite(x, y, overrides = {}) {
+        const name = this.getFrameName();
+        return name ? this.atlas.toSprite(name, x, y, overrides) : null;
+    }
+
+    /**
+     * Adds event listener
+     * @param {string} event - Event name ('finished', 'looped')
+     * @param {Function} callback - Event callback
+     */
+    addEventListener(event, callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+    }
+
+    /**
+     * Removes event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Event callback
+     */
+    removeEventListener(event, callback) {
+        const eventListeners = this.listeners.get(event);
+        if (eventListeners) {
+            eventListeners.delete(callback);
+        }
+    }
+
+    /**
+     * Emits an event to all listeners
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     * @private
+     */
+    _emit(event, data) {
+        const eventListeners = this.listeners.get(event);
+        if (!eventListeners) return;
+
+        eventListeners.forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`[Animator] Error in ${event} listener:`, error);
+            }
+        });
+    }
+}
+
+// Export the animator
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Animator };
+} else if (typeof window !== 'undefined') {
+    window.Animator = Animator;
+}
@@ -0,0 +1,378 @@
+/**
+ * Particle System Module
+ *
+ * Short-lived cosmetic particles for explosions, debris and engine exhaust.
+ * Particles live in a preallocated pool (the Vector2DPool idea applied to
+ * whole particles) so bursts never allocate during play, and are drawn in
+ * one SpriteRenderer.renderBatch() call per frame.
+ *
+ * Key Features:
+ * - Named emitter presets: invader explosion, player death, bunker impact, exhaust
+ * - Hard particle budget; emitters are scaled down, never the cap exceeded
+ * - Budget follows PerformanceMonitor health: halves when frames suffer,
+ *   recovers gradually when they are good again
+ * - Seeded randomness (the particles stream) so gameplay streams are untouched
+ *
+ * Particles never affect the simulation; they can be cleared or starved at
+ * any time without changing a run.
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Emitter preset names accepted by ParticleSystem.emit()
+ * @readonly
+ * @enum {string}
+ */
+const ParticleEmitter = Object.freeze({
+    INVADER_EXPLOSION: 'invaderExplosion',
+    PLAYER_DEATH: 'playerDeath',
+    BUNKER_IMPACT: 'bunkerImpact',
+    EXHAUST: 'exhaust'
+});
+
+/**
+ * Emitter presets
+ *
+ * Speeds are in pixels per second, lifetimes in milliseconds, angles in
+ * radians (0 points right, PI / 2 points down); spread is the full cone.
+ * @type {Object<string, Object>}
+ */
+const PARTICLE_EMITTERS = Object.freeze({
+    [ParticleEmitter.INVADER_EXPLOSION]: Object.freeze({
+        count: 14,
+        speed: [40, 150],
+        life: [250, 550],
+        size: [2, 3],
+        angle: 0,
+        spread: Math.PI * 2,
+        gravity: 60,
+        drag: 1.5,
+        colors: Object.freeze(['#FF0000', '#FFAA00', '#FFFFFF'])
+    }),
+    [ParticleEmitter.PLAYER_DEATH]: Object.freeze({
+        count: 40,
+        speed: [60, 220],
+        life: [600, 1200],
+        size: [2, 4],
+        angle: 0,
+        spread: Math.PI * 2,
+        gravity: 40,
+        drag: 1,
+        colors: Object.freeze(['#00FF00', '#FFFFFF', '#FFAA00'])
+    }),
+    [ParticleEmitter.BUNKER_IMPACT]: Object.freeze({
+        count: 6,
+        speed: [20, 90],
+        life: [150, 350],
+        size: [1, 2],
+        angle: -Math.PI / 2,
+        spread: Math.PI * 0.8,
+        gravity: 200,
+        drag: 2,
+        colors: Object.freeze(['#00FF00', '#00AA00'])
+    }),
+    [ParticleEmitter.EXHAUST]: Object.freeze({
+        count: 1,
+        speed: [30, 70],
+        life: [100, 250],
+        size: [1, 2],
+        angle: Math.PI / 2,
+        spread: Math.PI / 6,
+        gravity: 0,
+        drag: 3,
+        colors: Object.freeze(['#0088FF', '#88CCFF'])
+    })
+});
+
+/**
+ * Default particle system configuration
+ * @type {Object}
+ */
+const DEFAULT_PARTICLE_CONFIG = Object.freeze({
+    maxParticles: 512, // hard cap, also the pool size
+    minBudget: 64, // the budget never drops below this on poor health
+    recoveryRate: 0.1 // fraction of maxParticles regained per healthy report
+});
+
+/**
+ * Preallocated particle objects
+ */
+class ParticlePool {
+    /**
+     * @param {number} size - Particles to preallocate; the pool never grows
+     */
+    constructor(size) {
+        this._pool = [];
+        for (let i = 0; i < size; i++) {
+            this._pool.push(ParticlePool._create());
+        }
+        this._size = size;
+    }
+
+    /**
+     * @returns {Object} Blank particle
+     * @private
+     * @static
+     */
+    static _create() {
+        return { x: 0, y: 0, vx: 0, vy: 0, age: 0, life: 0, size: 1, color: '', gravity: 0, drag: 0 };
+    }
+
+    /**
+     * Takes a particle from the pool
+     * @returns {Object|null} Particle, or null when the pool is empty
+     */
+    get() {
+        return this._size > 0 ? this._pool[--this._size] : null;
+    }
+
+    /**
+     * Returns a particle to the pool
+     * @param {Object} particle - Particle taken with get()
+     */
+    release(particle) {
+        if (particle && this._size < this._pool.length) {
+            this._pool[this._size++] = particle;
+        }
+    }
+
+    /**
+     * Gets the number of free particles
+     * @returns {number} Free particles
+     */
+    get availableCount() {
+        return this._size;
+    }
+}
+
+/**
+ * Pooled, budgeted particle emitter and renderer
+ */
+class ParticleSystem {
+    /**
+     * Creates a particle system
+     * @param {Object} [config={}] - Configuration, merged over the defaults
+     * @param {Object} [options={}] - Runtime dependencies
+     * @param {Function} [options.random=Math.random] - Returns numbers in [0, 1); pass the particles stream
+     * @param {PerformanceMonitor} [options.performanceMonitor] - Health source for the budget
+     * @param {Function} [options.imageFor] - Returns the image drawn for a particle colour
+     */
+    constructor(config = {}, options = {}) {
+        this.config = this._validateAndMergeConfig(config);
+
+        this.random = options.random || Math.random;
+        this.imageFor = options.imageFor || null;
+        this.pool = new ParticlePool(this.config.maxParticles);
+        this.particles = [];
+        this.budget = this.config.maxParticles;
+        this.batch = [];
+
+        this.performanceMonitor = options.performanceMonitor || null;
+        this._onMetrics = metrics => this.adjustForHealth(metrics);
+        if (this.performanceMonitor) {
+            this.performanceMonitor.addEventListener('metricsUpdated', this._onMetrics);
+        }
+    }
+
+    /**
+     * Validates and merges user configuration with defaults
+     * @param {Object} userConfig - User provided configuration
+     * @returns {Object} Validated configuration
+     * @private
+     */
+    _validateAndMergeConfig(userConfig) {
+        const config = { ...DEFAULT_PARTICLE_CONFIG, ...userConfig };
+
+        if (!Number.isInteger(config.maxParticles) || config.maxParticles < 1) {
+            throw new Error('maxParticles must be a positive integer');
+        }
+        if (!Number.isInteger(config.minBudget) || config.minBudget < 0 || config.minBudget > config.maxParticles) {
+            throw new Error('minBudget must be an integer between 0 and maxParticles');
+        }
+        if (!(config.recoveryRate > 0 && config.recoveryRate <= 1)) {
+            throw new Error('recoveryRate must be in (0, 1]');
+        }
+
+        return config;
+    }
+
+    /**
+     * Emits a burst from a preset
+     *
+     * Bursts shrink with the budget, and are cut short rather than exceed it.
+     * @param {string} emitter - ParticleEmitter name
+     * @param {number} x - Emission point X
+     * @param {number} y - Emission point Y
+     * @param {Object} [overrides={}] - Preset fields to override, e.g. { colors: ['#FF00FF'] }
+     * @returns {number} Particles emitted
+     * @throws {Error} When the emitter is unknown
+     */
+    emit(emitter, x, y, overrides = {}) {
+        const preset = PARTICLE_EMITTERS[emitter];
+        if (!preset) {
+            throw new Error(`Unknown particle emitter: ${emitter}`);
+        }
+
+        const settings = { ...preset, ...overrides };
+        const quality = this.budget / this.config.maxParticles;
+        const wanted = Math.max(1, Math.round(settings.count * quality));
+        const count = Math.min(wanted, this.budget - this.particles.length);
+        const random = this.random;
+        const between = ([min, max]) => min + random() * (max - min);
+
+        for (let i = 0; i < count; i++) {
+            const particle = this.pool.get();
+            if (!particle) return i;
+
+            const angle = settings.angle + (random() - 0.5) * settings.spread;
+            const speed = between(settings.speed);
+
+            particle.x = x;
+            particle.y = y;
+            particle.vx = Math.cos(angle) * speed;
+            particle.vy = Math.sin(angle) * speed;
+            particle.age = 0;
+            particle.life = between(settings.life);
+            particle.size = Math.round(between(settings.size));
+            particle.color = settings.colors[Math.floor(random() * settings.colors.length)];
+            particle.gravity = settings.gravity;
+            particle.drag = settings.drag;
+
+            this.particles.push(particle);
+        }
+
+        return Math.max(0, count);
+    }
+
+    /**
+     * Moves particles and returns expired ones to the pool
+     * @param {number} deltaTime - Time elapsed in milliseconds
+     */
+    update(deltaTime) {
+        const dt = Math.max(0, Number(deltaTime) || 0) / 1000;
+        let alive = 0;
+
+        for (const particle of this.particles) {
+            particle.age += dt * 1000;
+            if (particle.age >= particle.life) {
+                this.pool.release(particle);
+                continue;
+            }
+
+            const damping = Math.max(0, 1 - particle.drag * dt);
+            particle.vx *= damping;
+            particle.vy = particle.vy * damping + particle.gravity * dt;
+            particle.x += particle.vx * dt;
+            particle.y += particle.vy * dt;
+
+            this.particles[alive++] = particle;
+        }
+
+        this.particles.length = alive;
+    }
+
+    /**
+     * Draws every live particle in one batch
+     * @param {SpriteRenderer} renderer - Renderer with renderBatch()
+     * @returns {number} Particles drawn
+     */
+    render(renderer) {
+        if (this.particles.length === 0 || !this.imageFor) {
+            return 0;
+        }
+
+        // Batch entries are reused between frames like the particles themselves
+        const batch = this.batch;
+        batch.length = this.particles.length;
+
+        this.particles.forEach((particle, index) => {
+            const sprite = batch[index] || (batch[index] = {});
+            sprite.image = this.imageFor(particle.color);
+            sprite.x = particle.x - particle.size / 2;
+            sprite.y = particle.y - particle.size / 2;
+            sprite.width = particle.size;
+            sprite.height = particle.size;
+            sprite.alpha = 1 - particle.age / particle.life;
+        });
+
+        return renderer.renderBatch(batch);
+    }
+
+    /**
+     * Shrinks the budget on poor health and regrows it on good health
+     * @param {{isPerformanceGood: boolean}} metrics - PerformanceMonitor metrics
+     */
+    adjustForHealth(metrics) {
+        if (!metrics) return;
+
+        const { maxParticles, minBudget, recoveryRate } = this.config;
+
+        if (metrics.isPerformanceGood) {
+            this.budget = Math.min(maxParticles, this.budget + Math.ceil(maxParticles * recoveryRate));
+        } else {
+            this.budget = Math.max(minBudget, Math.floor(this.budget / 2));
+            this._trimToBudget();
+        }
+    }
+
+    /**
+     * Drops the oldest particles above the budget
+     * @private
+     */
+    _trimToBudget() {
+        const excess = this.particles.length - this.budget;
+        if (excess <= 0) return;
+
+        this.particles.splice(0, excess).forEach(particle => this.pool.release(particle));
+    }
+
+    /**
+     * Gets the current particle budget
+     * @returns {number} Maximum live particles right now
+     */
+    getBudget() {
+        return this.budget;
+    }
+
+    /**
+     * Gets the number of live particles
+     * @returns {number} Live particles
+     */
+    getActiveCount() {
+        return this.particles.length;
+    }
+
+    /**
+     * Removes every particle
+     */
+    clear() {
+        this.particles.forEach(particle => this.pool.release(particle));
+        this.particles.length = 0;
+    }
+
+    /**
+     * Clears particles and stops following the performance monitor
+     */
+    destroy() {
+        this.clear();
+
+        if (this.performanceMonitor) {
+            this.performanceMonitor.removeEventListener('metricsUpdated', this._onMetrics);
+            this.performanceMonitor = null;
+        }
+    }
+}
+
+// Export the system and its presets
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ParticleSystem, ParticlePool, ParticleEmitter, PARTICLE_EMITTERS, DEFAULT_PARTICLE_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.ParticleSystem = ParticleSystem;
+    window.ParticlePool = ParticlePool;
+    window.ParticleEmitter = ParticleEmitter;
+    window.PARTICLE_EMITTERS = PARTICLE_EMITTERS;
+    window.DEFAULT_PARTICLE_CONFIG = DEFAULT_PARTICLE_CONFIG;
+}
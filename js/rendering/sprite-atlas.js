@@ -0,0 +1,381 @@
+/**
+ * Sprite Atlas Module
+ *
+ * Texture atlases: one image holding many frames, described by a JSON
+ * frame descriptor, plus named animation clips built from those frames.
+ * The descriptor follows the common texture packer layout, so sheets
+ * exported by TexturePacker or Aseprite load without conversion:
+ *
+ *   {
+ *     "meta": { "image": "invaders.png" },
+ *     "frames": {
+ *       "squid_0": { "frame": { "x": 0, "y": 0, "w": 16, "h": 16 } },
+ *       "squid_1": { "frame": { "x": 16, "y": 0, "w": 16, "h": 16 }, "duration": 500 }
+ *     },
+ *     "animations": {
+ *       "squid_march": { "frames": ["squid_0", "squid_1"], "loop": "loop" }
+ *     }
+ *   }
+ *
+ * "frames" may also be an array of entries carrying a "filename". Clip
+ * frames are frame names or { frame, duration } objects; a frame without a
+ * duration uses the clip's frameDuration, then the frame's own duration.
+ *
+ * Key Features:
+ * - Hash and array frame descriptors
+ * - Clips with per-frame durations and loop, once and ping-pong modes
+ * - Loader with injectable JSON and image fetchers for tests and Node
+ * - Frames convert directly to SpriteRenderer sprite data
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * How a clip continues after its last frame
+ * @readonly
+ * @enum {string}
+ */
+const LoopMode = Object.freeze({
+    LOOP: 'loop',
+    ONCE: 'once',
+    PING_PONG: 'pingPong'
+});
+
+/**
+ * Frame duration used when neither the clip nor the frame sets one (ms)
+ * @type {number}
+ */
+const DEFAULT_FRAME_DURATION = 100;
+
+/**
+ * Frame rectangle within an atlas image
+ * @typedef {Object} AtlasFrame
+ * @property {string} name - Frame name
+ * @property {number} x - Left edge in the image
+ * @property {number} y - Top edge in the image
+ * @property {number} width - Frame width
+ * @property {number} height - Frame height
+ * @property {number|null} duration - Duration suggested by the descriptor (ms)
+ */
+
+/**
+ * Named sequence of atlas frames
+ */
+class AnimationClip {
+    /**
+     * Creates a clip
+     * @param {string} name - Clip name
+     * @param {Array<string|{frame: string, duration?: number}>} frames - Frames in play order
+     * @param {Object} [options={}] - Clip options
+     * @param {string} [options.loop=LoopMode.LOOP] - LoopMode value
+     * @param {number} [options.frameDuration=DEFAULT_FRAME_DURATION] - Duration of frames without their own (ms)
+     * @throws {Error} When the clip is empty or an option is invalid
+     */
+    constructor(name, frames, options = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Clip name must be a non-empty string');
+        }
+        if (!Array.isArray(frames) || frames.length === 0) {
+            throw new Error(`Clip ${name} needs at least one frame`);
+        }
+
+        const loop = options.loop || LoopMode.LOOP;
+        if (!Object.values(LoopMode).includes(loop)) {
+            throw new Error(`Unknown loop mode for clip ${name}: ${loop}`);
+        }
+
+        const frameDuration = options.frameDuration !== undefined ? options.frameDuration : DEFAULT_FRAME_DURATION;
+
+        this.name = name;
+        this.loop = loop;
+        this.frames = frames.map(entry => {
+            const frame = typeof entry === 'string' ? { frame: entry } : entry;
+            const duration = frame.duration !== undefined ? frame.duration : frameDuration;
+
+            if (!frame || typeof frame.frame !== 'string') {
+                throw new Error(`Clip ${name} has a frame without a name`);
+            }
+            if (!(duration > 0)) {
+                throw new Error(`Clip ${name} frame ${frame.frame} needs a positive duration`);
+            }
+
+            return Object.freeze({ frame: frame.frame, duration });
+        });
+        this.duration = this.frames.reduce((total, frame) => total + frame.duration, 0);
+
+        Object.freeze(this.frames);
+    }
+
+    /**
+     * Gets the number of steps in one pass of the clip
+     *
+     * A ping-pong pass plays the inner frames twice: 0 1 2 1, then repeats.
+     * @returns {number} Steps per cycle
+     */
+    get cycleLength() {
+        return this.loop === LoopMode.PING_PONG && this.frames.length > 1
+            ? this.frames.length * 2 - 2
+            : this.frames.length;
+    }
+
+    /**
+     * Maps a step within the cycle to a frame index
+     * @param {number} step - Step in [0, cycleLength)
+     * @returns {number} Frame index
+     */
+    frameIndexAt(step) {
+        return step < this.frames.length ? step : this.cycleLength - step;
+    }
+}
+
+/**
+ * Image plus named frames and clips
+ */
+class SpriteAtlas {
+    /**
+     * Creates an atlas from an already loaded image
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Sheet image
+     * @param {Object} descriptor - Frame descriptor (see the module documentation)
+     * @throws {Error} When the descriptor is malformed
+     */
+    constructor(image, descriptor) {
+        if (!image) {
+            throw new Error('SpriteAtlas requires an image');
+        }
+        if (!descriptor || typeof descriptor !== 'object' || !descriptor.frames) {
+            throw new Error('SpriteAtlas descriptor must have frames');
+        }
+
+        this.image = image;
+        this.frames = new Map();
+        this.clips = new Map();
+
+        this._parseFrames(descriptor.frames);
+
+        for (const [name, clip] of Object.entries(descriptor.animations || {})) {
+            this.addClip(name, clip.frames, clip);
+        }
+    }
+
+    /**
+     * Loads a descriptor and the image it names
+     *
+     * The image path in meta.image is resolved against the descriptor URL.
+     * @param {string} url - Descriptor URL
+     * @param {Object} [options={}] - Loaders
+     * @param {Function} [options.fetchJson] - Resolves a URL to parsed JSON; defaults to fetch()
+     * @param {Function} [options.loadImage] - Resolves a URL to a loaded image; defaults to new Image()
+     * @returns {Promise<SpriteAtlas>} Loaded atlas
+     * @throws {Error} When either file cannot be loaded or the descriptor is malformed
+     * @static
+     */
+    static async load(url, options = {}) {
+        const fetchJson = options.fetchJson || SpriteAtlas._fetchJson;
+        const loadImage = options.loadImage || SpriteAtlas._loadImage;
+
+        const descriptor = await fetchJson(url);
+        if (!descriptor || !descriptor.meta || !descriptor.meta.image) {
+            throw new Error(`Atlas descriptor ${url} does not name an image`);
+        }
+
+        const image = await loadImage(SpriteAtlas.resolvePath(url, descriptor.meta.image));
+        return new SpriteAtlas(image, descriptor);
+    }
+
+    /**
+     * Resolves a path relative to the file that references it
+     * @param {string} base - Referencing file, e.g. 'assets/sprites/invaders.json'
+     * @param {string} path - Referenced path, e.g. 'invaders.png'
+     * @returns {string} Resolved path, e.g. 'assets/sprites/invaders.png'
+     * @static
+     */
+    static resolvePath(base, path) {
+        if (/^([a-z]+:|\/)/i.test(path)) {
+            return path;
+        }
+
+        const slash = base.lastIndexOf('/');
+        return slash === -1 ? path : base.slice(0, slash + 1) + path;
+    }
+
+    /**
+     * Fetches and parses JSON
+     * @param {string} url - URL to fetch
+     * @returns {Promise<Object>} Parsed JSON
+     * @private
+     * @static
+     */
+    static async _fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Loads an image element
+     * @param {string} url - Image URL
+     * @returns {Promise<HTMLImageElement>} Loaded image
+     * @private
+     * @static
+     */
+    static _loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Failed to load image ${url}`));
+            image.src = url;
+        });
+    }
+
+    /**
+     * Reads hash or array frame entries
+     * @param {Object|Array} frames - Descriptor frames
+     * @throws {Error} When an entry has no usable rectangle
+     * @private
+     */
+    _parseFrames(frames) {
+        const entries = Array.isArray(frames)
+            ? frames.map(entry => [entry && entry.filename, entry])
+            : Object.entries(frames);
+
+        for (const [name, entry] of entries) {
+            if (!name || typeof name !== 'string') {
+                throw new Error('Atlas frame is missing its name');
+            }
+
+            const rect = entry && (entry.frame || entry);
+            const { x, y, w, h } = rect || {};
+            if (![x, y].every(Number.isFinite) || !(w > 0) || !(h > 0)) {
+                throw new Error(`Atlas frame ${name} has an invalid rectangle`);
+            }
+
+            this.frames.set(name, Object.freeze({
+                name,
+                x,
+                y,
+                width: w,
+                height: h,
+                duration: entry.duration > 0 ? entry.duration : null
+            }));
+        }
+    }
+
+    /**
+     * Defines a clip from frames in this atlas
+     * @param {string} name - Clip name
+     * @param {Array<string|{frame: string, duration?: number}>} frames - Frames in play order
+     * @param {Object} [options={}] - Clip options, see AnimationClip
+     * @returns {AnimationClip} The new clip
+     * @throws {Error} When a frame is unknown or the clip is invalid
+     */
+    addClip(name, frames, options = {}) {
+        const withDurations = (frames || []).map(entry => {
+            const frameName = typeof entry === 'string' ? entry : entry && entry.frame;
+            const frame = this.frames.get(frameName);
+            if (!frame) {
+                throw new Error(`Clip ${name} uses unknown frame: ${frameName}`);
+            }
+
+            // Clip and entry durations win over the one stored with the frame
+            const duration = typeof entry === 'object' && entry.duration !== undefined
+                ? entry.duration
+                : options.frameDuration !== undefined ? options.frameDuration : frame.duration || undefined;
+
+            return duration !== undefined ? { frame: frameName, duration } : { frame: frameName };
+        });
+
+        const clip = new AnimationClip(name, withDurations, options);
+        this.clips.set(name, clip);
+        return clip;
+    }
+
+    /**
+     * Gets a frame by name
+     * @param {string} name - Frame name
+     * @returns {AtlasFrame|null} Frame, or null when unknown
+     */
+    getFrame(name) {
+        return this.frames.get(name) || null;
+    }
+
+    /**
+     * Gets a clip by name
+     * @param {string} name - Clip name
+     * @returns {AnimationClip|null} Clip, or null when unknown
+     */
+    getClip(name) {
+        return this.clips.get(name) || null;
+    }
+
+    /**
+     * Checks whether a clip exists
+     * @param {string} name - Clip name
+     * @returns {boolean} True if defined
+     */
+    hasClip(name) {
+        return this.clips.has(name);
+    }
+
+    /**
+     * Builds SpriteRenderer sprite data for a frame
+     * @param {string} name - Frame name
+     * @param {number} x - Destination X
+     * @param {number} y - Destination Y
+     * @param {Object} [overrides={}] - Extra sprite fields, e.g. width, height, alpha
+     * @returns {SpriteData|null} Sprite data with a source rectangle, or null when unknown
+     */
+    toSprite(name, x, y, overrides = {}) {
+        const frame = this.frames.get(name);
+        if (!frame) {
+            return null;
+        }
+
+        return {
+            image: this.image,
+            source: frame,
+            x,
+            y,
+            width: frame.width,
+            height: frame.height,
+            ...overrides
+        };
+    }
+
+    /**
+     * Draws a frame directly to a canvas context
+     * @param {CanvasRenderingContext2D} context - Target context
+     * @param {string} name - Frame name
+     * @param {number} x - Destination X
+     * @param {number} y - Destination Y
+     * @param {number} [width] - Destination width; defaults to the frame width
+     * @param {number} [height] - Destination height; defaults to the frame height
+     * @returns {boolean} True if the frame exists
+     */
+    drawFrame(context, name, x, y, width, height) {
+        const frame = this.frames.get(name);
+        if (!frame) {
+            return false;
+        }
+
+        context.drawImage(
+            this.image,
+            frame.x, frame.y, frame.width, frame.height,
+            x, y, width || frame.width, height || frame.height
+        );
+        return true;
+    }
+}
+
+// Export the atlas and clip types
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpriteAtlas, AnimationClip, LoopMode, DEFAULT_FRAME_DURATION };
+} else if (typeof window !== 'undefined') {
+    window.SpriteAtlas = SpriteAtlas;
+    window.AnimationClip = AnimationClip;
+    window.LoopMode = LoopMode;
+    window.DEFAULT_FRAME_DURATION = DEFAULT_FRAME_DURATION;
+}
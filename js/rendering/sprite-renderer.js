@@ -7,6 +7,7 @@
  * 
  * Key Features:
  * - Efficient sprite caching and preloading
+ * - Texture atlas frames drawn through source rectangles
  * - Batch rendering for optimal performance
  * - Transform matrix operations for rotation/scaling
  * - Error handling and graceful degradation
@@ -47,6 +48,8 @@
  * @property {number} [scaleY=1] - Vertical scale factor
  * @property {number} [alpha=1] - Opacity (0-1)
  * @property {string} [blendMode='source-over'] - Canvas blend mode
+ * @property {{x: number, y: number, width: number, height: number}} [source] - Region of the image
+ *   to draw, e.g. an atlas frame; the whole image when omitted
  */
 
 /**
@@ -69,6 +72,8 @@
  * @property {number} cacheMisses - Number of cache misses
  */
 
+const RendererAtlas = (typeof require === 'function' ? require('./sprite-atlas.js') : window).SpriteAtlas;
+
 class SpriteRenderer {
     /**
      * Creates a new SpriteRenderer instance
@@ -91,6 +96,9 @@ class SpriteRenderer {
         this.spriteCache = new Map();
         this.cacheAccessTimes = new Map();
         
+        // Texture atlases by key; never evicted, they are few and shared
+        this.atlases = new Map();
+        
         // Batch rendering system
         this.renderQueue = [];
         this.batchBuffer = [];
@@ -115,7 +123,7 @@ class SpriteRenderer {
         }
         
         // Bind methods for event handlers
-        this.render = this.render.bind(this);
+        this.renderSprite = this.renderSprite.bind(this);
         this.dispose = this.dispose.bind(this);
         
         this._log('SpriteRenderer initialized', { config: this.config });
@@ -397,6 +405,79 @@ class SpriteRenderer {
         return null;
     }
 
+    /**
+     * Registers a texture atlas under a key
+     * @param {string} key - Atlas key
+     * @param {SpriteAtlas} atlas - Loaded atlas
+     * @returns {boolean} True if registered
+     */
+    registerAtlas(key, atlas) {
+        if (!key || typeof key !== 'string') {
+            this._logError('Atlas key must be a non-empty string');
+            return false;
+        }
+
+        if (!atlas || typeof atlas.toSprite !== 'function') {
+            this._logError('Invalid atlas provided for registration');
+            return false;
+        }
+
+        this.atlases.set(key, atlas);
+        this._log('Atlas registered', { key, frames: atlas.frames.size, clips: atlas.clips.size });
+        return true;
+    }
+
+    /**
+     * Loads a texture atlas from its JSON frame descriptor and registers it
+     * @param {string} key - Atlas key
+     * @param {string} url - Descriptor URL; its meta.image is resolved against it
+     * @param {Object} [options={}] - Loaders, see SpriteAtlas.load()
+     * @returns {Promise<SpriteAtlas|null>} Loaded atlas, or null on failure
+     */
+    async loadAtlas(key, url, options = {}) {
+        try {
+            const atlas = await RendererAtlas.load(url, options);
+            return this.registerAtlas(key, atlas) ? atlas : null;
+        } catch (error) {
+            this._handleRenderError(error, 'loadAtlas');
+            return null;
+        }
+    }
+
+    /**
+     * Gets a registered atlas
+     * @param {string} key - Atlas key
+     * @returns {SpriteAtlas|null} Atlas or null
+     */
+    getAtlas(key) {
+        return this.atlases.get(key) || null;
+    }
+
+    /**
+     * Renders one frame of a registered atlas
+     * @param {string} key - Atlas key
+     * @param {string} frameName - Frame name
+     * @param {number} x - Destination X
+     * @param {number} y - Destination Y
+     * @param {Object} [overrides={}] - Extra sprite fields, e.g. width, alpha, rotation
+     * @returns {boolean} True if rendered (or queued) successfully
+     */
+    renderFrame(key, frameName, x, y, overrides = {}) {
+        const atlas = this.atlases.get(key);
+        if (!atlas) {
+            this._logError(`Atlas not found: ${key}`);
+            return false;
+        }
+
+        const spriteData = atlas.toSprite(frameName, x, y, overrides);
+        if (!spriteData) {
+            this._logError(`Frame not found in atlas ${key}: ${frameName}`);
+            return false;
+        }
+
+        return this.renderSprite(spriteData);
+    }
+
     /**
      * Clears the sprite cache
      */
@@ -426,6 +507,7 @@ class SpriteRenderer {
         
         // Clear all caches and queues
         this.clearCache();
+        this.atlases.clear();
         this.renderQueue.length = 0;
         this.batchBuffer.length = 0;
         this.transformStack.length = 0;
@@ -470,6 +552,13 @@ class SpriteRenderer {
             return false;
         }
 
+        const { source } = spriteData;
+        if (source && !(source.width > 0 && source.height > 0 &&
+                        typeof source.x === 'number' && typeof source.y === 'number')) {
+            this._logError('Sprite source must be a rectangle with positive size');
+            return false;
+        }
+
         return true;
     }
 
@@ -515,22 +604,10 @@ class SpriteRenderer {
                     ctx.scale(spriteData.scaleX || 1, spriteData.scaleY || 1);
                 }
                 
-                ctx.drawImage(
-                    spriteData.image,
-                    -spriteData.width / 2,
-                    -spriteData.height / 2,
-                    spriteData.width,
-                    spriteData.height
-                );
+                this._drawImage(spriteData, -spriteData.width / 2, -spriteData.height / 2);
             } else {
                 // Simple draw without transformations
-                ctx.drawImage(
-                    spriteData.image,
-                    spriteData.x,
-                    spriteData.y,
-                    spriteData.width,
-                    spriteData.height
-                );
+                this._drawImage(spriteData, spriteData.x, spriteData.y);
             }
             
             ctx.restore();
@@ -547,6 +624,23 @@ class SpriteRenderer {
         }
     }
 
+    /**
+     * Draws a sprite's image, or the atlas frame named by its source rectangle
+     * @param {SpriteData} spriteData - Sprite to draw
+     * @param {number} x - Destination X
+     * @param {number} y - Destination Y
+     * @private
+     */
+    _drawImage(spriteData, x, y) {
+        const { image, source, width, height } = spriteData;
+
+        if (source) {
+            this.context.drawImage(image, source.x, source.y, source.width, source.height, x, y, width, height);
+        } else {
+            this.context.drawImage(image, x, y, width, height);
+        }
+    }
+
     /**
      * Processes a batch of sprites for rendering
      * @param {SpriteData[]} batch - Batch of sprites to render
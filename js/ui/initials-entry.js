@@ -0,0 +1,236 @@
+/**
+ * Initials Entry Screen
+ *
+ * Arcade-style three-letter name entry shown when a score makes the high
+ * score table. Letters are cycled with up/down, the cursor moved with
+ * left/right, and fire confirms the current letter. Input comes from
+ * KeyBindings actions, so remapped controls work here too.
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Default initials entry configuration
+ * @type {Object}
+ */
+const DEFAULT_INITIALS_CONFIG = Object.freeze({
+    length: 3,
+    alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    actions: Object.freeze({
+        nextLetter: 'moveUp',
+        previousLetter: 'moveDown',
+        cursorLeft: 'moveLeft',
+        cursorRight: 'moveRight',
+        confirm: 'shoot'
+    }),
+    font: '32px monospace',
+    color: '#FFFFFF',
+    cursorColor: '#00FF00'
+});
+
+/**
+ * Three-letter initials entry driven by KeyBindings actions
+ */
+class InitialsEntry {
+    /**
+     * Creates a new initials entry screen
+     * @param {KeyBindings} keyBindings - Source of action events (on/off)
+     * @param {Object} [config={}] - Entry configuration, merged over the defaults
+     */
+    constructor(keyBindings, config = {}) {
+        if (!keyBindings || typeof keyBindings.on !== 'function' || typeof keyBindings.off !== 'function') {
+            throw new Error('InitialsEntry requires a KeyBindings instance');
+        }
+
+        this.keyBindings = keyBindings;
+        this.config = {
+            ...DEFAULT_INITIALS_CONFIG,
+            ...config,
+            actions: { ...DEFAULT_INITIALS_CONFIG.actions, ...(config.actions || {}) }
+        };
+
+        this.letters = new Array(this.config.length).fill(0);
+        this.cursor = 0;
+        this.active = false;
+        this.submitted = false;
+        this.listeners = new Map();
+
+        // Map each configured action to its handler
+        this._handlers = {
+            [this.config.actions.nextLetter]: () => this.cycleLetter(1),
+            [this.config.actions.previousLetter]: () => this.cycleLetter(-1),
+            [this.config.actions.cursorLeft]: () => this.moveCursor(-1),
+            [this.config.actions.cursorRight]: () => this.moveCursor(1),
+            [this.config.actions.confirm]: () => this.confirm()
+        };
+        this._handleAction = this._handleAction.bind(this);
+    }
+
+    /**
+     * Starts listening for input
+     */
+    start() {
+        if (this.active) return;
+
+        for (const action of Object.keys(this._handlers)) {
+            this.keyBindings.on(action, this._handleAction);
+        }
+        this.active = true;
+    }
+
+    /**
+     * Stops listening for input
+     */
+    stop() {
+        if (!this.active) return;
+
+        for (const action of Object.keys(this._handlers)) {
+            this.keyBindings.off(action, this._handleAction);
+        }
+        this.active = false;
+    }
+
+    /**
+     * Routes a KeyBindings action event to its handler
+     * @param {InputEvent} inputEvent - Action event
+     * @private
+     */
+    _handleAction(inputEvent) {
+        // KeyBindings reports releases too; only presses drive the entry
+        if (!this.active || !inputEvent || !inputEvent.pressed) return;
+
+        const handler = this._handlers[inputEvent.action];
+        if (handler) {
+            handler();
+        }
+    }
+
+    /**
+     * Changes the letter under the cursor, wrapping around the alphabet
+     * @param {number} step - +1 for the next letter, -1 for the previous
+     */
+    cycleLetter(step) {
+        if (this.submitted) return;
+
+        const size = this.config.alphabet.length;
+        this.letters[this.cursor] = (this.letters[this.cursor] + step + size) % size;
+        this._emit('change', { initials: this.getInitials(), cursor: this.cursor });
+    }
+
+    /**
+     * Moves the cursor between letter slots
+     * @param {number} step - +1 to move right, -1 to move left
+     */
+    moveCursor(step) {
+        if (this.submitted) return;
+
+        this.cursor = Math.max(0, Math.min(this.config.length - 1, this.cursor + step));
+        this._emit('change', { initials: this.getInitials(), cursor: this.cursor });
+    }
+
+    /**
+     * Accepts the current letter; confirming the last slot submits the initials
+     */
+    confirm() {
+        if (this.submitted) return;
+
+        if (this.cursor < this.config.length - 1) {
+            this.moveCursor(1);
+            return;
+        }
+
+        this.submitted = true;
+        this.stop();
+        this._emit('submit', { initials: this.getInitials() });
+    }
+
+    /**
+     * Gets the initials as currently entered
+     * @returns {string} Initials
+     */
+    getInitials() {
+        return this.letters.map(index => this.config.alphabet[index]).join('');
+    }
+
+    /**
+     * Draws the entry prompt and letters centred on a point
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - Centre X
+     * @param {number} y - Baseline Y of the letters
+     */
+    render(ctx, x, y) {
+        const spacing = 36;
+        const startX = x - (spacing * (this.config.length - 1)) / 2;
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.font = '20px Arial';
+        ctx.fillStyle = this.config.color;
+        ctx.fillText('NEW HIGH SCORE - ENTER YOUR INITIALS', x, y - 50);
+
+        ctx.font = this.config.font;
+        this.letters.forEach((index, slot) => {
+            const letterX = startX + slot * spacing;
+            ctx.fillStyle = slot === this.cursor && !this.submitted ? this.config.cursorColor : this.config.color;
+            ctx.fillText(this.config.alphabet[index], letterX, y);
+
+            if (slot === this.cursor && !this.submitted) {
+                ctx.fillRect(letterX - 12, y + 8, 24, 3);
+            }
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Adds event listener
+     * @param {string} event - Event name ('change' or 'submit')
+     * @param {Function} callback - Event callback
+     */
+    addEventListener(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+    }
+
+    /**
+     * Removes event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Event callback
+     */
+    removeEventListener(event, callback) {
+        const listeners = this.listeners.get(event);
+        if (listeners) {
+            listeners.delete(callback);
+        }
+    }
+
+    /**
+     * Emits event to listeners
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     * @private
+     */
+    _emit(event, data) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+
+        for (const callback of listeners) {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`[InitialsEntry] Error in ${event} listener:`, error);
+            }
+        }
+    }
+}
+
+// Export the screen and its defaults
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InitialsEntry, DEFAULT_INITIALS_CONFIG };
+} else if (typeof window !== 'undefined') {
+    window.InitialsEntry = InitialsEntry;
+    window.DEFAULT_INITIALS_CONFIG = DEFAULT_INITIALS_CONFIG;
+}
@@ -0,0 +1,266 @@
+/**
+ * Seeded Random Module
+ *
+ * Deterministic pseudo-random numbers for gameplay. A single master seed
+ * drives a set of named sub-streams (spawning, enemy fire, UFO, particles),
+ * each with its own generator, so drawing more numbers in one system never
+ * shifts the sequence another system sees. A seed plus the player's inputs
+ * fully determines a run.
+ *
+ * Key Features:
+ * - mulberry32 generator: fast, 32-bit state, good enough for games
+ * - Numeric or string seeds
+ * - Named, independent sub-streams derived from the master seed
+ * - Serializable state for save games and replays
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ * @since 2025
+ */
+
+/**
+ * Well-known stream names
+ * @readonly
+ * @enum {string}
+ */
+const RandomStream = Object.freeze({
+    SPAWN: 'spawn',
+    ENEMY_FIRE: 'enemyFire',
+    UFO: 'ufo',
+    PARTICLES: 'particles'
+});
+
+/**
+ * Hashes a string to an unsigned 32-bit integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} Hash value
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+
+    return hash;
+}
+
+/**
+ * Normalizes a numeric or string seed to an unsigned 32-bit integer
+ * @param {number|string} seed - Seed value
+ * @returns {number} 32-bit seed
+ * @throws {Error} When the seed is neither a finite number nor a string
+ */
+function normalizeSeed(seed) {
+    if (typeof seed === 'string') {
+        return hashString(seed);
+    }
+
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(seed) >>> 0;
+    }
+
+    throw new Error(`Seed must be a finite number or a string, got: ${typeof seed}`);
+}
+
+/**
+ * Seedable pseudo-random number generator
+ */
+class SeededRandom {
+    /**
+     * Creates a new generator
+     * @param {number|string} [seed=0] - Seed value
+     */
+    constructor(seed = 0) {
+        this.seed = normalizeSeed(seed);
+        this.state = this.seed;
+
+        // Bound so the generator can be handed out as a plain () => number source
+        this.next = this.next.bind(this);
+    }
+
+    /**
+     * Gets the next number in [0, 1)
+     * @returns {number} Random number
+     */
+    next() {
+        // mulberry32
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Gets a number in [min, max)
+     * @param {number} min - Lower bound (inclusive)
+     * @param {number} max - Upper bound (exclusive)
+     * @returns {number} Random number
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Gets an integer in [min, max]
+     * @param {number} min - Lower bound (inclusive)
+     * @param {number} max - Upper bound (inclusive)
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return Math.floor(this.range(Math.ceil(min), Math.floor(max) + 1));
+    }
+
+    /**
+     * Returns true with the given probability
+     * @param {number} probability - Chance in [0, 1]
+     * @returns {boolean} Outcome
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Picks an element of an array
+     * @param {Array} items - Items to choose from
+     * @returns {*} Chosen item, or undefined for an empty array
+     */
+    pick(items) {
+        if (!items || items.length === 0) {
+            return undefined;
+        }
+
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Gets the generator state
+     * @returns {number} Internal state
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restores a state captured with getState()
+     * @param {number} state - Internal state
+     */
+    setState(state) {
+        this.state = normalizeSeed(state);
+    }
+}
+
+/**
+ * Master seed with named, independent sub-streams
+ */
+class RandomService {
+    /**
+     * Creates a new random service
+     * @param {number|string} [seed] - Master seed; a fresh seed is generated when omitted
+     */
+    constructor(seed = RandomService.generateSeed()) {
+        this.streams = new Map();
+        this.reseed(seed);
+    }
+
+    /**
+     * Makes a fresh seed for unseeded play
+     * @returns {number} 32-bit seed
+     * @static
+     */
+    static generateSeed() {
+        return (Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Resets every stream from a new master seed
+     * @param {number|string} seed - Master seed
+     */
+    reseed(seed) {
+        this.seed = normalizeSeed(seed);
+
+        for (const [name, stream] of this.streams) {
+            stream.seed = this._streamSeed(name);
+            stream.state = stream.seed;
+        }
+    }
+
+    /**
+     * Gets the master seed
+     * @returns {number} 32-bit seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Gets a named sub-stream, creating it on first use
+     *
+     * The same instance is returned on every call, so callers may keep it
+     * (or its bound next()) and still see reseeds.
+     * @param {string} name - Stream name, usually a RandomStream value
+     * @returns {SeededRandom} Stream generator
+     */
+    stream(name) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Random stream name must be a non-empty string');
+        }
+
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new SeededRandom(this._streamSeed(name)));
+        }
+
+        return this.streams.get(name);
+    }
+
+    /**
+     * Derives a stream seed from the master seed and the stream name
+     * @param {string} name - Stream name
+     * @returns {number} 32-bit seed
+     * @private
+     */
+    _streamSeed(name) {
+        return (Math.imul(this.seed ^ hashString(name), 0x9E3779B1) ^ hashString(name)) >>> 0;
+    }
+
+    /**
+     * Captures the master seed and every stream's position
+     * @returns {{seed: number, streams: Object<string, number>}} Serializable state
+     */
+    getState() {
+        const streams = {};
+        for (const [name, stream] of this.streams) {
+            streams[name] = stream.getState();
+        }
+
+        return { seed: this.seed, streams };
+    }
+
+    /**
+     * Restores a state captured with getState()
+     * @param {{seed: number, streams: Object<string, number>}} state - Saved state
+     * @throws {Error} When the state is malformed
+     */
+    setState(state) {
+        if (!state || typeof state !== 'object' || !state.streams || typeof state.streams !== 'object') {
+            throw new Error('Invalid random state');
+        }
+
+        this.reseed(state.seed);
+        for (const [name, value] of Object.entries(state.streams)) {
+            this.stream(name).setState(value);
+        }
+    }
+}
+
+// Export the generators and helpers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom, RandomService, RandomStream, hashString, normalizeSeed };
+} else if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+    window.RandomService = RandomService;
+    window.RandomStream = RandomStream;
+    window.hashString = hashString;
+}
@@ -1,4 +1,9 @@
-* 
+/**
+ * Vector2D Utility Module
+ * 
+ * Immutable 2D vector math for positions, velocities and geometry, with an
+ * object pool and helper functions for hot paths.
+ * 
  * @author Space Invaders Development Team
  * @version 1.0.0
  * @since 2025-01-27
@@ -461,10 +466,12 @@ class Vector2D {
 
     /**
      * Creates a random unit vector
+     * @param {Function} [random=Math.random] - Random source returning [0, 1); pass a
+     *   seeded stream for reproducible results
      * @returns {Vector2D} A new random unit vector
      */
-    static random() {
-        const angle = Math.random() * 2 * Math.PI;
+    static random(random = Math.random) {
+        const angle = random() * 2 * Math.PI;
         return Vector2D.fromPolar(1, angle);
     }
 
@@ -474,10 +481,12 @@ class Vector2D {
      * @param {number} maxX - Maximum x value
      * @param {number} minY - Minimum y value
      * @param {number} maxY - Maximum y value
+     * @param {Function} [random=Math.random] - Random source returning [0, 1); pass a
+     *   seeded stream for reproducible results
      * @returns {Vector2D} A new random vector within bounds
      * @throws {Vector2DError} When bounds are not finite numbers
      */
-    static randomInBounds(minX, maxX, minY, maxY) {
+    static randomInBounds(minX, maxX, minY, maxY, random = Math.random) {
         const validateBound = (value, name) => {
             if (typeof value !== 'number' || !Number.isFinite(value)) {
                 throw new Vector2DError(
@@ -493,8 +502,8 @@ class Vector2D {
         validateBound(maxY, 'maxY');
 
         return new Vector2D(
-            minX + Math.random() * (maxX - minX),
-            minY + Math.random() * (maxY - minY)
+            minX + random() * (maxX - minX),
+            minY + random() * (maxY - minY)
         );
     }
 }
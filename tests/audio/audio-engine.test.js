@@ -0,0 +1,213 @@
+/**
+ * Audio Engine Test Suite
+ *
+ * Covers the mixer around the procedural effects:
+ * - Silent degradation without an AudioContext
+ * - Bus routing and gain levels against a mocked context
+ * - Looping voices and the marching bass
+ * - Volume and mute persistence
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { AudioEngine, AudioBus } = require('../../js/audio/audio-engine.js');
+const { SoundEffect, MARCH_NOTES } = require('../../js/audio/sound-effects.js');
+const { MemoryStorage } = require('../../js/core/high-scores.js');
+
+/**
+ * AudioContext double: gains, oscillators and buffers that record their wiring
+ */
+const createMockContext = () => {
+    const param = () => ({ value: 1, setValueAtTime: jest.fn(), exponentialRampToValueAtTime: jest.fn() });
+    const node = (extra = {}) => {
+        const created = {
+            connections: [],
+            connect: jest.fn(target => {
+                created.connections.push(target);
+                return target;
+            }),
+            disconnect: jest.fn(),
+            ...extra
+        };
+        return created;
+    };
+    const source = () => node({ start: jest.fn(), stop: jest.fn(), frequency: param() });
+
+    return {
+        state: 'suspended',
+        currentTime: 0,
+        sampleRate: 100,
+        destination: {},
+        createGain: jest.fn(() => node({ gain: param() })),
+        createOscillator: jest.fn(source),
+        createBufferSource: jest.fn(source),
+        createBiquadFilter: jest.fn(() => node({ frequency: param() })),
+        createBuffer: (channels, length) => ({ getChannelData: () => new Float32Array(length) }),
+        resume: jest.fn(() => Promise.resolve()),
+        suspend: jest.fn(() => Promise.resolve()),
+        close: jest.fn(() => Promise.resolve())
+    };
+};
+
+describe('AudioEngine', () => {
+    let storage;
+    let context;
+
+    const createEngine = (config = {}) => new AudioEngine(config, { storage, contextFactory: () => context });
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        context = createMockContext();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Availability', () => {
+        test('should stay silent without an AudioContext', () => {
+            const engine = new AudioEngine({}, { storage, contextFactory: null });
+
+            expect(engine.unlock()).toBe(false);
+            expect(engine.isAvailable()).toBe(false);
+            expect(engine.play(SoundEffect.LASER)).toBeNull();
+            expect(() => engine.startLoop(SoundEffect.UFO_SIREN)).not.toThrow();
+            expect(() => engine.playMarchStep()).not.toThrow();
+            expect(() => engine.destroy()).not.toThrow();
+        });
+
+        test('should give up quietly when the context cannot be created', () => {
+            const factory = jest.fn(() => { throw new Error('blocked'); });
+            const engine = new AudioEngine({}, { storage, contextFactory: factory });
+
+            expect(engine.unlock()).toBe(false);
+            expect(engine.unlock()).toBe(false);
+            expect(factory).toHaveBeenCalledTimes(1);
+        });
+
+        test('should create the context once and resume it on unlock', () => {
+            const factory = jest.fn(() => context);
+            const engine = new AudioEngine({}, { storage, contextFactory: factory });
+
+            expect(engine.unlock()).toBe(true);
+            engine.unlock();
+
+            expect(factory).toHaveBeenCalledTimes(1);
+            expect(context.resume).toHaveBeenCalled();
+            expect(engine.isAvailable()).toBe(true);
+        });
+
+        test('should reject unknown effects', () => {
+            expect(() => createEngine().play('kazoo')).toThrow('Unknown sound effect');
+        });
+    });
+
+    describe('Mixing', () => {
+        test('should route effects through their bus to the master gain', () => {
+            const engine = createEngine();
+            engine.unlock();
+
+            engine.play(SoundEffect.LASER);
+            engine.play(SoundEffect.UI_MOVE);
+
+            const [laser, blip] = context.createOscillator.mock.results.map(result => result.value);
+            const sfx = engine.buses.get(AudioBus.SFX);
+            const ui = engine.buses.get(AudioBus.UI);
+            expect(laser.connections[0].connections).toContain(sfx);
+            expect(blip.connections[0].connections).toContain(ui);
+            expect(sfx.connections).toContain(engine.master);
+            expect(engine.master.connections).toContain(context.destination);
+        });
+
+        test('should apply bus volumes and mute to the gains', () => {
+            const engine = createEngine({ volumes: { music: 0.5 } });
+            engine.unlock();
+
+            expect(engine.buses.get(AudioBus.MUSIC).gain.value).toBe(0.5);
+
+            engine.setVolume('master', 0.3);
+            expect(engine.master.gain.value).toBe(0.3);
+
+            expect(engine.toggleMute()).toBe(true);
+            expect(engine.master.gain.value).toBe(0);
+            engine.setMuted(false);
+            expect(engine.master.gain.value).toBe(0.3);
+        });
+
+        test('should validate volumes and channels', () => {
+            const engine = createEngine();
+
+            expect(() => engine.setVolume('sfx', 2)).toThrow('between 0 and 1');
+            expect(() => engine.setVolume('voice', 0.5)).toThrow('Unknown audio channel');
+            expect(() => new AudioEngine({ volumes: { sfx: -1 } }, { storage })).toThrow('sfx');
+            expect(() => new AudioEngine({ effectBuses: { laser: 'drums' } }, { storage })).toThrow('laser');
+        });
+    });
+
+    describe('Voices', () => {
+        test('should keep one siren loop until it is stopped', () => {
+            const engine = createEngine();
+            engine.unlock();
+
+            engine.startLoop(SoundEffect.UFO_SIREN);
+            engine.startLoop(SoundEffect.UFO_SIREN);
+            expect(context.createOscillator).toHaveBeenCalledTimes(2); // carrier and wobble, once
+
+            const [carrier] = context.createOscillator.mock.results.map(result => result.value);
+            engine.stopLoop(SoundEffect.UFO_SIREN);
+            expect(carrier.stop).toHaveBeenCalled();
+
+            engine.startLoop(SoundEffect.UFO_SIREN);
+            engine.destroy();
+            expect(engine.loops.size).toBe(0);
+            expect(context.close).toHaveBeenCalled();
+        });
+
+        test('should cycle through the marching bass notes', () => {
+            const engine = createEngine();
+            engine.unlock();
+
+            for (let i = 0; i <= MARCH_NOTES.length; i++) {
+                engine.playMarchStep();
+            }
+
+            const pitches = context.createOscillator.mock.results
+                .map(result => result.value.frequency.setValueAtTime.mock.calls[0][0]);
+            expect(pitches).toEqual([...MARCH_NOTES, MARCH_NOTES[0]]);
+
+            engine.playMarchStep();
+            engine.resetMarch();
+            engine.playMarchStep();
+            expect(context.createOscillator.mock.results.pop().value.frequency.setValueAtTime.mock.calls[0][0])
+                .toBe(MARCH_NOTES[0]);
+        });
+    });
+
+    describe('Persistence', () => {
+        test('should remember volumes and mute', () => {
+            const engine = createEngine();
+            engine.setVolume(AudioBus.SFX, 0.25);
+            engine.setMuted(true);
+
+            const reloaded = createEngine();
+
+            expect(reloaded.getVolume(AudioBus.SFX)).toBe(0.25);
+            expect(reloaded.isMuted()).toBe(true);
+        });
+
+        test('should fall back to defaults for invalid saved settings', () => {
+            storage.setItem('spaceInvaders.audio', JSON.stringify({ version: 1, volumes: { sfx: 9, ui: 0.1 }, muted: 'yes' }));
+
+            const engine = createEngine();
+
+            expect(engine.getVolume(AudioBus.SFX)).toBe(1);
+            expect(engine.getVolume(AudioBus.UI)).toBe(0.1);
+            expect(engine.isMuted()).toBe(false);
+
+            storage.setItem('spaceInvaders.audio', '{');
+            expect(createEngine().getVolume(AudioBus.UI)).toBe(0.6);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Sound Effects Test Suite
+ *
+ * Runs every procedural recipe against a mocked AudioContext:
+ * - Node graphs end at the given destination
+ * - One-shot voices schedule their own end and disconnect when done
+ * - The siren loops until stopped
+ * - Marching bass notes and explosion sizes
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { SoundEffect, SOUND_RECIPES, MARCH_NOTES } = require('../../js/audio/sound-effects.js');
+
+/**
+ * Minimal AudioContext double that records the nodes it creates
+ */
+const createMockContext = () => {
+    const param = () => ({
+        value: 0,
+        setValueAtTime: jest.fn(),
+        exponentialRampToValueAtTime: jest.fn()
+    });
+    const node = (kind, extra = {}) => {
+        const created = {
+            kind,
+            connections: [],
+            connect: jest.fn(target => {
+                created.connections.push(target);
+                return target;
+            }),
+            disconnect: jest.fn(),
+            ...extra
+        };
+        context.nodes.push(created);
+        return created;
+    };
+    const source = kind => node(kind, { start: jest.fn(), stop: jest.fn(), onended: null });
+
+    const context = {
+        nodes: [],
+        currentTime: 2,
+        sampleRate: 100,
+        destination: { kind: 'destination' },
+        createGain: () => node('gain', { gain: param() }),
+        createOscillator: () => Object.assign(source('oscillator'), { type: 'sine', frequency: param() }),
+        createBufferSource: () => Object.assign(source('bufferSource'), { buffer: null }),
+        createBiquadFilter: () => node('filter', { type: 'lowpass', frequency: param() }),
+        createBuffer: (channels, length) => {
+            const data = new Float32Array(length);
+            return { getChannelData: () => data };
+        }
+    };
+    return context;
+};
+
+const sources = context => context.nodes.filter(node => node.start);
+
+describe('Sound effects', () => {
+    let context;
+    let bus;
+
+    beforeEach(() => {
+        context = createMockContext();
+        bus = { kind: 'bus' };
+    });
+
+    test('should route every effect to the destination it is given', () => {
+        for (const effect of Object.values(SoundEffect)) {
+            context.nodes = [];
+            SOUND_RECIPES[effect](context, bus, {});
+
+            expect(context.nodes.some(node => node.connections.includes(bus))).toBe(true);
+            expect(sources(context).every(source => source.start.mock.calls.length === 1)).toBe(true);
+        }
+    });
+
+    test('should end one-shot effects by themselves and release their nodes', () => {
+        SOUND_RECIPES[SoundEffect.LASER](context, bus);
+        const [oscillator] = sources(context);
+
+        expect(oscillator.stop).toHaveBeenCalledWith(expect.any(Number));
+        expect(oscillator.stop.mock.calls[0][0]).toBeGreaterThan(context.currentTime);
+
+        oscillator.onended();
+        expect(context.nodes.every(node => node.disconnect.mock.calls.length === 1)).toBe(true);
+    });
+
+    test('should loop the siren until it is stopped', () => {
+        const voice = SOUND_RECIPES[SoundEffect.UFO_SIREN](context, bus);
+
+        expect(sources(context)).toHaveLength(2);
+        sources(context).forEach(source => expect(source.stop).not.toHaveBeenCalled());
+
+        voice.stop();
+        voice.stop();
+        sources(context).forEach(source => expect(source.stop).toHaveBeenCalledTimes(1));
+    });
+
+    test('should play the marching bass notes in a cycle', () => {
+        SOUND_RECIPES[SoundEffect.MARCH](context, bus, { note: 5, duration: 0.05 });
+        const [oscillator] = sources(context);
+
+        expect(oscillator.frequency.setValueAtTime).toHaveBeenCalledWith(MARCH_NOTES[1], context.currentTime);
+        expect(oscillator.stop).toHaveBeenCalledWith(context.currentTime + 0.05);
+    });
+
+    test('should make large explosions last longer and fill noise deterministically', () => {
+        SOUND_RECIPES[SoundEffect.EXPLOSION](context, bus, { size: 'small' });
+        const small = sources(context)[0];
+        SOUND_RECIPES[SoundEffect.EXPLOSION](context, bus, { size: 'large' });
+        const large = sources(context)[1];
+
+        expect(large.stop.mock.calls[0][0]).toBeGreaterThan(small.stop.mock.calls[0][0]);
+        expect(large.buffer).toBe(small.buffer);
+
+        const samples = Array.from(small.buffer.getChannelData(0));
+        expect(samples.every(sample => sample >= -1 && sample < 1)).toBe(true);
+        expect(new Set(samples).size).toBeGreaterThan(1);
+        expect(() => SOUND_RECIPES[SoundEffect.EXPLOSION](context, bus, { size: 'huge' })).toThrow('size');
+    });
+});
@@ -0,0 +1,274 @@
+/**
+ * Asset Manager Test Suite
+ *
+ * Covers manifest-driven loading:
+ * - Every asset type through injected loaders
+ * - Concurrency limit, retries and progress events
+ * - Deduplication by URL into the sprite renderer cache
+ * - Placeholders and fallbacks when files fail
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { AssetManager, AssetType } = require('../../js/core/asset-manager.js');
+const { SpriteAtlas } = require('../../js/rendering/sprite-atlas.js');
+
+describe('AssetManager', () => {
+    const atlasDescriptor = {
+        meta: { image: 'invaders.png' },
+        frames: {
+            a: { frame: { x: 0, y: 0, w: 16, h: 16 } },
+            b: { frame: { x: 16, y: 0, w: 16, h: 8 } }
+        }
+    };
+
+    /**
+     * Loaders backed by a fake file system; paths listed in `missing` always fail
+     */
+    const createLoaders = (missing = []) => {
+        const files = {
+            'assets/manifest.json': {
+                assets: [
+                    { id: 'ship', type: 'image', url: 'sprites/ship.png' },
+                    { id: 'invaders', type: 'atlas', url: 'sprites/invaders.json' },
+                    { id: 'laser', type: 'audio', url: 'audio/laser.ogg' },
+                    { id: 'arcade', type: 'font', url: 'fonts/arcade.woff2', family: 'Arcade' },
+                    { id: 'wave1', type: 'json', url: 'levels/wave1.json' }
+                ]
+            },
+            'assets/sprites/invaders.json': atlasDescriptor,
+            'assets/levels/wave1.json': { rows: 5 }
+        };
+        const fail = url => missing.includes(url) ? Promise.reject(new Error(`404 ${url}`)) : null;
+
+        return {
+            image: jest.fn(url => fail(url) || Promise.resolve({ src: url, width: 32, height: 16 })),
+            json: jest.fn(url => fail(url) || (files[url] ? Promise.resolve(files[url]) : Promise.reject(new Error(`404 ${url}`)))),
+            binary: jest.fn(url => fail(url) || Promise.resolve(new ArrayBuffer(8))),
+            font: jest.fn((family, url) => fail(url) || Promise.resolve({ family }))
+        };
+    };
+
+    const createRenderer = () => {
+        const cache = new Map();
+        return {
+            cacheSprite: jest.fn((key, image) => cache.set(key, image)),
+            getCachedSprite: jest.fn(key => cache.get(key) || null),
+            registerAtlas: jest.fn()
+        };
+    };
+
+    const createManager = (config = {}, options = {}) => new AssetManager({ retryDelay: 0, ...config }, {
+        loaders: createLoaders(),
+        delay: () => Promise.resolve(),
+        createCanvas: () => null,
+        ...options
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Manifests', () => {
+        test('should load every asset type relative to the manifest', async () => {
+            const loaders = createLoaders();
+            const manager = createManager({}, { loaders });
+
+            const summary = await manager.loadManifest('assets/manifest.json');
+
+            expect(summary).toEqual({ loaded: 5, failed: 0, total: 5, progress: 1 });
+            expect(manager.get('ship').src).toBe('assets/sprites/ship.png');
+            expect(manager.get('invaders')).toBeInstanceOf(SpriteAtlas);
+            expect(loaders.image).toHaveBeenCalledWith('assets/sprites/invaders.png');
+            expect(manager.get('laser')).toBeInstanceOf(ArrayBuffer);
+            expect(loaders.font).toHaveBeenCalledWith('Arcade', 'assets/fonts/arcade.woff2');
+            expect(manager.get('wave1')).toEqual({ rows: 5 });
+            expect(manager.getFailures()).toEqual([]);
+        });
+
+        test('should reject malformed manifests before loading anything', async () => {
+            const loaders = createLoaders();
+            const manager = createManager({}, { loaders });
+
+            await expect(manager.loadManifest({})).rejects.toThrow('missing assets list');
+            await expect(manager.load([{ id: 'a', type: 'video', url: 'a.mp4' }])).rejects.toThrow('unknown type');
+            await expect(manager.load([{ id: 'a', type: 'image' }])).rejects.toThrow('needs a url');
+            await expect(manager.load([
+                { id: 'a', type: 'image', url: 'a.png' },
+                { id: 'a', type: 'image', url: 'b.png' }
+            ])).rejects.toThrow('duplicate id a');
+            expect(loaders.image).not.toHaveBeenCalled();
+        });
+
+        test('should fail when the manifest itself is missing', async () => {
+            const manager = createManager();
+
+            await expect(manager.loadManifest('nowhere.json')).rejects.toThrow('404 nowhere.json');
+        });
+
+        test('should validate its configuration', () => {
+            expect(() => new AssetManager({ concurrency: 0 })).toThrow('concurrency');
+            expect(() => new AssetManager({ retries: -1 })).toThrow('retries');
+            expect(() => new AssetManager({ retryDelay: -5 })).toThrow('retryDelay');
+        });
+    });
+
+    describe('Scheduling', () => {
+        test('should keep at most the configured number of files in flight', async () => {
+            let inFlight = 0;
+            let peak = 0;
+            const image = jest.fn(async (url) => {
+                inFlight++;
+                peak = Math.max(peak, inFlight);
+                await new Promise(resolve => setTimeout(resolve, 1));
+                inFlight--;
+                return { src: url };
+            });
+            const manager = createManager({ concurrency: 2 }, { loaders: { ...createLoaders(), image } });
+
+            await manager.load(Array.from({ length: 6 }, (_, i) => ({ id: `i${i}`, type: AssetType.IMAGE, url: `${i}.png` })));
+
+            expect(image).toHaveBeenCalledTimes(6);
+            expect(peak).toBe(2);
+        });
+
+        test('should retry with a doubling delay before giving up', async () => {
+            const delay = jest.fn(() => Promise.resolve());
+            const image = jest.fn()
+                .mockRejectedValueOnce(new Error('flaky'))
+                .mockResolvedValueOnce({ src: 'ok.png' });
+            const manager = createManager({ retries: 3, retryDelay: 100 }, { delay, loaders: { ...createLoaders(), image } });
+
+            await manager.load([{ id: 'ok', type: 'image', url: 'ok.png' }]);
+
+            expect(image).toHaveBeenCalledTimes(2);
+            expect(delay).toHaveBeenCalledWith(100);
+            expect(manager.isPlaceholder('ok')).toBe(false);
+
+            const broken = jest.fn().mockRejectedValue(new Error('gone'));
+            const failing = createManager({ retries: 2, retryDelay: 100 }, { delay, loaders: { ...createLoaders(), image: broken } });
+            await failing.load([{ id: 'gone', type: 'image', url: 'gone.png' }]);
+
+            expect(broken).toHaveBeenCalledTimes(3);
+            expect(delay).toHaveBeenLastCalledWith(200);
+        });
+
+        test('should report progress as each asset settles', async () => {
+            const manager = createManager({ concurrency: 1 }, { loaders: createLoaders(['b.png']) });
+            const progress = jest.fn();
+            const complete = jest.fn();
+            manager.addEventListener('progress', progress);
+            manager.addEventListener('complete', complete);
+
+            await manager.load([
+                { id: 'a', type: 'image', url: 'a.png' },
+                { id: 'b', type: 'image', url: 'b.png' }
+            ]);
+
+            expect(progress.mock.calls.map(([event]) => [event.id, event.progress])).toEqual([['a', 0.5], ['b', 1]]);
+            expect(complete).toHaveBeenCalledWith({ loaded: 1, failed: 1, total: 2, progress: 1 });
+            expect(createManager().getProgress().progress).toBe(1);
+        });
+    });
+
+    describe('Deduplication', () => {
+        test('should load a URL once and keep it in the sprite renderer cache', async () => {
+            const loaders = createLoaders();
+            const spriteRenderer = createRenderer();
+            const manager = createManager({}, { loaders, spriteRenderer });
+
+            await manager.load([
+                { id: 'ship', type: 'image', url: 'ship.png' },
+                { id: 'lives', type: 'image', url: 'ship.png' }
+            ]);
+            const again = await manager.loadImage('ship.png');
+
+            expect(loaders.image).toHaveBeenCalledTimes(1);
+            expect(manager.get('lives')).toBe(manager.get('ship'));
+            expect(again).toBe(manager.get('ship'));
+            expect(spriteRenderer.cacheSprite).toHaveBeenCalledWith('ship.png', manager.get('ship'));
+        });
+
+        test('should use images already in the renderer cache', async () => {
+            const loaders = createLoaders();
+            const spriteRenderer = createRenderer();
+            const cached = { src: 'preloaded' };
+            spriteRenderer.cacheSprite('ship.png', cached);
+
+            const manager = createManager({}, { loaders, spriteRenderer });
+
+            expect(await manager.loadImage('ship.png')).toBe(cached);
+            expect(loaders.image).not.toHaveBeenCalled();
+        });
+
+        test('should register loaded atlases with the renderer', async () => {
+            const spriteRenderer = createRenderer();
+            const manager = createManager({}, { spriteRenderer });
+
+            await manager.loadManifest('assets/manifest.json');
+
+            expect(spriteRenderer.registerAtlas).toHaveBeenCalledWith('invaders', manager.get('invaders'));
+        });
+    });
+
+    describe('Fallbacks', () => {
+        test('should substitute a sized placeholder for a missing image', async () => {
+            const canvas = { getContext: () => ({ fillRect: jest.fn() }) };
+            const manager = createManager({}, { loaders: createLoaders(['ship.png']), createCanvas: () => canvas });
+            const error = jest.fn();
+            manager.addEventListener('error', error);
+
+            await manager.load([{ id: 'ship', type: 'image', url: 'ship.png', width: 24, height: 12 }]);
+
+            expect(manager.get('ship')).toBe(canvas);
+            expect(canvas).toMatchObject({ width: 24, height: 12 });
+            expect(manager.isPlaceholder('ship')).toBe(true);
+            expect(manager.getFailures()).toEqual([{ id: 'ship', url: 'ship.png', error: '404 ship.png' }]);
+            expect(error).toHaveBeenCalledWith(expect.objectContaining({ id: 'ship', url: 'ship.png' }));
+        });
+
+        test('should keep an atlas usable when its sheet is missing', async () => {
+            const manager = createManager({}, { loaders: createLoaders(['assets/sprites/invaders.png']) });
+
+            await manager.loadManifest('assets/manifest.json');
+
+            const atlas = manager.get('invaders');
+            expect(atlas.getFrame('b')).toMatchObject({ x: 16, width: 16 });
+            expect(atlas.image).toEqual({ width: 32, height: 16 });
+            expect(manager.isPlaceholder('invaders')).toBe(true);
+            expect(manager.getProgress().failed).toBe(0);
+        });
+
+        test('should use manifest fallbacks for JSON and silence for audio and fonts', async () => {
+            const manager = createManager({}, { loaders: createLoaders(['level.json', 'boom.ogg', 'font.woff2']) });
+
+            const summary = await manager.load([
+                { id: 'level', type: 'json', url: 'level.json', fallback: { rows: 3 } },
+                { id: 'boom', type: 'audio', url: 'boom.ogg' },
+                { id: 'font', type: 'font', url: 'font.woff2' }
+            ]);
+
+            expect(summary.failed).toBe(3);
+            expect(manager.get('level')).toEqual({ rows: 3 });
+            expect(manager.get('boom')).toBeNull();
+            expect(manager.has('font')).toBe(true);
+            expect(manager.get('font')).toBeNull();
+        });
+
+        test('should try a failed URL again on a later request', async () => {
+            const image = jest.fn()
+                .mockRejectedValueOnce(new Error('offline'))
+                .mockResolvedValueOnce({ src: 'ship.png' });
+            const manager = createManager({ retries: 0 }, { loaders: { ...createLoaders(), image } });
+
+            await expect(manager.loadImage('ship.png')).rejects.toThrow('offline');
+            await expect(manager.loadImage('ship.png')).resolves.toEqual({ src: 'ship.png' });
+        });
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * GameLoop Fixed Timestep Test Suite
+ *
+ * Covers the GameLoop module itself:
+ * - Fixed-step updates independent of display refresh rate
+ * - Interpolation factor from the accumulator remainder
+ * - Spiral-of-death clamping
+ * - Pause / resume and error recovery
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { GameLoop, GameLoopState } = require('../../js/core/game-loop.js');
+
+describe('GameLoop', () => {
+    let frames;
+    let now;
+
+    beforeEach(() => {
+        frames = [];
+        now = 0;
+        global.requestAnimationFrame = jest.fn(callback => frames.push(callback));
+        global.cancelAnimationFrame = jest.fn(() => frames.pop());
+        jest.spyOn(performance, 'now').mockImplementation(() => now);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        delete global.requestAnimationFrame;
+        delete global.cancelAnimationFrame;
+        jest.restoreAllMocks();
+    });
+
+    /**
+     * Advances the clock and runs the pending animation frame
+     */
+    const frame = (ms) => {
+        now += ms;
+        const callback = frames.shift();
+        if (callback) callback(now);
+    };
+
+    const createLoop = (config = {}, extraCallbacks = {}) => {
+        const update = jest.fn();
+        const render = jest.fn();
+        const loop = new GameLoop({ update, render, ...extraCallbacks }, config);
+        return { loop, update, render };
+    };
+
+    describe('Fixed timestep', () => {
+        test.each([30, 60, 144])('should simulate the same ticks per second at %i Hz', (hz) => {
+            const { loop, update } = createLoop({ targetFPS: 60 });
+            loop.start();
+
+            for (let i = 0; i < hz; i++) {
+                frame(1000 / hz);
+            }
+
+            expect(update.mock.calls.length).toBeGreaterThanOrEqual(59);
+            expect(update.mock.calls.length).toBeLessThanOrEqual(60);
+            expect(update).toHaveBeenCalledWith(1000 / 60);
+        });
+
+        test('should render with the leftover fraction of a tick', () => {
+            const { loop, update, render } = createLoop({ targetFPS: 50 });
+            loop.start();
+
+            frame(30);
+
+            expect(update).toHaveBeenCalledTimes(1);
+            expect(render).toHaveBeenLastCalledWith(0.5);
+        });
+
+        test('should skip updates on frames shorter than a tick', () => {
+            const { loop, update, render } = createLoop({ targetFPS: 50 });
+            loop.start();
+
+            frame(10);
+
+            expect(update).not.toHaveBeenCalled();
+            expect(render).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Spiral-of-death protection', () => {
+        test('should clamp long frames to maxDeltaTime', () => {
+            const { loop, update } = createLoop({ targetFPS: 100, maxDeltaTime: 50, maxUpdatesPerFrame: 10 });
+            loop.start();
+
+            frame(5000);
+
+            expect(update).toHaveBeenCalledTimes(5);
+        });
+
+        test('should cap ticks per frame and drop the backlog', () => {
+            const { loop, update } = createLoop({ targetFPS: 100, maxDeltaTime: 1000, maxUpdatesPerFrame: 3 });
+            loop.start();
+
+            frame(95);
+
+            expect(update).toHaveBeenCalledTimes(3);
+            expect(loop.getDroppedTime()).toBe(60);
+            expect(loop.getTickCount()).toBe(3);
+        });
+    });
+
+    describe('Lifecycle', () => {
+        test('should not simulate time spent paused', () => {
+            const { loop, update } = createLoop({ targetFPS: 100 });
+            loop.start();
+            frame(10);
+
+            loop.pause();
+            now += 10000;
+            loop.resume();
+            frame(10);
+
+            expect(update).toHaveBeenCalledTimes(2);
+            expect(loop.getState()).toBe(GameLoopState.RUNNING);
+        });
+
+        test('should keep running when a custom error handler is supplied', () => {
+            const onError = jest.fn();
+            const { loop, update } = createLoop({ targetFPS: 100 }, { onError });
+            update.mockImplementationOnce(() => { throw new Error('boom'); });
+            loop.start();
+
+            frame(10);
+            frame(10);
+
+            expect(onError).toHaveBeenCalledWith('Error in game loop step', expect.any(Error));
+            expect(update).toHaveBeenCalledTimes(2);
+        });
+
+        test('should stop on errors with the default handler', () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const { loop, update } = createLoop({ targetFPS: 100 });
+            update.mockImplementation(() => { throw new Error('boom'); });
+            loop.start();
+
+            frame(10);
+
+            expect(loop.getState()).toBe(GameLoopState.ERROR);
+            expect(frames).toHaveLength(0);
+        });
+    });
+
+    describe('Configuration', () => {
+        test('should reject invalid timing configuration', () => {
+            const callbacks = { update: () => {}, render: () => {} };
+
+            expect(() => new GameLoop(callbacks, { targetFPS: 0 })).toThrow('targetFPS');
+            expect(() => new GameLoop(callbacks, { maxDeltaTime: -1 })).toThrow('maxDeltaTime');
+            expect(() => new GameLoop(callbacks, { maxUpdatesPerFrame: 0 })).toThrow('maxUpdatesPerFrame');
+        });
+
+        test('should expose the fixed timestep', () => {
+            const { loop } = createLoop({ targetFPS: 50 });
+
+            expect(loop.getTimeStep()).toBe(20);
+        });
+    });
+});
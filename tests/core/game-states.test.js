@@ -0,0 +1,600 @@
+/**
+ * Game States Test Suite
+ *
+ * Covers the screen states on a real GameStateManager:
+ * - Loading progress ahead of the title screen
+ * - Title and settings menus driven by key binding actions
+ * - Playing / paused delegation to the game
+ * - Automatic hand-off to initials entry or game over
+ * - Action subscriptions and input contexts released on exit
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { GameStateManager } = require('../../js/core/game-state.js');
+const {
+    GameStateName,
+    LoadingState,
+    TitleState,
+    SettingsState,
+    ControlsState,
+    PlayingState,
+    PausedState,
+    HighScoreEntryState,
+    GameOverState
+} = require('../../js/core/game-states.js');
+const { TouchControls } = require('../../js/input/touch-controls.js');
+const KeyBindings = require('../../js/input/key-bindings.js');
+
+describe('Game states', () => {
+    /**
+     * Minimal KeyBindings stand-in: on/off, the binding table, the context stack and a press helper
+     */
+    const createKeyBindings = () => {
+        const listeners = new Map();
+
+        return {
+            contexts: [],
+            bindings: { ...KeyBindings.DEFAULT_BINDINGS },
+            getBindings() {
+                return this.bindings;
+            },
+            pushContext(context) {
+                this.contexts.push(context);
+                return context;
+            },
+            popContext(context) {
+                const index = this.contexts.lastIndexOf(context);
+                if (index === -1) return false;
+                this.contexts.splice(index, 1);
+                return true;
+            },
+            on(action, callback) {
+                if (!listeners.has(action)) listeners.set(action, new Set());
+                listeners.get(action).add(callback);
+            },
+            off(action, callback) {
+                const set = listeners.get(action);
+                if (set) set.delete(callback);
+            },
+            press(action) {
+                for (const callback of [...(listeners.get(action) || [])]) {
+                    callback({ action, pressed: true });
+                }
+            },
+            release(action) {
+                for (const callback of [...(listeners.get(action) || [])]) {
+                    callback({ action, pressed: false });
+                }
+            },
+            count(action) {
+                return listeners.has(action) ? listeners.get(action).size : 0;
+            }
+        };
+    };
+
+    /**
+     * Game stub wired to a real state manager with the game's transition table
+     */
+    const createGame = ({ qualifies = false, savedSession = false } = {}) => {
+        const manager = new GameStateManager();
+        const on = trigger => context => Boolean(context) && context.trigger === trigger;
+
+        const game = {
+            stateManager: manager,
+            keyBindings: createKeyBindings(),
+            highScores: {
+                qualifies: jest.fn(() => qualifies),
+                getEntries: () => []
+            },
+            settings: { livesMode: 'lives', weapon: 'single' },
+            audio: { play: jest.fn() },
+            assets: { getProgress: jest.fn(() => ({ loaded: 1, failed: 0, total: 2, progress: 0.5 })) },
+            score: 0,
+            gameOver: false,
+            simulate: jest.fn(),
+            renderScene: jest.fn(),
+            renderHud: jest.fn(),
+            recordHighScore: jest.fn(),
+            togglePause: jest.fn(),
+            isReplaying: jest.fn(() => false),
+            replayPlayer: null,
+            startNewGame: jest.fn(trigger => {
+                game.score = 0;
+                game.gameOver = false;
+                return manager.changeState(GameStateName.PLAYING, { trigger });
+            }),
+            requestState: jest.fn((name, trigger) => manager.changeState(name, { trigger })),
+            hasSavedSession: jest.fn(() => savedSession),
+            saveKeyBindings: jest.fn(() => true),
+            continueSession: jest.fn(() => manager.changeState(GameStateName.PAUSED, { trigger: 'loadSession' }))
+        };
+
+        manager.registerState(GameStateName.LOADING, new LoadingState(game));
+        manager.registerState(GameStateName.TITLE, new TitleState(game));
+        manager.registerState(GameStateName.SETTINGS, new SettingsState(game));
+        manager.registerState(GameStateName.CONTROLS, new ControlsState(game));
+        manager.registerState(GameStateName.PLAYING, new PlayingState(game));
+        manager.registerState(GameStateName.PAUSED, new PausedState(game));
+        manager.registerState(GameStateName.HIGH_SCORE_ENTRY, new HighScoreEntryState(game));
+        manager.registerState(GameStateName.GAME_OVER, new GameOverState(game, { inputDelay: 0 }));
+
+        manager.addTransition(GameStateName.LOADING, GameStateName.TITLE, on('loaded'));
+        manager.addTransition(GameStateName.TITLE, GameStateName.PLAYING, on('start'));
+        manager.addTransition(GameStateName.TITLE, GameStateName.SETTINGS, on('settings'));
+        manager.addTransition(GameStateName.TITLE, GameStateName.PAUSED, on('loadSession'));
+        manager.addTransition(GameStateName.SETTINGS, GameStateName.TITLE, on('back'));
+        manager.addTransition(GameStateName.SETTINGS, GameStateName.CONTROLS, on('controls'));
+        manager.addTransition(GameStateName.CONTROLS, GameStateName.SETTINGS, on('back'));
+        manager.addTransition(GameStateName.PLAYING, GameStateName.PAUSED, on('pause'));
+        manager.addTransition(GameStateName.PAUSED, GameStateName.PLAYING, on('resume'));
+        manager.addTransition(GameStateName.HIGH_SCORE_ENTRY, GameStateName.GAME_OVER, on('submitted'));
+        manager.addTransition(GameStateName.GAME_OVER, GameStateName.TITLE, on('continue'));
+        manager.addTransition(GameStateName.PLAYING, GameStateName.HIGH_SCORE_ENTRY,
+            () => game.gameOver && game.highScores.qualifies(game.score));
+        manager.addTransition(GameStateName.PLAYING, GameStateName.GAME_OVER,
+            () => game.gameOver && !game.highScores.qualifies(game.score));
+
+        return game;
+    };
+
+    const createContext = () => ({
+        canvas: { width: 800, height: 600 },
+        save: jest.fn(),
+        restore: jest.fn(),
+        fillRect: jest.fn(),
+        strokeRect: jest.fn(),
+        fillText: jest.fn()
+    });
+
+    // Transitions are async; let pending promise chains settle
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    const currentName = game => game.stateManager.currentState.name;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Controls', () => {
+        let game;
+        let keyBindings;
+
+        const keyEvent = (code, modifiers = {}) => ({
+            code,
+            ctrlKey: false,
+            shiftKey: false,
+            altKey: false,
+            metaKey: false,
+            ...modifiers,
+            preventDefault: jest.fn()
+        });
+
+        // Press and release a key; KeyBindings ignores a held non-repeatable key
+        const tap = (code, modifiers) => {
+            keyBindings.handleKeyDown(keyEvent(code, modifiers));
+            keyBindings.handleKeyUp(keyEvent(code));
+        };
+
+        const state = () => game.stateManager.currentState;
+        const labelFor = action => state().getItems().find(item => item.label.startsWith(action)).label;
+
+        /**
+         * Opens the controls screen and starts capturing for the given row
+         */
+        const rebind = (row) => {
+            state().selectedIndex = row;
+            state().activateSelection();
+        };
+
+        beforeEach(async () => {
+            game = createGame();
+            keyBindings = new KeyBindings({
+                target: new EventTarget(),
+                bindings: { shoot: { ...KeyBindings.DEFAULT_BINDINGS.shoot, cooldown: 0 } }
+            });
+            game.keyBindings = keyBindings;
+            await game.stateManager.changeState(GameStateName.SETTINGS);
+            state().selectedIndex = 2;
+            tap('Space');
+            await flush();
+        });
+
+        afterEach(() => {
+            keyBindings.destroy();
+        });
+
+        test('should list each action with its keys', () => {
+            expect(currentName(game)).toBe(GameStateName.CONTROLS);
+            expect(state().getItems().map(item => item.label)).toEqual([
+                'MOVE LEFT: LEFT / A',
+                'MOVE RIGHT: RIGHT / D',
+                'MOVE UP: UP / W',
+                'MOVE DOWN: DOWN / S',
+                'SHOOT: SPACE / ENTER',
+                'PAUSE: ESCAPE / P',
+                'RESTART: CTRL+R',
+                'MUTE: M',
+                'NEXT WEAPON: Q',
+                'RESET TO DEFAULTS',
+                'BACK'
+            ]);
+        });
+
+        test('should add the captured key without triggering menu actions', () => {
+            rebind(4);
+            tap('KeyJ');
+
+            expect(labelFor('SHOOT')).toBe('SHOOT: SPACE / ENTER / J');
+            expect(game.saveKeyBindings).toHaveBeenCalledTimes(1);
+            expect(state().capturing).toBeNull();
+            expect(state().selectedIndex).toBe(4);
+
+            // A fourth key pushes out the oldest
+            rebind(4);
+            tap('KeyK');
+            expect(labelFor('SHOOT')).toBe('SHOOT: ENTER / J / K');
+        });
+
+        test('should clear with Backspace and cancel with Escape', () => {
+            rebind(7);
+            tap('Backspace');
+            tap('KeyN');
+            expect(labelFor('MUTE')).toBe('MUTE: N');
+
+            rebind(7);
+            tap('Backspace');
+            tap('Escape');
+            expect(labelFor('MUTE')).toBe('MUTE: N');
+            expect(currentName(game)).toBe(GameStateName.CONTROLS);
+            expect(state().capturing).toBeNull();
+        });
+
+        test('should move a conflicting key only after a second press', () => {
+            rebind(4);
+            tap('KeyA');
+
+            expect(state().message).toBe('A is used by MOVE LEFT - press it again to move it');
+            expect(labelFor('SHOOT')).toBe('SHOOT: SPACE / ENTER');
+
+            tap('KeyA');
+
+            expect(labelFor('SHOOT')).toBe('SHOOT: SPACE / ENTER / A');
+            expect(labelFor('MOVE LEFT')).toBe('MOVE LEFT: LEFT');
+        });
+
+        test('should refuse to take the last key of another action', () => {
+            rebind(4);
+            tap('KeyM');
+
+            expect(state().message).toBe('M is the only key for MUTE');
+            expect(state().capturing).toBe('shoot');
+            expect(labelFor('MUTE')).toBe('MUTE: M');
+        });
+
+        test('should treat modifier combos as separate keys', () => {
+            rebind(7);
+            tap('KeyR');
+            expect(labelFor('MUTE')).toBe('MUTE: M / R');
+
+            // Ctrl+R belongs to restart; a new modifier combo replaces mute's keys
+            rebind(7);
+            tap('KeyR', { ctrlKey: true });
+            expect(state().message).toBe('CTRL+R is the only key for RESTART');
+
+            tap('KeyT', { ctrlKey: true });
+            expect(labelFor('MUTE')).toBe('MUTE: CTRL+T');
+        });
+
+        test('should reset to the defaults and go back on pause', async () => {
+            rebind(7);
+            tap('KeyN');
+            rebind(9);
+
+            expect(labelFor('MUTE')).toBe('MUTE: M');
+            expect(game.saveKeyBindings).toHaveBeenCalledTimes(2);
+
+            tap('Escape');
+            await flush();
+            expect(currentName(game)).toBe(GameStateName.SETTINGS);
+        });
+    });
+
+    describe('Loading', () => {
+        test('should draw the settled fraction as a progress bar', async () => {
+            const game = createGame();
+            const ctx = createContext();
+            await game.stateManager.changeState(GameStateName.LOADING);
+
+            game.stateManager.render(ctx);
+
+            expect(ctx.fillRect).toHaveBeenCalledWith(202, 302, 198, 12);
+            expect(ctx.fillText).toHaveBeenCalledWith('50%', 400, 344);
+        });
+
+        test('should mention files replaced by placeholders', async () => {
+            const game = createGame();
+            const ctx = createContext();
+            game.assets.getProgress.mockReturnValue({ loaded: 1, failed: 1, total: 2, progress: 1 });
+            await game.stateManager.changeState(GameStateName.LOADING);
+
+            game.stateManager.render(ctx);
+
+            expect(ctx.fillText).toHaveBeenCalledWith('1 missing, using placeholders', 400, 368);
+        });
+
+        test('should ignore menu input until loading hands over to the title', async () => {
+            const game = createGame();
+            await game.stateManager.changeState(GameStateName.LOADING);
+
+            game.keyBindings.press('menuSelect');
+            await flush();
+            expect(currentName(game)).toBe(GameStateName.LOADING);
+
+            await game.requestState(GameStateName.TITLE, 'loaded');
+            expect(currentName(game)).toBe(GameStateName.TITLE);
+        });
+    });
+
+    describe('Title menu', () => {
+        test('should start a new game from the first menu item', async () => {
+            const game = createGame();
+            await game.stateManager.changeState(GameStateName.TITLE);
+
+            game.keyBindings.press('menuSelect');
+            await flush();
+
+            expect(game.startNewGame).toHaveBeenCalledWith('start');
+            expect(currentName(game)).toBe(GameStateName.PLAYING);
+        });
+
+        test('should ignore key releases', async () => {
+            const game = createGame();
+            await game.stateManager.changeState(GameStateName.TITLE);
+
+            game.keyBindings.release('menuSelect');
+            await flush();
+
+            expect(currentName(game)).toBe(GameStateName.TITLE);
+        });
+
+        test('should open settings and toggle the damage mode', async () => {
+            const game = createGame();
+            await game.stateManager.changeState(GameStateName.TITLE);
+
+            game.keyBindings.press('menuDown');
+            game.keyBindings.press('menuSelect');
+            await flush();
+            expect(currentName(game)).toBe(GameStateName.SETTINGS);
+
+            game.keyBindings.press('menuSelect');
+            expect(game.settings.livesMode).toBe('health');
+
+            game.keyBindings.press('menuBack');
+            await flush();
+            expect(currentName(game)).toBe(GameStateName.TITLE);
+        });
+
+        test('should offer touch layout and auto-fire when touch controls exist', async () => {
+            const game = createGame();
+            game.touchControls = new TouchControls();
+            await game.stateManager.changeState(GameStateName.SETTINGS);
+            const labels = () => game.stateManager.currentState.getItems().map(item => item.label);
+
+            expect(labels()).toEqual([
+                'DAMAGE: LIVES', 'WEAPON: SINGLE', 'TOUCH LAYOUT: RIGHT-HANDED', 'AUTO-FIRE: OFF', 'CONTROLS', 'BACK'
+            ]);
+
+            game.keyBindings.press('menuDown');
+            game.keyBindings.press('menuDown');
+            game.keyBindings.press('menuSelect');
+            game.keyBindings.press('menuDown');
+            game.keyBindings.press('menuSelect');
+
+            expect(game.touchControls.getHandedness()).toBe('left');
+            expect(game.touchControls.isAutoFire()).toBe(true);
+            expect(labels()).toEqual([
+                'DAMAGE: LIVES', 'WEAPON: SINGLE', 'TOUCH LAYOUT: LEFT-HANDED', 'AUTO-FIRE: ON', 'CONTROLS', 'BACK'
+            ]);
+        });
+
+        test('should cycle the starting weapon through the loadout', async () => {
+            const game = createGame();
+            await game.stateManager.changeState(GameStateName.SETTINGS);
+
+            game.keyBindings.press('menuDown');
+            game.keyBindings.press('menuSelect');
+            expect(game.settings.weapon).toBe('classic');
+
+            for (let i = 0; i < 5; i++) {
+                game.keyBindings.press('menuSelect');
+            }
+            expect(game.settings.weapon).toBe('single');
+        });
+
+        test('should offer a saved session first', async () => {
+            const game = createGame({ savedSession: true });
+            await game.stateManager.changeState(GameStateName.TITLE);
+
+            expect(game.stateManager.currentState.getItems().map(item => item.label))
+                .toEqual(['CONTINUE', 'START GAME', 'SETTINGS']);
+
+            game.keyBindings.press('menuSelect');
+            await flush();
+
+            expect(game.continueSession).toHaveBeenCalled();
+            expect(currentName(game)).toBe(GameStateName.PAUSED);
+        });
+
+        test('should wrap the selection around the menu', async () => {
+            const game = createGame();
+            await game.stateManager.changeState(GameStateName.TITLE);
+            const title = game.stateManager.currentState;
+
+            game.keyBindings.press('menuUp');
+
+            expect(title.selectedIndex).toBe(title.getItems().length - 1);
+            expect(game.audio.play).toHaveBeenCalledWith('uiMove');
+        });
+    });
+
+    describe('Gameplay', () => {
+        test('should only simulate while playing', async () => {
+            const game = createGame();
+            await game.stateManager.changeState(GameStateName.PLAYING);
+
+            game.stateManager.update(16);
+            expect(game.simulate).toHaveBeenCalledWith(16);
+
+            await game.stateManager.changeState(GameStateName.PAUSED, { trigger: 'pause' });
+            game.stateManager.update(16);
+
+            expect(game.simulate).toHaveBeenCalledTimes(1);
+        });
+
+        test('should draw the scene under the pause overlay', async () => {
+            const game = createGame();
+            const ctx = createContext();
+            await game.stateManager.changeState(GameStateName.PAUSED, {}, true);
+
+            game.stateManager.render(ctx);
+
+            expect(game.renderScene).toHaveBeenCalled();
+            expect(ctx.fillText).toHaveBeenCalledWith('PAUSED', 400, 300);
+        });
+
+        test('should name the current pause and restart keys on the overlay', async () => {
+            const game = createGame();
+            const ctx = createContext();
+            game.keyBindings.bindings.pause = { ...game.keyBindings.bindings.pause, keys: ['KeyQ'] };
+            game.keyBindings.bindings.restart = { ...game.keyBindings.bindings.restart, keys: ['F5'], modifiers: [] };
+            await game.stateManager.changeState(GameStateName.PAUSED, {}, true);
+
+            game.stateManager.render(ctx);
+
+            const lines = ctx.fillText.mock.calls.map(([text]) => text);
+            expect(lines).toContain('Press Q to resume');
+            expect(lines).toContain('F5 to restart');
+        });
+
+        test('should reject transitions without a matching trigger', async () => {
+            const game = createGame();
+            await game.stateManager.changeState(GameStateName.PLAYING);
+
+            const changed = await game.stateManager.changeState(GameStateName.PAUSED, { trigger: 'resume' });
+
+            expect(changed).toBe(false);
+            expect(currentName(game)).toBe(GameStateName.PLAYING);
+        });
+    });
+
+    describe('End of game', () => {
+        test('should go straight to game over when the score does not qualify', async () => {
+            const game = createGame({ qualifies: false });
+            await game.stateManager.changeState(GameStateName.PLAYING);
+
+            game.gameOver = true;
+            game.stateManager.update(16);
+            await flush();
+
+            expect(currentName(game)).toBe(GameStateName.GAME_OVER);
+        });
+
+        test('should collect initials for a qualifying score', async () => {
+            const game = createGame({ qualifies: true });
+            game.score = 500;
+            await game.stateManager.changeState(GameStateName.PLAYING);
+
+            game.gameOver = true;
+            game.stateManager.update(16);
+            await flush();
+            expect(currentName(game)).toBe(GameStateName.HIGH_SCORE_ENTRY);
+
+            game.keyBindings.press('confirm');
+            game.keyBindings.press('confirm');
+            game.keyBindings.press('confirm');
+            await flush();
+
+            expect(game.recordHighScore).toHaveBeenCalledWith('AAA');
+            expect(currentName(game)).toBe(GameStateName.GAME_OVER);
+        });
+
+        test('should return to the title from game over', async () => {
+            const game = createGame();
+            await game.stateManager.changeState(GameStateName.GAME_OVER, {}, true);
+
+            game.keyBindings.press('menuSelect');
+            await flush();
+
+            expect(currentName(game)).toBe(GameStateName.TITLE);
+        });
+
+        test('should hold the game over screen for the input delay', async () => {
+            const game = createGame();
+            const state = new GameOverState(game, { inputDelay: 60000 });
+            game.stateManager.registerState(GameStateName.GAME_OVER, state);
+            await game.stateManager.changeState(GameStateName.GAME_OVER, {}, true);
+
+            game.keyBindings.press('menuSelect');
+            await flush();
+
+            expect(currentName(game)).toBe(GameStateName.GAME_OVER);
+        });
+    });
+
+    describe('Subscriptions', () => {
+        test('should release action listeners when a state exits', async () => {
+            const game = createGame();
+            await game.stateManager.changeState(GameStateName.TITLE);
+            expect(game.keyBindings.count('menuSelect')).toBe(1);
+
+            await game.stateManager.changeState(GameStateName.PLAYING, { trigger: 'start' });
+
+            expect(game.keyBindings.count('menuSelect')).toBe(0);
+            expect(game.keyBindings.count('menuUp')).toBe(0);
+        });
+
+        test('should push each state\'s input context and pop it on exit', async () => {
+            const game = createGame();
+            const contextNames = () => game.keyBindings.contexts.map(context => context.name);
+
+            await game.stateManager.changeState(GameStateName.TITLE);
+            expect(contextNames()).toEqual(['menu']);
+
+            await game.stateManager.changeState(GameStateName.PLAYING, { trigger: 'start' });
+            expect(contextNames()).toEqual([]);
+
+            await game.stateManager.changeState(GameStateName.PAUSED, { trigger: 'pause' });
+            expect(contextNames()).toEqual(['menu']);
+
+            game.keyBindings.press('menuBack');
+            expect(game.togglePause).toHaveBeenCalledTimes(1);
+        });
+
+        test('should hand the replay keys back when playback ends', async () => {
+            const game = createGame();
+            game.replayPlayer = { togglePause: jest.fn(), step: jest.fn(), cycleSpeed: jest.fn() };
+            game.isReplaying.mockReturnValue(true);
+
+            await game.stateManager.changeState(GameStateName.PLAYING);
+            expect(game.keyBindings.contexts.map(context => context.name)).toEqual(['replay']);
+
+            game.keyBindings.press('replayStep');
+            game.keyBindings.press('replaySpeed');
+            expect(game.replayPlayer.step).toHaveBeenCalled();
+            expect(game.replayPlayer.cycleSpeed).toHaveBeenCalled();
+
+            game.stateManager.update(16);
+            expect(game.keyBindings.contexts).toHaveLength(1);
+
+            game.isReplaying.mockReturnValue(false);
+            game.stateManager.update(16);
+            expect(game.keyBindings.contexts).toHaveLength(0);
+        });
+    });
+});
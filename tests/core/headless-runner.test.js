@@ -0,0 +1,208 @@
+/**
+ * Headless Runner Test Suite
+ *
+ * Runs the real game in Node, without a canvas:
+ * - Booting straight into play with a null renderer
+ * - Scripted input and reproducible seeded runs
+ * - Game over and the state machine moving on
+ * - Replays recorded headless playing back in sync, with the formation's
+ *   position in the checksum
+ * - Weapon switches from input, recorded and played back
+ * - Post-hit invulnerability on the ship the game plays
+ * - Weapons freed when a wave clears with shots in flight, and restocked
+ *   when the next one starts
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { HeadlessRunner, runHeadless, parseArgs } = require('../../js/core/headless-runner.js');
+const { TickInput, GAME_CONFIG } = require('../../js/game.js');
+
+describe('HeadlessRunner', () => {
+    // Sweep across the screen while holding fire
+    const sweep = tick => ({ x: Math.floor(tick / 90) % 2 ? -1 : 1, shoot: true });
+
+    test('should simulate the requested ticks and report the final state', async () => {
+        const result = await runHeadless({ seed: 3, ticks: 120 });
+
+        expect(result.ticks).toBe(120);
+        expect(result.state).toMatchObject({ state: 'playing', seed: 3, gameOver: false, wave: 1 });
+        expect(JSON.parse(result.replay).ticks).toBe(120);
+    });
+
+    test('should reproduce a run from the same seed and script', async () => {
+        const first = await runHeadless({ seed: 'balance', ticks: 1200, script: sweep });
+        const second = await runHeadless({ seed: 'balance', ticks: 1200, script: sweep });
+
+        expect(second.state).toEqual(first.state);
+        expect(second.replay).toBe(first.replay);
+    });
+
+    test('should score when the script fires', async () => {
+        const idle = await runHeadless({ seed: 5, ticks: 600 });
+        const firing = await runHeadless({ seed: 5, ticks: 600, script: sweep });
+
+        expect(idle.state.score).toBe(0);
+        expect(firing.state.score).toBeGreaterThan(0);
+        expect(firing.state.enemyCount).toBeLessThan(idle.state.enemyCount);
+    });
+
+    test('should hand the live game to the script', async () => {
+        const script = jest.fn(() => null);
+
+        await runHeadless({ seed: 1, ticks: 3, script });
+
+        expect(script).toHaveBeenCalledTimes(3);
+        expect(script).toHaveBeenLastCalledWith(2, expect.objectContaining({ headless: true }));
+    });
+
+    test('should stop at game over and leave the playing state', async () => {
+        const result = await runHeadless({ seed: 7, ticks: 60 * 60 * 10 });
+
+        expect(result.state.gameOver).toBe(true);
+        expect(result.ticks).toBeLessThan(60 * 60 * 10);
+        expect(['gameOver', 'highScoreEntry']).toContain(result.state.state);
+    });
+
+    test('should play a headless recording back in sync', async () => {
+        const recorded = await runHeadless({ seed: 11, ticks: 900, script: sweep });
+        const runner = new HeadlessRunner({ seed: 999 });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        try {
+            await runner.boot();
+            await runner.game.playReplay(recorded.replay);
+            const ticks = await runner.run(null, 5000);
+
+            expect(ticks).toBe(recorded.ticks);
+            expect(runner.game.replayPlayer.getDesync()).toBeNull();
+            expect(runner.getState().score).toBe(recorded.state.score);
+            expect(runner.getState().state).toBe('gameOver');
+        } finally {
+            runner.destroy();
+            console.log.mockRestore();
+        }
+    });
+
+    test('should change the checksum when the formation moves', async () => {
+        const runner = new HeadlessRunner({ seed: 4 });
+
+        try {
+            await runner.boot();
+            const before = runner.game.getChecksum();
+
+            runner.game.formation.setState({ ...runner.game.formation.getState(), offsetX: 10 });
+
+            expect(runner.game.getChecksum()).not.toBe(before);
+        } finally {
+            runner.destroy();
+        }
+    });
+
+    test('should free the weapon when the field clears with a shot in flight', async () => {
+        const runner = new HeadlessRunner({ seed: 2 });
+        const fire = () => ({ shoot: true });
+
+        try {
+            await runner.boot();
+            runner.game.player.weapon.setWeapon('classic');
+
+            await runner.run(fire, 1);
+            expect(runner.game.shotsFired).toBe(1);
+            expect(runner.game.player.canShoot(Infinity)).toBe(false);
+
+            runner.game._clearField();
+            await runner.run(fire, 120);
+
+            expect(runner.game.shotsFired).toBeGreaterThan(1);
+        } finally {
+            runner.destroy();
+        }
+    });
+
+    test('should switch weapons from input and play the switches back in sync', async () => {
+        // Fire throughout, switching to classic, then spread, a second in
+        const script = tick => ({ ...sweep(tick), nextWeapon: tick === 60 || tick === 120 });
+        const recorded = await runHeadless({ seed: 13, ticks: 600, script });
+        const runner = new HeadlessRunner({ seed: 999 });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        try {
+            await runner.boot();
+            await runner.game.playReplay(recorded.replay);
+            await runner.run(null, 130);
+
+            expect(runner.game.player.weapon.getWeapon()).toBe('spread');
+
+            await runner.run(null, 5000);
+            expect(runner.game.replayPlayer.getDesync()).toBeNull();
+            expect(runner.getState().score).toBe(recorded.state.score);
+        } finally {
+            runner.destroy();
+            console.log.mockRestore();
+        }
+    });
+
+    test('should restock ammo weapons at the start of each wave', async () => {
+        const runner = new HeadlessRunner({ seed: 2 });
+        const ammo = () => runner.game.player.weapon.getState().weapons.spread.ammo;
+
+        try {
+            await runner.boot();
+            runner.game.player.weapon.setWeapon('spread');
+
+            await runner.run(() => ({ shoot: true }), 60);
+            expect(ammo()).toBeLessThan(40);
+
+            runner.game.waveManager.start(2);
+            expect(ammo()).toBe(40);
+        } finally {
+            runner.destroy();
+        }
+    });
+
+    test('should ignore hits while the ship is invulnerable', async () => {
+        const runner = new HeadlessRunner({ livesMode: 'health' });
+
+        try {
+            await runner.boot();
+            const { player } = runner.game;
+            player.isInvulnerable = false;
+
+            expect(player.takeDamage(25, { type: 'enemy' })).toBe(true);
+            expect(player.takeDamage(25, { type: 'enemy' })).toBe(false);
+            expect(player.health).toBe(75);
+
+            player.update(GAME_CONFIG.PLAYER.INVULNERABILITY_TIME / 1000, new TickInput(0));
+            expect(player.takeDamage(25, { type: 'enemy' })).toBe(true);
+            expect(player.health).toBe(50);
+        } finally {
+            runner.destroy();
+        }
+    });
+
+    test('should apply the requested lives mode', async () => {
+        const runner = new HeadlessRunner({ livesMode: 'health' });
+
+        try {
+            await runner.boot();
+            expect(runner.game.livesManager.isOneHitMode()).toBe(false);
+        } finally {
+            runner.destroy();
+        }
+    });
+
+    test('should reject invalid configuration', async () => {
+        expect(() => new HeadlessRunner({ ticks: -1 })).toThrow('ticks');
+        expect(() => new HeadlessRunner({ livesMode: 'shields' })).toThrow('lives mode');
+        await expect(new HeadlessRunner().run()).rejects.toThrow('boot()');
+    });
+
+    test('should parse command line flags', () => {
+        expect(parseArgs(['--seed', '42', '--ticks', '100', '--lives-mode', 'health']))
+            .toEqual({ seed: 42, ticks: 100, livesMode: 'health' });
+        expect(parseArgs(['--seed', 'abc']).seed).toBe('abc');
+        expect(() => parseArgs(['--speed', '2'])).toThrow('Unknown option');
+    });
+});
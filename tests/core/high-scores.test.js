@@ -0,0 +1,151 @@
+/**
+ * High Score Table Test Suite
+ *
+ * Covers persistent high scores:
+ * - Ranking and table size limits
+ * - Round-tripping through a pluggable storage backend
+ * - Detection and reset of corrupted or tampered data
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { HighScoreTable, MemoryStorage, getDefaultStorage } = require('../../js/core/high-scores.js');
+
+describe('HighScoreTable', () => {
+    const KEY = 'test.highScores';
+    let storage;
+    let warnSpy;
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        warnSpy.mockRestore();
+    });
+
+    const createTable = (config = {}) => new HighScoreTable({ storageKey: KEY, maxEntries: 3, ...config }, { storage });
+    const entry = (score, initials = 'AAA') => ({ score, initials, wave: 2, mode: 'lives', date: '2025-01-01T00:00:00.000Z' });
+
+    describe('Ranking', () => {
+        test('should keep entries sorted best first', () => {
+            const table = createTable();
+
+            table.addEntry(entry(100, 'BBB'));
+            table.addEntry(entry(300, 'CCC'));
+            table.addEntry(entry(200, 'DDD'));
+
+            expect(table.getEntries().map(e => e.initials)).toEqual(['CCC', 'DDD', 'BBB']);
+            expect(table.getTopScore()).toBe(300);
+        });
+
+        test('should rank ties below existing entries', () => {
+            const table = createTable();
+            table.addEntry(entry(100, 'OLD'));
+
+            expect(table.addEntry(entry(100, 'NEW'))).toBe(1);
+        });
+
+        test('should only admit scores that make the table', () => {
+            const table = createTable();
+            [300, 200, 100].forEach(score => table.addEntry(entry(score)));
+
+            expect(table.qualifies(50)).toBe(false);
+            expect(table.qualifies(0)).toBe(false);
+            expect(table.addEntry(entry(50))).toBe(-1);
+            expect(table.addEntry(entry(250))).toBe(1);
+            expect(table.getEntries()).toHaveLength(3);
+            expect(table.getEntries()[2].score).toBe(200);
+        });
+
+        test('should reject malformed entries', () => {
+            const table = createTable();
+
+            expect(() => table.addEntry(entry(100, 'TOOLONG'))).toThrow('Invalid');
+            expect(() => table.addEntry({ ...entry(100), date: 'yesterday' })).toThrow();
+        });
+
+        test('should normalise initials to upper case', () => {
+            const table = createTable();
+
+            table.addEntry(entry(100, 'abc'));
+
+            expect(table.getEntries()[0].initials).toBe('ABC');
+        });
+    });
+
+    describe('Persistence', () => {
+        test('should round-trip entries through the storage backend', () => {
+            createTable().addEntry(entry(500, 'XYZ'));
+
+            const reloaded = createTable();
+
+            expect(reloaded.getEntries()).toEqual([entry(500, 'XYZ')]);
+            expect(reloaded.lastLoadError).toBeNull();
+        });
+
+        test('should reset when the stored data is not JSON', () => {
+            storage.setItem(KEY, '{not json');
+
+            const table = createTable();
+
+            expect(table.getEntries()).toEqual([]);
+            expect(table.lastLoadError).not.toBeNull();
+            expect(storage.getItem(KEY)).toBeNull();
+        });
+
+        test('should detect tampered scores through the checksum', () => {
+            createTable().addEntry(entry(500, 'XYZ'));
+            const payload = JSON.parse(storage.getItem(KEY));
+            payload.entries[0].score = 999999;
+            storage.setItem(KEY, JSON.stringify(payload));
+
+            const table = createTable();
+
+            expect(table.getEntries()).toEqual([]);
+            expect(table.lastLoadError).toMatch('checksum');
+        });
+
+        test('should reject entries that fail validation even with a matching checksum', () => {
+            const entries = [{ ...entry(100), initials: '!!' }];
+            storage.setItem(KEY, JSON.stringify({
+                version: 1,
+                entries,
+                checksum: HighScoreTable._checksum(entries)
+            }));
+
+            const table = createTable();
+
+            expect(table.getEntries()).toEqual([]);
+            expect(table.lastLoadError).toMatch('index 0');
+        });
+
+        test('should keep working when the backend throws', () => {
+            const failing = {
+                getItem: () => { throw new Error('denied'); },
+                setItem: () => { throw new Error('quota'); },
+                removeItem: () => {}
+            };
+            const table = new HighScoreTable({ storageKey: KEY }, { storage: failing });
+
+            expect(table.addEntry(entry(100))).toBe(0);
+            expect(table.getEntries()).toHaveLength(1);
+        });
+
+        test('should fall back to memory storage when localStorage is unusable', () => {
+            expect(getDefaultStorage()).toBeInstanceOf(MemoryStorage);
+
+            Object.defineProperty(global, 'localStorage', {
+                configurable: true,
+                get: () => { throw new Error('SecurityError'); }
+            });
+            try {
+                expect(getDefaultStorage()).toBeInstanceOf(MemoryStorage);
+            } finally {
+                delete global.localStorage;
+            }
+        });
+    });
+});
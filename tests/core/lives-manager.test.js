@@ -0,0 +1,128 @@
+/**
+ * Lives Manager Test Suite
+ *
+ * Covers the arcade lives model:
+ * - Losing ships and the respawn delay
+ * - Death explosion timing
+ * - Extra lives at score thresholds
+ * - Lives and health damage modes
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { LivesManager, LivesMode, LifePhase } = require('../../js/core/lives-manager.js');
+
+describe('LivesManager', () => {
+    const createManager = (overrides = {}, eventBus = { emit: jest.fn() }) => new LivesManager({
+        startingLives: 3,
+        maxLives: 5,
+        respawnDelay: 1000,
+        explosionDuration: 400,
+        extraLifeScores: [100],
+        ...overrides
+    }, { eventBus });
+
+    describe('Configuration', () => {
+        test('should reject invalid configuration', () => {
+            expect(() => createManager({ mode: 'shields' })).toThrow('shields');
+            expect(() => createManager({ startingLives: 0 })).toThrow('startingLives');
+            expect(() => createManager({ maxLives: 2 })).toThrow('maxLives');
+            expect(() => createManager({ explosionDuration: 2000 })).toThrow('respawnDelay');
+        });
+
+        test('should default to one hit per ship', () => {
+            expect(createManager().isOneHitMode()).toBe(true);
+            expect(createManager({ mode: LivesMode.HEALTH }).isOneHitMode()).toBe(false);
+        });
+    });
+
+    describe('Losing ships', () => {
+        test('should freeze for the respawn delay, then respawn', () => {
+            const eventBus = { emit: jest.fn() };
+            const manager = createManager({}, eventBus);
+
+            expect(manager.loseLife({ x: 10, y: 20 })).toBe(true);
+            expect(manager.getLives()).toBe(2);
+            expect(manager.isRespawning()).toBe(true);
+            expect(eventBus.emit).toHaveBeenCalledWith('lifeLost', { lives: 2, position: { x: 10, y: 20 } });
+
+            manager.update(999);
+            expect(manager.isRespawning()).toBe(true);
+
+            manager.update(1);
+            expect(manager.phase).toBe(LifePhase.ALIVE);
+            expect(eventBus.emit).toHaveBeenCalledWith('respawn', { lives: 2 });
+        });
+
+        test('should not lose another ship while respawning', () => {
+            const manager = createManager();
+            manager.loseLife();
+
+            expect(manager.loseLife()).toBe(false);
+            expect(manager.getLives()).toBe(2);
+        });
+
+        test('should end the game when the last ship is lost', () => {
+            const eventBus = { emit: jest.fn() };
+            const manager = createManager({ startingLives: 1 }, eventBus);
+
+            manager.loseLife();
+
+            expect(manager.isOut()).toBe(true);
+            expect(manager.isRespawning()).toBe(false);
+            expect(eventBus.emit).toHaveBeenCalledWith('gameOver', { reason: 'Out of lives' });
+        });
+
+        test('should play the explosion for its duration', () => {
+            const manager = createManager();
+            manager.loseLife({ x: 5, y: 5 });
+
+            manager.update(200);
+            expect(manager.getExplosion()).toEqual({ x: 5, y: 5, progress: 0.5 });
+
+            manager.update(200);
+            expect(manager.getExplosion()).toBeNull();
+        });
+    });
+
+    describe('Extra lives', () => {
+        test('should award a ship once per threshold', () => {
+            const eventBus = { emit: jest.fn() };
+            const manager = createManager({}, eventBus);
+
+            expect(manager.checkExtraLife(99)).toBe(0);
+            expect(manager.checkExtraLife(100)).toBe(1);
+            expect(manager.checkExtraLife(500)).toBe(0);
+            expect(manager.getLives()).toBe(4);
+            expect(eventBus.emit).toHaveBeenCalledWith('extraLife', { lives: 4, score: 100 });
+        });
+
+        test('should keep awarding every N points after the fixed thresholds', () => {
+            const manager = createManager({ extraLifeEvery: 1000 });
+
+            // Fixed threshold at 100, then 1100, 2100, ...
+            expect(manager.checkExtraLife(1100)).toBe(2);
+            expect(manager.nextExtraLifeScore).toBe(2100);
+        });
+
+        test('should not exceed the maximum ship count', () => {
+            const manager = createManager({ extraLifeScores: [10, 20, 30] });
+
+            manager.checkExtraLife(30);
+
+            expect(manager.getLives()).toBe(5);
+        });
+
+        test('should restore the starting stock on reset', () => {
+            const manager = createManager();
+            manager.checkExtraLife(100);
+            manager.loseLife();
+
+            manager.reset();
+
+            expect(manager.getLives()).toBe(3);
+            expect(manager.nextExtraLifeScore).toBe(100);
+        });
+    });
+});
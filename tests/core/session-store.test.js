@@ -0,0 +1,239 @@
+/**
+ * Session Store Test Suite
+ *
+ * Covers saving and continuing an in-progress game:
+ * - Versioned envelopes and graceful reset on bad data
+ * - Migration hooks run one schema version at a time, and the built-in
+ *   upgrade of saves from before weapons
+ * - Snapshots of a live headless game restoring to the same state
+ * - Saving on pause and clearing when the game ends
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { SessionStore, SESSION_SCHEMA_VERSION } = require('../../js/core/session-store.js');
+const { MemoryStorage } = require('../../js/core/high-scores.js');
+const { HeadlessRunner } = require('../../js/core/headless-runner.js');
+const { Game, GAME_CONFIG } = require('../../js/game.js');
+const { GameStateName } = require('../../js/core/game-states.js');
+
+describe('SessionStore', () => {
+    const KEY = 'spaceInvaders.session';
+    let storage;
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Persistence', () => {
+        test('should round-trip a snapshot in a versioned envelope', () => {
+            const store = new SessionStore({}, { storage });
+
+            expect(store.hasSave()).toBe(false);
+            expect(store.save({ score: 120 })).toBe(true);
+
+            expect(JSON.parse(storage.getItem(KEY))).toMatchObject({ version: SESSION_SCHEMA_VERSION, data: { score: 120 } });
+            expect(store.hasSave()).toBe(true);
+            expect(store.load()).toEqual({ score: 120 });
+        });
+
+        test('should clear the save', () => {
+            const store = new SessionStore({}, { storage });
+            store.save({ score: 1 });
+
+            store.clear();
+
+            expect(store.hasSave()).toBe(false);
+            expect(store.load()).toBeNull();
+        });
+
+        test('should discard corrupt data', () => {
+            const store = new SessionStore({}, { storage });
+            storage.setItem(KEY, '{not json');
+
+            expect(store.load()).toBeNull();
+            expect(store.lastLoadError).toBeTruthy();
+            expect(store.hasSave()).toBe(false);
+        });
+
+        test('should reject saves from a newer build', () => {
+            const store = new SessionStore({}, { storage });
+            storage.setItem(KEY, JSON.stringify({ version: SESSION_SCHEMA_VERSION + 1, data: {} }));
+
+            expect(store.load()).toBeNull();
+            expect(store.lastLoadError).toContain('newer');
+        });
+
+        test('should report a failed write', () => {
+            const store = new SessionStore({}, {
+                storage: { getItem: () => null, setItem: () => { throw new Error('quota'); }, removeItem: () => {} }
+            });
+
+            expect(store.save({})).toBe(false);
+        });
+    });
+
+    describe('Migrations', () => {
+        test('should migrate old saves one version at a time', () => {
+            new SessionStore({}, { storage, version: 1 }).save({ points: 50 });
+            const store = new SessionStore({}, {
+                storage,
+                version: 3,
+                migrations: {
+                    1: data => ({ score: data.points }),
+                    2: data => ({ ...data, shotsFired: 0 })
+                }
+            });
+
+            expect(store.load()).toEqual({ score: 50, shotsFired: 0 });
+        });
+
+        test('should discard saves with a missing migration', () => {
+            new SessionStore({}, { storage, version: 1 }).save({});
+            const store = new SessionStore({}, { storage, version: 2 });
+
+            expect(store.load()).toBeNull();
+            expect(store.lastLoadError).toContain('No session migration from version 1');
+        });
+
+        test('should reject invalid migrations', () => {
+            const store = new SessionStore({}, { storage, version: 2 });
+
+            expect(() => store.registerMigration(2, data => data)).toThrow('version');
+            expect(() => store.registerMigration(1, null)).toThrow('function');
+            expect(() => new SessionStore({ storageKey: '' })).toThrow('storageKey');
+        });
+    });
+
+    describe('Game sessions', () => {
+        // Sweep across the screen while holding fire
+        const sweep = tick => ({ x: Math.floor(tick / 90) % 2 ? -1 : 1, shoot: true });
+        const runners = [];
+        const games = [];
+
+        // Plays a seeded game and pauses it, which saves the session
+        const playAndPause = async (ticks) => {
+            const runner = new HeadlessRunner({ seed: 21 });
+            runners.push(runner);
+            await runner.boot();
+            runner.game.sessionStore = new SessionStore({}, { storage });
+            await runner.run(sweep, ticks);
+            await runner.game.pause();
+            return runner;
+        };
+
+        // A freshly loaded game sitting on the title screen
+        const openTitle = async () => {
+            const game = new Game({ seed: 99, headless: true, sessionStore: new SessionStore({}, { storage }) });
+            games.push(game);
+            await game.init();
+            await game.stateManager.changeState(GameStateName.TITLE);
+            return game;
+        };
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            runners.splice(0).forEach(runner => runner.destroy());
+            games.splice(0).forEach(game => game.destroy());
+        });
+
+        test('should continue a saved game in exactly the saved state', async () => {
+            const original = await playAndPause(700);
+            const game = await openTitle();
+
+            expect(game.hasSavedSession()).toBe(true);
+            expect(await game.continueSession()).toBe(true);
+
+            expect(game.getCurrentStateName()).toBe(GameStateName.PAUSED);
+            expect(game.getChecksum()).toBe(original.game.getChecksum());
+            expect(game.getSessionSnapshot()).toEqual(original.game.getSessionSnapshot());
+            expect(game.exportReplay()).toBeNull();
+        });
+
+        test('should play on identically after continuing', async () => {
+            const original = await playAndPause(400);
+            const game = await openTitle();
+            await game.continueSession();
+            const timeStep = 1000 / GAME_CONFIG.LOOP.TICK_RATE;
+
+            await original.game.resume();
+            await game.resume();
+            for (let tick = 400; tick < 1000; tick++) {
+                original.input.set(sweep(tick));
+                original.game.stateManager.update(timeStep);
+                game.inputDevice.set(sweep(tick));
+                game.stateManager.update(timeStep);
+            }
+
+            expect(game.getChecksum()).toBe(original.game.getChecksum());
+            expect(game.getGameState()).toEqual(original.getState());
+        });
+
+        test('should clear the save when the game ends', async () => {
+            const runner = await playAndPause(60);
+            expect(runner.game.hasSavedSession()).toBe(true);
+
+            // Drop the formation onto the player row so the game ends within a few steps
+            const { formation } = runner.game;
+            formation.setState({ ...formation.getState(), offsetY: formation.config.invasionLine });
+            await runner.game.resume();
+            await runner.run(null, 600);
+
+            expect(runner.game.gameOver).toBe(true);
+            expect(runner.game.hasSavedSession()).toBe(false);
+        });
+
+        test('should clear the save when a new game starts', async () => {
+            await playAndPause(60);
+            const game = await openTitle();
+
+            await game.startNewGame('start');
+
+            expect(game.hasSavedSession()).toBe(false);
+        });
+
+        test('should continue a version 1 save from before weapons', async () => {
+            const runner = await playAndPause(60);
+            const expected = runner.game.getSessionSnapshot();
+            const saved = JSON.parse(storage.getItem(KEY));
+            const { weapon, ...player } = saved.data.player;
+            storage.setItem(KEY, JSON.stringify({
+                version: 1,
+                data: {
+                    ...saved.data,
+                    player: { ...player, lastShotTime: weapon.lastShotTime },
+                    projectiles: saved.data.projectiles.map(({ kind, weapon: type, pierce, turnRate, ...shot }) => shot)
+                }
+            }));
+            const game = await openTitle();
+
+            expect(expected.projectiles.length).toBeGreaterThan(0);
+            expect(await game.continueSession()).toBe(true);
+            expect(game.getSessionSnapshot()).toEqual(expected);
+        });
+
+        test('should drop a save that no longer fits the field', async () => {
+            await playAndPause(60);
+            const saved = JSON.parse(storage.getItem(KEY));
+            saved.data.bunkers.pop();
+            storage.setItem(KEY, JSON.stringify(saved));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const game = await openTitle();
+            game.settings.livesMode = 'health';
+
+            expect(await game.continueSession()).toBe(false);
+            expect(game.hasSavedSession()).toBe(false);
+            expect(game.settings.livesMode).toBe('health');
+            expect(game.getCurrentStateName()).toBe(GameStateName.TITLE);
+        });
+    });
+});
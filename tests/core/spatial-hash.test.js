@@ -0,0 +1,171 @@
+/**
+ * Spatial Hash Test Suite
+ *
+ * Covers the collision broad phase:
+ * - Bucketing, re-bucketing and removal
+ * - Region queries filtered by layer
+ * - Layer / mask pair filtering and de-duplication
+ * - Ordered collision rules and inactive objects
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { SpatialHash, CollisionLayer } = require('../../js/core/spatial-hash.js');
+
+describe('SpatialHash', () => {
+    const box = (x, y, width = 10, height = 10) => ({
+        position: { x, y },
+        size: { x: width, y: height },
+        active: true
+    });
+
+    describe('Bucketing', () => {
+        test('should place objects in every cell they overlap', () => {
+            const grid = new SpatialHash({ cellSize: 32 });
+
+            grid.insert(box(20, 20, 30, 30), CollisionLayer.ENEMY);
+
+            expect(grid.getStats().cells).toBe(4);
+        });
+
+        test('should keep a box ending on a cell edge out of the next cell', () => {
+            const grid = new SpatialHash({ cellSize: 32 });
+
+            grid.insert(box(0, 0, 32, 32), CollisionLayer.ENEMY);
+
+            expect(grid.getStats().cells).toBe(1);
+        });
+
+        test('should re-bucket moved objects and drop removed ones', () => {
+            const grid = new SpatialHash({ cellSize: 32 });
+            const enemy = box(0, 0);
+            grid.insert(enemy, CollisionLayer.ENEMY);
+
+            enemy.position.x = 200;
+            grid.update(enemy);
+            expect(grid.query({ x: 0, y: 0, width: 20, height: 20 })).toHaveLength(0);
+            expect(grid.query({ x: 195, y: 0, width: 20, height: 20 })).toEqual([enemy]);
+
+            expect(grid.remove(enemy)).toBe(true);
+            expect(grid.size()).toBe(0);
+            expect(grid.getStats().cells).toBe(0);
+        });
+
+        test('should accept entity and rectangle shapes', () => {
+            const entity = { position: { x: 5, y: 5 }, width: 20, height: 10 };
+            const rect = { x: 1, y: 2, width: 3, height: 4 };
+
+            expect(SpatialHash.getBounds(entity)).toEqual({ x: 5, y: 5, width: 20, height: 10 });
+            expect(SpatialHash.getBounds(rect)).toEqual(rect);
+        });
+
+        test('should reject invalid input', () => {
+            expect(() => new SpatialHash({ cellSize: 0 })).toThrow('cellSize');
+            expect(() => new SpatialHash().insert(box(0, 0), 0)).toThrow('layer');
+        });
+    });
+
+    describe('Queries', () => {
+        test('should filter query results by layer mask', () => {
+            const grid = new SpatialHash();
+            const enemy = box(0, 0);
+            const bunker = box(5, 5);
+            grid.insert(enemy, CollisionLayer.ENEMY);
+            grid.insert(bunker, CollisionLayer.BUNKER);
+
+            expect(grid.query({ x: 0, y: 0, width: 20, height: 20 }, CollisionLayer.BUNKER)).toEqual([bunker]);
+            expect(grid.query(box(0, 0, 20, 20))).toHaveLength(2);
+        });
+    });
+
+    describe('Collision rules', () => {
+        test('should only pair layers that accept each other', () => {
+            const grid = new SpatialHash();
+            grid.insert(box(0, 0), CollisionLayer.PLAYER_SHOT);
+            grid.insert(box(0, 0), CollisionLayer.ENEMY_SHOT);
+            grid.insert(box(0, 0), CollisionLayer.ENEMY);
+
+            const pairs = grid.getCandidatePairs();
+
+            expect(pairs).toHaveLength(1);
+            expect(pairs[0].map(record => record.layer).sort()).toEqual(
+                [CollisionLayer.PLAYER_SHOT, CollisionLayer.ENEMY].sort()
+            );
+        });
+
+        test('should report a pair once even when it shares several cells', () => {
+            const grid = new SpatialHash({ cellSize: 8 });
+            const callback = jest.fn();
+            grid.onCollision(CollisionLayer.PLAYER_SHOT, CollisionLayer.ENEMY, callback);
+            grid.insert(box(0, 0, 30, 30), CollisionLayer.PLAYER_SHOT);
+            grid.insert(box(0, 0, 30, 30), CollisionLayer.ENEMY);
+
+            grid.checkCollisions();
+
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        test('should pass objects in rule order and skip non-overlapping neighbours', () => {
+            const grid = new SpatialHash();
+            const shot = box(0, 0);
+            const hit = box(5, 5);
+            const miss = box(40, 40);
+            const callback = jest.fn();
+            grid.onCollision(CollisionLayer.PLAYER_SHOT, CollisionLayer.ENEMY, callback);
+            grid.insert(hit, CollisionLayer.ENEMY);
+            grid.insert(miss, CollisionLayer.ENEMY);
+            grid.insert(shot, CollisionLayer.PLAYER_SHOT);
+
+            grid.checkCollisions();
+
+            expect(callback).toHaveBeenCalledTimes(1);
+            expect(callback).toHaveBeenCalledWith(shot, hit);
+        });
+
+        test('should let earlier rules retire objects before later ones run', () => {
+            const grid = new SpatialHash();
+            const shot = box(0, 0);
+            const enemyHit = jest.fn();
+            grid.onCollision(CollisionLayer.PLAYER_SHOT, CollisionLayer.BUNKER, (projectile) => {
+                projectile.active = false;
+            });
+            grid.onCollision(CollisionLayer.PLAYER_SHOT, CollisionLayer.ENEMY, enemyHit);
+            grid.insert(shot, CollisionLayer.PLAYER_SHOT);
+            grid.insert(box(0, 0), CollisionLayer.ENEMY);
+            grid.insert(box(0, 0), CollisionLayer.BUNKER);
+
+            grid.checkCollisions();
+
+            expect(enemyHit).not.toHaveBeenCalled();
+        });
+
+        test('should unregister rules', () => {
+            const grid = new SpatialHash();
+            const callback = jest.fn();
+            const off = grid.onCollision(CollisionLayer.PLAYER, CollisionLayer.ENEMY, callback);
+            grid.insert(box(0, 0), CollisionLayer.PLAYER);
+            grid.insert(box(0, 0), CollisionLayer.ENEMY);
+
+            off();
+            grid.checkCollisions();
+
+            expect(callback).not.toHaveBeenCalled();
+        });
+
+        test('should isolate errors thrown by callbacks', () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const grid = new SpatialHash();
+            const after = jest.fn();
+            grid.onCollision(CollisionLayer.PLAYER, CollisionLayer.ENEMY, () => { throw new Error('boom'); });
+            grid.onCollision(CollisionLayer.ENEMY_SHOT, CollisionLayer.PLAYER, after);
+            grid.insert(box(0, 0), CollisionLayer.PLAYER);
+            grid.insert(box(0, 0), CollisionLayer.ENEMY);
+            grid.insert(box(0, 0), CollisionLayer.ENEMY_SHOT);
+
+            expect(() => grid.checkCollisions()).not.toThrow();
+            expect(after).toHaveBeenCalled();
+            console.error.mockRestore();
+        });
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Wave Manager Test Suite
+ *
+ * Covers level progression:
+ * - Wave start and clear events on the event bus
+ * - Inter-wave banner timing
+ * - Difficulty curve scaling and caps
+ * - Integration with the GameStateManager event bus
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { WaveManager, WavePhase } = require('../../js/core/wave-manager.js');
+const { GameStateManager } = require('../../js/core/game-state.js');
+
+describe('WaveManager', () => {
+    const createBus = () => ({ emit: jest.fn() });
+
+    describe('Progression', () => {
+        test('should announce the first wave on start', () => {
+            const eventBus = createBus();
+            const manager = new WaveManager({}, { eventBus });
+
+            manager.start();
+
+            expect(manager.getCurrentWave()).toBe(1);
+            expect(manager.getPhase()).toBe(WavePhase.PLAYING);
+            expect(eventBus.emit).toHaveBeenCalledWith('waveStart', expect.objectContaining({ wave: 1 }));
+        });
+
+        test('should show a banner between waves', () => {
+            const eventBus = createBus();
+            const manager = new WaveManager({ bannerDuration: 1000 }, { eventBus });
+            manager.start();
+
+            expect(manager.completeWave()).toBe(true);
+            expect(eventBus.emit).toHaveBeenCalledWith('waveCleared', { wave: 1, nextWave: 2, bannerDuration: 1000 });
+            expect(manager.isIntermission()).toBe(true);
+            expect(manager.getBanner().title).toBe('WAVE 1 CLEARED');
+
+            manager.update(999);
+            expect(manager.getCurrentWave()).toBe(1);
+
+            manager.update(1);
+            expect(manager.getCurrentWave()).toBe(2);
+            expect(manager.getBanner()).toBeNull();
+            expect(eventBus.emit).toHaveBeenLastCalledWith('waveStart', expect.objectContaining({ wave: 2 }));
+        });
+
+        test('should ignore repeated completion during the banner', () => {
+            const eventBus = createBus();
+            const manager = new WaveManager({}, { eventBus });
+            manager.start();
+
+            manager.completeWave();
+
+            expect(manager.completeWave()).toBe(false);
+            expect(eventBus.emit.mock.calls.filter(([event]) => event === 'waveCleared')).toHaveLength(1);
+        });
+
+        test('should skip the banner when its duration is zero', () => {
+            const manager = new WaveManager({ bannerDuration: 0 });
+            manager.start();
+
+            manager.completeWave();
+
+            expect(manager.getCurrentWave()).toBe(2);
+            expect(manager.isIntermission()).toBe(false);
+        });
+    });
+
+    describe('Difficulty', () => {
+        test('should leave the first wave at base difficulty', () => {
+            const manager = new WaveManager();
+
+            expect(manager.getDifficulty(1)).toEqual({
+                speedMultiplier: 1,
+                fireRateMultiplier: 1,
+                originYOffset: 0
+            });
+        });
+
+        test('should scale speed, fire rate and start height with the wave', () => {
+            const manager = new WaveManager({ speedGrowth: 0.5, fireRateGrowth: 0.25, rowDrop: 10 });
+            const difficulty = manager.getDifficulty(3);
+
+            expect(difficulty.speedMultiplier).toBe(2);
+            expect(difficulty.fireRateMultiplier).toBe(1.5);
+            expect(difficulty.originYOffset).toBe(20);
+        });
+
+        test('should cap the difficulty curve', () => {
+            const manager = new WaveManager({ maxSpeedMultiplier: 2, maxFireRateMultiplier: 2, rowDrop: 10, maxRowDrops: 3 });
+            const difficulty = manager.getDifficulty(50);
+
+            expect(difficulty.speedMultiplier).toBe(2);
+            expect(difficulty.fireRateMultiplier).toBe(2);
+            expect(difficulty.originYOffset).toBe(30);
+        });
+
+        test('should accept a custom difficulty curve', () => {
+            const difficultyCurve = jest.fn(wave => ({ speedMultiplier: wave, fireRateMultiplier: 1, originYOffset: 0 }));
+            const manager = new WaveManager({ difficultyCurve });
+
+            expect(manager.getDifficulty(4).speedMultiplier).toBe(4);
+            expect(() => new WaveManager({ difficultyCurve: 'steep' })).toThrow('difficultyCurve');
+        });
+    });
+
+    describe('GameStateManager integration', () => {
+        test('should deliver wave events through the state manager bus', () => {
+            const stateManager = new GameStateManager();
+            const manager = new WaveManager({}, { eventBus: stateManager });
+            const onWaveStart = jest.fn();
+            const onWaveCleared = jest.fn();
+            stateManager.addEventListener('waveStart', onWaveStart);
+            stateManager.addEventListener('waveCleared', onWaveCleared);
+
+            manager.start();
+            manager.completeWave();
+
+            expect(onWaveStart).toHaveBeenCalledWith(expect.objectContaining({ wave: 1 }));
+            expect(onWaveCleared).toHaveBeenCalledWith(expect.objectContaining({ wave: 1 }));
+        });
+    });
+});
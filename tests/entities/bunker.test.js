@@ -0,0 +1,177 @@
+/**
+ * Bunker Test Suite
+ *
+ * Covers destructible shield bunkers:
+ * - Bitmask construction from the ASCII shape
+ * - Pixel-accurate hit testing against remaining cells
+ * - Projectile craters on the impacted side
+ * - Erosion by overlapping invaders
+ * - Reset between waves
+ * - Loading next to game.js as browser scripts
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Bunker, DEFAULT_BUNKER_SHAPE } = require('../../js/entities/bunker.js');
+const { Entity } = require('../../js/entities/entity.js');
+
+describe('Bunker', () => {
+    const SHAPE = [
+        '####',
+        '#..#',
+        '#..#'
+    ];
+
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+    });
+
+    const createBunker = (overrides = {}) => new Bunker({
+        x: 100,
+        y: 200,
+        shape: SHAPE,
+        cellSize: 10,
+        craterRadius: 6,
+        ...overrides
+    });
+
+    describe('Construction', () => {
+        test('should extend Entity and size itself from the shape', () => {
+            const bunker = createBunker();
+
+            expect(bunker).toBeInstanceOf(Entity);
+            expect(bunker.type).toBe('bunker');
+            expect(bunker.width).toBe(40);
+            expect(bunker.height).toBe(30);
+            expect(bunker.getSolidCount()).toBe(8);
+        });
+
+        test('should default to the classic arch shape', () => {
+            const bunker = new Bunker();
+
+            expect(bunker.columns).toBe(DEFAULT_BUNKER_SHAPE[0].length);
+            expect(bunker.isSolid(0, 0)).toBe(false);
+            expect(bunker.isSolid(10, 15)).toBe(false);
+            expect(bunker.isSolid(0, 15)).toBe(true);
+        });
+
+        test('should reject malformed shapes', () => {
+            expect(() => createBunker({ shape: [] })).toThrow('non-empty');
+            expect(() => createBunker({ shape: ['##', '#'] })).toThrow('same length');
+            expect(() => createBunker({ cellSize: 0 })).toThrow('cellSize');
+        });
+    });
+
+    describe('Collision', () => {
+        test('should only collide with remaining cells', () => {
+            const bunker = createBunker();
+
+            expect(bunker.hitTest({ x: 105, y: 205, width: 2, height: 2 })).toBe(true);
+            // Inside the arch: within bounds but no solid cells
+            expect(bunker.hitTest({ x: 115, y: 215, width: 10, height: 10 })).toBe(false);
+            expect(bunker.hitTest({ x: 0, y: 0, width: 10, height: 10 })).toBe(false);
+        });
+
+        test('should accept game objects with position and size', () => {
+            const bunker = createBunker();
+
+            expect(bunker.hitTest({ position: { x: 131, y: 221 }, size: { x: 4, y: 4 } })).toBe(true);
+        });
+
+        test('should override entity collision with the pixel test', () => {
+            const bunker = createBunker();
+            const probe = new Entity({ x: 115, y: 215, width: 10, height: 10 });
+
+            expect(bunker.bounds.intersects(probe.bounds)).toBe(true);
+            expect(bunker.collidesWith(probe)).toBe(false);
+        });
+    });
+
+    describe('Erosion', () => {
+        test('should crater the top of the bunker for downward shots', () => {
+            const bunker = createBunker();
+            const shot = { position: { x: 112, y: 190 }, size: { x: 2, y: 30 }, velocity: { x: 0, y: 100 } };
+
+            expect(bunker.handleProjectileHit(shot)).toBe(true);
+            expect(bunker.isSolid(1, 0)).toBe(false);
+            expect(bunker.getSolidCount()).toBeLessThan(8);
+        });
+
+        test('should crater the underside for upward shots', () => {
+            const bunker = createBunker();
+            const shot = { position: { x: 102, y: 200 }, size: { x: 2, y: 40 }, velocity: { x: 0, y: -100 } };
+
+            bunker.handleProjectileHit(shot);
+
+            expect(bunker.isSolid(0, 2)).toBe(false);
+            expect(bunker.isSolid(0, 0)).toBe(true);
+        });
+
+        test('should let projectiles pass through eroded gaps', () => {
+            const bunker = createBunker();
+            const shot = { position: { x: 112, y: 190 }, size: { x: 2, y: 10 }, velocity: { x: 0, y: 100 } };
+
+            bunker.erode(115, 205, 6);
+
+            expect(bunker.handleProjectileHit({ ...shot, position: { x: 112, y: 200 } })).toBe(false);
+        });
+
+        test('should grind away cells overlapped by an invader', () => {
+            const bunker = createBunker();
+            const onEroded = jest.fn();
+            bunker.on('eroded', onEroded);
+
+            const removed = bunker.erodeRect({ position: { x: 95, y: 195 }, size: { x: 20, y: 20 } });
+
+            expect(removed).toBe(3);
+            expect(onEroded).toHaveBeenCalledWith(expect.objectContaining({ removed: 3, remaining: 5 }));
+        });
+
+        test('should report depletion once every cell is gone', () => {
+            const bunker = createBunker();
+            const onDepleted = jest.fn();
+            bunker.on('depleted', onDepleted);
+
+            bunker.erodeRect({ x: 100, y: 200, width: 40, height: 30 });
+
+            expect(bunker.isDestroyed()).toBe(true);
+            expect(onDepleted).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Reset', () => {
+        test('should restore the original shape', () => {
+            const bunker = createBunker();
+            bunker.erodeRect({ x: 100, y: 200, width: 40, height: 30 });
+
+            bunker.reset();
+
+            expect(bunker.getSolidCount()).toBe(8);
+            expect(bunker.isSolid(0, 0)).toBe(true);
+        });
+    });
+
+    describe('Browser loading', () => {
+        test('should load beside the game as classic scripts sharing one Vector2D', () => {
+            // Classic scripts share one global scope, so a second top-level class of the same name throws
+            const context = vm.createContext({ console });
+            context.window = context;
+            const load = file => vm.runInContext(fs.readFileSync(path.join(__dirname, '../../js', file), 'utf8'), context);
+
+            ['entities/entity.js', 'entities/bunker.js'].forEach(load);
+
+            expect(() => load('game.js')).not.toThrow();
+            expect(context.Bunker).toBeDefined();
+        });
+    });
+});
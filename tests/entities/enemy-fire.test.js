@@ -0,0 +1,195 @@
+/**
+ * Enemy Fire Test Suite
+ *
+ * Covers invader return fire:
+ * - Configuration merging and validation
+ * - Fire interval and on-screen shot limit
+ * - Shooter selection from the bottom-most living invader per column
+ * - Weighted projectile type selection and aimed plunger shots
+ * - Projectile movement and retirement
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { EnemyFireController, ENEMY_PROJECTILE_TYPES } = require('../../js/entities/enemy-fire.js');
+const { InvaderFormation } = require('../../js/entities/invader-formation.js');
+
+describe('EnemyFireController', () => {
+    const createFormation = () => new InvaderFormation({
+        rows: 2,
+        columns: 3,
+        invaderWidth: 10,
+        invaderHeight: 10,
+        horizontalSpacing: 10,
+        verticalSpacing: 10,
+        originX: 20,
+        originY: 20,
+        boundsLeft: 0,
+        boundsRight: 200,
+        invasionLine: 300,
+        rowTypes: ['squid', 'octopus']
+    });
+
+    const onlyType = type => ({
+        typeWeights: {
+            [ENEMY_PROJECTILE_TYPES.STRAIGHT]: 0,
+            [ENEMY_PROJECTILE_TYPES.ZIGZAG]: 0,
+            [ENEMY_PROJECTILE_TYPES.PLUNGER]: 0,
+            [type]: 1
+        }
+    });
+
+    describe('Configuration', () => {
+        test('should merge archetype overrides over the defaults', () => {
+            const controller = new EnemyFireController({
+                archetypes: { straight: { damage: 5 } }
+            });
+
+            expect(controller.config.archetypes.straight.damage).toBe(5);
+            expect(controller.config.archetypes.straight.speed).toBeGreaterThan(0);
+            expect(controller.config.archetypes.plunger.aimed).toBe(true);
+        });
+
+        test('should reject invalid configuration', () => {
+            expect(() => new EnemyFireController({ fireInterval: 0 })).toThrow('fireInterval');
+            expect(() => new EnemyFireController({ maxActive: -1 })).toThrow('maxActive');
+            expect(() => new EnemyFireController({ typeWeights: { laser: 1 } })).toThrow('laser');
+        });
+    });
+
+    describe('Firing', () => {
+        test('should fire once per fire interval', () => {
+            const controller = new EnemyFireController({ fireInterval: 500 }, { random: () => 0 });
+            const formation = createFormation();
+
+            controller.update(499, formation);
+            expect(controller.shotsFired).toBe(0);
+
+            controller.update(1, formation);
+            expect(controller.shotsFired).toBe(1);
+        });
+
+        test('should fire faster with a rate multiplier', () => {
+            const controller = new EnemyFireController({ fireInterval: 500 }, { random: () => 0 });
+            const formation = createFormation();
+
+            controller.setRateMultiplier(2);
+            controller.update(250, formation);
+
+            expect(controller.getFireInterval()).toBe(250);
+            expect(controller.shotsFired).toBe(1);
+            expect(() => controller.setRateMultiplier(-1)).toThrow('multiplier');
+        });
+
+        test('should respect the on-screen shot limit', () => {
+            const controller = new EnemyFireController({ fireInterval: 10, maxActive: 2 }, { random: () => 0 });
+            const formation = createFormation();
+
+            for (let i = 0; i < 5; i++) {
+                controller.update(10, formation);
+            }
+
+            expect(controller.getActiveProjectiles()).toHaveLength(2);
+        });
+
+        test('should hold fire once the formation has landed or been cleared', () => {
+            const controller = new EnemyFireController({ fireInterval: 10 });
+            const formation = createFormation();
+            formation.invaders.forEach(invader => formation.killInvader(invader));
+
+            controller.update(100, formation);
+
+            expect(controller.shotsFired).toBe(0);
+        });
+    });
+
+    describe('Shooter selection', () => {
+        test('should fire from the bottom-most living invader of a column', () => {
+            const controller = new EnemyFireController(onlyType('straight'), { random: () => 0 });
+            const formation = createFormation();
+            const bottom = formation.getBottomInvader(0);
+
+            const projectile = controller.fire(formation);
+
+            expect(projectile.shooter).toBe(bottom.id);
+            expect(projectile.position.y).toBe(bottom.position.y + bottom.size.y);
+        });
+
+        test('should move up the column as lower invaders are destroyed', () => {
+            const controller = new EnemyFireController(onlyType('straight'), { random: () => 0 });
+            const formation = createFormation();
+            formation.killInvader(formation.getBottomInvader(0));
+
+            const projectile = controller.fire(formation);
+
+            expect(projectile.shooter).toBe(formation.getBottomInvader(0).id);
+            expect(formation.getBottomInvader(0).row).toBe(0);
+        });
+
+        test('should skip empty columns', () => {
+            const controller = new EnemyFireController(onlyType('straight'), { random: () => 0 });
+            const formation = createFormation();
+            formation.invaders
+                .filter(invader => invader.column === 0)
+                .forEach(invader => formation.killInvader(invader));
+
+            const projectile = controller.fire(formation);
+
+            expect(projectile.shooter).toBe(formation.getBottomInvader(1).id);
+        });
+
+        test('should aim plunger shots at the column above the target', () => {
+            const controller = new EnemyFireController(onlyType('plunger'), { random: () => 0 });
+            const formation = createFormation();
+            const target = { position: { x: 60, y: 280 }, size: { x: 10, y: 10 } };
+
+            const projectile = controller.fire(formation, target);
+
+            expect(projectile.kind).toBe('plunger');
+            expect(projectile.shooter).toBe(formation.getBottomInvader(2).id);
+        });
+    });
+
+    describe('Projectiles', () => {
+        test('should pick types according to the configured weights', () => {
+            const controller = new EnemyFireController({}, { random: () => 0.99 });
+
+            expect(controller.fire(createFormation()).kind).toBe('plunger');
+
+            controller.random = () => 0;
+            expect(controller.fire(createFormation()).kind).toBe('straight');
+        });
+
+        test('should sway zig-zag shots around their launch column', () => {
+            const controller = new EnemyFireController(onlyType('zigzag'), { random: () => 0 });
+            const projectile = controller.fire(createFormation());
+            const originX = projectile.position.x;
+            const amplitude = controller.config.archetypes.zigzag.amplitude;
+
+            controller.update(50, null);
+
+            expect(projectile.position.x).not.toBe(originX);
+            expect(Math.abs(projectile.position.x - originX)).toBeLessThanOrEqual(amplitude);
+        });
+
+        test('should retire projectiles that leave the playfield', () => {
+            const controller = new EnemyFireController({ boundsBottom: 100 }, { random: () => 0 });
+            controller.fire(createFormation());
+
+            controller.update(10000, null);
+
+            expect(controller.getActiveProjectiles()).toHaveLength(0);
+        });
+
+        test('should clear projectiles on reset', () => {
+            const controller = new EnemyFireController({}, { random: () => 0 });
+            controller.fire(createFormation());
+
+            controller.reset();
+
+            expect(controller.getActiveProjectiles()).toHaveLength(0);
+            expect(controller.fireTimer).toBe(0);
+        });
+    });
+});
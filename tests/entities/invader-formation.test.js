@@ -0,0 +1,202 @@
+/**
+ * Invader Formation Test Suite
+ *
+ * Covers the marching formation subsystem:
+ * - Grid construction from configuration
+ * - Sideways stepping, edge drops and direction reversal
+ * - Step interval speed-up as invaders are destroyed
+ * - Landing detection at the invasion line
+ * - Bottom-most invader lookup per column
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { InvaderFormation, DEFAULT_FORMATION_CONFIG } = require('../../js/entities/invader-formation.js');
+
+describe('InvaderFormation', () => {
+    const createFormation = (overrides = {}) => new InvaderFormation({
+        rows: 2,
+        columns: 3,
+        invaderWidth: 10,
+        invaderHeight: 10,
+        horizontalSpacing: 5,
+        verticalSpacing: 5,
+        originX: 20,
+        originY: 20,
+        stepDistance: 5,
+        dropDistance: 10,
+        stepInterval: 100,
+        minStepInterval: 10,
+        boundsLeft: 0,
+        boundsRight: 100,
+        invasionLine: 200,
+        rowTypes: ['squid', 'octopus'],
+        ...overrides
+    });
+
+    describe('Construction', () => {
+        test('should build the classic 5x11 grid by default', () => {
+            const formation = new InvaderFormation();
+
+            expect(formation.invaders).toHaveLength(55);
+            expect(formation.getAliveCount()).toBe(55);
+            expect(formation.invaders[0].type).toBe(DEFAULT_FORMATION_CONFIG.rowTypes[0]);
+            expect(formation.invaders[0].points).toBe(30);
+            expect(formation.invaders[54].points).toBe(10);
+        });
+
+        test('should lay out invaders using spacing and origin', () => {
+            const formation = createFormation();
+            const invader = formation.invaders.find(i => i.row === 1 && i.column === 2);
+
+            expect(invader.position).toEqual({ x: 20 + 2 * 15, y: 20 + 15 });
+            expect(invader.size).toEqual({ x: 10, y: 10 });
+        });
+
+        test('should reject invalid configuration', () => {
+            expect(() => createFormation({ rows: 0 })).toThrow('rows');
+            expect(() => createFormation({ minStepInterval: 500 })).toThrow('minStepInterval');
+            expect(() => createFormation({ boundsRight: -1 })).toThrow('bounds');
+        });
+    });
+
+    describe('Marching', () => {
+        test('should step sideways once per step interval', () => {
+            const formation = createFormation();
+            const startX = formation.invaders[0].position.x;
+
+            formation.update(99);
+            expect(formation.invaders[0].position.x).toBe(startX);
+
+            formation.update(1);
+            expect(formation.invaders[0].position.x).toBe(startX + 5);
+            expect(formation.stepCount).toBe(1);
+        });
+
+        test('should drop and reverse when a living member reaches the edge', () => {
+            const formation = createFormation();
+            const dropped = [];
+            formation.addEventListener('step', event => dropped.push(event.dropped));
+
+            // Right edge starts at 20 + 3 * 15 - 5 = 60, so eight steps reach 100
+            for (let i = 0; i < 9; i++) {
+                formation.update(100);
+            }
+
+            expect(dropped.slice(0, 8).every(d => d === false)).toBe(true);
+            expect(dropped[8]).toBe(true);
+            expect(formation.direction).toBe(-1);
+            expect(formation.invaders[0].position.y).toBe(30);
+        });
+
+        test('should ignore dead columns when detecting edges', () => {
+            const formation = createFormation();
+            formation.invaders
+                .filter(invader => invader.column === 2)
+                .forEach(invader => formation.killInvader(invader));
+
+            // Right edge of living members is now 45, allowing eleven steps
+            for (let i = 0; i < 11; i++) {
+                formation.update(formation.getStepInterval());
+            }
+
+            expect(formation.direction).toBe(1);
+            expect(formation.getBounds().right).toBe(100);
+
+            formation.update(formation.getStepInterval());
+            expect(formation.direction).toBe(-1);
+        });
+
+        test('should speed up as invaders are destroyed', () => {
+            const formation = createFormation();
+            const fullInterval = formation.getStepInterval();
+
+            formation.killInvader(formation.invaders[0]);
+            const thinnerInterval = formation.getStepInterval();
+
+            formation.invaders.slice(1, 5).forEach(invader => formation.killInvader(invader));
+
+            expect(fullInterval).toBe(100);
+            expect(thinnerInterval).toBeLessThan(fullInterval);
+            expect(formation.getStepInterval()).toBe(10);
+        });
+
+        test('should scale the step interval by the speed multiplier', () => {
+            const formation = createFormation();
+
+            formation.setSpeedMultiplier(2);
+
+            expect(formation.getStepInterval()).toBe(50);
+            expect(() => formation.setSpeedMultiplier(0)).toThrow('multiplier');
+        });
+
+        test('should land when the formation reaches the invasion line', () => {
+            const formation = createFormation({ invasionLine: 60, stepInterval: 10, minStepInterval: 10 });
+            const onLanded = jest.fn();
+            formation.addEventListener('landed', onLanded);
+
+            formation.update(10000);
+
+            expect(formation.hasLanded()).toBe(true);
+            expect(onLanded).toHaveBeenCalledTimes(1);
+            expect(formation.getBounds().bottom).toBeGreaterThanOrEqual(60);
+        });
+    });
+
+    describe('Kills', () => {
+        test('should award points once per invader', () => {
+            const formation = createFormation();
+            const invader = formation.invaders[0];
+
+            expect(formation.killInvader(invader)).toBe(30);
+            expect(formation.killInvader(invader)).toBe(0);
+            expect(formation.getAliveCount()).toBe(5);
+        });
+
+        test('should emit cleared when the last invader dies', () => {
+            const formation = createFormation();
+            const onCleared = jest.fn();
+            formation.addEventListener('cleared', onCleared);
+
+            formation.invaders.forEach(invader => formation.killInvader(invader));
+
+            expect(formation.isCleared()).toBe(true);
+            expect(onCleared).toHaveBeenCalledTimes(1);
+        });
+
+        test('should find the bottom-most living invader in a column', () => {
+            const formation = createFormation();
+
+            expect(formation.getBottomInvader(1).row).toBe(1);
+
+            formation.killInvader(formation.getBottomInvader(1));
+            expect(formation.getBottomInvader(1).row).toBe(0);
+
+            formation.killInvader(formation.getBottomInvader(1));
+            expect(formation.getBottomInvader(1)).toBeNull();
+        });
+
+        test('should restore every invader on reset', () => {
+            const formation = createFormation();
+            formation.invaders.forEach(invader => formation.killInvader(invader));
+
+            formation.reset({ originY: 50 });
+
+            expect(formation.getAliveCount()).toBe(6);
+            expect(formation.invaders[0].position.y).toBe(50);
+        });
+
+        test('should apply an origin override to that reset only', () => {
+            const formation = createFormation();
+
+            formation.reset({ originY: 0 });
+            expect(formation.invaders[0].position.y).toBe(0);
+            expect(formation.getState().originY).toBe(0);
+
+            formation.reset();
+            expect(formation.invaders[0].position.y).toBe(20);
+            expect(formation.config.originY).toBe(20);
+        });
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Mystery Ship Test Suite
+ *
+ * Covers the bonus UFO:
+ * - Spawn timing and entry side
+ * - Crossing and escaping the playfield
+ * - Deterministic shot-count scoring
+ * - Floating score popup
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { MysteryShip, UFO_POINTS_TABLE } = require('../../js/entities/ufo.js');
+
+describe('MysteryShip', () => {
+    const createShip = (overrides = {}) => new MysteryShip({
+        width: 20,
+        height: 10,
+        speed: 100,
+        spawnInterval: 1000,
+        boundsLeft: 0,
+        boundsRight: 200,
+        popupDuration: 500,
+        ...overrides
+    });
+
+    describe('Configuration', () => {
+        test('should reject invalid configuration', () => {
+            expect(() => createShip({ speed: 0 })).toThrow('speed');
+            expect(() => createShip({ pointsTable: [] })).toThrow('pointsTable');
+            expect(() => createShip({ boundsRight: 10 })).toThrow('bounds');
+        });
+    });
+
+    describe('Spawning', () => {
+        test('should appear once the spawn interval elapses', () => {
+            const ship = createShip();
+            const onSpawned = jest.fn();
+            ship.addEventListener('spawned', onSpawned);
+
+            ship.update(999);
+            expect(ship.active).toBe(false);
+
+            ship.update(1);
+            expect(ship.active).toBe(true);
+            expect(onSpawned).toHaveBeenCalledWith({ direction: 1 });
+        });
+
+        test('should pick the entry side from shot count parity', () => {
+            const even = createShip();
+            const odd = createShip();
+
+            even.update(1000, { shotsFired: 4 });
+            odd.update(1000, { shotsFired: 5 });
+
+            expect(even.direction).toBe(1);
+            expect(even.position.x).toBe(-20);
+            expect(odd.direction).toBe(-1);
+            expect(odd.position.x).toBe(200);
+        });
+
+        test('should stay away when few invaders remain', () => {
+            const ship = createShip({ minInvaders: 8 });
+
+            ship.update(5000, { invadersRemaining: 7 });
+
+            expect(ship.active).toBe(false);
+        });
+    });
+
+    describe('Flight', () => {
+        test('should cross the screen and escape off the far side', () => {
+            const ship = createShip();
+            const onEscaped = jest.fn();
+            ship.addEventListener('escaped', onEscaped);
+            ship.spawn(1);
+
+            ship.update(1000);
+            expect(ship.position.x).toBe(80);
+
+            ship.update(2000);
+            expect(ship.active).toBe(false);
+            expect(onEscaped).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Scoring', () => {
+        test('should follow the arcade shot-count table', () => {
+            const ship = createShip({ pointsTable: UFO_POINTS_TABLE });
+
+            expect(ship.getPointValue(1)).toBe(100);
+            expect(ship.getPointValue(2)).toBe(50);
+            expect(ship.getPointValue(9)).toBe(300);
+            expect(ship.getPointValue(24)).toBe(300);
+            expect(ship.getPointValue(16)).toBe(100);
+        });
+
+        test('should award points once and show a popup', () => {
+            const ship = createShip();
+            const onDestroyed = jest.fn();
+            ship.addEventListener('destroyed', onDestroyed);
+            ship.spawn(1);
+
+            expect(ship.hit(9)).toBe(300);
+            expect(ship.hit(9)).toBe(0);
+            expect(onDestroyed).toHaveBeenCalledWith(expect.objectContaining({ points: 300 }));
+            expect(ship.getPopup()).toEqual(expect.objectContaining({ text: '300', alpha: 1 }));
+        });
+
+        test('should float the popup upwards and expire it', () => {
+            const ship = createShip();
+            ship.spawn(1);
+            ship.hit(1);
+            const startY = ship.getPopup().y;
+
+            ship.update(250);
+            expect(ship.getPopup().y).toBeLessThan(startY);
+            expect(ship.getPopup().alpha).toBeCloseTo(0.5);
+
+            ship.update(250);
+            expect(ship.getPopup()).toBeNull();
+        });
+
+        test('should not respawn while the popup is showing', () => {
+            const ship = createShip({ popupDuration: 2000 });
+            ship.spawn(1);
+            ship.hit(1);
+
+            ship.update(1500);
+
+            expect(ship.active).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,260 @@
+/**
+ * Weapon Test Suite
+ *
+ * Covers the weapon component:
+ * - Configuration merging and validation
+ * - Cooldown and the one-shot-on-screen rule
+ * - Spread fans, ammo and the fallback weapon
+ * - Heat, overheating and cooling
+ * - Homing steering
+ * - Runtime switching, entity attachment and saved state
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { Weapon, WEAPON_TYPES, WEAPON_PROJECTILE_TYPES } = require('../../js/entities/weapon.js');
+const { Entity } = require('../../js/entities/entity.js');
+
+describe('Weapon', () => {
+    const shooter = { position: { x: 100, y: 500 }, size: { x: 20, y: 20 } };
+
+    const armed = (type, config = {}) => new Weapon({ ...config, weapon: type });
+
+    /**
+     * Fires at the given times and counts the shots that left the weapon
+     */
+    const fireAt = (weapon, times) => times.filter(time => weapon.fire(time, shooter).length > 0).length;
+
+    describe('Configuration', () => {
+        test('should merge weapons and archetypes per entry', () => {
+            const weapon = new Weapon({
+                archetypes: { bullet: { speed: 500 } },
+                weapons: { single: { cooldown: 100 } }
+            });
+
+            expect(weapon.config.archetypes.bullet).toEqual({ speed: 500, width: 4, height: 12 });
+            expect(weapon.getDefinition()).toMatchObject({ projectile: 'bullet', cooldown: 100, count: 1, ammo: null });
+        });
+
+        test('should reject invalid definitions', () => {
+            expect(() => new Weapon({ weapon: 'railgun' })).toThrow('Unknown weapon: railgun');
+            expect(() => new Weapon({ weapons: { single: { projectile: 'rock' } } })).toThrow('No archetype');
+            expect(() => new Weapon({ weapons: { spread: { count: 0 } } })).toThrow('count');
+            expect(() => new Weapon({ weapons: { spread: { ammo: -1 } } })).toThrow('ammo');
+            expect(() => new Weapon({ weapons: { rapid: { cooldown: -5 } } })).toThrow('negative');
+            expect(() => new Weapon({ direction: 0 })).toThrow('direction');
+        });
+
+        test('should require a shooter', () => {
+            expect(() => new Weapon().fire(0)).toThrow('shooter');
+        });
+    });
+
+    describe('Firing', () => {
+        test('should fire a centred bullet up the screen after each cooldown', () => {
+            const weapon = new Weapon();
+            const [projectile] = weapon.fire(0, shooter);
+
+            expect(projectile).toMatchObject({
+                position: { x: 108, y: 500 },
+                velocity: { x: 0, y: -400 },
+                type: 'player',
+                kind: WEAPON_PROJECTILE_TYPES.BULLET,
+                weapon: WEAPON_TYPES.SINGLE,
+                active: true
+            });
+            expect(fireAt(weapon, [100, 199, 200, 300, 400])).toBe(2);
+        });
+
+        test('should fire down from the bottom edge for the other team', () => {
+            const weapon = new Weapon({ team: 'enemy', direction: 1 });
+            const [projectile] = weapon.fire(0, shooter);
+
+            expect(projectile.type).toBe('enemy');
+            expect(projectile.position.y).toBe(520);
+            expect(projectile.velocity.y).toBe(400);
+        });
+
+        test('should keep one classic shot on screen at a time', () => {
+            const weapon = armed(WEAPON_TYPES.CLASSIC);
+            const [shot] = weapon.fire(0, shooter);
+
+            expect(weapon.fire(1000, shooter)).toEqual([]);
+
+            shot.active = false;
+            expect(weapon.fire(1001, shooter)).toHaveLength(1);
+        });
+
+        test('should fan a spread evenly and spend one round per trigger pull', () => {
+            const weapon = armed(WEAPON_TYPES.SPREAD);
+            const shots = weapon.fire(0, shooter);
+
+            expect(shots).toHaveLength(3);
+            expect(shots[0].velocity.x).toBeCloseTo(-Math.sin(0.15) * 400);
+            expect(shots[1].velocity.x).toBe(0);
+            expect(shots[2].velocity.x).toBeCloseTo(Math.sin(0.15) * 400);
+            expect(Math.hypot(shots[0].velocity.x, shots[0].velocity.y)).toBeCloseTo(400);
+            expect(weapon.getStatus().ammo).toBe(39);
+        });
+
+        test('should fall back to the default weapon when ammo runs out', () => {
+            const weapon = new Weapon({ weapons: { homing: { ammo: 2, cooldown: 0, maxActive: 0 } } });
+            weapon.setWeapon(WEAPON_TYPES.HOMING);
+
+            weapon.fire(0, shooter);
+            weapon.fire(1, shooter);
+
+            expect(weapon.getWeapon()).toBe(WEAPON_TYPES.SINGLE);
+            expect(() => weapon.setWeapon(WEAPON_TYPES.HOMING)).not.toThrow();
+            expect(weapon.canFire(1000)).toBe(false);
+
+            weapon.addAmmo(WEAPON_TYPES.HOMING, 1);
+            expect(weapon.canFire(1000)).toBe(true);
+        });
+
+        test('should top ammo up to a full load at most', () => {
+            const weapon = armed(WEAPON_TYPES.SPREAD);
+            weapon.fire(0, shooter);
+            weapon.fire(1000, shooter);
+
+            weapon.addAmmo(WEAPON_TYPES.SPREAD, 40);
+            expect(weapon.getStatus().ammo).toBe(40);
+
+            weapon.addAmmo(WEAPON_TYPES.SINGLE, 5);
+            weapon.setWeapon(WEAPON_TYPES.SINGLE);
+            expect(weapon.getStatus().ammo).toBeNull();
+        });
+
+        test('should give lasers their pierce', () => {
+            const [beam] = armed(WEAPON_TYPES.LASER).fire(0, shooter);
+
+            expect(beam.pierce).toBe(4);
+            expect(beam.velocity.y).toBe(-900);
+        });
+    });
+
+    describe('Heat', () => {
+        test('should overheat, then fire again only once fully cooled', () => {
+            const weapon = armed(WEAPON_TYPES.RAPID);
+            const times = Array.from({ length: 10 }, (_, i) => i * 70);
+
+            // 14 heat per shot reaches the limit of 100 on the eighth
+            expect(fireAt(weapon, times)).toBe(8);
+            expect(weapon.getStatus()).toMatchObject({ heat: 1, overheated: true });
+
+            weapon.update(1);
+            expect(weapon.getStatus().overheated).toBe(true);
+            expect(weapon.canFire(5000)).toBe(false);
+
+            weapon.update(2);
+            expect(weapon.getStatus()).toMatchObject({ heat: 0, overheated: false });
+            expect(weapon.canFire(5000)).toBe(true);
+        });
+
+        test('should keep heat per weapon while switched away', () => {
+            const weapon = armed(WEAPON_TYPES.LASER);
+            weapon.fire(0, shooter);
+
+            weapon.setWeapon(WEAPON_TYPES.SINGLE);
+            expect(weapon.getStatus().heat).toBe(0);
+
+            weapon.update(0.5);
+            weapon.setWeapon(WEAPON_TYPES.LASER);
+            expect(weapon.getStatus().heat).toBeCloseTo(0.225);
+        });
+    });
+
+    describe('Homing', () => {
+        test('should turn towards the nearest target by at most the turn rate', () => {
+            const [missile] = armed(WEAPON_TYPES.HOMING).fire(0, shooter);
+            const near = { position: { x: 300, y: 497 }, size: { x: 20, y: 20 } };
+            const far = { position: { x: -400, y: 497 }, size: { x: 20, y: 20 } };
+
+            Weapon.steer(missile, [far, near], 0.1);
+
+            const heading = Math.atan2(missile.velocity.y, missile.velocity.x);
+            expect(heading).toBeCloseTo(-Math.PI / 2 + 0.3);
+            expect(Math.hypot(missile.velocity.x, missile.velocity.y)).toBeCloseTo(240);
+        });
+
+        test('should fly straight without live targets', () => {
+            const [missile] = armed(WEAPON_TYPES.HOMING).fire(0, shooter);
+            const dead = { position: { x: 300, y: 100 }, size: { x: 20, y: 20 }, active: false };
+
+            Weapon.steer(missile, [dead], 0.1);
+
+            expect(missile.velocity).toEqual({ x: 0, y: -240 });
+        });
+    });
+
+    describe('Switching', () => {
+        test('should cycle the loadout, skipping empty weapons', () => {
+            const weapon = new Weapon({ weapons: { spread: { ammo: 0 } } });
+
+            expect(weapon.cycleWeapon()).toBe(WEAPON_TYPES.CLASSIC);
+            expect(weapon.cycleWeapon()).toBe(WEAPON_TYPES.RAPID);
+            expect(weapon.cycleWeapon(-1)).toBe(WEAPON_TYPES.CLASSIC);
+            expect(() => weapon.setWeapon('railgun')).toThrow('Unknown weapon');
+        });
+
+        test('should keep the last shot\'s cooldown across a switch', () => {
+            const weapon = armed(WEAPON_TYPES.LASER);
+            weapon.fire(0, shooter);
+
+            weapon.setWeapon(WEAPON_TYPES.RAPID);
+
+            expect(weapon.canFire(60)).toBe(false);
+            expect(weapon.canFire(70)).toBe(true);
+        });
+
+        test('should fire from the entity it is attached to', () => {
+            const entity = new Entity({ x: 50, y: 300, width: 10, height: 10 });
+            const weapon = armed(WEAPON_TYPES.RAPID);
+            entity.addComponent('weapon', weapon);
+
+            const [projectile] = weapon.fire(0);
+            expect(projectile.position).toEqual({ x: 53, y: 300 });
+            expect(weapon.getStatus().heat).toBeCloseTo(0.14);
+
+            // Components cool down as the entity updates
+            entity.update(0.2);
+            expect(weapon.getStatus().heat).toBeCloseTo(0.05);
+
+            entity.removeComponent('weapon');
+            expect(weapon.entity).toBeNull();
+        });
+    });
+
+    describe('State', () => {
+        test('should round-trip the weapon, cooldown, ammo and heat', () => {
+            const weapon = armed(WEAPON_TYPES.SPREAD);
+            weapon.fire(1000, shooter);
+            weapon.setWeapon(WEAPON_TYPES.RAPID);
+            weapon.fire(1500, shooter);
+
+            const restored = new Weapon();
+            restored.setState(JSON.parse(JSON.stringify(weapon.getState())));
+
+            expect(restored.getStatus()).toEqual(weapon.getStatus());
+            expect(restored.canFire(1560)).toBe(false);
+            expect(restored.canFire(1570)).toBe(true);
+            restored.setWeapon(WEAPON_TYPES.SPREAD);
+            expect(restored.getStatus().ammo).toBe(39);
+        });
+
+        test('should reject a state for an unknown weapon', () => {
+            expect(() => new Weapon().setState({ weapon: 'railgun' })).toThrow('Invalid weapon state');
+        });
+
+        test('should count restored shots towards the on-screen limit', () => {
+            const weapon = armed(WEAPON_TYPES.CLASSIC);
+            const [shot] = armed(WEAPON_TYPES.CLASSIC).fire(0, shooter);
+
+            weapon.trackShots([shot, { ...shot, type: 'enemy' }]);
+
+            expect(weapon.getActiveShots()).toEqual([shot]);
+            expect(weapon.canFire(1000)).toBe(false);
+        });
+    });
+});
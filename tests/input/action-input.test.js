@@ -0,0 +1,191 @@
+/**
+ * Action Input Test Suite
+ *
+ * Resolves per-tick gameplay input from KeyBindings actions:
+ * - Keyboard, scripted and stick sources reporting the same actions
+ * - Analog magnitude and the keyboard's full speed
+ * - Fire taps shorter than a tick
+ * - Enabling and disabling every source
+ * - Replay encoding of analog axes
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { ActionInput } = require('../../js/input/action-input.js');
+const { ScriptedInput } = require('../../js/input/scripted-input.js');
+const { encodeActions, decodeActions, ReplayAction } = require('../../js/input/replay.js');
+const KeyBindings = require('../../js/input/key-bindings.js');
+
+describe('ActionInput', () => {
+    let keyBindings;
+    let script;
+    let input;
+
+    const keyEvent = code => ({
+        code,
+        ctrlKey: false,
+        shiftKey: false,
+        altKey: false,
+        metaKey: false,
+        preventDefault: jest.fn()
+    });
+
+    /**
+     * Stick-like source pressing the move actions it reports axes for
+     */
+    const createStick = () => ({
+        axes: { x: 0, y: 0 },
+        push(x, y) {
+            this.axes = { x, y };
+            keyBindings.triggerAction('moveLeft', 'Stick', x < 0);
+            keyBindings.triggerAction('moveRight', 'Stick', x > 0);
+            keyBindings.triggerAction('moveUp', 'Stick', y < 0);
+            keyBindings.triggerAction('moveDown', 'Stick', y > 0);
+        },
+        getAxes() {
+            return this.axes;
+        },
+        poll: jest.fn(),
+        setEnabled: jest.fn()
+    });
+
+    beforeEach(() => {
+        keyBindings = new KeyBindings({
+            target: new EventTarget(),
+            bindings: { shoot: { ...KeyBindings.DEFAULT_BINDINGS.shoot, cooldown: 0 } }
+        });
+        script = new ScriptedInput({ keyBindings });
+        input = new ActionInput(keyBindings, { sources: [script] });
+    });
+
+    afterEach(() => {
+        input.destroy();
+        keyBindings.destroy();
+    });
+
+    test('should require key bindings', () => {
+        expect(() => new ActionInput(null)).toThrow('KeyBindings');
+    });
+
+    test('should resolve keyboard keys through the bindings', () => {
+        keyBindings.handleKeyDown(keyEvent('KeyA'));
+        keyBindings.handleKeyDown(keyEvent('ArrowDown'));
+        keyBindings.handleKeyDown(keyEvent('Enter'));
+
+        expect(input.sample()).toEqual({ x: -1, y: 1, shoot: true, nextWeapon: false });
+    });
+
+    test('should follow rebound keys', () => {
+        keyBindings.updateBinding('moveLeft', { ...keyBindings.getBindings().moveLeft, keys: ['KeyJ'] });
+
+        keyBindings.handleKeyDown(keyEvent('KeyA'));
+        expect(input.sample().x).toBe(0);
+
+        keyBindings.handleKeyDown(keyEvent('KeyJ'));
+        expect(input.sample().x).toBe(-1);
+    });
+
+    test('should cancel opposite directions from different devices', () => {
+        keyBindings.handleKeyDown(keyEvent('ArrowLeft'));
+        script.set({ x: 1 });
+
+        expect(input.sample().x).toBe(0);
+    });
+
+    test('should scale movement by the furthest-pushed stick', () => {
+        const stick = createStick();
+        input.addSource(stick);
+
+        stick.push(0.5, -0.25);
+        expect(input.sample()).toEqual({ x: 0.5, y: -0.25, shoot: false, nextWeapon: false });
+
+        script.set({ x: 0.75 });
+        expect(input.sample().x).toBe(0.75);
+    });
+
+    test('should move at full speed while a key is held', () => {
+        const stick = createStick();
+        input.addSource(stick);
+
+        stick.push(0.3, 0);
+        keyBindings.handleKeyDown(keyEvent('ArrowRight'));
+
+        expect(input.sample().x).toBe(1);
+    });
+
+    test('should fire for a tap shorter than a tick, once', () => {
+        keyBindings.handleKeyDown(keyEvent('Space'));
+        keyBindings.handleKeyUp(keyEvent('Space'));
+
+        expect(input.sample().shoot).toBe(true);
+        expect(input.sample().shoot).toBe(false);
+
+        keyBindings.triggerAction('shoot', 'Touch', true);
+        keyBindings.triggerAction('shoot', 'Touch', false);
+
+        expect(input.sample().shoot).toBe(true);
+    });
+
+    test('should switch weapon once per press, however long it is held', () => {
+        keyBindings.handleKeyDown(keyEvent('KeyQ'));
+
+        expect(input.sample().nextWeapon).toBe(true);
+        expect(input.sample().nextWeapon).toBe(false);
+
+        keyBindings.handleKeyUp(keyEvent('KeyQ'));
+        script.set({ nextWeapon: true });
+
+        expect(input.sample().nextWeapon).toBe(true);
+        script.set({ nextWeapon: true });
+        expect(input.sample().nextWeapon).toBe(false);
+    });
+
+    test('should report scripted actions to the bindings', () => {
+        script.set({ x: -1, shoot: true });
+
+        expect(keyBindings.isActionActive('moveLeft')).toBe(true);
+        expect(keyBindings.isActionActive('shoot')).toBe(true);
+        expect(input.sample()).toEqual({ x: -1, y: 0, shoot: true, nextWeapon: false });
+
+        script.clear();
+
+        expect(keyBindings.isActionActive('moveLeft')).toBe(false);
+        expect(input.sample()).toEqual({ x: 0, y: 0, shoot: false, nextWeapon: false });
+    });
+
+    test('should poll and disable every source together', () => {
+        const stick = createStick();
+        input.addSource(stick);
+
+        input.poll();
+        expect(stick.poll).toHaveBeenCalledTimes(1);
+
+        script.set({ x: 1, shoot: true });
+        input.setEnabled(false);
+
+        expect(stick.setEnabled).toHaveBeenCalledWith(false);
+        expect(keyBindings.isActionActive('shoot')).toBe(false);
+        expect(input.sample()).toEqual({ x: 0, y: 0, shoot: false, nextWeapon: false });
+
+        input.poll();
+        expect(stick.poll).toHaveBeenCalledTimes(1);
+    });
+
+    describe('Replay encoding', () => {
+        test('should round analog axes to sixteenths', () => {
+            const bits = encodeActions({ x: 0.5, y: -0.26, shoot: true });
+
+            expect(decodeActions(bits)).toEqual({ x: 0.5, y: -0.25, shoot: true, nextWeapon: false });
+        });
+
+        test('should keep full deflection in the plain action bits', () => {
+            expect(encodeActions({ x: -1, y: 1 })).toBe(ReplayAction.LEFT | ReplayAction.DOWN);
+            expect(encodeActions({ x: 0.99 })).toBe(ReplayAction.RIGHT);
+        });
+
+        test('should never round a small push down to no movement', () => {
+            expect(decodeActions(encodeActions({ x: 0.01 })).x).toBe(1 / 16);
+        });
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Binding Store Test Suite
+ *
+ * Covers persisting rebound keys and the KeyBindings helpers the
+ * rebinding screen relies on:
+ * - Versioned profile round trip through a storage backend
+ * - Discarding corrupt, outdated or malformed profiles and entries
+ * - Key capture, conflict detection and key descriptions
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { BindingStore, BINDING_PROFILE_VERSION } = require('../../js/input/binding-store.js');
+const { MemoryStorage } = require('../../js/core/high-scores.js');
+const KeyBindings = require('../../js/input/key-bindings.js');
+
+describe('BindingStore', () => {
+    let storage;
+    let store;
+    let keyBindings;
+
+    const keyEvent = (code, modifiers = {}) => ({
+        code,
+        ctrlKey: false,
+        shiftKey: false,
+        altKey: false,
+        metaKey: false,
+        ...modifiers,
+        preventDefault: jest.fn()
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        storage = new MemoryStorage();
+        store = new BindingStore({}, { storage });
+        keyBindings = new KeyBindings({ target: new EventTarget() });
+    });
+
+    afterEach(() => {
+        keyBindings.destroy();
+        jest.restoreAllMocks();
+    });
+
+    describe('Profiles', () => {
+        test('should save keys and modifiers and restore them on another instance', () => {
+            keyBindings.updateBinding('shoot', { ...keyBindings.getBindings().shoot, keys: ['KeyJ', 'Space'] });
+            keyBindings.updateBinding('restart', { ...keyBindings.getBindings().restart, keys: ['KeyT'], modifiers: ['shift'] });
+
+            expect(store.save(keyBindings)).toBe(true);
+            const saved = JSON.parse(storage.getItem('spaceInvaders.controls'));
+            expect(saved.version).toBe(BINDING_PROFILE_VERSION);
+            expect(saved.bindings.shoot).toEqual({ keys: ['KeyJ', 'Space'], modifiers: [] });
+
+            const restored = new KeyBindings({ target: new EventTarget() });
+            expect(store.load(restored)).toBe(Object.keys(KeyBindings.DEFAULT_BINDINGS).length);
+            expect(restored.getBindings().shoot).toMatchObject({ keys: ['KeyJ', 'Space'], cooldown: 100 });
+            expect(restored.getBindings().restart).toMatchObject({ keys: ['KeyT'], modifiers: ['shift'] });
+            restored.destroy();
+        });
+
+        test('should keep defaults when nothing is saved', () => {
+            expect(store.load(keyBindings)).toBe(0);
+            expect(keyBindings.getBindings().shoot.keys).toEqual(['Space', 'Enter']);
+        });
+
+        test('should discard corrupt and unsupported profiles', () => {
+            storage.setItem('spaceInvaders.controls', '{not json');
+            expect(store.load(keyBindings)).toBe(0);
+
+            storage.setItem('spaceInvaders.controls', JSON.stringify({
+                version: BINDING_PROFILE_VERSION + 1,
+                bindings: { shoot: { keys: ['KeyJ'], modifiers: [] } }
+            }));
+            expect(store.load(keyBindings)).toBe(0);
+            expect(keyBindings.getBindings().shoot.keys).toEqual(['Space', 'Enter']);
+            expect(console.warn).toHaveBeenCalledTimes(2);
+        });
+
+        test('should skip unknown actions and malformed entries', () => {
+            storage.setItem('spaceInvaders.controls', JSON.stringify({
+                version: BINDING_PROFILE_VERSION,
+                bindings: {
+                    teleport: { keys: ['KeyT'], modifiers: [] },
+                    shoot: { keys: [], modifiers: [] },
+                    pause: { keys: ['KeyQ'], modifiers: ['hyper'] },
+                    mute: { keys: ['KeyN', 'KeyN'], modifiers: [] }
+                }
+            }));
+
+            expect(store.load(keyBindings)).toBe(1);
+            expect(keyBindings.getBindings().mute.keys).toEqual(['KeyN']);
+            expect(keyBindings.getBindings().shoot.keys).toEqual(['Space', 'Enter']);
+            expect(keyBindings.getBindings().teleport).toBeUndefined();
+        });
+
+        test('should forget the profile on clear', () => {
+            store.save(keyBindings);
+            store.clear();
+
+            expect(storage.getItem('spaceInvaders.controls')).toBeNull();
+        });
+    });
+
+    describe('KeyBindings rebinding helpers', () => {
+        test('should capture the next key instead of triggering its action', () => {
+            const shoot = jest.fn();
+            const captured = jest.fn();
+            keyBindings.on('shoot', shoot);
+            keyBindings.captureNextKey(captured);
+
+            keyBindings.handleKeyDown(keyEvent('ControlLeft', { ctrlKey: true }));
+            expect(keyBindings.isCapturing()).toBe(true);
+
+            keyBindings.handleKeyDown(keyEvent('Space', { ctrlKey: true }));
+
+            expect(captured).toHaveBeenCalledWith({ key: 'Space', modifiers: ['ctrl'] });
+            expect(shoot).not.toHaveBeenCalled();
+            expect(keyBindings.isCapturing()).toBe(false);
+
+            keyBindings.handleKeyDown(keyEvent('Space'));
+            expect(shoot).toHaveBeenCalledTimes(1);
+        });
+
+        test('should drop a cancelled capture', () => {
+            const captured = jest.fn();
+            keyBindings.captureNextKey(captured);
+            keyBindings.cancelCapture();
+            keyBindings.handleKeyDown(keyEvent('KeyQ'));
+
+            expect(captured).not.toHaveBeenCalled();
+        });
+
+        test('should only report conflicts with the same modifiers', () => {
+            expect(keyBindings.findConflicts('KeyA')).toEqual(['moveLeft']);
+            expect(keyBindings.findConflicts('KeyA', [], 'moveLeft')).toEqual([]);
+            expect(keyBindings.findConflicts('KeyR')).toEqual([]);
+            expect(keyBindings.findConflicts('KeyR', ['ctrl'])).toEqual(['restart']);
+            expect(keyBindings.findConflicts('F12', ['shift'])).toEqual(['debug']);
+        });
+
+        test('should describe key combinations for display', () => {
+            expect(KeyBindings.describeKey('KeyR', ['ctrl'])).toBe('CTRL+R');
+            expect(KeyBindings.describeKey('ArrowLeft')).toBe('LEFT');
+            expect(KeyBindings.describeKey('Digit1', ['alt', 'shift'])).toBe('SHIFT+ALT+1');
+        });
+    });
+});
@@ -0,0 +1,280 @@
+/**
+ * Gamepad Input Test Suite
+ *
+ * Drives GamepadInput with fake pads from an injected provider:
+ * - Stick, d-pad and button mapping through the profiles
+ * - Dead zone handling
+ * - Hot-plugging and action release on disconnect
+ * - Forwarding to KeyBindings
+ * - Rumble
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { GamepadInput, GAMEPAD_PROFILES } = require('../../js/input/gamepad-input.js');
+const KeyBindings = require('../../js/input/key-bindings.js');
+
+describe('GamepadInput', () => {
+    /**
+     * Builds a Gamepad-shaped object
+     */
+    const createPad = ({ index = 0, id = 'Xbox Wireless Controller', mapping = 'standard', axes = [0, 0, 0, 0], pressed = [] } = {}) => ({
+        index,
+        id,
+        mapping,
+        connected: true,
+        axes,
+        buttons: Array.from({ length: 17 }, (_, button) => ({
+            pressed: pressed.includes(button),
+            value: pressed.includes(button) ? 1 : 0
+        }))
+    });
+
+    let pads;
+    let gamepad;
+
+    const createInput = (config = {}, options = {}) => new GamepadInput(config, {
+        provider: () => pads,
+        ...options
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        pads = [];
+        gamepad = createInput();
+    });
+
+    afterEach(() => {
+        gamepad.destroy();
+        jest.restoreAllMocks();
+    });
+
+    describe('Mapping', () => {
+        test('should map the d-pad and face buttons of a standard pad', () => {
+            pads = [createPad({ pressed: [14, 0] })];
+            gamepad.poll();
+
+            expect(gamepad.getMovementVector()).toEqual({ x: -1, y: 0 });
+            expect(gamepad.isShooting()).toBe(true);
+            expect(gamepad.isActionActive('pause')).toBe(false);
+
+            pads = [createPad({ pressed: [15, 13, 9] })];
+            gamepad.poll();
+
+            expect(gamepad.getMovementVector()).toEqual({ x: 1, y: 1 });
+            expect(gamepad.isShooting()).toBe(false);
+            expect(gamepad.isActionActive('pause')).toBe(true);
+        });
+
+        test('should ignore the stick inside the dead zone', () => {
+            pads = [createPad({ axes: [0.2, -0.1] })];
+            gamepad.poll();
+            expect(gamepad.getMovementVector()).toEqual({ x: 0, y: 0 });
+
+            pads = [createPad({ axes: [0.9, 0.1] })];
+            gamepad.poll();
+            expect(gamepad.getMovementVector()).toEqual({ x: 1, y: 0 });
+
+            pads = [createPad({ axes: [-0.6, -0.7] })];
+            gamepad.poll();
+            expect(gamepad.getMovementVector()).toEqual({ x: -1, y: -1 });
+        });
+
+        test('should report stick axes rescaled from the dead zone', () => {
+            pads = [createPad({ axes: [0.625, 0.1] })];
+            gamepad.poll();
+            expect(gamepad.getAxes()).toEqual({ x: 0.5, y: 0 });
+
+            pads = [createPad({ axes: [0.625, 0.1] }), createPad({ index: 1, axes: [-1, 0] })];
+            gamepad.poll();
+            expect(gamepad.getAxes()).toEqual({ x: -1, y: 0 });
+
+            gamepad.setEnabled(false);
+            expect(gamepad.getAxes()).toEqual({ x: 0, y: 0 });
+        });
+
+        test('should count analog buttons past the threshold', () => {
+            const pad = createPad();
+            pad.buttons[7] = { pressed: false, value: 0.4 };
+            pads = [pad];
+            gamepad.poll();
+            expect(gamepad.isShooting()).toBe(false);
+
+            pad.buttons[7] = { pressed: false, value: 0.6 };
+            gamepad.poll();
+            expect(gamepad.isShooting()).toBe(true);
+        });
+
+        test('should pick configured profiles by id before the fallbacks', () => {
+            gamepad = createInput({
+                profiles: [{ match: /arcade stick/i, buttons: { shoot: [5] }, axes: { x: 2, y: 3 }, deadZone: 0.5 }]
+            });
+
+            expect(gamepad.getProfileFor(createPad())).toBe(GAMEPAD_PROFILES.standard);
+            expect(gamepad.getProfileFor(createPad({ id: 'USB Joystick', mapping: '' }))).toBe(GAMEPAD_PROFILES.generic);
+
+            pads = [createPad({ id: 'Retro Arcade Stick', mapping: '', axes: [1, 0, 0.4, 0], pressed: [5] })];
+            gamepad.poll();
+
+            expect(gamepad.getConnectedGamepads()).toEqual([{ index: 0, id: 'Retro Arcade Stick', profile: 'Retro Arcade Stick' }]);
+            expect(gamepad.isShooting()).toBe(true);
+            expect(gamepad.getMovementVector()).toEqual({ x: 0, y: 0 });
+        });
+
+        test('should validate its configuration', () => {
+            expect(() => new GamepadInput({ deadZone: 1 })).toThrow('deadZone');
+            expect(() => new GamepadInput({ buttonThreshold: 0 })).toThrow('buttonThreshold');
+            expect(() => new GamepadInput({ profiles: [{ buttons: {} }] })).toThrow('match');
+            expect(() => new GamepadInput({ profiles: [{ match: 'Pad' }] })).toThrow('maps no buttons');
+        });
+    });
+
+    describe('Hot-plugging', () => {
+        test('should connect and disconnect pads as polls see them', () => {
+            const connected = jest.fn();
+            const disconnected = jest.fn();
+            gamepad.addEventListener('connected', connected);
+            gamepad.addEventListener('disconnected', disconnected);
+
+            pads = [null, createPad({ index: 1, pressed: [0] })];
+            gamepad.poll();
+            gamepad.poll();
+
+            expect(connected).toHaveBeenCalledTimes(1);
+            expect(connected).toHaveBeenCalledWith({ index: 1, id: 'Xbox Wireless Controller', profile: 'standard' });
+            expect(gamepad.isShooting()).toBe(true);
+
+            pads = [null, null];
+            gamepad.poll();
+
+            expect(disconnected).toHaveBeenCalledWith({ index: 1, id: 'Xbox Wireless Controller' });
+            expect(gamepad.isShooting()).toBe(false);
+            expect(gamepad.getConnectedGamepads()).toEqual([]);
+        });
+
+        test('should treat a different pad in the same slot as a new controller', () => {
+            const connected = jest.fn();
+            gamepad.addEventListener('connected', connected);
+
+            pads = [createPad()];
+            gamepad.poll();
+            pads = [createPad({ id: 'DualSense Wireless Controller' })];
+            gamepad.poll();
+
+            expect(connected).toHaveBeenCalledTimes(2);
+            expect(gamepad.getConnectedGamepads()[0].id).toBe('DualSense Wireless Controller');
+        });
+
+        test('should merge every connected pad', () => {
+            pads = [createPad({ pressed: [14] }), createPad({ index: 1, id: 'Second', pressed: [0] })];
+            gamepad.poll();
+
+            expect(gamepad.getMovementVector()).toEqual({ x: -1, y: 0 });
+            expect(gamepad.isShooting()).toBe(true);
+        });
+
+        test('should do nothing without a provider or when the provider fails', () => {
+            const idle = new GamepadInput({}, { provider: null });
+            expect(() => idle.poll()).not.toThrow();
+
+            const broken = new GamepadInput({}, { provider: () => { throw new Error('blocked'); } });
+            expect(() => broken.poll()).not.toThrow();
+            expect(console.warn).toHaveBeenCalledWith('[GamepadInput] Failed to read gamepads:', 'blocked');
+        });
+    });
+
+    describe('Actions', () => {
+        let keyBindings;
+
+        beforeEach(() => {
+            keyBindings = new KeyBindings({ target: new EventTarget() });
+            gamepad = createInput({}, { keyBindings });
+        });
+
+        afterEach(() => {
+            keyBindings.destroy();
+        });
+
+        test('should forward presses and releases to key bindings', () => {
+            const pause = jest.fn();
+            keyBindings.on('pause', pause);
+
+            pads = [createPad({ pressed: [9] })];
+            gamepad.poll();
+            gamepad.poll();
+
+            expect(pause).toHaveBeenCalledTimes(1);
+            expect(pause.mock.calls[0][0]).toMatchObject({ action: 'pause', key: 'Gamepad0', pressed: true });
+            expect(keyBindings.isActionActive('pause')).toBe(true);
+
+            pads = [createPad()];
+            gamepad.poll();
+
+            expect(pause).toHaveBeenCalledTimes(2);
+            expect(pause.mock.calls[1][0]).toMatchObject({ action: 'pause', pressed: false });
+            expect(keyBindings.isActionActive('pause')).toBe(false);
+        });
+
+        test('should press one button while another is held', () => {
+            const pause = jest.fn();
+            keyBindings.on('pause', pause);
+
+            pads = [createPad({ pressed: [0] })];
+            gamepad.poll();
+            pads = [createPad({ pressed: [0, 9] })];
+            gamepad.poll();
+
+            expect(pause).toHaveBeenCalledWith(expect.objectContaining({ pressed: true }));
+
+            pads = [createPad({ pressed: [0] })];
+            gamepad.poll();
+
+            expect(keyBindings.isActionActive('shoot')).toBe(true);
+            expect(keyBindings.isActionActive('pause')).toBe(false);
+        });
+
+        test('should release everything when disabled', () => {
+            const shoot = jest.fn();
+            keyBindings.on('shoot', shoot);
+
+            pads = [createPad({ pressed: [0] })];
+            gamepad.poll();
+            gamepad.setEnabled(false);
+            gamepad.poll();
+
+            expect(gamepad.isShooting()).toBe(false);
+            expect(shoot).toHaveBeenLastCalledWith(expect.objectContaining({ pressed: false }));
+        });
+    });
+
+    describe('Rumble', () => {
+        test('should shake pads through whichever actuator they have', () => {
+            const playEffect = jest.fn(() => Promise.resolve('complete'));
+            const pulse = jest.fn(() => Promise.resolve(true));
+            const dual = createPad();
+            dual.vibrationActuator = { type: 'dual-rumble', playEffect };
+            const haptic = createPad({ index: 1, id: 'Older pad' });
+            haptic.hapticActuators = [{ pulse }];
+            pads = [dual, haptic, createPad({ index: 2, id: 'No motors' })];
+            gamepad.poll();
+
+            expect(gamepad.rumble({ duration: 150 })).toBe(2);
+            expect(playEffect).toHaveBeenCalledWith('dual-rumble', { duration: 150, strongMagnitude: 0.8, weakMagnitude: 0.4 });
+            expect(pulse).toHaveBeenCalledWith(0.8, 150);
+        });
+
+        test('should not rumble while disabled', () => {
+            const playEffect = jest.fn();
+            const pad = createPad();
+            pad.vibrationActuator = { playEffect };
+            pads = [pad];
+            gamepad.poll();
+            gamepad.setEnabled(false);
+
+            expect(gamepad.rumble()).toBe(0);
+            expect(playEffect).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * Input Context Test Suite
+ *
+ * Covers contexts stacked on a real KeyBindings table:
+ * - Context validation and the built-in action maps
+ * - Consuming mapped events and passing the rest through
+ * - Device actions translated through each binding's sources
+ * - Held keys resolved against the stack as it is now
+ * - Pushing and popping in any order
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { InputContext, InputContextName, DEFAULT_INPUT_CONTEXTS } = require('../../js/input/input-context.js');
+const KeyBindings = require('../../js/input/key-bindings.js');
+
+describe('InputContext', () => {
+    let keyBindings;
+    let fired;
+
+    const keyEvent = (code, modifiers = {}) => ({
+        code,
+        ctrlKey: false,
+        shiftKey: false,
+        altKey: false,
+        metaKey: false,
+        ...modifiers,
+        preventDefault: jest.fn()
+    });
+
+    const tap = (code, modifiers) => {
+        keyBindings.handleKeyDown(keyEvent(code, modifiers));
+        keyBindings.handleKeyUp(keyEvent(code));
+    };
+
+    /**
+     * Records every press of the given actions, in order
+     */
+    const listen = (...actions) => {
+        for (const action of actions) {
+            keyBindings.on(action, (event) => {
+                if (event.pressed) fired.push(action);
+            });
+        }
+    };
+
+    beforeEach(() => {
+        keyBindings = new KeyBindings({
+            target: new EventTarget(),
+            bindings: { shoot: { ...KeyBindings.DEFAULT_BINDINGS.shoot, cooldown: 0 } }
+        });
+        fired = [];
+    });
+
+    afterEach(() => {
+        keyBindings.destroy();
+    });
+
+    describe('Validation', () => {
+        test('should require a name', () => {
+            expect(() => new InputContext('')).toThrow('name');
+        });
+
+        test('should reject a passThrough that is not a boolean or a list', () => {
+            expect(() => new InputContext('custom', { passThrough: 'pause' })).toThrow('passThrough');
+        });
+
+        test('should reject bindings without keys or sources', () => {
+            expect(() => new InputContext('custom', { bindings: { open: {} } })).toThrow('needs keys or sources');
+            expect(() => new InputContext('custom', { bindings: { open: { keys: [''] } } })).toThrow('Invalid binding');
+            expect(() => new InputContext('custom', { bindings: { open: { keys: ['KeyO'], cooldown: -1 } } }))
+                .toThrow('Invalid cooldown');
+        });
+
+        test('should fill in binding defaults', () => {
+            const context = new InputContext('custom', { bindings: { open: { keys: ['KeyO'] } } });
+
+            expect(context.consume).toBe(true);
+            expect(context.passThrough).toBe(true);
+            expect(context.bindings.open).toEqual({
+                action: 'open', keys: ['KeyO'], modifiers: [], sources: [], repeatable: false, cooldown: 0
+            });
+        });
+
+        test('should build every built-in context and refuse unknown names', () => {
+            for (const name of Object.keys(DEFAULT_INPUT_CONTEXTS)) {
+                expect(InputContext.create(name).name).toBe(name);
+            }
+            expect(() => InputContext.create(InputContextName.GAMEPLAY)).toThrow('Unknown input context');
+        });
+
+        test('should refuse to push a context without bindings', () => {
+            expect(() => keyBindings.pushContext({ name: 'broken' })).toThrow('name and bindings');
+        });
+    });
+
+    describe('Resolution', () => {
+        test('should consume mapped keys and pass the listed actions through', () => {
+            listen('shoot', 'pause', 'mute', 'menuSelect', 'menuBack');
+            keyBindings.pushContext(InputContext.create(InputContextName.MENU));
+
+            tap('Space');
+            tap('Escape');
+            tap('KeyP');
+            tap('KeyM');
+
+            expect(fired).toEqual(['menuSelect', 'menuBack', 'pause', 'mute']);
+        });
+
+        test('should block unmapped keys when passThrough is false', () => {
+            listen('mute', 'moveLeft', 'cursorLeft');
+            keyBindings.pushContext(InputContext.create(InputContextName.TEXT_ENTRY));
+
+            tap('KeyM');
+            tap('KeyA');
+
+            expect(fired).toEqual(['cursorLeft']);
+        });
+
+        test('should let mapped keys reach lower contexts when not consuming', () => {
+            listen('shoot', 'flash');
+            keyBindings.pushContext(new InputContext('overlay', {
+                bindings: { flash: { keys: ['Space'] } },
+                consume: false
+            }));
+
+            tap('Space');
+
+            expect(fired).toEqual(['flash', 'shoot']);
+        });
+
+        test('should translate device actions through binding sources', () => {
+            listen('shoot', 'pause', 'menuSelect', 'menuBack');
+            keyBindings.pushContext(InputContext.create(InputContextName.MENU));
+
+            expect(keyBindings.triggerAction('shoot', 'Gamepad0', true)).toBe(true);
+            keyBindings.triggerAction('shoot', 'Gamepad0', false);
+            keyBindings.triggerAction('pause', 'Gamepad0', true);
+
+            expect(fired).toEqual(['menuSelect', 'menuBack']);
+        });
+
+        test('should not report a device action the top context swallows', () => {
+            listen('mute');
+            keyBindings.pushContext(InputContext.create(InputContextName.TEXT_ENTRY));
+
+            expect(keyBindings.triggerAction('mute', 'Touch', true)).toBe(false);
+            expect(fired).toEqual([]);
+        });
+
+        test('should resolve held keys against the current stack', () => {
+            keyBindings.handleKeyDown(keyEvent('Space'));
+            expect(keyBindings.isActionActive('shoot')).toBe(true);
+
+            const menu = keyBindings.pushContext(InputContext.create(InputContextName.MENU));
+            expect(keyBindings.isActionActive('shoot')).toBe(false);
+            expect(keyBindings.isActionActive('menuSelect')).toBe(true);
+
+            keyBindings.popContext(menu);
+            expect(keyBindings.isActionActive('shoot')).toBe(true);
+            expect(keyBindings.isActionActive('menuSelect')).toBe(false);
+        });
+    });
+
+    describe('Stack', () => {
+        test('should list contexts topmost first above the gameplay table', () => {
+            const menu = keyBindings.pushContext(InputContext.create(InputContextName.MENU));
+            keyBindings.pushContext(InputContext.create(InputContextName.DEBUG));
+
+            expect(keyBindings.getActiveContexts()).toEqual(['debug', 'menu', KeyBindings.BASE_CONTEXT]);
+
+            expect(keyBindings.popContext(menu)).toBe(true);
+            expect(keyBindings.popContext(menu)).toBe(false);
+            expect(keyBindings.getActiveContexts()).toEqual(['debug', KeyBindings.BASE_CONTEXT]);
+        });
+
+        test('should let the top context win a key both map', () => {
+            listen('menuBack', 'debugClose');
+            keyBindings.pushContext(InputContext.create(InputContextName.MENU));
+            const debug = keyBindings.pushContext(InputContext.create(InputContextName.DEBUG));
+
+            tap('Escape');
+            keyBindings.popContext(debug);
+            tap('Escape');
+
+            expect(fired).toEqual(['debugClose', 'menuBack']);
+        });
+
+        test('should behave like the plain table with nothing pushed', () => {
+            listen('shoot', 'restart');
+
+            tap('Enter');
+            tap('KeyR', { ctrlKey: true });
+
+            expect(fired).toEqual(['shoot', 'restart']);
+        });
+    });
+});
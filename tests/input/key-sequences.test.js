@@ -0,0 +1,250 @@
+/**
+ * Key Sequences Test Suite
+ *
+ * Covers sequence bindings on a real KeyBindings table:
+ * - Validation in the binding config format
+ * - Double taps with a per-step window
+ * - Charge and release with a minimum hold
+ * - Cheat codes across keys and devices
+ * - Cooldowns, key repeats and reusing events
+ * - Sequences left out of saved profiles and conflict checks
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const KeyBindings = require('../../js/input/key-bindings.js');
+const { BindingStore } = require('../../js/input/binding-store.js');
+
+describe('KeyBindings sequences', () => {
+    let keyBindings;
+    let fired;
+    let now;
+
+    const keyEvent = (code, options = {}) => ({
+        code,
+        ctrlKey: false,
+        shiftKey: false,
+        altKey: false,
+        metaKey: false,
+        ...options,
+        preventDefault: jest.fn()
+    });
+
+    const wait = (ms) => {
+        now += ms;
+    };
+
+    const press = code => keyBindings.handleKeyDown(keyEvent(code));
+    const release = code => keyBindings.handleKeyUp(keyEvent(code));
+    const tap = (code) => {
+        press(code);
+        release(code);
+    };
+
+    const DASH = {
+        action: 'dash',
+        sequence: ['moveRight', { action: 'moveRight', maxDelay: 250 }]
+    };
+
+    const CHARGE = {
+        action: 'chargeShot',
+        sequence: ['shoot', { action: 'shoot', pressed: false, minDelay: 600, maxDelay: 3000 }]
+    };
+
+    const CHEAT = {
+        action: 'cheat',
+        sequence: ['moveUp', 'moveUp', 'moveDown', 'moveDown', 'moveLeft', 'moveRight', 'moveLeft', 'moveRight'],
+        cooldown: 0
+    };
+
+    const create = (bindings) => {
+        keyBindings = new KeyBindings({ target: new EventTarget(), bindings });
+        fired = [];
+        for (const action of Object.keys(bindings)) {
+            keyBindings.on(action, event => fired.push({ action, pressed: event.pressed, sequence: event.sequence }));
+        }
+    };
+
+    beforeEach(() => {
+        now = 10000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        keyBindings.destroy();
+        jest.restoreAllMocks();
+    });
+
+    describe('Validation', () => {
+        beforeEach(() => create({}));
+
+        test('should accept sequences in place of keys', () => {
+            expect(() => keyBindings.updateBinding('dash', DASH)).not.toThrow();
+            expect(keyBindings.getBindings().dash.sequence).toEqual(DASH.sequence);
+        });
+
+        test('should reject malformed sequences', () => {
+            const invalid = [
+                { action: 'x', sequence: ['moveRight'] },
+                { action: 'x', sequence: ['moveRight', ''] },
+                { action: 'x', sequence: ['moveRight', { action: 'moveRight', maxDelay: -1 }] },
+                { action: 'x', sequence: ['shoot', { action: 'shoot', minDelay: 500, maxDelay: 100 }] },
+                { action: 'x', sequence: ['shoot', { action: 'shoot', pressed: 'no' }] },
+                { action: 'x', keys: ['KeyX'], sequence: ['shoot', 'shoot'] }
+            ];
+
+            for (const binding of invalid) {
+                expect(() => keyBindings.updateBinding('x', binding)).toThrow('Invalid binding');
+            }
+        });
+    });
+
+    describe('Matching', () => {
+        test('should fire a double tap inside the step window only', () => {
+            create({ dash: DASH });
+
+            tap('KeyD');
+            wait(200);
+            tap('KeyD');
+            expect(fired).toEqual([{ action: 'dash', pressed: true, sequence: true }]);
+
+            wait(1000);
+            tap('ArrowRight');
+            wait(300);
+            tap('ArrowRight');
+            expect(fired).toHaveLength(1);
+        });
+
+        test('should not reuse the taps of a completed sequence', () => {
+            create({ dash: DASH });
+
+            for (let i = 0; i < 4; i++) {
+                tap('KeyD');
+                wait(100);
+            }
+
+            expect(fired).toHaveLength(2);
+        });
+
+        test('should ignore key repeats and other actions between steps', () => {
+            create({ dash: DASH });
+
+            press('KeyD');
+            wait(30);
+            keyBindings.handleKeyDown(keyEvent('KeyD', { repeat: true }));
+            expect(fired).toHaveLength(0);
+
+            release('KeyD');
+            tap('Space');
+            wait(100);
+            tap('KeyD');
+            expect(fired).toHaveLength(1);
+        });
+
+        test('should fire a charged shot on release after the minimum hold', () => {
+            create({ chargeShot: CHARGE });
+
+            press('Space');
+            wait(300);
+            release('Space');
+            expect(fired).toHaveLength(0);
+
+            press('Space');
+            for (let held = 0; held < 700; held += 35) {
+                wait(35);
+                keyBindings.handleKeyDown(keyEvent('Space', { repeat: true }));
+            }
+            release('Space');
+
+            expect(fired).toEqual([{ action: 'chargeShot', pressed: true, sequence: true }]);
+        });
+
+        test('should give a step with only a minimum hold the usual window after it', () => {
+            create({ chargeShot: { action: 'chargeShot', sequence: ['shoot', { action: 'shoot', pressed: false, minDelay: 600 }] } });
+
+            press('Space');
+            wait(850);
+            release('Space');
+            expect(fired).toHaveLength(1);
+
+            press('Space');
+            wait(950);
+            release('Space');
+            expect(fired).toHaveLength(1);
+        });
+
+        test('should break a code on a wrong step', () => {
+            create({ cheat: CHEAT });
+            const enter = codes => codes.forEach((code) => {
+                tap(code);
+                wait(100);
+            });
+
+            enter(['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowUp', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight']);
+            expect(fired).toHaveLength(0);
+
+            enter(['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight']);
+            expect(fired).toHaveLength(1);
+        });
+
+        test('should keep a long code in the buffer past the usual window', () => {
+            create({ cheat: CHEAT });
+
+            for (const code of ['KeyW', 'KeyW', 'KeyS', 'KeyS', 'KeyA', 'KeyD', 'KeyA', 'KeyD']) {
+                tap(code);
+                wait(250);
+                keyBindings.cleanupBuffer();
+            }
+
+            expect(fired).toHaveLength(1);
+        });
+
+        test('should match steps reported by devices', () => {
+            create({ dash: DASH });
+
+            keyBindings.triggerAction('moveRight', 'Gamepad0', true);
+            keyBindings.triggerAction('moveRight', 'Gamepad0', false);
+            wait(150);
+            tap('KeyD');
+
+            expect(fired).toHaveLength(1);
+        });
+
+        test('should honour the binding cooldown', () => {
+            create({ dash: { ...DASH, cooldown: 1000 } });
+
+            for (let i = 0; i < 4; i++) {
+                tap('KeyD');
+                wait(100);
+            }
+            expect(fired).toHaveLength(1);
+
+            wait(1000);
+            tap('KeyD');
+            wait(100);
+            tap('KeyD');
+            expect(fired).toHaveLength(2);
+        });
+
+        test('should not match while buffering is off', () => {
+            keyBindings = new KeyBindings({ target: new EventTarget(), bindings: { dash: DASH }, enableBuffering: false });
+            const listener = jest.fn();
+            keyBindings.on('dash', listener);
+
+            tap('KeyD');
+            tap('KeyD');
+
+            expect(listener).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Rebinding', () => {
+        test('should leave sequences out of conflicts and saved profiles', () => {
+            create({ dash: DASH });
+
+            expect(keyBindings.findConflicts('KeyD')).toEqual(['moveRight']);
+            expect(new BindingStore().createProfile(keyBindings).bindings.dash).toBeUndefined();
+        });
+    });
+});
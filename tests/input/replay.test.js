@@ -0,0 +1,210 @@
+/**
+ * Replay Test Suite
+ *
+ * Covers input recording and deterministic playback:
+ * - Action bit encoding
+ * - Run-length encoded recording and the file format
+ * - Playback speed, pause and single-tick stepping
+ * - Checksum checkpoints and desync reporting
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const {
+    ReplayRecorder,
+    ReplayPlayer,
+    ReplayAction,
+    encodeActions,
+    decodeActions,
+    checksumValues,
+    parseReplay
+} = require('../../js/input/replay.js');
+
+describe('Replay', () => {
+    const record = (ticks, options = {}) => {
+        const recorder = new ReplayRecorder({ seed: 42, config: { tickRate: 60 } }, options);
+        ticks.forEach((bits, index) => {
+            recorder.record(bits);
+            recorder.checkpoint(() => index);
+        });
+        return recorder;
+    };
+
+    const playAll = (player) => {
+        const ticks = [];
+        while (!player.isFinished()) {
+            ticks.push(player.next());
+        }
+        return ticks;
+    };
+
+    describe('Action encoding', () => {
+        test('should round-trip movement and fire', () => {
+            const bits = encodeActions({ x: -1, y: 1, shoot: true });
+
+            expect(bits).toBe(ReplayAction.LEFT | ReplayAction.DOWN | ReplayAction.SHOOT);
+            expect(decodeActions(bits)).toEqual({ x: -1, y: 1, shoot: true, nextWeapon: false });
+            expect(decodeActions(encodeActions())).toEqual({ x: 0, y: 0, shoot: false, nextWeapon: false });
+        });
+
+        test('should keep the weapon switch clear of the axis magnitudes', () => {
+            const bits = encodeActions({ x: 0.5, y: -0.25, nextWeapon: true });
+
+            expect(bits & ReplayAction.NEXT_WEAPON).toBeTruthy();
+            expect(decodeActions(bits)).toEqual({ x: 0.5, y: -0.25, shoot: false, nextWeapon: true });
+        });
+
+        test('should cancel opposite directions', () => {
+            expect(decodeActions(ReplayAction.LEFT | ReplayAction.RIGHT).x).toBe(0);
+        });
+    });
+
+    describe('Recording', () => {
+        test('should run-length encode repeated actions', () => {
+            const recorder = record([0, 0, 0, 16, 16, 2]);
+
+            expect(recorder.toJSON().input).toEqual([0, 3, 16, 2, 2, 1]);
+            expect(recorder.getTickCount()).toBe(6);
+        });
+
+        test('should checksum every N ticks', () => {
+            const recorder = record(new Array(7).fill(0), { checksumInterval: 3 });
+
+            expect(recorder.toJSON().checksums).toEqual([2, 5]);
+        });
+
+        test('should round-trip through the file format', () => {
+            const recorder = record([1, 1, 16, 0], { checksumInterval: 2 });
+
+            const replay = parseReplay(recorder.serialize());
+
+            expect(replay).toEqual(recorder.toJSON());
+            expect(playAll(new ReplayPlayer(replay))).toEqual([1, 1, 16, 0]);
+        });
+
+        test('should reject malformed replays', () => {
+            const valid = record([0]).toJSON();
+
+            expect(() => parseReplay('{')).toThrow('Invalid replay');
+            expect(() => parseReplay({ ...valid, version: 99 })).toThrow('version');
+            expect(() => parseReplay({ ...valid, seed: -1 })).toThrow('seed');
+            expect(() => parseReplay({ ...valid, input: [1] })).toThrow('pairs');
+            expect(() => parseReplay({ ...valid, ticks: 5 })).toThrow('ticks');
+            expect(() => new ReplayRecorder({ seed: 1 }, { checksumInterval: 0 })).toThrow('checksumInterval');
+        });
+    });
+
+    describe('Playback controls', () => {
+        test('should run as many ticks per update as the speed', () => {
+            const player = new ReplayPlayer(record(new Array(10).fill(0)).toJSON());
+
+            expect(player.takeTicks()).toBe(1);
+            player.setSpeed(4);
+            expect(player.takeTicks()).toBe(4);
+            expect(() => player.setSpeed(3)).toThrow('speed');
+        });
+
+        test('should cycle through the speeds and wrap around', () => {
+            const player = new ReplayPlayer(record([0]).toJSON());
+
+            expect(player.cycleSpeed()).toBe(2);
+            expect(player.cycleSpeed()).toBe(4);
+            expect(player.cycleSpeed()).toBe(1);
+        });
+
+        test('should never run past the end of the recording', () => {
+            const player = new ReplayPlayer(record([0, 0, 0]).toJSON());
+            player.setSpeed(4);
+
+            expect(player.takeTicks()).toBe(3);
+            playAll(player);
+            expect(player.takeTicks()).toBe(0);
+            expect(player.next()).toBe(0);
+        });
+
+        test('should hold while paused and advance single steps', () => {
+            const player = new ReplayPlayer(record(new Array(10).fill(0)).toJSON());
+            player.setSpeed(2);
+
+            player.pause();
+            expect(player.takeTicks()).toBe(0);
+
+            player.step();
+            player.step();
+            expect(player.takeTicks()).toBe(2);
+            expect(player.takeTicks()).toBe(0);
+
+            player.resume();
+            expect(player.takeTicks()).toBe(2);
+        });
+
+        test('should pause when stepping during playback', () => {
+            const player = new ReplayPlayer(record([0, 0]).toJSON());
+
+            player.step();
+
+            expect(player.isPaused()).toBe(true);
+            expect(player.takeTicks()).toBe(1);
+        });
+
+        test('should finish when stopped', () => {
+            const player = new ReplayPlayer(record([0, 0]).toJSON());
+
+            player.stop();
+
+            expect(player.isFinished()).toBe(true);
+            expect(player.takeTicks()).toBe(0);
+        });
+    });
+
+    describe('Desync detection', () => {
+        test('should accept matching checksums', () => {
+            const player = new ReplayPlayer(record(new Array(6).fill(0), { checksumInterval: 3 }).toJSON());
+            const results = [];
+
+            for (let tick = 0; tick < 6; tick++) {
+                player.next();
+                results.push(player.checkpoint(() => tick));
+            }
+
+            expect(results.every(Boolean)).toBe(true);
+            expect(player.getDesync()).toBeNull();
+        });
+
+        test('should report the first mismatch once', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const onDesync = jest.fn();
+            const player = new ReplayPlayer(record(new Array(6).fill(0), { checksumInterval: 2 }).toJSON(), { onDesync });
+            const results = [];
+
+            for (let tick = 0; tick < 6; tick++) {
+                player.next();
+                results.push(player.checkpoint(() => -1));
+            }
+
+            expect(results).toEqual([true, false, true, false, true, false]);
+            expect(onDesync).toHaveBeenCalledTimes(1);
+            expect(player.getDesync()).toEqual({ tick: 2, expected: 1, actual: -1 });
+            console.warn.mockRestore();
+        });
+
+        test('should only compute checksums at checkpoints', () => {
+            const player = new ReplayPlayer(record(new Array(4).fill(0), { checksumInterval: 4 }).toJSON());
+            const compute = jest.fn(() => 3);
+
+            for (let tick = 0; tick < 4; tick++) {
+                player.next();
+                player.checkpoint(compute);
+            }
+
+            expect(compute).toHaveBeenCalledTimes(1);
+        });
+
+        test('should hash state values stably', () => {
+            expect(checksumValues([1, 2.5, true])).toBe(checksumValues([1, 2.5, true]));
+            expect(checksumValues([1, 2.5])).not.toBe(checksumValues([2.5, 1]));
+            expect(checksumValues([0.1 + 0.2])).toBe(checksumValues([0.3]));
+        });
+    });
+});
@@ -0,0 +1,207 @@
+/**
+ * Touch Controls Test Suite
+ *
+ * Drives TouchControls with fake touch events:
+ * - Stick placement, dragging and dead zone
+ * - Fire held and auto-fire toggled
+ * - Pause button and multi-touch tracking by identifier
+ * - Left- and right-handed layouts and canvas scaling
+ * - Forwarding to KeyBindings
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { TouchControls, TouchHand } = require('../../js/input/touch-controls.js');
+const KeyBindings = require('../../js/input/key-bindings.js');
+
+describe('TouchControls', () => {
+    let controls;
+
+    const touch = (identifier, clientX, clientY) => ({ identifier, clientX, clientY });
+    const event = (...changedTouches) => ({ changedTouches, preventDefault: jest.fn() });
+
+    const start = (...touches) => controls.handleTouchStart(event(...touches));
+    const move = (...touches) => controls.handleTouchMove(event(...touches));
+    const end = (...touches) => controls.handleTouchEnd(event(...touches));
+
+    beforeEach(() => {
+        controls = new TouchControls();
+    });
+
+    afterEach(() => {
+        controls.destroy();
+    });
+
+    describe('Stick', () => {
+        test('should appear under the thumb and steer as it is dragged', () => {
+            start(touch(1, 150, 400));
+
+            expect(controls.stick).toMatchObject({ x: 150, y: 400 });
+            expect(controls.getMovementVector()).toEqual({ x: 0, y: 0 });
+
+            move(touch(1, 110, 400));
+            expect(controls.getMovementVector()).toEqual({ x: -1, y: 0 });
+
+            // Far drags are clamped to the rim
+            move(touch(1, 400, 520));
+            expect(controls.getMovementVector()).toEqual({ x: 1, y: 1 });
+            expect(Math.hypot(controls.stick.knobX, controls.stick.knobY)).toBeCloseTo(60);
+
+            end(touch(1, 400, 520));
+            expect(controls.stick).toBeNull();
+            expect(controls.getMovementVector()).toEqual({ x: 0, y: 0 });
+        });
+
+        test('should ignore drags inside the dead zone', () => {
+            start(touch(1, 150, 400));
+            move(touch(1, 165, 390));
+
+            expect(controls.getMovementVector()).toEqual({ x: 0, y: 0 });
+        });
+
+        test('should report how far the knob is pushed past the dead zone', () => {
+            start(touch(1, 150, 400));
+            move(touch(1, 111, 400));
+
+            expect(controls.getAxes()).toEqual({ x: -0.5, y: 0 });
+
+            move(touch(1, 150, 500));
+            expect(controls.getAxes()).toEqual({ x: 0, y: 1 });
+
+            end(touch(1, 150, 500));
+            expect(controls.getAxes()).toEqual({ x: 0, y: 0 });
+        });
+
+        test('should keep the stick base on screen', () => {
+            start(touch(1, 5, 595));
+
+            expect(controls.stick).toMatchObject({ x: 60, y: 540 });
+        });
+    });
+
+    describe('Buttons', () => {
+        test('should fire while the fire side is held', () => {
+            start(touch(1, 700, 500));
+            expect(controls.isShooting()).toBe(true);
+
+            end(touch(1, 700, 500));
+            expect(controls.isShooting()).toBe(false);
+        });
+
+        test('should toggle continuous fire with taps in auto-fire mode', () => {
+            controls.setAutoFire(true);
+
+            start(touch(1, 700, 500));
+            end(touch(1, 700, 500));
+            expect(controls.isShooting()).toBe(true);
+
+            start(touch(2, 700, 500));
+            end(touch(2, 700, 500));
+            expect(controls.isShooting()).toBe(false);
+        });
+
+        test('should press pause from the corner button', () => {
+            start(touch(1, 750, 40));
+
+            expect(controls.isActionActive('pause')).toBe(true);
+            expect(controls.isShooting()).toBe(false);
+        });
+
+        test('should track fingers independently by identifier', () => {
+            start(touch(1, 150, 400), touch(2, 700, 500));
+            move(touch(1, 80, 400));
+
+            expect(controls.getMovementVector()).toEqual({ x: -1, y: 0 });
+            expect(controls.isShooting()).toBe(true);
+
+            // A second thumb on the stick side does not steal the stick
+            start(touch(3, 300, 300));
+            end(touch(3, 300, 300));
+            expect(controls.getMovementVector()).toEqual({ x: -1, y: 0 });
+
+            end(touch(2, 700, 500));
+            expect(controls.isShooting()).toBe(false);
+            expect(controls.getMovementVector()).toEqual({ x: -1, y: 0 });
+        });
+    });
+
+    describe('Layout', () => {
+        test('should mirror the controls for left-handed players', () => {
+            expect(controls.getLayout().fire.x).toBe(732);
+
+            controls.setHandedness(TouchHand.LEFT);
+            const layout = controls.getLayout();
+
+            expect(layout.stick.x).toBe(716);
+            expect(layout.fire.x).toBe(68);
+            expect(layout.pause.x).toBe(24);
+
+            start(touch(1, 100, 500));
+            expect(controls.isShooting()).toBe(true);
+            expect(() => controls.setHandedness('both')).toThrow('Unknown handedness');
+        });
+
+        test('should map client coordinates onto the canvas', () => {
+            const element = new EventTarget();
+            element.getBoundingClientRect = () => ({ left: 100, top: 50, width: 400, height: 300 });
+            controls = new TouchControls({}, { element });
+
+            element.dispatchEvent(Object.assign(new Event('touchstart'), { changedTouches: [touch(1, 150, 250)] }));
+
+            expect(controls.stick).toMatchObject({ x: 100, y: 400 });
+            expect(controls.visible).toBe(true);
+        });
+
+        test('should stay hidden until the first touch', () => {
+            const ctx = { save: jest.fn() };
+            controls.render(ctx);
+            expect(ctx.save).not.toHaveBeenCalled();
+        });
+
+        test('should validate its configuration', () => {
+            expect(() => new TouchControls({ handedness: 'both' })).toThrow('Unknown handedness');
+            expect(() => new TouchControls({ stickRadius: 0 })).toThrow('stickRadius');
+            expect(() => new TouchControls({ deadZone: 1 })).toThrow('deadZone');
+        });
+    });
+
+    describe('Actions', () => {
+        let keyBindings;
+
+        beforeEach(() => {
+            keyBindings = new KeyBindings({ target: new EventTarget() });
+            controls = new TouchControls({}, { keyBindings });
+        });
+
+        afterEach(() => {
+            keyBindings.destroy();
+        });
+
+        test('should forward presses and releases to key bindings', () => {
+            const moveLeft = jest.fn();
+            keyBindings.on('moveLeft', moveLeft);
+
+            start(touch(1, 150, 400));
+            move(touch(1, 80, 400));
+            move(touch(1, 70, 400));
+            end(touch(1, 70, 400));
+
+            expect(moveLeft.mock.calls.map(([inputEvent]) => [inputEvent.key, inputEvent.pressed]))
+                .toEqual([['Touch', true], ['Touch', false]]);
+        });
+
+        test('should release everything and ignore touches when disabled', () => {
+            const shoot = jest.fn();
+            keyBindings.on('shoot', shoot);
+
+            start(touch(1, 700, 500));
+            controls.setEnabled(false);
+            start(touch(2, 700, 500));
+
+            expect(controls.isShooting()).toBe(false);
+            expect(shoot).toHaveBeenCalledTimes(2);
+            expect(shoot).toHaveBeenLastCalledWith(expect.objectContaining({ pressed: false }));
+        });
+    });
+});
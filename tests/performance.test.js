@@ -24,6 +24,8 @@
  * @since 2025
  */
 
+const { SpatialHash, CollisionLayer } = require('../js/core/spatial-hash.js');
+
 /**
  * Performance monitoring utilities for game loop testing
  */
@@ -768,6 +770,143 @@ describe('Performance Monitor Integration', () => {
     });
 });
 
+/**
+ * Collision broad phase benchmarks
+ */
+describe('Spatial Hash Collision Benchmarks', () => {
+    const FIELD_WIDTH = 800;
+    const FIELD_HEIGHT = 600;
+
+    // Captured up front: earlier suites in this file stub performance.now
+    const now = performance.now.bind(performance);
+
+    /**
+     * Builds a full 11x5 formation plus a field of enemy shots (bullet-hell load)
+     */
+    function createScene(shotCount) {
+        const invaders = [];
+        for (let row = 0; row < 5; row++) {
+            for (let col = 0; col < 11; col++) {
+                invaders.push({
+                    position: { x: 80 + col * 48, y: 60 + row * 40 },
+                    size: { x: 24, y: 24 },
+                    active: true
+                });
+            }
+        }
+
+        const shots = [];
+        for (let i = 0; i < shotCount; i++) {
+            // Deterministic spread so runs are comparable
+            shots.push({
+                position: { x: (i * 37) % FIELD_WIDTH, y: (i * 91) % FIELD_HEIGHT },
+                size: { x: 4, y: 12 },
+                active: true
+            });
+        }
+
+        return { invaders, shots };
+    }
+
+    function naivePass({ invaders, shots }) {
+        let tests = 0;
+        let hits = 0;
+        for (const shot of shots) {
+            for (const invader of invaders) {
+                tests++;
+                if (SpatialHash.overlaps(SpatialHash.getBounds(shot), SpatialHash.getBounds(invader))) {
+                    hits++;
+                }
+            }
+        }
+        return { tests, hits };
+    }
+
+    function hashPass(grid, { invaders, shots }) {
+        let hits = 0;
+        grid.clear();
+        invaders.forEach(invader => grid.insert(invader, CollisionLayer.ENEMY));
+        shots.forEach(shot => grid.insert(shot, CollisionLayer.PLAYER_SHOT));
+        grid.checkCollisions();
+        hits = grid.getStats().collisions;
+        return { tests: grid.getStats().narrowTests, hits };
+    }
+
+    function time(fn, iterations) {
+        // Warm up first so the JIT has compiled both paths before measuring
+        for (let i = 0; i < 10; i++) {
+            fn();
+        }
+
+        const start = now();
+        for (let i = 0; i < iterations; i++) {
+            fn();
+        }
+        return (now() - start) / iterations;
+    }
+
+    test('should find the same collisions as the pairwise loop', () => {
+        const scene = createScene(300);
+        const grid = new SpatialHash({ cellSize: 64 });
+        grid.onCollision(CollisionLayer.PLAYER_SHOT, CollisionLayer.ENEMY, () => {});
+
+        expect(hashPass(grid, scene).hits).toBe(naivePass(scene).hits);
+    });
+
+    test('should run far fewer narrow-phase tests than the pairwise loop', () => {
+        const scene = createScene(1000);
+        const grid = new SpatialHash({ cellSize: 64 });
+        grid.onCollision(CollisionLayer.PLAYER_SHOT, CollisionLayer.ENEMY, () => {});
+
+        const naive = naivePass(scene);
+        const hashed = hashPass(grid, scene);
+
+        expect(naive.tests).toBe(55 * 1000);
+        expect(hashed.tests).toBeLessThan(naive.tests / 10);
+    });
+
+    test('should rebuild and resolve a bullet-hell frame within budget', () => {
+        const scene = createScene(1000);
+        const grid = new SpatialHash({ cellSize: 64 });
+        grid.onCollision(CollisionLayer.PLAYER_SHOT, CollisionLayer.ENEMY, () => {});
+
+        const hashMs = time(() => hashPass(grid, scene), 50);
+
+        // Generous budget: a 60 FPS tick is ~16.7ms and collisions should take a small slice of it
+        expect(hashMs).toBeLessThan(16.67);
+    });
+
+    test('should cut narrow-phase tests once both sides are crowded', () => {
+        // A swarm mode: 1000 shots against 1000 small enemies
+        const scene = createScene(1000);
+        scene.invaders = createScene(1000).shots.map(shot => ({
+            position: { x: FIELD_WIDTH - shot.position.x, y: shot.position.y },
+            size: { x: 8, y: 8 },
+            active: true
+        }));
+        const grid = new SpatialHash({ cellSize: 32 });
+        grid.onCollision(CollisionLayer.PLAYER_SHOT, CollisionLayer.ENEMY, () => {});
+
+        const naive = naivePass(scene);
+        const hashed = hashPass(grid, scene);
+
+        // Count narrow-phase tests rather than time them, which would depend on the machine
+        expect(hashed.hits).toBe(naive.hits);
+        expect(hashed.tests).toBeLessThan(naive.tests / 10);
+    });
+
+    test('should scale roughly linearly with object count', () => {
+        const grid = new SpatialHash({ cellSize: 64 });
+        grid.onCollision(CollisionLayer.PLAYER_SHOT, CollisionLayer.ENEMY, () => {});
+
+        const small = hashPass(grid, createScene(250)).tests;
+        const large = hashPass(grid, createScene(1000)).tests;
+
+        // Pairwise work would grow 4x with 4x the shots; allow for denser cells
+        expect(large).toBeLessThan(small * 6);
+    });
+});
+
 // Export for potential use in other test files
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
@@ -0,0 +1,214 @@
+/**
+ * Animator Test Suite
+ *
+ * Covers clip playback over a sprite atlas:
+ * - Time-based playback with per-frame durations
+ * - Loop, once and ping-pong modes and their events
+ * - Event-stepped playback for the invader march
+ * - Entity and Player integration, including the ship the game plays
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { Animator } = require('../../js/rendering/animator.js');
+const { SpriteAtlas } = require('../../js/rendering/sprite-atlas.js');
+const { Entity } = require('../../js/entities/entity.js');
+const Player = require('../../js/entities/player.js');
+const { Player: GamePlayer, TickInput, Vector2D } = require('../../js/game.js');
+
+describe('Animator', () => {
+    const frame = x => ({ frame: { x, y: 0, w: 8, h: 8 } });
+    const createAtlas = () => new SpriteAtlas({ width: 48, height: 8 }, {
+        frames: { a: frame(0), b: frame(8), c: frame(16), idle: frame(24), hit: frame(32), boom: frame(40) },
+        animations: {
+            march: { frames: ['a', 'b'], frameDuration: 100 },
+            wave: { frames: ['a', 'b', 'c'], frameDuration: 100, loop: 'pingPong' },
+            blink: { frames: [{ frame: 'a', duration: 50 }, { frame: 'b', duration: 150 }], loop: 'once' },
+            idle: { frames: ['idle'] },
+            hit: { frames: ['hit', 'idle'], frameDuration: 50, loop: 'once' },
+            explode: { frames: ['boom', 'c'], frameDuration: 100, loop: 'once' }
+        }
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'info').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Playback', () => {
+        test('should loop through frames by time', () => {
+            const animator = new Animator(createAtlas(), { clip: 'march' });
+            const looped = jest.fn();
+            animator.addEventListener('looped', looped);
+
+            expect(animator.getFrameName()).toBe('a');
+            animator.update(99);
+            expect(animator.getFrameName()).toBe('a');
+            animator.update(1);
+            expect(animator.getFrameName()).toBe('b');
+            animator.update(100);
+            expect(animator.getFrameName()).toBe('a');
+            expect(looped).toHaveBeenCalledWith({ clip: 'march' });
+        });
+
+        test('should honour per-frame durations and hold the last frame of a one-shot clip', () => {
+            const animator = new Animator(createAtlas(), { clip: 'blink' });
+            const finished = jest.fn();
+            animator.addEventListener('finished', finished);
+
+            animator.update(50);
+            expect(animator.getFrameName()).toBe('b');
+            animator.update(1000);
+
+            expect(animator.getFrameName()).toBe('b');
+            expect(animator.isFinished()).toBe(true);
+            expect(animator.isPlaying()).toBe(false);
+            expect(finished).toHaveBeenCalledTimes(1);
+        });
+
+        test('should bounce through ping-pong clips', () => {
+            const animator = new Animator(createAtlas(), { clip: 'wave' });
+            const frames = [];
+
+            for (let i = 0; i < 6; i++) {
+                frames.push(animator.getFrameName());
+                animator.update(100);
+            }
+
+            expect(frames).toEqual(['a', 'b', 'c', 'b', 'a', 'b']);
+        });
+
+        test('should step frames on demand', () => {
+            const animator = new Animator(createAtlas(), { clip: 'march' });
+
+            animator.nextFrame();
+            expect(animator.getFrameName()).toBe('b');
+            animator.nextFrame();
+            expect(animator.getFrameName()).toBe('a');
+        });
+
+        test('should scale, pause and resume time', () => {
+            const animator = new Animator(createAtlas(), { clip: 'march', speed: 2 });
+
+            animator.update(50);
+            expect(animator.getFrameName()).toBe('b');
+
+            animator.pause();
+            animator.update(500);
+            expect(animator.getFrameName()).toBe('b');
+
+            animator.resume();
+            animator.update(50);
+            expect(animator.getFrameName()).toBe('a');
+            expect(() => animator.setSpeed(-1)).toThrow('non-negative');
+        });
+
+        test('should only restart the running clip when asked', () => {
+            const animator = new Animator(createAtlas(), { clip: 'march' });
+            animator.update(100);
+
+            animator.play('march');
+            expect(animator.getFrameName()).toBe('b');
+
+            animator.play('march', { restart: true });
+            expect(animator.getFrameName()).toBe('a');
+            expect(() => animator.play('dance')).toThrow('Unknown animation clip: dance');
+            expect(() => new Animator(null)).toThrow('SpriteAtlas');
+        });
+
+        test('should draw and describe the current frame', () => {
+            const atlas = createAtlas();
+            const animator = new Animator(atlas, { clip: 'march' });
+            const context = { drawImage: jest.fn() };
+            animator.nextFrame();
+
+            expect(animator.draw(context, 5, 6)).toBe(true);
+            expect(context.drawImage).toHaveBeenCalledWith(atlas.image, 8, 0, 8, 8, 5, 6, 8, 8);
+            expect(animator.toSprite(1, 2, { alpha: 0.5 })).toMatchObject({ source: atlas.getFrame('b'), x: 1, y: 2, alpha: 0.5 });
+            expect(new Animator(atlas).draw(context, 0, 0)).toBe(false);
+        });
+    });
+
+    describe('Entities', () => {
+        const createContext = () => ({
+            save: jest.fn(),
+            restore: jest.fn(),
+            translate: jest.fn(),
+            drawImage: jest.fn(),
+            fillRect: jest.fn(),
+            strokeRect: jest.fn()
+        });
+
+        test('should advance with Entity updates and draw instead of the fallback', () => {
+            const animator = new Animator(createAtlas(), { clip: 'march' });
+            const entity = new Entity({ width: 16, height: 16, animator });
+            const context = createContext();
+
+            entity.update(0.1);
+            entity.render(context);
+
+            expect(animator.getFrameName()).toBe('b');
+            expect(context.drawImage).toHaveBeenCalledWith(animator.atlas.image, 8, 0, 8, 8, -8, -8, 16, 16);
+            expect(context.fillRect).not.toHaveBeenCalled();
+            expect(entity.playAnimation('blink')).toBe(true);
+            expect(entity.playAnimation('dance')).toBe(false);
+        });
+
+        test('should play the player hit clip and return to idle', () => {
+            const player = new Player({ animator: new Animator(createAtlas()) });
+
+            expect(player.animator.getClipName()).toBe('idle');
+            player.takeDamage(10);
+            expect(player.animator.getClipName()).toBe('hit');
+
+            player.update(100);
+            expect(player.animator.getClipName()).toBe('idle');
+        });
+
+        test('should keep drawing the player explosion until it ends', () => {
+            const player = new Player({ health: 10, animator: new Animator(createAtlas()) });
+            const context = createContext();
+
+            player.takeDamage(10);
+            expect(player.isDestroyed).toBe(true);
+            expect(player.animator.getClipName()).toBe('explode');
+
+            player.update(100);
+            player.render(context);
+            expect(context.drawImage).toHaveBeenCalledTimes(1);
+
+            player.update(100);
+            player.render(context);
+            expect(context.drawImage).toHaveBeenCalledTimes(1);
+
+            player.reset();
+            expect(player.animator.getClipName()).toBe('idle');
+        });
+
+        test('should animate hits and the explosion on the ship the game plays', () => {
+            const ship = new GamePlayer(new Vector2D(100, 500));
+            const input = new TickInput(0);
+            ship.setAnimator(new Animator(createAtlas()));
+
+            expect(ship.animator.getClipName()).toBe('idle');
+            ship.takeDamage(10);
+            expect(ship.animator.getClipName()).toBe('hit');
+            ship.update(0.1, input);
+            expect(ship.animator.getClipName()).toBe('idle');
+
+            ship.isInvulnerable = false;
+            ship.takeDamage(ship.health);
+            expect(ship.isExploding()).toBe(true);
+            ship.update(0.2, input);
+            expect(ship.isExploding()).toBe(false);
+
+            ship.respawn(new Vector2D(100, 500));
+            expect(ship.animator.getClipName()).toBe('idle');
+        });
+    });
+});
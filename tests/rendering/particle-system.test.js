@@ -0,0 +1,178 @@
+/**
+ * Particle System Test Suite
+ *
+ * Covers pooled cosmetic particles:
+ * - Emitter presets and overrides
+ * - Pool reuse and expiry
+ * - Hard budget and health-driven scaling
+ * - Batched rendering through renderBatch()
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { ParticleSystem, ParticlePool, ParticleEmitter, PARTICLE_EMITTERS } = require('../../js/rendering/particle-system.js');
+const { SeededRandom } = require('../../js/utils/random.js');
+
+describe('ParticleSystem', () => {
+    const createSystem = (config = {}, options = {}) => {
+        const random = new SeededRandom(3);
+        return new ParticleSystem(config, { random: () => random.next(), ...options });
+    };
+
+    const createMonitor = () => {
+        const listeners = new Map();
+        return {
+            addEventListener: jest.fn((event, callback) => listeners.set(event, callback)),
+            removeEventListener: jest.fn(event => listeners.delete(event)),
+            report: metrics => listeners.get('metricsUpdated')(metrics),
+            listeners
+        };
+    };
+
+    describe('Emitting', () => {
+        test('should emit a preset burst at the given point', () => {
+            const system = createSystem();
+
+            const count = system.emit(ParticleEmitter.INVADER_EXPLOSION, 100, 50);
+
+            expect(count).toBe(PARTICLE_EMITTERS.invaderExplosion.count);
+            expect(system.getActiveCount()).toBe(count);
+            expect(system.particles.every(p => p.x === 100 && p.y === 50)).toBe(true);
+            expect(system.particles.every(p => PARTICLE_EMITTERS.invaderExplosion.colors.includes(p.color))).toBe(true);
+        });
+
+        test('should apply overrides to the preset', () => {
+            const system = createSystem();
+
+            system.emit(ParticleEmitter.BUNKER_IMPACT, 0, 0, { colors: ['#123456'], angle: Math.PI / 2, spread: 0 });
+
+            expect(system.particles.every(p => p.color === '#123456')).toBe(true);
+            expect(system.particles.every(p => p.vy > 0 && Math.abs(p.vx) < 1e-9)).toBe(true);
+        });
+
+        test('should reject unknown emitters and invalid configuration', () => {
+            expect(() => createSystem().emit('sparkles', 0, 0)).toThrow('Unknown particle emitter');
+            expect(() => new ParticleSystem({ maxParticles: 0 })).toThrow('maxParticles');
+            expect(() => new ParticleSystem({ maxParticles: 10, minBudget: 20 })).toThrow('minBudget');
+        });
+
+        test('should be reproducible from a seeded stream', () => {
+            const first = createSystem();
+            const second = createSystem();
+
+            first.emit(ParticleEmitter.PLAYER_DEATH, 10, 10);
+            second.emit(ParticleEmitter.PLAYER_DEATH, 10, 10);
+
+            expect(second.particles).toEqual(first.particles);
+        });
+    });
+
+    describe('Lifetime', () => {
+        test('should move particles and return expired ones to the pool', () => {
+            const system = createSystem({ maxParticles: 50, minBudget: 10 });
+            system.emit(ParticleEmitter.EXHAUST, 0, 0);
+            const [particle] = system.particles;
+            const free = system.pool.availableCount;
+
+            system.update(50);
+            expect(particle.y).toBeGreaterThan(0);
+
+            system.update(1000);
+            expect(system.getActiveCount()).toBe(0);
+            expect(system.pool.availableCount).toBe(free + 1);
+        });
+
+        test('should reuse pooled particles instead of allocating', () => {
+            const pool = new ParticlePool(2);
+            const a = pool.get();
+            pool.get();
+
+            expect(pool.get()).toBeNull();
+            pool.release(a);
+            expect(pool.get()).toBe(a);
+        });
+
+        test('should clear every particle', () => {
+            const system = createSystem();
+            system.emit(ParticleEmitter.PLAYER_DEATH, 0, 0);
+
+            system.clear();
+
+            expect(system.getActiveCount()).toBe(0);
+            expect(system.pool.availableCount).toBe(system.config.maxParticles);
+        });
+    });
+
+    describe('Budget', () => {
+        test('should never exceed the hard cap', () => {
+            const system = createSystem({ maxParticles: 30, minBudget: 5 });
+
+            system.emit(ParticleEmitter.PLAYER_DEATH, 0, 0);
+            system.emit(ParticleEmitter.PLAYER_DEATH, 0, 0);
+
+            expect(system.getActiveCount()).toBe(30);
+            expect(system.emit(ParticleEmitter.EXHAUST, 0, 0)).toBe(0);
+        });
+
+        test('should halve the budget on poor health and recover on good health', () => {
+            const monitor = createMonitor();
+            const system = createSystem({ maxParticles: 100, minBudget: 20, recoveryRate: 0.1 }, { performanceMonitor: monitor });
+            system.emit(ParticleEmitter.PLAYER_DEATH, 0, 0);
+            system.emit(ParticleEmitter.PLAYER_DEATH, 0, 0);
+
+            monitor.report({ isPerformanceGood: false });
+            expect(system.getBudget()).toBe(50);
+            expect(system.getActiveCount()).toBe(50);
+
+            monitor.report({ isPerformanceGood: false });
+            monitor.report({ isPerformanceGood: false });
+            expect(system.getBudget()).toBe(20);
+
+            monitor.report({ isPerformanceGood: true });
+            expect(system.getBudget()).toBe(30);
+        });
+
+        test('should shrink bursts with the budget', () => {
+            const system = createSystem({ maxParticles: 100, minBudget: 10 });
+            system.adjustForHealth({ isPerformanceGood: false });
+
+            expect(system.emit(ParticleEmitter.PLAYER_DEATH, 0, 0)).toBe(PARTICLE_EMITTERS.playerDeath.count / 2);
+        });
+
+        test('should stop following the monitor when destroyed', () => {
+            const monitor = createMonitor();
+            const system = createSystem({}, { performanceMonitor: monitor });
+
+            system.destroy();
+
+            expect(monitor.removeEventListener).toHaveBeenCalledWith('metricsUpdated', expect.any(Function));
+            expect(monitor.listeners.size).toBe(0);
+        });
+    });
+
+    describe('Rendering', () => {
+        test('should draw all particles in a single fading batch', () => {
+            const imageFor = jest.fn(color => ({ color }));
+            const renderer = { renderBatch: jest.fn(sprites => sprites.length) };
+            const system = createSystem({}, { imageFor });
+            system.emit(ParticleEmitter.INVADER_EXPLOSION, 40, 40);
+            system.update(100);
+
+            const drawn = system.render(renderer);
+
+            expect(renderer.renderBatch).toHaveBeenCalledTimes(1);
+            expect(drawn).toBe(system.getActiveCount());
+            const [batch] = renderer.renderBatch.mock.calls[0];
+            expect(batch.every(sprite => sprite.alpha > 0 && sprite.alpha < 1)).toBe(true);
+            expect(batch.every(sprite => sprite.image.color && sprite.width > 0)).toBe(true);
+        });
+
+        test('should skip the batch when nothing is alive', () => {
+            const renderer = { renderBatch: jest.fn() };
+
+            expect(createSystem({}, { imageFor: () => ({}) }).render(renderer)).toBe(0);
+            expect(renderer.renderBatch).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * Sprite Atlas Test Suite
+ *
+ * Covers texture atlases and animation clips:
+ * - Hash and array frame descriptors
+ * - Clip durations and loop modes
+ * - Loading a descriptor and its image
+ * - Frames handed to SpriteRenderer as source rectangles
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { SpriteAtlas, AnimationClip, LoopMode, DEFAULT_FRAME_DURATION } = require('../../js/rendering/sprite-atlas.js');
+const SpriteRenderer = require('../../js/rendering/sprite-renderer.js');
+
+describe('SpriteAtlas', () => {
+    const image = { width: 64, height: 16 };
+    const descriptor = {
+        meta: { image: 'invaders.png' },
+        frames: {
+            squid_0: { frame: { x: 0, y: 0, w: 16, h: 16 } },
+            squid_1: { frame: { x: 16, y: 0, w: 16, h: 16 }, duration: 250 },
+            boom_0: { frame: { x: 32, y: 0, w: 16, h: 16 } },
+            boom_1: { frame: { x: 48, y: 0, w: 16, h: 16 } }
+        },
+        animations: {
+            march: { frames: ['squid_0', 'squid_1'], frameDuration: 500 },
+            explode: { frames: ['boom_0', { frame: 'boom_1', duration: 40 }], loop: 'once' }
+        }
+    };
+
+    describe('Descriptors', () => {
+        test('should read hash frames and clips', () => {
+            const atlas = new SpriteAtlas(image, descriptor);
+
+            expect(atlas.getFrame('squid_1')).toEqual({ name: 'squid_1', x: 16, y: 0, width: 16, height: 16, duration: 250 });
+            expect(atlas.getClip('march').loop).toBe(LoopMode.LOOP);
+            expect(atlas.getClip('march').frames.map(frame => frame.duration)).toEqual([500, 500]);
+            expect(atlas.getClip('explode').frames.map(frame => frame.duration)).toEqual([DEFAULT_FRAME_DURATION, 40]);
+            expect(atlas.hasClip('missing')).toBe(false);
+            expect(atlas.getFrame('missing')).toBeNull();
+        });
+
+        test('should read array frames', () => {
+            const atlas = new SpriteAtlas(image, {
+                frames: [{ filename: 'a', frame: { x: 0, y: 0, w: 8, h: 8 } }]
+            });
+
+            expect(atlas.getFrame('a').width).toBe(8);
+        });
+
+        test('should fall back to frame durations from the descriptor', () => {
+            const atlas = new SpriteAtlas(image, descriptor);
+
+            const clip = atlas.addClip('twitch', ['squid_1', 'squid_0']);
+
+            expect(clip.frames.map(frame => frame.duration)).toEqual([250, DEFAULT_FRAME_DURATION]);
+        });
+
+        test('should reject malformed descriptors', () => {
+            expect(() => new SpriteAtlas(null, descriptor)).toThrow('image');
+            expect(() => new SpriteAtlas(image, {})).toThrow('frames');
+            expect(() => new SpriteAtlas(image, { frames: { a: { frame: { x: 0, y: 0, w: 0, h: 8 } } } }))
+                .toThrow('invalid rectangle');
+            expect(() => new SpriteAtlas(image, { ...descriptor, animations: { bad: { frames: ['nope'] } } }))
+                .toThrow('unknown frame: nope');
+            expect(() => new SpriteAtlas(image, { ...descriptor, animations: { bad: { frames: ['squid_0'], loop: 'bounce' } } }))
+                .toThrow('Unknown loop mode');
+        });
+    });
+
+    describe('Clips', () => {
+        test('should cycle ping-pong clips through their inner frames', () => {
+            const clip = new AnimationClip('wave', ['a', 'b', 'c'], { loop: LoopMode.PING_PONG });
+
+            expect(clip.cycleLength).toBe(4);
+            expect([0, 1, 2, 3].map(step => clip.frameIndexAt(step))).toEqual([0, 1, 2, 1]);
+            expect(clip.duration).toBe(DEFAULT_FRAME_DURATION * 3);
+        });
+
+        test('should reject empty clips and bad durations', () => {
+            expect(() => new AnimationClip('empty', [])).toThrow('at least one frame');
+            expect(() => new AnimationClip('zero', ['a'], { frameDuration: 0 })).toThrow('positive duration');
+        });
+    });
+
+    describe('Loading', () => {
+        test('should load the image named by the descriptor next to it', async () => {
+            const fetchJson = jest.fn().mockResolvedValue(descriptor);
+            const loadImage = jest.fn().mockResolvedValue(image);
+
+            const atlas = await SpriteAtlas.load('assets/sprites/invaders.json', { fetchJson, loadImage });
+
+            expect(fetchJson).toHaveBeenCalledWith('assets/sprites/invaders.json');
+            expect(loadImage).toHaveBeenCalledWith('assets/sprites/invaders.png');
+            expect(atlas.image).toBe(image);
+            expect(atlas.hasClip('march')).toBe(true);
+        });
+
+        test('should keep absolute image paths', () => {
+            expect(SpriteAtlas.resolvePath('a/b.json', '/img/c.png')).toBe('/img/c.png');
+            expect(SpriteAtlas.resolvePath('b.json', 'c.png')).toBe('c.png');
+        });
+
+        test('should fail when the descriptor names no image', async () => {
+            await expect(SpriteAtlas.load('x.json', { fetchJson: async () => ({ frames: {} }), loadImage: jest.fn() }))
+                .rejects.toThrow('does not name an image');
+        });
+    });
+
+    describe('Rendering', () => {
+        const createContext = () => ({
+            drawImage: jest.fn(),
+            save: jest.fn(),
+            restore: jest.fn()
+        });
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should draw a frame through its source rectangle', () => {
+            const atlas = new SpriteAtlas(image, descriptor);
+            const context = createContext();
+
+            expect(atlas.drawFrame(context, 'squid_1', 100, 50, 32, 32)).toBe(true);
+
+            expect(context.drawImage).toHaveBeenCalledWith(image, 16, 0, 16, 16, 100, 50, 32, 32);
+        });
+
+        test('should render registered atlas frames with SpriteRenderer', () => {
+            const context = createContext();
+            const renderer = new SpriteRenderer(context, { enableMetrics: false, enableBatching: false });
+
+            expect(renderer.registerAtlas('invaders', new SpriteAtlas(image, descriptor))).toBe(true);
+            expect(renderer.renderFrame('invaders', 'boom_1', 10, 20)).toBe(true);
+            expect(renderer.renderFrame('invaders', 'nope', 10, 20)).toBe(false);
+            expect(renderer.renderFrame('missing', 'boom_1', 10, 20)).toBe(false);
+
+            expect(context.drawImage).toHaveBeenCalledTimes(1);
+            expect(context.drawImage).toHaveBeenCalledWith(image, 48, 0, 16, 16, 10, 20, 16, 16);
+        });
+
+        test('should register atlases loaded through SpriteRenderer', async () => {
+            const renderer = new SpriteRenderer(createContext(), { enableMetrics: false });
+
+            const atlas = await renderer.loadAtlas('invaders', 'invaders.json', {
+                fetchJson: async () => descriptor,
+                loadImage: async () => image
+            });
+
+            expect(renderer.getAtlas('invaders')).toBe(atlas);
+            expect(await renderer.loadAtlas('broken', 'broken.json', {
+                fetchJson: async () => { throw new Error('404'); }
+            })).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Initials Entry Test Suite
+ *
+ * Covers the arcade initials entry screen:
+ * - Letter cycling and cursor movement
+ * - Confirmation and submission
+ * - Driving the screen through KeyBindings actions
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { InitialsEntry } = require('../../js/ui/initials-entry.js');
+const KeyBindings = require('../../js/input/key-bindings.js');
+
+describe('InitialsEntry', () => {
+    let keyBindings;
+
+    const press = code => {
+        keyBindings.handleKeyDown({ code, preventDefault: () => {} });
+        keyBindings.handleKeyUp({ code, preventDefault: () => {} });
+        // Step past per-action cooldowns between presses
+        jest.advanceTimersByTime(500);
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        global.document = new EventTarget();
+        keyBindings = new KeyBindings({ target: new EventTarget() });
+    });
+
+    afterEach(() => {
+        keyBindings.destroy();
+        delete global.document;
+        jest.useRealTimers();
+    });
+
+    test('should require a KeyBindings-like source', () => {
+        expect(() => new InitialsEntry(null)).toThrow('KeyBindings');
+    });
+
+    test('should cycle letters with wrap-around', () => {
+        const entry = new InitialsEntry(keyBindings);
+
+        entry.cycleLetter(-1);
+        expect(entry.getInitials()).toBe('ZAA');
+
+        entry.cycleLetter(1);
+        entry.cycleLetter(1);
+        expect(entry.getInitials()).toBe('BAA');
+    });
+
+    test('should keep the cursor within the letter slots', () => {
+        const entry = new InitialsEntry(keyBindings);
+
+        entry.moveCursor(-1);
+        expect(entry.cursor).toBe(0);
+
+        entry.moveCursor(5);
+        expect(entry.cursor).toBe(2);
+    });
+
+    test('should submit after confirming the last letter', () => {
+        const entry = new InitialsEntry(keyBindings);
+        const onSubmit = jest.fn();
+        entry.addEventListener('submit', onSubmit);
+
+        entry.confirm();
+        entry.confirm();
+        expect(onSubmit).not.toHaveBeenCalled();
+
+        entry.confirm();
+        expect(onSubmit).toHaveBeenCalledWith({ initials: 'AAA' });
+        expect(entry.submitted).toBe(true);
+
+        entry.cycleLetter(1);
+        expect(entry.getInitials()).toBe('AAA');
+    });
+
+    test('should be driven by KeyBindings actions', () => {
+        const entry = new InitialsEntry(keyBindings);
+        const onSubmit = jest.fn();
+        entry.addEventListener('submit', onSubmit);
+        entry.start();
+
+        press('ArrowUp');
+        press('ArrowUp');
+        press('Space');
+        press('ArrowDown');
+        press('Enter');
+        press('KeyW');
+        press('Space');
+
+        expect(onSubmit).toHaveBeenCalledWith({ initials: 'CZB' });
+    });
+
+    test('should ignore input once stopped', () => {
+        const entry = new InitialsEntry(keyBindings);
+        entry.start();
+        entry.stop();
+
+        press('ArrowUp');
+
+        expect(entry.getInitials()).toBe('AAA');
+    });
+
+    test('should honour remapped actions', () => {
+        const entry = new InitialsEntry(keyBindings, { actions: { nextLetter: 'moveRight', cursorRight: 'moveUp' } });
+        entry.start();
+
+        press('ArrowRight');
+
+        expect(entry.getInitials()).toBe('BAA');
+    });
+});
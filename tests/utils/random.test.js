@@ -0,0 +1,155 @@
+/**
+ * Seeded Random Test Suite
+ *
+ * Covers deterministic gameplay randomness:
+ * - Reproducible sequences from numeric and string seeds
+ * - Range helpers
+ * - Independent named sub-streams
+ * - State capture and restore
+ * - Seeded Vector2D helpers
+ *
+ * @author Space Invaders Development Team
+ * @version 1.0.0
+ */
+
+const { SeededRandom, RandomService, RandomStream } = require('../../js/utils/random.js');
+const { Vector2D } = require('../../js/utils/vector2d.js');
+const { EnemyFireController } = require('../../js/entities/enemy-fire.js');
+const { InvaderFormation } = require('../../js/entities/invader-formation.js');
+
+describe('SeededRandom', () => {
+    const take = (generator, count) => Array.from({ length: count }, () => generator.next());
+
+    test('should repeat the same sequence for the same seed', () => {
+        expect(take(new SeededRandom(42), 10)).toEqual(take(new SeededRandom(42), 10));
+        expect(take(new SeededRandom('bug-1234'), 5)).toEqual(take(new SeededRandom('bug-1234'), 5));
+    });
+
+    test('should differ between seeds', () => {
+        expect(take(new SeededRandom(1), 5)).not.toEqual(take(new SeededRandom(2), 5));
+    });
+
+    test('should produce numbers in [0, 1)', () => {
+        const values = take(new SeededRandom(7), 1000);
+
+        expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+        expect(Math.max(...values)).toBeLessThan(1);
+    });
+
+    test('should keep helpers inside their bounds', () => {
+        const random = new SeededRandom(99);
+
+        for (let i = 0; i < 200; i++) {
+            const value = random.int(3, 5);
+            expect(value).toBeGreaterThanOrEqual(3);
+            expect(value).toBeLessThanOrEqual(5);
+            expect(Number.isInteger(value)).toBe(true);
+        }
+        expect(random.pick([])).toBeUndefined();
+        expect(['a', 'b']).toContain(random.pick(['a', 'b']));
+        expect(random.chance(0)).toBe(false);
+        expect(random.chance(1)).toBe(true);
+    });
+
+    test('should work as a detached function', () => {
+        const { next } = new SeededRandom(5);
+
+        expect(next()).toBe(new SeededRandom(5).next());
+    });
+
+    test('should resume from a captured state', () => {
+        const random = new SeededRandom(11);
+        take(random, 3);
+        const state = random.getState();
+        const expected = take(random, 3);
+
+        random.setState(state);
+
+        expect(take(random, 3)).toEqual(expected);
+    });
+
+    test('should reject unusable seeds', () => {
+        expect(() => new SeededRandom(NaN)).toThrow('Seed');
+        expect(() => new SeededRandom({})).toThrow('Seed');
+    });
+});
+
+describe('RandomService', () => {
+    test('should keep named streams independent', () => {
+        const a = new RandomService(123);
+        const b = new RandomService(123);
+
+        // Drawing particles in one run must not shift enemy fire
+        for (let i = 0; i < 50; i++) {
+            a.stream(RandomStream.PARTICLES).next();
+        }
+
+        expect(a.stream(RandomStream.ENEMY_FIRE).next()).toBe(b.stream(RandomStream.ENEMY_FIRE).next());
+        expect(a.stream(RandomStream.SPAWN).next()).not.toBe(a.stream(RandomStream.UFO).next());
+    });
+
+    test('should restart every stream on reseed', () => {
+        const service = new RandomService(1);
+        const fire = service.stream(RandomStream.ENEMY_FIRE);
+        const first = fire.next();
+        fire.next();
+
+        service.reseed(1);
+
+        expect(fire.next()).toBe(first);
+    });
+
+    test('should generate a seed when none is given', () => {
+        expect(Number.isInteger(new RandomService().getSeed())).toBe(true);
+    });
+
+    test('should round-trip its state', () => {
+        const service = new RandomService('save-test');
+        service.stream(RandomStream.UFO).next();
+        const state = JSON.parse(JSON.stringify(service.getState()));
+        const expected = service.stream(RandomStream.UFO).next();
+
+        const restored = new RandomService(0);
+        restored.setState(state);
+
+        expect(restored.getSeed()).toBe(service.getSeed());
+        expect(restored.stream(RandomStream.UFO).next()).toBe(expected);
+        expect(() => restored.setState(null)).toThrow('Invalid random state');
+    });
+
+    test('should make enemy fire reproducible', () => {
+        const shotsFor = (seed) => {
+            const service = new RandomService(seed);
+            const formation = new InvaderFormation({ rows: 3, columns: 6 });
+            const controller = new EnemyFireController({}, {
+                random: service.stream(RandomStream.ENEMY_FIRE).next
+            });
+
+            return Array.from({ length: 8 }, () => {
+                const shot = controller.fire(formation);
+                return shot && `${shot.kind}@${shot.shooter}`;
+            });
+        };
+
+        expect(shotsFor('replay')).toEqual(shotsFor('replay'));
+    });
+});
+
+describe('Vector2D seeded helpers', () => {
+    test('should use the supplied random source', () => {
+        const a = Vector2D.randomInBounds(0, 100, 0, 50, new SeededRandom(3).next);
+        const b = Vector2D.randomInBounds(0, 100, 0, 50, new SeededRandom(3).next);
+
+        expect(a.x).toBe(b.x);
+        expect(a.y).toBe(b.y);
+        expect(a.x).toBeLessThan(100);
+        expect(a.y).toBeLessThan(50);
+    });
+
+    test('should build a unit vector from the supplied random source', () => {
+        const vector = Vector2D.random(() => 0.25);
+
+        expect(vector.x).toBeCloseTo(0);
+        expect(vector.y).toBeCloseTo(1);
+    });
+});